@@ -0,0 +1,279 @@
+/**
+ * BalanceValidator - Módulo para verificar el cierre contable del balance
+ *
+ * Este módulo comprueba las identidades del Balance Nacional de Energía por
+ * energético y año (oferta, transformación, pérdidas y consumo final) y
+ * genera un reporte con los residuos de cada identidad y la tolerancia usada,
+ * para saber de inmediato si un conjunto de datos es consistente.
+ *
+ * Funcionalidades principales:
+ * - Identidades de suma declarativas (total = suma de términos con su signo)
+ * - Verificación de centros de transformación (entradas = salidas + pérdidas)
+ * - Tolerancia absoluta y relativa para absorber el redondeo de los datos
+ * - Reporte por año y resumen de todos los años
+ * - Nodos del diagrama afectados por cada identidad que no cierra
+ *
+ * Convención de signos: en los datos las salidas (exportación, energía no
+ * aprovechada, consumos propios, pérdidas, entradas a transformación) ya son
+ * negativas, por lo que todas las identidades de suma son sumas simples.
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class BalanceValidator {
+    /**
+     * Constructor del BalanceValidator
+     * @param {Object} options - Opciones de configuración
+     * @param {DataManager} options.dataManager - Fuente de los datos del balance
+     * @param {Array} options.rules - Identidades a verificar (por defecto las del BNE)
+     * @param {number} options.absoluteTolerance - Residuo máximo aceptado en PJ
+     * @param {number} options.relativeTolerance - Residuo máximo como fracción del mayor término
+     */
+    constructor(options = {}) {
+        if (!options.dataManager) {
+            throw new Error('BalanceValidator requiere un dataManager');
+        }
+
+        this.dataManager = options.dataManager;
+        this.rules = options.rules || BalanceValidator.DEFAULT_RULES;
+        this.absoluteTolerance = options.absoluteTolerance ?? 0.05;
+        this.relativeTolerance = options.relativeTolerance ?? 0.001;
+    }
+
+    /**
+     * Verifica las identidades de un año
+     * @param {string} year - Año a verificar
+     * @returns {Object} Reporte { year, valid, checked, results, failures, tolerance }
+     */
+    validateYear(year) {
+        const yearData = this.dataManager.getYearData(year);
+        const results = [];
+
+        for (const rule of this.rules) {
+            if (rule.kind === 'transformation') {
+                const result = this.checkTransformation(rule, yearData);
+                if (result) results.push(result);
+            } else {
+                results.push(...this.checkSum(rule, yearData));
+            }
+        }
+
+        const failures = results.filter(result => !result.ok);
+        return {
+            year: String(year),
+            valid: failures.length === 0,
+            checked: results.length,
+            results,
+            failures,
+            tolerance: { absolute: this.absoluteTolerance, relative: this.relativeTolerance }
+        };
+    }
+
+    /**
+     * Verifica todos los años
+     * @param {Array} years - Años a verificar (por defecto los disponibles)
+     * @returns {Object} { valid, reports: Array de reportes por año, failedYears }
+     */
+    validate(years = this.dataManager.getAvailableYears()) {
+        const reports = years.map(year => this.validateYear(year));
+        const failedYears = reports.filter(report => !report.valid).map(report => report.year);
+
+        return { valid: failedYears.length === 0, reports, failedYears };
+    }
+
+    /**
+     * Verifica una identidad de suma para cada energético con datos
+     * @private
+     */
+    checkSum(rule, yearData) {
+        const parents = [rule.total, ...rule.terms];
+        const carriers = new Set();
+        parents.forEach((parent) => {
+            const values = yearData.get(parent);
+            if (values) values.forEach((value, carrier) => carriers.add(carrier));
+        });
+
+        const results = [];
+        for (const carrier of carriers) {
+            const value = parent => (yearData.get(parent) ? yearData.get(parent).get(carrier) : undefined);
+            const total = value(rule.total);
+            const terms = rule.terms.map(value);
+            if (total === undefined && terms.every(term => term === undefined)) continue;
+
+            const expected = terms.reduce((sum, term) => sum + (term || 0), 0);
+            const actual = total || 0;
+            const tolerance = this.getTolerance([actual, ...terms]);
+            const residual = expected - actual;
+            // Se marcan solo los nodos donde el energético tiene valor
+            const flag = (rule.flag || []).filter(parent => value(parent));
+
+            results.push({
+                ruleId: rule.id,
+                label: rule.label,
+                carrier,
+                expected,
+                actual,
+                residual,
+                tolerance,
+                ok: Math.abs(residual) <= tolerance,
+                flag
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Verifica un centro de transformación: sus salidas no pueden superar sus
+     * entradas; la diferencia positiva son las pérdidas de transformación
+     * @private
+     */
+    checkTransformation(rule, yearData) {
+        const values = yearData.get(rule.center);
+        if (!values || values.size === 0) return null;
+
+        let inputs = 0;
+        let outputs = 0;
+        values.forEach((value) => {
+            if (value < 0) inputs -= value;
+            else outputs += value;
+        });
+        if (inputs === 0 && outputs === 0) return null;
+
+        const losses = inputs - outputs;
+        const tolerance = this.getTolerance([inputs, outputs]);
+        return {
+            ruleId: rule.id,
+            label: rule.label,
+            carrier: null,
+            expected: inputs,
+            actual: outputs,
+            losses,
+            residual: Math.min(losses, 0),
+            tolerance,
+            ok: losses >= -tolerance,
+            flag: [rule.center]
+        };
+    }
+
+    /**
+     * Calcula la tolerancia de una identidad
+     * @private
+     */
+    getTolerance(values) {
+        const magnitude = Math.max(0, ...values.map(value => Math.abs(value || 0)));
+        return Math.max(this.absoluteTolerance, magnitude * this.relativeTolerance);
+    }
+
+    /**
+     * Obtiene los nodos del diagrama afectados por las identidades que no cierran.
+     * Los nodos de energéticos solo se marcan para su propio energético.
+     * @param {Object} report - Reporte de validateYear
+     * @param {Array} nodes - Nodos del modelo de SankeyBuilder
+     * @param {Object} options - Opciones
+     * @param {string} options.energetic - Considerar solo un energético
+     * @param {Function} options.formatValue - Formato (valorPJ) => texto con unidad de los residuos
+     * @returns {Array} Lista de { index, messages }
+     */
+    getFlaggedNodes(report, nodes, options = {}) {
+        const flagged = new Map();
+        const formatValue = options.formatValue || (value => `${value.toFixed(2)} PJ`);
+
+        report.failures
+            .filter(failure => !options.energetic || failure.carrier === null || failure.carrier === options.energetic)
+            .forEach((failure) => {
+                const message = `${failure.label}${failure.carrier ? ` (${failure.carrier})` : ''}: ` +
+                    `residuo ${formatValue(failure.residual)}`;
+                nodes.forEach((node, index) => {
+                    if (!node.parent || !failure.flag.includes(node.parent)) return;
+                    if (node.group && failure.carrier && node.name !== failure.carrier) return;
+                    if (!flagged.has(index)) flagged.set(index, []);
+                    flagged.get(index).push(message);
+                });
+            });
+
+        return Array.from(flagged.entries()).map(([index, messages]) => ({ index, messages }));
+    }
+}
+
+/**
+ * Identidades del Balance Nacional de Energía.
+ * total = suma de terms (por energético); flag son los nodos padre que se marcan.
+ * Centrales Eléctricas no se compara con la suma de tecnologías: los datos no
+ * tienen una tecnología hidroeléctrica, por lo que esa identidad nunca cierra.
+ * Los energéticos se comparan por nombre canónico (DataManager.getYearData).
+ */
+BalanceValidator.DEFAULT_RULES = [
+    {
+        id: 'oferta-total',
+        label: 'Oferta total = producción + importación ± variación de inventarios',
+        total: 'Oferta Total',
+        terms: ['Producción', 'Importación', 'Variación de Inventarios'],
+        flag: ['Producción', 'Importación', 'Variación de Inventarios']
+    },
+    {
+        id: 'oferta-interna-bruta',
+        label: 'Oferta interna bruta = oferta total − exportación − no aprovechada',
+        total: 'Oferta Interna Bruta',
+        terms: ['Oferta Total', 'Exportación', 'Energía No Aprovechada'],
+        flag: ['Oferta Interna Bruta', 'Exportación', 'Energía No Aprovechada']
+    },
+    {
+        id: 'total-transformacion',
+        label: 'Total transformación = suma de centros de transformación',
+        total: 'Total Transformación',
+        terms: ['Coquizadoras y Hornos', 'Refinerías y Despuntadoras', 'Plantas de Gas y Fraccionadoras', 'Centrales Eléctricas'],
+        flag: ['Coquizadoras y Hornos', 'Refinerías y Despuntadoras', 'Plantas de Gas y Fraccionadoras', 'Centrales Eléctricas']
+    },
+    {
+        id: 'perdidas-tecnicas',
+        label: 'Pérdidas técnicas = transporte y transmisión + distribución',
+        total: 'Pérdidas técnicas por transporte, transmisión y distribución',
+        terms: ['Pérdidas en transporte y transmisión por energético', 'Pérdidas en distribución por energético'],
+        flag: ['Pérdidas técnicas por transporte, transmisión y distribución']
+    },
+    {
+        id: 'consumo-final-total',
+        label: 'Consumo final total = energético + no energético',
+        total: 'Consumo final total',
+        terms: ['Consumo final energético', 'Consumo final no energético'],
+        flag: ['Agropecuario', 'Industrial', 'Comercial', 'Residencial', 'Público', 'Transporte',
+            'Petroquímica Pemex', 'Otras ramas económicas']
+    },
+    {
+        id: 'consumo-final-energetico',
+        label: 'Consumo final energético = suma de sectores',
+        total: 'Consumo final energético',
+        terms: ['Agropecuario', 'Industrial', 'Comercial', 'Residencial', 'Público', 'Transporte'],
+        flag: ['Agropecuario', 'Industrial', 'Comercial', 'Residencial', 'Público', 'Transporte']
+    },
+    {
+        id: 'consumo-final-no-energetico',
+        label: 'Consumo final no energético = Petroquímica Pemex + otras ramas',
+        total: 'Consumo final no energético',
+        terms: ['Petroquímica Pemex', 'Otras ramas económicas'],
+        flag: ['Petroquímica Pemex', 'Otras ramas económicas']
+    },
+    {
+        id: 'cierre',
+        label: 'Cierre: oferta interna + transformación + consumo propio + pérdidas + diferencia = consumo final',
+        total: 'Consumo final total',
+        terms: ['Oferta Interna Bruta', 'Total Transformación', 'Consumo Propio del Sector',
+            'Pérdidas técnicas por transporte, transmisión y distribución', 'Pérdidas no técnicas por energético',
+            'Diferencia Estadística'],
+        flag: ['Oferta Interna Bruta']
+    },
+    ...['Coquizadoras y Hornos', 'Refinerías y Despuntadoras', 'Plantas de Gas y Fraccionadoras', 'Centrales Eléctricas']
+        .map(center => ({
+            id: `transformacion-${center}`,
+            label: `${center}: entradas = salidas + pérdidas`,
+            kind: 'transformation',
+            center
+        }))
+];
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BalanceValidator;
+}
@@ -20,12 +20,16 @@ class DataManager {
     /**
      * Constructor del DataManager
      * @param {Object} jsonData - Datos JSON cargados desde el archivo de datos
+     * @param {Object} options - Opciones de configuración
+     * @param {NameRegistry} options.nameRegistry - Registro de nombres canónicos (por defecto uno nuevo si NameRegistry está cargado)
      */
-    constructor(jsonData = null) {
+    constructor(jsonData = null, options = {}) {
+        this.nameRegistry = options.nameRegistry || (typeof NameRegistry !== 'undefined' ? new NameRegistry() : null);
         this.rawData = jsonData;
         this.processedData = new Map();
         this.nodeDefinitions = new Map();
         this.yearCache = new Map();
+        this.yearMetadata = { status: new Map(), excluded: new Set() };
         this.isInitialized = false;
 
         if (jsonData) {
@@ -51,6 +55,29 @@ class DataManager {
         }
     }
 
+    /**
+     * Reemplaza los datos cargados por un nuevo conjunto (por ejemplo, importado
+     * desde CSV o XLSX). Si los datos no son válidos se conservan los anteriores.
+     * @param {Object} jsonData - Datos JSON con la misma estructura que el archivo de datos
+     * @throws {Error} Si los datos no son válidos
+     */
+    loadData(jsonData) {
+        const previousData = this.rawData;
+        const wasInitialized = this.isInitialized;
+
+        try {
+            this.clearCache();
+            this.initialize(jsonData);
+        } catch (error) {
+            this.rawData = previousData;
+            if (previousData && wasInitialized) {
+                this.processData();
+            }
+            this.isInitialized = wasInitialized;
+            throw error;
+        }
+    }
+
     /**
      * Valida la estructura básica de los datos JSON
      * @throws {Error} Si la estructura de datos es inválida
@@ -64,6 +91,17 @@ class DataManager {
             throw new Error('Estructura de datos inválida: falta array "Datos"');
         }
 
+        // Metadatos opcionales de los años (estado y exclusiones)
+        const years = this.rawData['Años'];
+        if (years !== undefined) {
+            if (!years || typeof years !== 'object' || Array.isArray(years)) {
+                throw new Error('Estructura de datos inválida: "Años" debe ser un objeto');
+            }
+            if (years.excluidos !== undefined && !Array.isArray(years.excluidos)) {
+                throw new Error('Estructura de datos inválida: "Años.excluidos" debe ser un arreglo');
+            }
+        }
+
         // Validar que cada nodo padre tenga la estructura esperada
         for (const nodeData of this.rawData.Datos) {
             if (!nodeData['Nodo Padre']) {
@@ -92,6 +130,12 @@ class DataManager {
         // Limpiar datos procesados anteriores
         this.processedData.clear();
         this.nodeDefinitions.clear();
+        this.yearMetadata = this.readYearMetadata();
+
+        // Registrar ids y grafías antes de procesar los hijos, que se agrupan por nombre canónico
+        if (this.nameRegistry) {
+            this.nameRegistry.registerData(this.rawData);
+        }
 
         // Procesar cada nodo padre
         for (const nodeData of this.rawData.Datos) {
@@ -114,7 +158,30 @@ class DataManager {
     }
 
     /**
-     * Procesa los nodos hijo de un nodo padre
+     * Lee los metadatos de años del conjunto de datos:
+     *   "Años": { "estado": { "2024": "preliminar", "2025": "proyectado" }, "excluidos": ["2025"] }
+     * Los años sin estado son definitivos; los excluidos no se cargan.
+     * @returns {Object} { status: Map año → estado, excluded: Set de años }
+     */
+    readYearMetadata() {
+        const metadata = this.rawData['Años'] || {};
+        const status = new Map();
+
+        for (const [year, value] of Object.entries(metadata.estado || {})) {
+            if (!DataManager.YEAR_STATUSES[value]) {
+                console.warn(`Estado desconocido para el año ${year}: "${value}"; se considera definitivo`);
+                continue;
+            }
+            status.set(String(year), value);
+        }
+
+        return { status, excluded: new Set((metadata.excluidos || []).map(String)) };
+    }
+
+    /**
+     * Procesa los nodos hijo de un nodo padre. Las claves son los nombres canónicos
+     * del NameRegistry; las grafías de un mismo energético se suman en una entrada
+     * y se conservan en names.
      * @param {Array} childrenData - Array de nodos hijo
      * @returns {Map} Mapa de nodos hijo procesados
      */
@@ -122,14 +189,27 @@ class DataManager {
         const childrenMap = new Map();
 
         for (const child of childrenData) {
-            const childName = child['Nodo Hijo'];
+            const rawName = child['Nodo Hijo'];
+            const childName = this.nameRegistry ? this.nameRegistry.getCanonicalName(rawName, 'child') : rawName;
+            const yearData = this.extractYearData(child);
+            const existing = childrenMap.get(childName);
+
+            if (existing) {
+                existing.names.push(rawName);
+                yearData.forEach((value, year) => {
+                    existing.yearData.set(year, (existing.yearData.get(year) || 0) + value);
+                });
+                continue;
+            }
+
             childrenMap.set(childName, {
                 name: childName,
+                names: [rawName],
                 type: child.tipo || 'Unknown',
                 description: child.descripcion || '',
                 id_hijo: child.id_hijo,
                 color: child.color || '#888888',
-                yearData: this.extractYearData(child)
+                yearData: yearData
             });
         }
 
@@ -146,7 +226,7 @@ class DataManager {
 
         for (const [key, value] of Object.entries(childData)) {
             // Verificar si la clave es un año (4 dígitos numéricos)
-            if (/^\d{4}$/.test(key) && key !== '2025') {
+            if (/^\d{4}$/.test(key) && !this.yearMetadata.excluded.has(key)) {
                 yearData.set(key, parseFloat(value) || 0);
             }
         }
@@ -165,7 +245,8 @@ class DataManager {
             return null;
         }
 
-        return this.processedData.get(nodeName) || null;
+        const name = this.resolveName(nodeName, 'parent', this.processedData);
+        return name !== null ? this.processedData.get(name) : null;
     }
 
     /**
@@ -179,7 +260,8 @@ class DataManager {
             return null;
         }
 
-        return this.nodeDefinitions.get(nodeName) || null;
+        const name = this.resolveName(nodeName, 'parent', this.nodeDefinitions);
+        return name !== null ? this.nodeDefinitions.get(name) : null;
     }
 
     /**
@@ -195,12 +277,44 @@ class DataManager {
             return null;
         }
 
-        const child = nodeData['Nodos Hijo'].find(c => c['Nodo Hijo'] === energeticName);
-        if (child && child[year] !== undefined) {
-            const value = parseFloat(child[year]);
-            return isNaN(value) ? null : value;
+        const definition = this.getNodeDefinition(parentNodeName);
+        const childName = this.resolveName(energeticName, 'child', definition.children, parentNodeName);
+        if (childName === null) {
+            return null;
         }
 
+        // Suma de las grafías del energético que tienen valor en el año
+        const names = definition.children.get(childName).names;
+        const values = nodeData['Nodos Hijo']
+            .filter(c => names.includes(c['Nodo Hijo']) && c[year] !== undefined)
+            .map(c => parseFloat(c[year]))
+            .filter(value => !isNaN(value));
+        return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+    }
+
+    /**
+     * Resuelve un nombre contra las claves de un mapa: primero tal cual y, si no
+     * está, por su entrada canónica en el NameRegistry (alias o grafía sin acentos).
+     * Los nombres que el registro no conoce se reportan como advertencia.
+     * @param {string} name - Nombre buscado
+     * @param {string} kind - 'parent' o 'child'
+     * @param {Map} candidates - Mapa cuyas claves son los nombres de los datos
+     * @param {string} context - Nodo padre de la búsqueda (para la advertencia)
+     * @returns {string|null} Clave del mapa o null si no hay coincidencia
+     */
+    resolveName(name, kind, candidates, context = null) {
+        if (candidates.has(name)) return name;
+        if (!this.nameRegistry) return null;
+
+        const entry = this.nameRegistry.resolve(name, kind);
+        if (!entry) {
+            this.nameRegistry.reportUnresolved(name, kind, context);
+            return null;
+        }
+
+        for (const variant of entry.variants) {
+            if (candidates.has(variant)) return variant;
+        }
         return null;
     }
 
@@ -219,7 +333,7 @@ class DataManager {
         for (const nodeData of this.rawData.Datos) {
             for (const child of nodeData['Nodos Hijo']) {
                 for (const key of Object.keys(child)) {
-                    if (/^\d{4}$/.test(key) && key !== '2025') {
+                    if (/^\d{4}$/.test(key) && !this.yearMetadata.excluded.has(key)) {
                         years.add(key);
                     }
                 }
@@ -229,10 +343,48 @@ class DataManager {
         return Array.from(years).sort((a, b) => b - a);
     }
 
+    /**
+     * Obtiene el estado de un año según los metadatos del conjunto de datos
+     * @param {string} year - Año
+     * @returns {string} 'final', 'preliminar' o 'proyectado'
+     */
+    getYearStatus(year) {
+        return this.yearMetadata.status.get(String(year)) || 'final';
+    }
+
+    /**
+     * Indica si los datos de un año no son definitivos (preliminares o proyectados)
+     * @param {string} year - Año
+     * @returns {boolean}
+     */
+    isProvisionalYear(year) {
+        return this.getYearStatus(year) !== 'final';
+    }
+
+    /**
+     * Etiqueta de un año para selectores y títulos, p. ej. "2024 (preliminar)"
+     * @param {string} year - Año
+     * @returns {string}
+     */
+    getYearLabel(year) {
+        const status = this.getYearStatus(year);
+        return status === 'final' ? String(year) : `${year} (${DataManager.YEAR_STATUSES[status].label.toLowerCase()})`;
+    }
+
+    /**
+     * Nota para señalar un año no definitivo en popups y exportaciones
+     * @param {string} year - Año
+     * @returns {string|null} p. ej. "Datos preliminares 2024", o null si el año es definitivo
+     */
+    getYearNote(year) {
+        const note = DataManager.YEAR_STATUSES[this.getYearStatus(year)].note;
+        return note ? `${note} ${year}` : null;
+    }
+
     /**
      * Obtiene datos específicos de un año para todos los nodos
      * @param {string} year - Año a consultar
-     * @returns {Map} Mapa con datos del año por nodo
+     * @returns {Map} Mapa nodo padre → (nombre canónico del energético → valor)
      */
     getYearData(year) {
         if (!this.isInitialized) {
@@ -734,6 +886,15 @@ class DataManager {
     }
 }
 
+/**
+ * Estados de los años del balance: etiqueta y nota para popups y exportaciones
+ */
+DataManager.YEAR_STATUSES = {
+    final: { label: 'Final', note: null },
+    preliminar: { label: 'Preliminar', note: 'Datos preliminares' },
+    proyectado: { label: 'Proyectado', note: 'Datos proyectados' }
+};
+
 // Exportar la clase para uso en otros módulos
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = DataManager;
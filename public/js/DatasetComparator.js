@@ -0,0 +1,235 @@
+/**
+ * DatasetComparator - Módulo para comparar dos ediciones del balance
+ *
+ * Este módulo compara dos conjuntos de datos cargados en DataManager (por
+ * ejemplo, el balance preliminar y el revisado) y lista qué cambió: nodos
+ * padre e hijo agregados o eliminados, descripciones, colores o tipos
+ * distintos y revisiones numéricas por energético y año mayores que la
+ * tolerancia. Funciona en el navegador y en Node.
+ *
+ * Funcionalidades principales:
+ * - Lista plana de cambios, lista para una tabla ordenable
+ * - Tolerancia absoluta (PJ) y relativa para ignorar diferencias de redondeo
+ * - Exportación del reporte a CSV
+ * - Flujos revisados de un año para resaltarlos en el diagrama
+ *
+ * Uso desde Node:
+ *   node public/js/DatasetComparator.js anterior.json nuevo.json [reporte.csv]
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class DatasetComparator {
+    /**
+     * Constructor del DatasetComparator
+     * @param {Object} options - Opciones de configuración
+     * @param {number} options.absoluteTolerance - Diferencia mínima en PJ para reportar una revisión
+     * @param {number} options.relativeTolerance - Diferencia mínima como fracción del mayor valor
+     */
+    constructor(options = {}) {
+        this.absoluteTolerance = options.absoluteTolerance ?? 0.005;
+        this.relativeTolerance = options.relativeTolerance ?? 0;
+    }
+
+    /**
+     * Compara dos conjuntos de datos
+     * @param {DataManager} before - Edición anterior
+     * @param {DataManager} after - Edición nueva
+     * @returns {Object} Reporte { changes, summary, tolerance }; cada cambio es
+     *   { kind, parent, child, year, field, before, after, delta, relative }
+     */
+    compare(before, after) {
+        if (!before || !after) {
+            throw new Error('DatasetComparator requiere dos conjuntos de datos');
+        }
+
+        const changes = [];
+        const beforeYears = new Set(before.getAvailableYears());
+        const afterYears = new Set(after.getAvailableYears());
+        const commonYears = [...afterYears].filter(year => beforeYears.has(year)).sort();
+        const parents = new Set([...before.getParentNodeNames(), ...after.getParentNodeNames()]);
+
+        parents.forEach((parent) => {
+            const oldNode = before.getNodeDefinition(parent);
+            const newNode = after.getNodeDefinition(parent);
+            if (!oldNode || !newNode) {
+                changes.push(this.createChange(oldNode ? 'parent-removed' : 'parent-added', parent));
+                return;
+            }
+
+            this.compareAttributes(changes, parent, null, oldNode, newNode, ['description', 'color']);
+
+            const children = new Set([...oldNode.children.keys(), ...newNode.children.keys()]);
+            children.forEach((child) => {
+                const oldChild = oldNode.children.get(child);
+                const newChild = newNode.children.get(child);
+                if (!oldChild || !newChild) {
+                    changes.push(this.createChange(oldChild ? 'child-removed' : 'child-added', parent, { child }));
+                    return;
+                }
+
+                this.compareAttributes(changes, parent, child, oldChild, newChild, ['type', 'description', 'color']);
+                commonYears.forEach((year) => {
+                    const oldValue = oldChild.yearData.get(year) ?? 0;
+                    const newValue = newChild.yearData.get(year) ?? 0;
+                    if (this.exceedsTolerance(oldValue, newValue)) {
+                        const delta = newValue - oldValue;
+                        changes.push(this.createChange('value', parent, {
+                            child,
+                            year,
+                            before: oldValue,
+                            after: newValue,
+                            delta,
+                            relative: oldValue !== 0 ? delta / Math.abs(oldValue) : null
+                        }));
+                    }
+                });
+            });
+        });
+
+        const count = kind => changes.filter(change => change.kind === kind).length;
+        return {
+            changes,
+            summary: {
+                parentsAdded: count('parent-added'),
+                parentsRemoved: count('parent-removed'),
+                childrenAdded: count('child-added'),
+                childrenRemoved: count('child-removed'),
+                attributes: count('attribute'),
+                revisions: count('value'),
+                revisedYears: [...new Set(changes.filter(change => change.kind === 'value').map(change => change.year))].sort(),
+                yearsAdded: [...afterYears].filter(year => !beforeYears.has(year)).sort(),
+                yearsRemoved: [...beforeYears].filter(year => !afterYears.has(year)).sort()
+            },
+            tolerance: { absolute: this.absoluteTolerance, relative: this.relativeTolerance }
+        };
+    }
+
+    /**
+     * Agrega un cambio por cada atributo distinto entre dos definiciones
+     * @private
+     */
+    compareAttributes(changes, parent, child, oldItem, newItem, fields) {
+        fields.forEach((field) => {
+            if ((oldItem[field] ?? '') !== (newItem[field] ?? '')) {
+                changes.push(this.createChange('attribute', parent, {
+                    child,
+                    field,
+                    before: oldItem[field],
+                    after: newItem[field]
+                }));
+            }
+        });
+    }
+
+    /**
+     * Crea un cambio con todos los campos del reporte
+     * @private
+     */
+    createChange(kind, parent, fields = {}) {
+        return {
+            kind,
+            parent,
+            child: null,
+            year: null,
+            field: null,
+            before: null,
+            after: null,
+            delta: null,
+            relative: null,
+            ...fields
+        };
+    }
+
+    /**
+     * Indica si la diferencia entre dos valores supera la tolerancia
+     * @param {number} oldValue - Valor anterior en PJ
+     * @param {number} newValue - Valor nuevo en PJ
+     * @returns {boolean} true si es una revisión
+     */
+    exceedsTolerance(oldValue, newValue) {
+        const difference = Math.abs(newValue - oldValue);
+        const scale = Math.max(Math.abs(oldValue), Math.abs(newValue));
+        return difference > this.absoluteTolerance && difference > this.relativeTolerance * scale;
+    }
+
+    /**
+     * Obtiene las revisiones numéricas de un año por flujo
+     * @param {Object} report - Reporte de compare()
+     * @param {string} year - Año
+     * @returns {Map} "nodo padre|energético" → cambio
+     */
+    getRevisedFlows(report, year) {
+        return new Map(report.changes
+            .filter(change => change.kind === 'value' && change.year === String(year))
+            .map(change => [`${change.parent}|${change.child}`, change]));
+    }
+
+    /**
+     * Convierte el reporte en CSV
+     * @param {Object} report - Reporte de compare()
+     * @returns {string} CSV con encabezados y una fila por cambio (valores en PJ)
+     */
+    toCsv(report) {
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = ['cambio', 'nodo_padre', 'nodo_hijo', 'año', 'campo', 'anterior', 'nuevo', 'diferencia', 'diferencia_relativa'];
+        const rows = report.changes.map(change => [
+            DatasetComparator.KINDS[change.kind],
+            change.parent,
+            change.child,
+            change.year,
+            change.field,
+            change.before,
+            change.after,
+            change.delta !== null ? Number(change.delta.toFixed(6)) : null,
+            change.relative !== null ? Number(change.relative.toFixed(6)) : null
+        ].map(escape).join(','));
+
+        return [header.join(','), ...rows].join('\n') + '\n';
+    }
+}
+
+/**
+ * Etiquetas de los tipos de cambio
+ */
+DatasetComparator.KINDS = {
+    'parent-added': 'Nodo padre agregado',
+    'parent-removed': 'Nodo padre eliminado',
+    'child-added': 'Nodo hijo agregado',
+    'child-removed': 'Nodo hijo eliminado',
+    'attribute': 'Atributo',
+    'value': 'Revisión'
+};
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetComparator;
+
+    // Uso desde la línea de comandos: compara dos archivos JSON del balance
+    if (require.main === module) {
+        const fs = require('fs');
+        const path = require('path');
+        const DataManager = require(path.join(__dirname, 'DataManager.js'));
+        const [beforePath, afterPath, csvPath] = process.argv.slice(2);
+
+        if (!beforePath || !afterPath) {
+            console.error('Uso: node DatasetComparator.js anterior.json nuevo.json [reporte.csv]');
+            process.exit(1);
+        }
+
+        const load = file => new DataManager(JSON.parse(fs.readFileSync(file, 'utf8')));
+        const comparator = new DatasetComparator();
+        const report = comparator.compare(load(beforePath), load(afterPath));
+
+        console.log(JSON.stringify(report.summary, null, 2));
+        if (csvPath) {
+            fs.writeFileSync(csvPath, comparator.toCsv(report));
+            console.log(`Reporte escrito en ${csvPath}`);
+        }
+    }
+}
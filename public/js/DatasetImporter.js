@@ -0,0 +1,448 @@
+/**
+ * DatasetImporter - Módulo para importar balances desde CSV y XLSX
+ *
+ * Este módulo convierte los archivos con los que SENER publica el balance en
+ * la estructura anidada { "Datos": [{ "Nodo Padre", "Nodos Hijo": [...] }] }
+ * que recibe DataManager, para que la validación y el procesamiento sean los
+ * mismos que con el JSON del repositorio. Todo ocurre en el navegador.
+ *
+ * Funcionalidades principales:
+ * - CSV en formato largo (padre, hijo, tipo, año, valor) con separador "," ";" o tabulador
+ * - XLSX en forma de matriz (conceptos en filas, energéticos en columnas, una hoja por año)
+ * - Descripciones, colores e ids tomados del conjunto de datos actual como plantilla
+ * - Advertencias por filas o celdas que no se pudieron interpretar
+ *
+ * Formatos admitidos:
+ * - CSV: encabezados padre/Nodo Padre, hijo/Nodo Hijo/energético, tipo, año/year, valor/value
+ * - XLSX: el año se toma del nombre de la hoja (o de una celda en las primeras filas);
+ *   la fila de encabezados tiene los energéticos y, opcionalmente, la fila anterior
+ *   indica "Energía Primaria" o "Energía Secundaria" para los energéticos siguientes.
+ *   Se requiere la biblioteca SheetJS (global XLSX).
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class DatasetImporter {
+    /**
+     * Constructor del DatasetImporter
+     * @param {Object} options - Opciones de configuración
+     * @param {Object} options.template - Datos JSON actuales de los que se copian
+     *   descripciones, colores, ids y tipos de los nodos con el mismo nombre, y los
+     *   metadatos "Años" (estado y años excluidos) de los años importados
+     */
+    constructor(options = {}) {
+        this.template = options.template || null;
+        this.warnings = [];
+
+        // Nombres aceptados para cada columna del CSV (sin acentos ni mayúsculas)
+        this.csvColumns = {
+            parent: ['parent', 'nodo padre', 'padre', 'concepto'],
+            child: ['child', 'nodo hijo', 'hijo', 'energetico', 'energy'],
+            tipo: ['tipo', 'type', 'tipo de energia'],
+            year: ['year', 'ano', 'anio'],
+            value: ['value', 'valor']
+        };
+    }
+
+    /**
+     * Importa un archivo elegido por el usuario según su extensión
+     * @param {File} file - Archivo .csv, .xlsx o .json
+     * @returns {Promise<Object>} { data, format, warnings }
+     * @throws {Error} Si el formato no es compatible o el archivo no se puede interpretar
+     */
+    async importFile(file) {
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+
+        if (extension === 'csv' || extension === 'txt') {
+            return this.result(this.parseCsv(await file.text()), 'csv');
+        }
+        if (extension === 'xlsx' || extension === 'xls') {
+            return this.result(this.parseXlsx(await file.arrayBuffer()), 'xlsx');
+        }
+        if (extension === 'json') {
+            this.warnings = [];
+            return this.result(JSON.parse(await file.text()), 'json');
+        }
+
+        throw new Error(`Formato de archivo no compatible: .${extension}`);
+    }
+
+    /**
+     * Empaqueta el resultado de una importación
+     * @private
+     */
+    result(data, format) {
+        return { data, format, warnings: this.warnings.slice() };
+    }
+
+    /**
+     * Convierte un CSV en formato largo en datos para DataManager
+     * @param {string} text - Contenido del CSV
+     * @returns {Object} Datos { Datos: [...] }
+     * @throws {Error} Si faltan columnas obligatorias o no hay filas válidas
+     */
+    parseCsv(text) {
+        this.warnings = [];
+        const content = text.replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/, 1)[0] || '';
+        const delimiter = ['\t', ';', ','].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+        const rows = this.splitCsv(content, delimiter);
+
+        if (rows.length < 2) {
+            throw new Error('El CSV no tiene filas de datos');
+        }
+
+        const header = rows[0].map(cell => this.normalizeKey(cell));
+        const columns = {};
+        for (const [field, names] of Object.entries(this.csvColumns)) {
+            columns[field] = header.findIndex(cell => names.includes(cell));
+        }
+        const missing = ['parent', 'child', 'year', 'value'].filter(field => columns[field] === -1);
+        if (missing.length > 0) {
+            throw new Error(`Faltan columnas en el CSV: ${missing.join(', ')}`);
+        }
+
+        const records = [];
+        rows.slice(1).forEach((row, index) => {
+            if (row.every(cell => cell.trim() === '')) return;
+            const line = index + 2;
+            const cell = field => (columns[field] === -1 ? '' : (row[columns[field]] || '').trim());
+            const year = cell('year');
+            const value = this.parseNumber(cell('value'), delimiter === ';');
+
+            if (!cell('parent') || !cell('child')) {
+                this.warnings.push(`Línea ${line}: falta el nodo padre o el nodo hijo`);
+            } else if (!/^\d{4}$/.test(year)) {
+                this.warnings.push(`Línea ${line}: año inválido "${year}"`);
+            } else if (value === null) {
+                this.warnings.push(`Línea ${line}: valor inválido "${cell('value')}"`);
+            } else {
+                records.push({ parent: cell('parent'), child: cell('child'), tipo: cell('tipo'), year, value });
+            }
+        });
+
+        return this.buildDataset(records);
+    }
+
+    /**
+     * Divide un CSV en filas y celdas respetando comillas dobles
+     * @param {string} text - Contenido del CSV
+     * @param {string} delimiter - Separador de columnas
+     * @returns {Array} Filas como arreglos de celdas
+     * @private
+     */
+    splitCsv(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Convierte un libro XLSX en forma de matriz en datos para DataManager
+     * @param {ArrayBuffer} buffer - Contenido del archivo
+     * @returns {Object} Datos { Datos: [...] }
+     * @throws {Error} Si SheetJS no está disponible o ninguna hoja tiene año
+     */
+    parseXlsx(buffer) {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('La biblioteca XLSX no está cargada');
+        }
+
+        const workbook = XLSX.read(buffer, { type: 'array' });
+        const sheets = workbook.SheetNames.map(name => ({
+            name,
+            rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: true, defval: '' })
+        }));
+
+        return this.parseMatrixSheets(sheets);
+    }
+
+    /**
+     * Convierte hojas en forma de matriz (ya leídas como filas) en datos para DataManager
+     * @param {Array} sheets - Hojas { name, rows: Array de filas }
+     * @returns {Object} Datos { Datos: [...] }
+     * @throws {Error} Si ninguna hoja tiene año o datos
+     */
+    parseMatrixSheets(sheets) {
+        this.warnings = [];
+        const records = [];
+        let yearSheets = 0;
+
+        for (const sheet of sheets) {
+            const year = this.findSheetYear(sheet);
+            if (!year) {
+                this.warnings.push(`Hoja "${sheet.name}": no se encontró el año, se omite`);
+                continue;
+            }
+
+            const sheetRecords = this.parseMatrix(sheet.rows, year, sheet.name);
+            if (sheetRecords.length > 0) {
+                yearSheets++;
+                records.push(...sheetRecords);
+            }
+        }
+
+        if (yearSheets === 0) {
+            throw new Error('Ninguna hoja del libro tiene un año y una matriz de datos');
+        }
+
+        return this.buildDataset(records);
+    }
+
+    /**
+     * Busca el año de una hoja en su nombre o en las primeras filas
+     * @private
+     */
+    findSheetYear(sheet) {
+        const fromName = String(sheet.name).match(/\b(19|20)\d{2}\b/);
+        if (fromName) return fromName[0];
+
+        for (const row of sheet.rows.slice(0, 5)) {
+            for (const cell of row) {
+                const match = String(cell).match(/\b(19|20)\d{2}\b/);
+                if (match) return match[0];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Lee una matriz de conceptos (filas) por energéticos (columnas)
+     * @param {Array} rows - Filas de la hoja
+     * @param {string} year - Año de la hoja
+     * @param {string} sheetName - Nombre de la hoja (para las advertencias)
+     * @returns {Array} Registros { parent, child, tipo, year, value }
+     * @private
+     */
+    parseMatrix(rows, year, sheetName) {
+        // La primera fila de datos tiene un concepto en la primera columna y algún número
+        const isDataRow = row => row && typeof row[0] === 'string' && row[0].trim() !== '' &&
+            row.slice(1).some(cell => this.parseNumber(cell) !== null && String(cell).trim() !== '');
+        const firstDataRow = rows.findIndex(isDataRow);
+        if (firstDataRow < 1) {
+            this.warnings.push(`Hoja "${sheetName}": no se encontró la matriz de datos`);
+            return [];
+        }
+
+        const header = rows[firstDataRow - 1];
+        const typeRow = firstDataRow > 1 ? rows[firstDataRow - 2] : [];
+        const columns = [];
+        let currentType = '';
+
+        for (let col = 1; col < header.length; col++) {
+            if (/primari|secundari/.test(this.normalizeKey(typeRow[col]))) {
+                currentType = this.normalizeType(typeRow[col]);
+            }
+
+            const child = String(header[col] || '').replace(/\s+/g, ' ').trim();
+            if (!child || /^total\b/i.test(child)) continue;
+            columns.push({ col, child, tipo: currentType });
+        }
+
+        const records = [];
+        for (const row of rows.slice(firstDataRow)) {
+            const parent = String(row[0] || '').replace(/\s+/g, ' ').trim();
+            if (!parent) continue;
+
+            for (const column of columns) {
+                const raw = row[column.col];
+                if (raw === '' || raw === null || raw === undefined) continue;
+                const value = this.parseNumber(raw);
+                if (value === null) {
+                    if (String(raw).trim() !== '-') {
+                        this.warnings.push(`Hoja "${sheetName}": valor inválido en "${parent}" / "${column.child}"`);
+                    }
+                    continue;
+                }
+                records.push({ parent, child: column.child, tipo: column.tipo, year, value });
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Agrupa registros planos en la estructura anidada de DataManager
+     * @param {Array} records - Registros { parent, child, tipo, year, value }
+     * @returns {Object} Datos { Datos: [...] }
+     * @throws {Error} Si no hay registros
+     */
+    buildDataset(records) {
+        if (records.length === 0) {
+            throw new Error('El archivo no contiene registros válidos');
+        }
+
+        const templateParents = new Map();
+        const templateChildren = new Map();
+        ((this.template && this.template.Datos) || []).forEach((parentData) => {
+            templateParents.set(parentData['Nodo Padre'], parentData);
+            (parentData['Nodos Hijo'] || []).forEach((child) => {
+                if (!templateChildren.has(child['Nodo Hijo'])) {
+                    templateChildren.set(child['Nodo Hijo'], child);
+                }
+            });
+        });
+
+        const parents = new Map();
+        for (const record of records) {
+            if (!parents.has(record.parent)) {
+                const template = templateParents.get(record.parent) || {};
+                parents.set(record.parent, {
+                    'Nodo Padre': record.parent,
+                    descripcion: template.descripcion || '',
+                    id_padre: template.id_padre !== undefined ? template.id_padre : parents.size + 1,
+                    color: template.color,
+                    children: new Map()
+                });
+            }
+
+            const parent = parents.get(record.parent);
+            if (!parent.children.has(record.child)) {
+                const template = templateChildren.get(record.child) || {};
+                parent.children.set(record.child, {
+                    'Nodo Hijo': record.child,
+                    tipo: this.normalizeType(record.tipo) || template.tipo || 'Unknown',
+                    descripcion: template.descripcion || '',
+                    id_hijo: template.id_hijo !== undefined ? template.id_hijo : parent.children.size + 1,
+                    color: template.color
+                });
+            }
+
+            const child = parent.children.get(record.child);
+            if (child[record.year] !== undefined) {
+                this.warnings.push(`Valor repetido para "${record.parent}" / "${record.child}" en ${record.year}; se suman`);
+                child[record.year] += record.value;
+            } else {
+                child[record.year] = record.value;
+            }
+        }
+
+        const dataset = {
+            Datos: Array.from(parents.values()).map(({ children, ...parent }) => ({
+                ...parent,
+                'Nodos Hijo': Array.from(children.values())
+            }))
+        };
+
+        // CSV y XLSX no traen metadatos de años: se conservan los de la plantilla,
+        // solo para los años que trae el archivo
+        if (this.template && this.template['Años']) {
+            const years = this.filterYearMetadata(this.template['Años'], records.map(record => String(record.year)));
+            if (years) {
+                dataset['Años'] = years;
+            }
+        }
+        return dataset;
+    }
+
+    /**
+     * Estado y exclusiones de la plantilla para los años importados. Se advierte
+     * por cada año importado que la plantilla excluye (DataManager no lo carga).
+     * @param {Object} templateYears - Metadatos "Años" de la plantilla
+     * @param {Array} importedYears - Años de los registros importados
+     * @returns {Object|null} { estado, excluidos } o null si no queda ninguno
+     * @private
+     */
+    filterYearMetadata(templateYears, importedYears) {
+        const years = new Set(importedYears);
+        const estado = Object.fromEntries(Object.entries(templateYears.estado || {})
+            .filter(([year]) => years.has(String(year))));
+        const excluidos = (templateYears.excluidos || []).map(String).filter(year => years.has(year));
+
+        excluidos.forEach((year) => {
+            this.warnings.push(`El año ${year} está excluido en los datos actuales ("Años.excluidos"); no se carga`);
+        });
+
+        return Object.keys(estado).length > 0 || excluidos.length > 0 ? { estado, excluidos } : null;
+    }
+
+    /**
+     * Interpreta un número de una celda (admite coma decimal y separadores de miles)
+     * @param {*} raw - Valor de la celda
+     * @param {boolean} decimalComma - True si la coma es el separador decimal
+     * @returns {number|null} Número o null si no es válido
+     * @private
+     */
+    parseNumber(raw, decimalComma = false) {
+        if (typeof raw === 'number') {
+            return Number.isFinite(raw) ? raw : null;
+        }
+
+        let text = String(raw === undefined || raw === null ? '' : raw).trim().replace(/\s/g, '');
+        if (text === '') return null;
+        if (text.includes(',') && (decimalComma || (!text.includes('.') && !/,\d{3}$/.test(text)))) {
+            text = text.replace(/\./g, '').replace(',', '.');
+        } else {
+            text = text.replace(/,/g, '');
+        }
+
+        const value = Number(text);
+        return Number.isFinite(value) ? value : null;
+    }
+
+    /**
+     * Normaliza el tipo de energía a los nombres usados en los datos
+     * @private
+     */
+    normalizeType(raw) {
+        const key = this.normalizeKey(raw);
+        if (!key) return '';
+        if (key.includes('primari')) return 'Energía Primaria';
+        if (key.includes('secundari')) return 'Energía Secundaria';
+        return String(raw).trim();
+    }
+
+    /**
+     * Normaliza un encabezado: minúsculas, sin acentos y sin espacios sobrantes
+     * @private
+     */
+    normalizeKey(raw) {
+        return String(raw === undefined || raw === null ? '' : raw)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetImporter;
+}
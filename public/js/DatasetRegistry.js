@@ -0,0 +1,223 @@
+/**
+ * DatasetRegistry - Módulo del registro de conjuntos de datos del balance
+ *
+ * Este módulo reúne los conjuntos de datos que puede mostrar el diagrama
+ * (nacional, preliminar, revisado, archivos locales) y resuelve cuál cargar:
+ * el indicado en el parámetro ?data= de la URL, el declarado por defecto en el
+ * archivo de configuración o el JSON del repositorio.
+ *
+ * Funcionalidades principales:
+ * - Archivo de configuración con los conjuntos con nombre (datasets.json)
+ * - Parámetro ?data= con el id de un conjunto o la ruta de un archivo
+ * - Descarga de JSON, CSV y XLSX (los dos últimos con DatasetImporter)
+ * - Archivos locales registrados para poder volver a ellos sin recargarlos
+ *
+ * Formato del archivo de configuración:
+ *   { "default": "nacional",
+ *     "datasets": [{ "id": "nacional", "label": "Nacional", "url": "datos_energia_completo.json",
+ *                    "description": "...",
+ *                    "years": { "estado": { "2024": "preliminar" }, "excluidos": ["2025"] } }] }
+ * "years" es opcional: se usa como metadatos "Años" de los CSV y XLSX y de los
+ * JSON que no los traen.
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class DatasetRegistry {
+    /**
+     * Constructor del DatasetRegistry
+     * @param {Object} options - Opciones de configuración
+     * @param {string} options.configUrl - Ruta del archivo de configuración
+     * @param {Array} options.datasets - Conjuntos iniciales (por defecto DEFAULT_DATASETS)
+     * @param {string} options.defaultId - Id del conjunto por defecto
+     * @param {Function} options.fetch - Implementación de fetch (por defecto la global)
+     */
+    constructor(options = {}) {
+        this.configUrl = options.configUrl || 'datasets.json';
+        this.fetch = options.fetch || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+        this.datasets = new Map();
+        (options.datasets || DatasetRegistry.DEFAULT_DATASETS).forEach(dataset => this.register(dataset));
+        this.defaultId = options.defaultId || this.datasets.keys().next().value || null;
+    }
+
+    /**
+     * Lee el archivo de configuración y registra sus conjuntos. Si el archivo no
+     * existe o no es válido se conservan los conjuntos iniciales.
+     * @returns {Promise<Array>} Conjuntos registrados
+     */
+    loadConfig() {
+        if (!this.fetch) return Promise.resolve(this.getDatasets());
+
+        return this.fetch(this.configUrl)
+            .then((response) => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then((config) => {
+                if (!config || !Array.isArray(config.datasets)) {
+                    throw new Error('falta la lista "datasets"');
+                }
+                config.datasets.forEach(dataset => this.register(dataset));
+                if (config.default && this.datasets.has(config.default)) {
+                    this.defaultId = config.default;
+                }
+                return this.getDatasets();
+            })
+            .catch((error) => {
+                console.warn(`No se usó la configuración de datos ${this.configUrl}:`, error.message);
+                return this.getDatasets();
+            });
+    }
+
+    /**
+     * Registra o reemplaza un conjunto de datos
+     * @param {Object} dataset - { id, label, url, description, years } o { id, label, data } para datos en memoria
+     * @returns {Object} Conjunto registrado
+     * @throws {Error} Si falta el id o la fuente de los datos
+     */
+    register(dataset) {
+        if (!dataset || !dataset.id) {
+            throw new Error('Un conjunto de datos requiere un id');
+        }
+        if (!dataset.url && !dataset.data) {
+            throw new Error(`El conjunto de datos "${dataset.id}" requiere url o data`);
+        }
+
+        const entry = {
+            id: String(dataset.id),
+            label: dataset.label || String(dataset.id),
+            url: dataset.url || null,
+            description: dataset.description || '',
+            local: Boolean(dataset.local),
+            years: dataset.years || null,
+            data: dataset.data || null
+        };
+        this.datasets.set(entry.id, entry);
+        return entry;
+    }
+
+    /**
+     * Registra los datos ya interpretados de un archivo local
+     * @param {string} fileName - Nombre del archivo
+     * @param {Object} data - Datos { Datos: [...] }
+     * @returns {Object} Conjunto registrado (id "archivo:<nombre>")
+     */
+    registerFile(fileName, data) {
+        return this.register({ id: `archivo:${fileName}`, label: `${fileName} (local)`, data, local: true });
+    }
+
+    /**
+     * Obtiene los conjuntos registrados en orden de registro
+     * @returns {Array} Conjuntos { id, label, url, description, local }
+     */
+    getDatasets() {
+        return Array.from(this.datasets.values());
+    }
+
+    /**
+     * Obtiene un conjunto por id
+     * @param {string} id - Id del conjunto
+     * @returns {Object|null} Conjunto o null si no está registrado
+     */
+    getDataset(id) {
+        return this.datasets.get(id) || null;
+    }
+
+    /**
+     * Id del conjunto por defecto
+     * @returns {string|null}
+     */
+    getDefaultId() {
+        return this.defaultId;
+    }
+
+    /**
+     * Resuelve el conjunto pedido en la cadena de consulta (?data=). El valor
+     * puede ser el id de un conjunto registrado o la ruta de un archivo
+     * .json, .csv o .xlsx, que se registra con esa ruta como id.
+     * @param {string} search - Cadena de consulta (con o sin "?")
+     * @returns {string} Id del conjunto a cargar (el por defecto si no hay o no es válido)
+     */
+    resolve(search = '') {
+        const value = new URLSearchParams(search).get('data');
+        if (!value) return this.defaultId;
+        if (this.datasets.has(value)) return value;
+        if (DatasetRegistry.getFormat(value)) {
+            return this.register({ id: value, label: value.split('/').pop(), url: value }).id;
+        }
+
+        console.warn(`Conjunto de datos desconocido en la URL: ${value}`);
+        return this.defaultId;
+    }
+
+    /**
+     * Obtiene los datos de un conjunto (los descarga la primera vez)
+     * @param {string} id - Id del conjunto
+     * @param {Object} options - { template } datos actuales para DatasetImporter (CSV y XLSX)
+     * @returns {Promise<Object>} { dataset, data, warnings }
+     * @throws {Error} Si el conjunto no existe o el archivo no se puede leer
+     */
+    async load(id, options = {}) {
+        const dataset = this.getDataset(id);
+        if (!dataset) {
+            throw new Error(`Conjunto de datos no registrado: ${id}`);
+        }
+        if (dataset.data) {
+            return { dataset, data: dataset.data, warnings: [] };
+        }
+        if (!this.fetch) {
+            throw new Error('No hay fetch disponible para descargar los datos');
+        }
+
+        const response = await this.fetch(dataset.url);
+        if (!response.ok) {
+            throw new Error(`No se pudo descargar ${dataset.url} (HTTP ${response.status})`);
+        }
+
+        const format = DatasetRegistry.getFormat(dataset.url) || 'json';
+        const importer = new DatasetImporter({ template: options.template || null });
+        let data;
+        if (format === 'csv') {
+            data = importer.parseCsv(await response.text());
+        } else if (format === 'xlsx') {
+            data = importer.parseXlsx(await response.arrayBuffer());
+        } else {
+            data = await response.json();
+        }
+
+        // Un JSON con metadatos de años los conserva; en CSV y XLSX los del registro
+        // reemplazan a los que DatasetImporter copia de la plantilla
+        if (dataset.years && data && (format !== 'json' || !data['Años'])) {
+            data['Años'] = dataset.years;
+        }
+
+        dataset.data = data;
+        return { dataset, data, warnings: importer.warnings.slice() };
+    }
+
+    /**
+     * Formato de un archivo según su extensión
+     * @param {string} path - Ruta o URL
+     * @returns {string|null} 'json', 'csv', 'xlsx' o null si no es compatible
+     */
+    static getFormat(path) {
+        const extension = (String(path).split(/[?#]/)[0].split('.').pop() || '').toLowerCase();
+        if (extension === 'json') return 'json';
+        if (extension === 'csv' || extension === 'txt') return 'csv';
+        if (extension === 'xlsx' || extension === 'xls') return 'xlsx';
+        return null;
+    }
+}
+
+/**
+ * Conjunto de datos del repositorio, usado si no hay archivo de configuración
+ */
+DatasetRegistry.DEFAULT_DATASETS = [
+    { id: 'nacional', label: 'Balance Nacional de Energía', url: 'datos_energia_completo.json' }
+];
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetRegistry;
+}
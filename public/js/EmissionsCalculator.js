@@ -0,0 +1,197 @@
+/**
+ * EmissionsCalculator - Módulo para estimar las emisiones de CO2 por combustión
+ *
+ * Este módulo aplica factores de emisión por energético (tCO2/TJ) a los flujos
+ * de combustión del balance y calcula las emisiones por centro de
+ * transformación, tecnología de generación y sector de consumo final, para
+ * mostrarlas junto al diagrama sin exportar los datos a otra herramienta.
+ *
+ * Funcionalidades principales:
+ * - Factores por defecto del IPCC 2006 (Vol. 2, cap. 1, cuadro 1.4), configurables
+ * - Fuentes de combustión declarativas (nodo padre, categoría y signo del consumo)
+ * - Emisiones de un flujo individual (para enlaces del diagrama)
+ * - Reporte por año agrupado por categoría y desglosado por energético
+ *
+ * Criterios de cálculo:
+ * - emisiones (tCO2) = |valor en PJ| × 1,000 TJ/PJ × factor (tCO2/TJ)
+ * - Las entradas a refinerías, coquizadoras y plantas de gas se transforman, no
+ *   se queman; la combustión del sector energético está en su consumo propio
+ * - El CO2 de la biomasa (leña, bagazo, biogás) es biogénico y, como en los
+ *   inventarios nacionales, no se suma; puede agregarse con options.factors
+ * - El consumo final no energético (petroquímica, otras ramas) no se quema
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class EmissionsCalculator {
+    /**
+     * Constructor del EmissionsCalculator
+     * @param {Object} options - Opciones de configuración
+     * @param {DataManager} options.dataManager - Fuente de los datos del balance
+     * @param {Object} options.factors - Factores { energético: tCO2/TJ } que reemplazan o amplían los por defecto
+     * @param {Array} options.sources - Fuentes de combustión (por defecto las del BNE)
+     */
+    constructor(options = {}) {
+        if (!options.dataManager) {
+            throw new Error('EmissionsCalculator requiere un dataManager');
+        }
+
+        this.dataManager = options.dataManager;
+        this.factors = new Map(Object.entries({ ...EmissionsCalculator.DEFAULT_FACTORS, ...(options.factors || {}) }));
+        this.sources = new Map((options.sources || EmissionsCalculator.DEFAULT_SOURCES).map(source => [source.parent, source]));
+    }
+
+    /**
+     * Obtiene el factor de emisión de un energético
+     * @param {string} carrier - Energético
+     * @returns {number|null} Factor en tCO2/TJ, o null si no emite
+     */
+    getFactor(carrier) {
+        return this.factors.has(carrier) ? this.factors.get(carrier) : null;
+    }
+
+    /**
+     * Reemplaza o agrega factores de emisión
+     * @param {Object} factors - Factores { energético: tCO2/TJ }; null elimina el factor
+     */
+    setFactors(factors = {}) {
+        Object.entries(factors).forEach(([carrier, factor]) => {
+            if (factor === null) {
+                this.factors.delete(carrier);
+            } else if (Number.isFinite(factor) && factor >= 0) {
+                this.factors.set(carrier, factor);
+            } else {
+                throw new Error(`Factor de emisión inválido para ${carrier}: ${factor}`);
+            }
+        });
+    }
+
+    /**
+     * Obtiene la fuente de combustión de un nodo padre
+     * @param {string} parent - Nodo padre del balance
+     * @returns {Object|null} Fuente { parent, label, category, sign, inTotal }
+     */
+    getSource(parent) {
+        return this.sources.get(parent) || null;
+    }
+
+    /**
+     * Calcula las emisiones de un flujo del balance
+     * @param {string} parent - Nodo padre del flujo
+     * @param {string} carrier - Energético
+     * @param {number} value - Valor del flujo en PJ (con el signo de los datos)
+     * @returns {number|null} Emisiones en tCO2, o null si el flujo no es de combustión
+     */
+    getFlowEmissions(parent, carrier, value) {
+        const source = this.getSource(parent);
+        const factor = this.getFactor(carrier);
+        if (!source || factor === null || !Number.isFinite(value)) return null;
+        if (source.sign === 'negative' ? value >= 0 : value <= 0) return null;
+
+        return Math.abs(value) * 1000 * factor;
+    }
+
+    /**
+     * Calcula las emisiones de un año
+     * @param {string} year - Año a calcular
+     * @returns {Object} Reporte { year, total, categories: [{ id, label, total, sources }] },
+     *   donde cada fuente es { parent, label, total, inTotal, carriers: [{ carrier, energy, emissions }] };
+     *   el total general omite las fuentes con inTotal: false para no contarlas dos veces
+     */
+    calculateYear(year) {
+        const yearData = this.dataManager.getYearData(year);
+        const categories = EmissionsCalculator.CATEGORIES.map(category => ({ ...category, total: 0, sources: [] }));
+        const categoryMap = new Map(categories.map(category => [category.id, category]));
+        let total = 0;
+
+        this.sources.forEach((source) => {
+            const values = yearData.get(source.parent);
+            const carriers = [];
+            if (values) {
+                values.forEach((value, carrier) => {
+                    const emissions = this.getFlowEmissions(source.parent, carrier, value);
+                    if (emissions) carriers.push({ carrier, energy: Math.abs(value), emissions });
+                });
+            }
+            carriers.sort((a, b) => b.emissions - a.emissions);
+
+            const sourceTotal = carriers.reduce((sum, item) => sum + item.emissions, 0);
+            const category = categoryMap.get(source.category);
+            if (category) {
+                category.sources.push({
+                    parent: source.parent,
+                    label: source.label || source.parent,
+                    total: sourceTotal,
+                    inTotal: source.inTotal !== false,
+                    carriers
+                });
+                category.total += sourceTotal;
+            }
+            if (source.inTotal !== false) total += sourceTotal;
+        });
+
+        return { year: String(year), total, categories };
+    }
+
+    /**
+     * Formatea una cantidad de emisiones con la escala adecuada
+     * @param {number} value - Emisiones en tCO2
+     * @param {number} decimals - Decimales máximos
+     * @returns {string} Texto, p. ej. "12.35 MtCO₂"
+     */
+    format(value, decimals = 2) {
+        const abs = Math.abs(value);
+        const [scaled, unit] = abs >= 1e6 ? [value / 1e6, 'MtCO₂'] : abs >= 1e3 ? [value / 1e3, 'ktCO₂'] : [value, 'tCO₂'];
+        return `${scaled.toLocaleString('en-US', { maximumFractionDigits: decimals })} ${unit}`;
+    }
+}
+
+/**
+ * Categorías del reporte de emisiones, en orden de presentación
+ */
+EmissionsCalculator.CATEGORIES = [
+    { id: 'transformacion', label: 'Centros de transformación' },
+    { id: 'generacion', label: 'Tecnologías de generación' },
+    { id: 'sector', label: 'Sectores de consumo final' }
+];
+
+/**
+ * Factores de emisión de CO2 por defecto del IPCC 2006 en tCO2/TJ
+ */
+EmissionsCalculator.DEFAULT_FACTORS = {
+    'Carbón mineral': 94.6, // otro carbón bituminoso
+    'Coque de carbón': 107.0, // coque de horno de coque
+    'Petróleo crudo': 73.3,
+    'Condensados': 64.2, // líquidos de gas natural
+    'Gas natural': 56.1,
+    'Gas natural seco': 56.1,
+    'Gas licuado de petróleo': 63.1,
+    'Gasolinas y naftas': 69.3, // gasolina para motores
+    'Querosenos': 71.5, // queroseno para motores a reacción
+    'Diesel': 74.1,
+    'Combustóleo': 77.4, // fuelóleo residual
+    'Coque de petróleo': 97.5,
+    'Otros energéticos': 73.3 // otros productos del petróleo
+};
+
+/**
+ * Fuentes de combustión del Balance Nacional de Energía.
+ * sign indica el signo del consumo en los datos: las entradas a generación y el
+ * consumo propio son negativas, el consumo de los sectores es positivo.
+ * Las tecnologías de generación desglosan a Centrales Eléctricas (inTotal: false).
+ */
+EmissionsCalculator.DEFAULT_SOURCES = [
+    { parent: 'Centrales Eléctricas', category: 'transformacion', sign: 'negative' },
+    { parent: 'Consumo Propio del Sector', label: 'Consumo propio del sector energético', category: 'transformacion', sign: 'negative' },
+    ...['Carboeléctrica', 'Térmica Convencional', 'Combustión Interna', 'Turbogás', 'Ciclo Combinado',
+        'Nucleoeléctrica', 'Cogeneración', 'Geotérmica', 'Eólica', 'Solar Fotovoltaica']
+        .map(parent => ({ parent, category: 'generacion', sign: 'negative', inTotal: false })),
+    ...['Agropecuario', 'Industrial', 'Comercial', 'Residencial', 'Público', 'Transporte']
+        .map(parent => ({ parent, category: 'sector', sign: 'positive' }))
+];
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmissionsCalculator;
+}
@@ -1,8 +1,10 @@
 /**
- * ExportManager - Clase para manejar la exportación de diagramas Plotly a PNG y SVG
+ * ExportManager - Clase para manejar la exportación de diagramas Plotly a PNG, SVG y PDF
  * 
  * Esta clase utiliza las capacidades nativas de Plotly para generar imágenes de alta calidad
  * con soporte para fondo transparente, resolución personalizable y formato vectorial.
+ * El reporte PDF se genera en el navegador con jsPDF y svg2pdf.js. Los PNG y SVG
+ * llevan los metadatos de procedencia de setMetadataProvider (ver ImageMetadata).
  * 
  * @class ExportManager
  */
@@ -16,6 +18,9 @@ class ExportManager {
     constructor(plotlyElement, options = {}, columnLabelsManager = null) {
         this.plotlyElement = plotlyElement;
         this.columnLabelsManager = columnLabelsManager;
+        this.linkScaleManager = null;
+        this.metadataProvider = null;
+        this.imageMetadata = null;
         this.defaultConfig = {
             png: {
                 width: 1920,
@@ -26,9 +31,17 @@ class ExportManager {
                 width: 1920,
                 height: 1080
             },
+            pdf: {
+                format: 'a4',
+                orientation: 'landscape',
+                margin: 40, // pt
+                fontSize: 8
+            },
             transparentBg: true,
             filenamePrefix: 'sankey_energia',
             includeColumnLabels: true, // Nueva opción para incluir etiquetas
+            includeScaleLegend: true, // Leyenda del grosor de enlaces
+            includeProvenanceCaption: false, // Pie de página visible con la procedencia (SVG)
             ...options
         };
         
@@ -89,6 +102,65 @@ class ExportManager {
         console.log('ColumnLabelsManager configurado en ExportManager');
     }
 
+    /**
+     * Establece el LinkScaleManager para incluir la leyenda de grosores en exportaciones
+     * @param {LinkScaleManager} linkScaleManager - Gestor de escala de enlaces
+     */
+    setLinkScaleManager(linkScaleManager) {
+        this.linkScaleManager = linkScaleManager;
+        console.log('LinkScaleManager configurado en ExportManager');
+    }
+
+    /**
+     * Establece la función que describe la procedencia de cada imagen exportada
+     * @param {Function} provider - ({ year }) => Promise<Object> con los metadatos de
+     *   ImageMetadata.create(); year solo se indica en la exportación de todos los años
+     */
+    setMetadataProvider(provider) {
+        this.metadataProvider = provider;
+        this.imageMetadata = provider ? new ImageMetadata() : null;
+    }
+
+    /**
+     * Obtiene los metadatos de procedencia de la imagen
+     * @param {string} year - Año dibujado (solo en la exportación de todos los años)
+     * @returns {Promise<Object|null>} Metadatos o null sin proveedor
+     * @private
+     */
+    async getExportMetadata(year = null) {
+        return this.metadataProvider ? this.metadataProvider({ year }) : null;
+    }
+
+    /**
+     * Agrega los metadatos de procedencia a un PNG
+     * @private
+     */
+    addMetadataToPNG(imageDataURL, metadata) {
+        return metadata ? this.imageMetadata.addToPNG(imageDataURL, metadata) : imageDataURL;
+    }
+
+    /**
+     * Agrega los metadatos de procedencia (y el pie de página si está habilitado) a un SVG
+     * @private
+     */
+    addMetadataToSVG(svgContent, metadata, config) {
+        return metadata
+            ? this.imageMetadata.addToSVG(svgContent, metadata, {
+                caption: this.defaultConfig.includeProvenanceCaption,
+                height: config.height
+            })
+            : svgContent;
+    }
+
+    /**
+     * Indica si la leyenda de grosor de enlaces debe incluirse en la exportación
+     * @returns {boolean} True si hay leyenda disponible y está habilitada
+     * @private
+     */
+    shouldIncludeScaleLegend() {
+        return Boolean(this.defaultConfig.includeScaleLegend && this.linkScaleManager);
+    }
+
     /**
      * Exporta el diagrama como PNG
      * @param {Object} options - Opciones específicas para PNG
@@ -108,23 +180,61 @@ class ExportManager {
 
         if (progressCallback) progressCallback(10, 'Configurando exportación PNG...');
 
+        try {
+            let imageDataURL = await this.createPNGData(config, this.defaultConfig.transparentBg, progressCallback);
+
+            if (progressCallback) progressCallback(75, 'Agregando metadatos de procedencia...');
+            const metadata = await this.getExportMetadata();
+            imageDataURL = this.addMetadataToPNG(imageDataURL, metadata);
+
+            if (progressCallback) progressCallback(80, 'Preparando descarga...');
+
+            // Generar nombre de archivo
+            const filename = this.generateFilename('png', options.filename);
+
+            // Descargar imagen
+            this.downloadImage(imageDataURL, filename);
+
+            if (progressCallback) progressCallback(100, 'PNG exportado exitosamente');
+
+            return {
+                success: true,
+                filename: filename,
+                format: 'png',
+                dimensions: `${config.width}x${config.height}`,
+                scale: config.scale,
+                includesLabels: this.defaultConfig.includeColumnLabels && this.columnLabelsManager && this.columnLabelsManager.isEnabled(),
+                includesScaleLegend: this.shouldIncludeScaleLegend(),
+                includesMetadata: Boolean(metadata),
+                linkScaleMode: this.linkScaleManager ? this.linkScaleManager.getMode() : null
+            };
+
+        } catch (error) {
+            console.error('Error exportando PNG:', error);
+            throw new Error(`Error al exportar PNG: ${error.message}`);
+        }
+    }
+
+    /**
+     * Genera el PNG del diagrama con las etiquetas de columnas y la leyenda de grosores
+     * @param {Object} config - Dimensiones y escala { width, height, scale }
+     * @param {boolean} transparentBg - Fondo transparente (si no, blanco)
+     * @param {Function} progressCallback - Callback para reportar progreso
+     * @returns {Promise<string>} Data URL de la imagen
+     * @private
+     */
+    async createPNGData(config, transparentBg, progressCallback = null) {
         // Guardar configuración original del layout
         const originalPaperBgColor = this.plotlyElement.layout.paper_bgcolor;
         const originalPlotBgColor = this.plotlyElement.layout.plot_bgcolor;
 
         try {
             // Configurar fondo temporalmente según la configuración
-            if (this.defaultConfig.transparentBg) {
-                await Plotly.relayout(this.plotlyElement, {
-                    paper_bgcolor: 'rgba(0,0,0,0)',
-                    plot_bgcolor: 'rgba(0,0,0,0)'
-                });
-            } else {
-                await Plotly.relayout(this.plotlyElement, {
-                    paper_bgcolor: '#ffffff',
-                    plot_bgcolor: '#ffffff'
-                });
-            }
+            const background = transparentBg ? 'rgba(0,0,0,0)' : '#ffffff';
+            await Plotly.relayout(this.plotlyElement, {
+                paper_bgcolor: background,
+                plot_bgcolor: background
+            });
 
             if (progressCallback) progressCallback(20, 'Aplicando configuración de fondo...');
 
@@ -133,16 +243,11 @@ class ExportManager {
                 format: 'png',
                 width: config.width,
                 height: config.height,
-                scale: config.scale || 2
+                scale: config.scale || 2,
+                // Configurar fondo en las opciones de exportación también
+                setBackground: transparentBg ? 'transparent' : '#ffffff'
             };
 
-            // Configurar fondo en las opciones de exportación también
-            if (this.defaultConfig.transparentBg) {
-                exportOptions.setBackground = 'transparent';
-            } else {
-                exportOptions.setBackground = '#ffffff';
-            }
-
             if (progressCallback) progressCallback(40, 'Generando imagen PNG...');
 
             // Generar imagen usando Plotly
@@ -154,28 +259,14 @@ class ExportManager {
                 imageDataURL = await this.addLabelsToImage(imageDataURL, config, 'png');
             }
 
-            if (progressCallback) progressCallback(80, 'Preparando descarga...');
-
-            // Generar nombre de archivo
-            const filename = this.generateFilename('png', options.filename);
-
-            // Descargar imagen
-            this.downloadImage(imageDataURL, filename);
-
-            if (progressCallback) progressCallback(100, 'PNG exportado exitosamente');
+            // Incluir la leyenda de grosor de enlaces
+            if (this.shouldIncludeScaleLegend()) {
+                if (progressCallback) progressCallback(70, 'Agregando leyenda de grosor de enlaces...');
+                imageDataURL = await this.addScaleLegendToImage(imageDataURL, config);
+            }
 
-            return {
-                success: true,
-                filename: filename,
-                format: 'png',
-                dimensions: `${config.width}x${config.height}`,
-                scale: config.scale,
-                includesLabels: this.defaultConfig.includeColumnLabels && this.columnLabelsManager && this.columnLabelsManager.isEnabled()
-            };
+            return imageDataURL;
 
-        } catch (error) {
-            console.error('Error exportando PNG:', error);
-            throw new Error(`Error al exportar PNG: ${error.message}`);
         } finally {
             // Restaurar configuración original del layout siempre
             try {
@@ -208,23 +299,61 @@ class ExportManager {
 
         if (progressCallback) progressCallback(10, 'Configurando exportación SVG...');
 
+        try {
+            let svgContent = await this.createSVGContent(config, this.defaultConfig.transparentBg, progressCallback);
+
+            if (progressCallback) progressCallback(75, 'Agregando metadatos de procedencia...');
+            const metadata = await this.getExportMetadata();
+            svgContent = this.addMetadataToSVG(svgContent, metadata, config);
+
+            if (progressCallback) progressCallback(80, 'Preparando descarga...');
+
+            // Generar nombre de archivo
+            const filename = this.generateFilename('svg', options.filename);
+
+            // Procesar y descargar SVG
+            this.downloadSVG(svgContent, filename);
+
+            if (progressCallback) progressCallback(100, 'SVG exportado exitosamente');
+
+            return {
+                success: true,
+                filename: filename,
+                format: 'svg',
+                dimensions: `${config.width}x${config.height}`,
+                vectorial: true,
+                includesLabels: this.defaultConfig.includeColumnLabels && this.columnLabelsManager && this.columnLabelsManager.isEnabled(),
+                includesScaleLegend: this.shouldIncludeScaleLegend(),
+                includesMetadata: Boolean(metadata),
+                linkScaleMode: this.linkScaleManager ? this.linkScaleManager.getMode() : null
+            };
+
+        } catch (error) {
+            console.error('Error exportando SVG:', error);
+            throw new Error(`Error al exportar SVG: ${error.message}`);
+        }
+    }
+
+    /**
+     * Genera el SVG del diagrama con las etiquetas de columnas y la leyenda de grosores
+     * @param {Object} config - Dimensiones { width, height }
+     * @param {boolean} transparentBg - Fondo transparente (si no, blanco)
+     * @param {Function} progressCallback - Callback para reportar progreso
+     * @returns {Promise<string>} Contenido SVG
+     * @private
+     */
+    async createSVGContent(config, transparentBg, progressCallback = null) {
         // Guardar configuración original del layout
         const originalPaperBgColor = this.plotlyElement.layout.paper_bgcolor;
         const originalPlotBgColor = this.plotlyElement.layout.plot_bgcolor;
 
         try {
             // Configurar fondo para SVG si es necesario
-            if (this.defaultConfig.transparentBg) {
-                await Plotly.relayout(this.plotlyElement, {
-                    paper_bgcolor: 'rgba(0,0,0,0)',
-                    plot_bgcolor: 'rgba(0,0,0,0)'
-                });
-            } else {
-                await Plotly.relayout(this.plotlyElement, {
-                    paper_bgcolor: '#ffffff',
-                    plot_bgcolor: '#ffffff'
-                });
-            }
+            const background = transparentBg ? 'rgba(0,0,0,0)' : '#ffffff';
+            await Plotly.relayout(this.plotlyElement, {
+                paper_bgcolor: background,
+                plot_bgcolor: background
+            });
 
             if (progressCallback) progressCallback(20, 'Aplicando configuración de fondo...');
 
@@ -246,28 +375,14 @@ class ExportManager {
                 svgData = await this.addLabelsToSVG(svgData, config);
             }
 
-            if (progressCallback) progressCallback(80, 'Preparando descarga...');
-
-            // Generar nombre de archivo
-            const filename = this.generateFilename('svg', options.filename);
-
-            // Procesar y descargar SVG
-            this.downloadSVG(svgData, filename);
-
-            if (progressCallback) progressCallback(100, 'SVG exportado exitosamente');
+            // Incluir la leyenda de grosor de enlaces
+            if (this.shouldIncludeScaleLegend()) {
+                if (progressCallback) progressCallback(70, 'Agregando leyenda de grosor de enlaces...');
+                svgData = this.addScaleLegendToSVG(svgData, config);
+            }
 
-            return {
-                success: true,
-                filename: filename,
-                format: 'svg',
-                dimensions: `${config.width}x${config.height}`,
-                vectorial: true,
-                includesLabels: this.defaultConfig.includeColumnLabels && this.columnLabelsManager && this.columnLabelsManager.isEnabled()
-            };
+            return this.decodeSVGData(svgData);
 
-        } catch (error) {
-            console.error('Error exportando SVG:', error);
-            throw new Error(`Error al exportar SVG: ${error.message}`);
         } finally {
             // Restaurar configuración original del layout siempre
             try {
@@ -281,9 +396,385 @@ class ExportManager {
         }
     }
 
+    /**
+     * Decodifica un SVG recibido como data URL
+     * @param {string} svgData - Contenido SVG o data URL
+     * @returns {string} Contenido SVG
+     * @private
+     */
+    decodeSVGData(svgData) {
+        if (svgData.startsWith('data:image/svg+xml,')) {
+            return decodeURIComponent(svgData.substring('data:image/svg+xml,'.length));
+        }
+        if (svgData.startsWith('data:image/svg+xml;base64,')) {
+            return atob(svgData.substring('data:image/svg+xml;base64,'.length));
+        }
+        if (svgData.startsWith('data:image/svg+xml;charset=utf-8,')) {
+            return decodeURIComponent(svgData.substring('data:image/svg+xml;charset=utf-8,'.length));
+        }
+        return svgData;
+    }
+
+    /**
+     * Exporta un reporte PDF: portada, diagrama vectorial con etiquetas de columnas
+     * y leyendas, tablas y nota metodológica. Requiere jsPDF y svg2pdf.js.
+     * @param {Object} report - Contenido del reporte
+     * @param {string} report.title - Título del reporte
+     * @param {Array} report.details - Líneas de la portada, p. ej. "Año: 2024"
+     * @param {string} report.note - Aviso destacado en la portada (p. ej. datos preliminares)
+     * @param {Array} report.legend - Energéticos del diagrama { label, color }
+     * @param {Array} report.tables - Tablas { title, columns: [{ label, align, width }], rows: [[texto]], note }
+     * @param {string} report.methodology - Nota metodológica al final del reporte
+     * @param {Object} options - Opciones específicas para PDF (ver defaultConfig.pdf)
+     * @param {Function} progressCallback - Callback para reportar progreso
+     * @returns {Promise<Object>} Resultado de la exportación
+     */
+    async exportToPDF(report = {}, options = {}, progressCallback = null) {
+        if (!this.isDiagramReady()) {
+            throw new Error('El diagrama no está listo para exportar. Asegúrate de que esté completamente cargado.');
+        }
+        if (typeof jspdf === 'undefined') {
+            throw new Error('La biblioteca jsPDF no está cargada');
+        }
+
+        const config = {
+            ...this.defaultConfig.svg,
+            ...this.defaultConfig.pdf,
+            ...options
+        };
+
+        if (progressCallback) progressCallback(5, 'Configurando exportación PDF...');
+
+        try {
+            const doc = new jspdf.jsPDF({ orientation: config.orientation, unit: 'pt', format: config.format });
+            if (typeof doc.svg !== 'function') {
+                throw new Error('La biblioteca svg2pdf.js no está cargada');
+            }
+
+            this.drawPDFTitlePage(doc, report, config);
+
+            // El diagrama se genera siempre con fondo blanco
+            const svgContent = await this.createSVGContent(config, false, (progress, message) => {
+                if (progressCallback) progressCallback(10 + progress * 0.5, message);
+            });
+
+            if (progressCallback) progressCallback(60, 'Agregando diagrama vectorial...');
+            doc.addPage();
+            let cursorY = await this.drawPDFDiagram(doc, svgContent, config);
+            cursorY = this.drawPDFLegend(doc, report.legend || [], cursorY, config);
+
+            if (progressCallback) progressCallback(75, 'Agregando tablas...');
+            const tables = report.tables || [];
+            if (tables.length > 0) {
+                doc.addPage();
+                cursorY = config.margin;
+                tables.forEach((table) => {
+                    cursorY = this.drawPDFTable(doc, table, cursorY, config);
+                });
+            }
+
+            if (report.methodology) {
+                this.drawPDFFootnote(doc, report.methodology, cursorY, config);
+            }
+            this.drawPDFPageNumbers(doc, report.title || '', config);
+
+            if (progressCallback) progressCallback(90, 'Preparando descarga...');
+
+            const filename = this.generateFilename('pdf', options.filename);
+            doc.save(filename);
+
+            if (progressCallback) progressCallback(100, 'PDF exportado exitosamente');
+
+            return {
+                success: true,
+                filename: filename,
+                format: 'pdf',
+                pages: doc.getNumberOfPages(),
+                vectorial: true,
+                includesLabels: this.defaultConfig.includeColumnLabels && this.columnLabelsManager && this.columnLabelsManager.isEnabled(),
+                includesScaleLegend: this.shouldIncludeScaleLegend(),
+                linkScaleMode: this.linkScaleManager ? this.linkScaleManager.getMode() : null
+            };
+
+        } catch (error) {
+            console.error('Error exportando PDF:', error);
+            throw new Error(`Error al exportar PDF: ${error.message}`);
+        }
+    }
+
+    /**
+     * Dibuja la portada del reporte PDF
+     * @private
+     */
+    drawPDFTitlePage(doc, report, config) {
+        const width = doc.internal.pageSize.getWidth();
+        const height = doc.internal.pageSize.getHeight();
+        let y = height * 0.35;
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(24);
+        doc.setTextColor(33, 37, 41);
+        const titleLines = doc.splitTextToSize(this.toPDFText(report.title || 'Balance Nacional de Energía'), width - 4 * config.margin);
+        doc.text(titleLines, width / 2, y, { align: 'center' });
+        y += titleLines.length * 30 + 10;
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(14);
+        doc.setTextColor(85, 85, 85);
+        (report.details || []).forEach((line) => {
+            doc.text(this.toPDFText(line), width / 2, y, { align: 'center' });
+            y += 20;
+        });
+
+        if (report.note) {
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(220, 53, 69);
+            doc.text(this.toPDFText(report.note), width / 2, y + 10, { align: 'center' });
+        }
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.setTextColor(120, 120, 120);
+        doc.text(`Generado el ${new Date().toLocaleDateString('es-MX')}`, width / 2, height - config.margin, { align: 'center' });
+    }
+
+    /**
+     * Dibuja el SVG del diagrama como gráfico vectorial en la página actual
+     * @returns {Promise<number>} Posición vertical debajo del diagrama
+     * @private
+     */
+    async drawPDFDiagram(doc, svgContent, config) {
+        const width = doc.internal.pageSize.getWidth();
+        const height = doc.internal.pageSize.getHeight();
+        const svgElement = new DOMParser().parseFromString(svgContent, 'image/svg+xml').documentElement;
+
+        // Las fuentes estándar de PDF no incluyen flechas ni subíndices
+        const walker = svgElement.ownerDocument.createTreeWalker(svgElement, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            walker.currentNode.nodeValue = this.toPDFText(walker.currentNode.nodeValue, false);
+        }
+
+        // El diagrama ocupa el ancho de la página y deja espacio para la leyenda
+        const scale = Math.min(
+            (width - 2 * config.margin) / config.width,
+            (height - 2 * config.margin) * 0.78 / config.height
+        );
+        const diagramWidth = config.width * scale;
+        const diagramHeight = config.height * scale;
+
+        await doc.svg(svgElement, {
+            x: (width - diagramWidth) / 2,
+            y: config.margin,
+            width: diagramWidth,
+            height: diagramHeight
+        });
+
+        return config.margin + diagramHeight + 12;
+    }
+
+    /**
+     * Dibuja la leyenda de energéticos (color y nombre) en columnas
+     * @returns {number} Posición vertical debajo de la leyenda
+     * @private
+     */
+    drawPDFLegend(doc, items, cursorY, config) {
+        if (items.length === 0) return cursorY;
+
+        const width = doc.internal.pageSize.getWidth();
+        const columnWidth = 130;
+        const rowHeight = 12;
+        const swatch = 8;
+        const perRow = Math.max(1, Math.floor((width - 2 * config.margin) / columnWidth));
+        const rows = Math.ceil(items.length / perRow);
+        let y = this.ensurePDFSpace(doc, cursorY, 14 + rows * rowHeight, config);
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(9);
+        doc.setTextColor(51, 51, 51);
+        doc.text('Energéticos', config.margin, y);
+        y += 12;
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        items.forEach((item, index) => {
+            const x = config.margin + (index % perRow) * columnWidth;
+            const rowY = y + Math.floor(index / perRow) * rowHeight;
+            doc.setFillColor(item.color || '#999999');
+            doc.rect(x, rowY - swatch + 1, swatch, swatch, 'F');
+            doc.text(this.fitPDFText(doc, this.toPDFText(item.label), columnWidth - swatch - 8), x + swatch + 4, rowY);
+        });
+
+        return y + rows * rowHeight + 8;
+    }
+
+    /**
+     * Dibuja una tabla con título y encabezado (repetido en cada página)
+     * @returns {number} Posición vertical debajo de la tabla
+     * @private
+     */
+    drawPDFTable(doc, table, cursorY, config) {
+        const width = doc.internal.pageSize.getWidth();
+        const tableWidth = width - 2 * config.margin;
+        const rowHeight = 14;
+        const weights = table.columns.map(column => column.width || 1);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const widths = weights.map(weight => tableWidth * weight / totalWeight);
+
+        const drawHeader = (y) => {
+            doc.setFillColor('#343a40');
+            doc.rect(config.margin, y, tableWidth, rowHeight, 'F');
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(config.fontSize);
+            doc.setTextColor(255, 255, 255);
+            this.drawPDFRow(doc, table.columns.map(column => column.label), table.columns, widths, y, config);
+            return y + rowHeight;
+        };
+
+        // El título no se separa de las primeras filas
+        let y = this.ensurePDFSpace(doc, cursorY, 18 + rowHeight * Math.min(table.rows.length + 1, 4), config);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(11);
+        doc.setTextColor(33, 37, 41);
+        doc.text(this.toPDFText(table.title), config.margin, y + 10);
+        y = drawHeader(y + 16);
+
+        table.rows.forEach((row, index) => {
+            if (y + rowHeight > this.getPDFBottom(doc, config)) {
+                doc.addPage();
+                y = drawHeader(config.margin);
+            }
+            if (index % 2 === 1) {
+                doc.setFillColor('#f2f2f2');
+                doc.rect(config.margin, y, tableWidth, rowHeight, 'F');
+            }
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(config.fontSize);
+            doc.setTextColor(33, 37, 41);
+            this.drawPDFRow(doc, row, table.columns, widths, y, config);
+            y += rowHeight;
+        });
+
+        if (table.note) {
+            doc.setFont('helvetica', 'italic');
+            doc.setFontSize(8);
+            doc.setTextColor(102, 102, 102);
+            doc.text(this.toPDFText(table.note), config.margin, y + 10);
+            y += 10;
+        }
+
+        return y + 18;
+    }
+
+    /**
+     * Dibuja las celdas de una fila de tabla
+     * @private
+     */
+    drawPDFRow(doc, cells, columns, widths, y, config) {
+        let x = config.margin;
+        cells.forEach((cell, index) => {
+            const text = this.fitPDFText(doc, this.toPDFText(cell), widths[index] - 8);
+            if (columns[index] && columns[index].align === 'right') {
+                doc.text(text, x + widths[index] - 4, y + 10, { align: 'right' });
+            } else {
+                doc.text(text, x + 4, y + 10);
+            }
+            x += widths[index];
+        });
+    }
+
+    /**
+     * Dibuja la nota metodológica separada por una línea corta
+     * @private
+     */
+    drawPDFFootnote(doc, text, cursorY, config) {
+        const width = doc.internal.pageSize.getWidth();
+        doc.setFont('helvetica', 'italic');
+        doc.setFontSize(8);
+        const lines = doc.splitTextToSize(this.toPDFText(text), width - 2 * config.margin);
+        let y = this.ensurePDFSpace(doc, cursorY, 16 + lines.length * 10, config);
+
+        doc.setDrawColor(180, 180, 180);
+        doc.line(config.margin, y, config.margin + 120, y);
+        doc.setFont('helvetica', 'italic');
+        doc.setFontSize(8);
+        doc.setTextColor(85, 85, 85);
+        doc.text(lines, config.margin, y + 12);
+    }
+
+    /**
+     * Agrega el título y el número de página al pie de todas las páginas salvo la portada
+     * @private
+     */
+    drawPDFPageNumbers(doc, title, config) {
+        const width = doc.internal.pageSize.getWidth();
+        const height = doc.internal.pageSize.getHeight();
+        const pages = doc.getNumberOfPages();
+
+        for (let page = 2; page <= pages; page++) {
+            doc.setPage(page);
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(8);
+            doc.setTextColor(120, 120, 120);
+            doc.text(this.fitPDFText(doc, this.toPDFText(title), width / 2), config.margin, height - config.margin / 2);
+            doc.text(`Página ${page} de ${pages}`, width - config.margin, height - config.margin / 2, { align: 'right' });
+        }
+    }
+
+    /**
+     * Agrega una página si el contenido no cabe en la actual
+     * @returns {number} Posición vertical donde dibujar el contenido
+     * @private
+     */
+    ensurePDFSpace(doc, cursorY, needed, config) {
+        if (cursorY + needed <= this.getPDFBottom(doc, config)) return cursorY;
+        doc.addPage();
+        return config.margin;
+    }
+
+    /**
+     * Límite inferior del contenido de una página (sobre el pie)
+     * @private
+     */
+    getPDFBottom(doc, config) {
+        return doc.internal.pageSize.getHeight() - config.margin - 6;
+    }
+
+    /**
+     * Recorta un texto con puntos suspensivos para que quepa en un ancho
+     * @private
+     */
+    fitPDFText(doc, text, maxWidth) {
+        if (doc.getTextWidth(text) <= maxWidth) return text;
+        let fitted = text;
+        while (fitted.length > 1 && doc.getTextWidth(`${fitted}...`) > maxWidth) {
+            fitted = fitted.slice(0, -1);
+        }
+        return `${fitted.trimEnd()}...`;
+    }
+
+    /**
+     * Adapta un texto a las fuentes estándar de PDF (codificación WinAnsi):
+     * quita etiquetas HTML y reemplaza los símbolos que no tienen glifo
+     * @param {string} text - Texto a adaptar
+     * @param {boolean} trim - Quitar espacios al inicio y al final
+     * @returns {string} Texto adaptado
+     * @private
+     */
+    toPDFText(text, trim = true) {
+        const adapted = String(text ?? '')
+            .replace(/<br\s*\/?>/gi, ' ')
+            .replace(/<[^>]+>/g, '')
+            .replace(/→/g, '->')
+            .replace(/↑/g, '+')
+            .replace(/[↓−]/g, '-')
+            .replace(/₂/g, '2')
+            .replace(/[^\x00-\xFF–—‘’“”•…€]/g, '');
+        return trim ? adapted.trim() : adapted;
+    }
+
     /**
      * Genera un nombre de archivo único
-     * @param {string} format - Formato del archivo (png/svg)
+     * @param {string} format - Formato del archivo (png/svg/pdf/zip)
      * @param {string} customFilename - Nombre personalizado opcional
      * @returns {string} Nombre de archivo generado
      * @private
@@ -342,6 +833,16 @@ class ExportManager {
         
         // Crear blob con el contenido SVG
         const blob = new Blob([svgContent], { type: 'image/svg+xml;charset=utf-8' });
+        this.downloadBlob(blob, filename);
+    }
+
+    /**
+     * Descarga un Blob (SVG o ZIP) como archivo
+     * @param {Blob} blob - Contenido del archivo
+     * @param {string} filename - Nombre del archivo
+     * @private
+     */
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         
         const link = document.createElement('a');
@@ -631,6 +1132,195 @@ class ExportManager {
         }
     }
 
+    /**
+     * Calcula la geometría de la leyenda de grosores en coordenadas de exportación
+     * @param {number} width - Ancho de la exportación
+     * @param {number} height - Alto de la exportación
+     * @returns {Object|null} Datos de la leyenda con posiciones o null si no hay entradas
+     * @private
+     */
+    getScaleLegendLayout(width, height) {
+        const legend = this.linkScaleManager.getLegendData();
+        if (legend.entries.length === 0) return null;
+
+        // Los grosores se miden en pantalla; se escalan a la altura exportada
+        const containerRect = this.plotlyElement.getBoundingClientRect();
+        const scaleY = containerRect.height ? height / containerRect.height : 1;
+
+        const fontSize = 12;
+        const lineGap = 6;
+        const barWidth = 36;
+        const padding = 10;
+        const rows = legend.entries.map(entry => ({
+            label: entry.label,
+            barHeight: Math.max(entry.px * scaleY, 1),
+            color: 'rgba(100, 100, 100, 0.5)'
+        }));
+        legend.colorKey.forEach(item => rows.push({ label: item.label, barHeight: 10, color: item.color }));
+        const rowsHeight = rows.reduce((sum, row) => sum + Math.max(row.barHeight, fontSize) + lineGap, 0);
+        const boxHeight = padding * 2 + fontSize + lineGap + rowsHeight + (legend.note ? fontSize + lineGap : 0);
+        const boxWidth = 260;
+
+        return {
+            legend: legend,
+            rows: rows,
+            x: 20,
+            y: height - boxHeight - 20,
+            boxWidth: boxWidth,
+            boxHeight: boxHeight,
+            fontSize: fontSize,
+            lineGap: lineGap,
+            barWidth: barWidth,
+            padding: padding
+        };
+    }
+
+    /**
+     * Agrega la leyenda de grosor de enlaces a una imagen PNG
+     * @param {string} imageDataURL - Data URL de la imagen base
+     * @param {Object} config - Configuración de exportación
+     * @returns {Promise<string>} Data URL de la imagen con la leyenda
+     * @private
+     */
+    async addScaleLegendToImage(imageDataURL, config) {
+        return new Promise((resolve, reject) => {
+            const baseImage = new Image();
+            baseImage.onload = () => {
+                try {
+                    // Conservar la resolución de la imagen generada por Plotly
+                    const canvas = document.createElement('canvas');
+                    canvas.width = baseImage.naturalWidth || config.width;
+                    canvas.height = baseImage.naturalHeight || config.height;
+                    const ctx = canvas.getContext('2d');
+                    const pixelRatio = canvas.width / config.width;
+
+                    ctx.drawImage(baseImage, 0, 0);
+                    ctx.scale(pixelRatio, pixelRatio);
+                    this.drawScaleLegendOnCanvas(ctx, config.width, config.height);
+
+                    resolve(canvas.toDataURL('image/png', 1.0));
+                } catch (error) {
+                    reject(new Error(`Error dibujando leyenda en canvas: ${error.message}`));
+                }
+            };
+
+            baseImage.onerror = () => {
+                reject(new Error('Error cargando imagen base'));
+            };
+
+            baseImage.src = imageDataURL;
+        });
+    }
+
+    /**
+     * Dibuja la leyenda de grosor de enlaces en un canvas
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {number} width - Ancho lógico del canvas
+     * @param {number} height - Alto lógico del canvas
+     * @private
+     */
+    drawScaleLegendOnCanvas(ctx, width, height) {
+        const layout = this.getScaleLegendLayout(width, height);
+        if (!layout) return;
+
+        const { legend, rows, x, y, fontSize, lineGap, barWidth, padding } = layout;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.fillRect(x, y, layout.boxWidth, layout.boxHeight);
+        ctx.strokeRect(x, y, layout.boxWidth, layout.boxHeight);
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#333333';
+        ctx.font = `600 ${fontSize}px Arial, sans-serif`;
+
+        let cursorY = y + padding + fontSize / 2;
+        ctx.fillText(`${legend.title} · ${legend.modeLabel}`, x + padding, cursorY);
+        cursorY += fontSize / 2 + lineGap;
+
+        ctx.font = `${fontSize}px Arial, sans-serif`;
+        rows.forEach((row) => {
+            const rowHeight = Math.max(row.barHeight, fontSize);
+            const centerY = cursorY + rowHeight / 2;
+            ctx.fillStyle = row.color;
+            ctx.fillRect(x + padding, centerY - row.barHeight / 2, barWidth, row.barHeight);
+            ctx.fillStyle = '#333333';
+            ctx.fillText(row.label, x + padding + barWidth + 8, centerY);
+            cursorY += rowHeight + lineGap;
+        });
+
+        if (legend.note) {
+            ctx.fillStyle = '#666666';
+            ctx.font = `italic ${fontSize - 1}px Arial, sans-serif`;
+            ctx.fillText(legend.note, x + padding, cursorY + fontSize / 2);
+        }
+    }
+
+    /**
+     * Agrega la leyenda de grosor de enlaces a un SVG
+     * @param {string} svgData - Contenido SVG o data URL
+     * @param {Object} config - Configuración de exportación
+     * @returns {string} Contenido SVG con la leyenda
+     * @private
+     */
+    addScaleLegendToSVG(svgData, config) {
+        try {
+            const svgContent = this.decodeSVGData(svgData);
+
+            const layout = this.getScaleLegendLayout(config.width, config.height);
+            const svgCloseIndex = svgContent.lastIndexOf('</svg>');
+            if (!layout || svgCloseIndex === -1) {
+                return svgContent;
+            }
+
+            const { legend, rows, x, y, fontSize, lineGap, barWidth, padding } = layout;
+            let svgElements = `<g class="link-scale-legend" data-mode="${legend.mode}">`;
+            svgElements += `<rect x="${x}" y="${y}" width="${layout.boxWidth}" height="${layout.boxHeight}" `;
+            svgElements += `fill="rgba(255,255,255,0.9)" stroke="rgba(0,0,0,0.1)" stroke-width="1"/>`;
+
+            let cursorY = y + padding + fontSize / 2;
+            svgElements += `<text x="${x + padding}" y="${cursorY}" dominant-baseline="middle" font-family="Arial, sans-serif" `;
+            svgElements += `font-size="${fontSize}" font-weight="600" fill="#333333">${this.escapeSVGText(`${legend.title} · ${legend.modeLabel}`)}</text>`;
+            cursorY += fontSize / 2 + lineGap;
+
+            rows.forEach((row) => {
+                const rowHeight = Math.max(row.barHeight, fontSize);
+                const centerY = cursorY + rowHeight / 2;
+                svgElements += `<rect x="${x + padding}" y="${centerY - row.barHeight / 2}" width="${barWidth}" height="${row.barHeight}" fill="${row.color}"/>`;
+                svgElements += `<text x="${x + padding + barWidth + 8}" y="${centerY}" dominant-baseline="middle" `;
+                svgElements += `font-family="Arial, sans-serif" font-size="${fontSize}" fill="#333333">${this.escapeSVGText(row.label)}</text>`;
+                cursorY += rowHeight + lineGap;
+            });
+
+            if (legend.note) {
+                svgElements += `<text x="${x + padding}" y="${cursorY + fontSize / 2}" dominant-baseline="middle" `;
+                svgElements += `font-family="Arial, sans-serif" font-size="${fontSize - 1}" font-style="italic" fill="#666666">${this.escapeSVGText(legend.note)}</text>`;
+            }
+            svgElements += '</g>';
+
+            return svgContent.substring(0, svgCloseIndex) + svgElements + svgContent.substring(svgCloseIndex);
+
+        } catch (error) {
+            console.error('Error agregando leyenda a SVG:', error);
+            return svgData;
+        }
+    }
+
+    /**
+     * Escapa texto para insertarlo en un documento SVG
+     * @param {string} text - Texto a escapar
+     * @returns {string} Texto escapado
+     * @private
+     */
+    escapeSVGText(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
     /**
      * Exporta en ambos formatos secuencialmente
      * @param {Object} options - Opciones de exportación
@@ -671,19 +1361,124 @@ class ExportManager {
         }
     }
 
+    /**
+     * Exporta todos los años en un solo archivo ZIP. Cada año se dibuja con
+     * renderYear en el elemento de este ExportManager (normalmente un diagrama
+     * fuera de pantalla con la misma estructura y configuración que el visible)
+     * antes de generar sus imágenes. Requiere JSZip.
+     * @param {Array} years - Años a exportar (se exportan del más antiguo al más reciente)
+     * @param {Function} renderYear - (year) => Promise que se resuelve al terminar de dibujar el año
+     * @param {Object} options - Opciones de la exportación
+     * @param {Array} options.formats - Formatos de cada año: 'png' y/o 'svg' (por defecto ambos)
+     * @param {Function} options.filenameFor - (year) => nombre base de los archivos de un año
+     * @param {string} options.filename - Nombre del archivo ZIP
+     * @param {AbortSignal} options.signal - Señal para cancelar entre un paso y otro
+     * @param {Function} progressCallback - Callback para reportar progreso
+     * @returns {Promise<Object>} Resultado; cancelled es true si se canceló
+     */
+    async exportAllYears(years, renderYear, options = {}, progressCallback = null) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('La biblioteca JSZip no está cargada');
+        }
+
+        // Del más antiguo al más reciente, sin importar el orden recibido
+        const ordered = years.slice().sort();
+        const formats = (options.formats || ['png', 'svg']).filter(format => format === 'png' || format === 'svg');
+        if (ordered.length === 0 || formats.length === 0) {
+            throw new Error('No hay años ni formatos que exportar');
+        }
+
+        const signal = options.signal || null;
+        const throwIfCancelled = () => {
+            if (signal && signal.aborted) {
+                throw new Error('Exportación cancelada');
+            }
+        };
+        const zip = new JSZip();
+        const files = [];
+
+        try {
+            for (const [index, year] of ordered.entries()) {
+                // Progreso por año: dibujo del diagrama y un paso por formato
+                const report = (step, message) => {
+                    if (progressCallback) {
+                        progressCallback(Math.round(((index + step) / ordered.length) * 90),
+                            `Año ${year} (${index + 1} de ${ordered.length}): ${message}`);
+                    }
+                };
+
+                throwIfCancelled();
+                report(0, 'dibujando diagrama...');
+                await renderYear(year);
+                if (!this.isDiagramReady()) {
+                    throw new Error(`El diagrama de ${year} no se pudo dibujar`);
+                }
+
+                const metadata = await this.getExportMetadata(year);
+                const basename = options.filenameFor
+                    ? options.filenameFor(year)
+                    : `${this.defaultConfig.filenamePrefix || 'sankey_energia'}_${year}`;
+
+                for (const [formatIndex, format] of formats.entries()) {
+                    throwIfCancelled();
+                    report((formatIndex + 1) / (formats.length + 1), `generando ${format.toUpperCase()}...`);
+
+                    const filename = this.generateFilename(format, basename);
+                    if (format === 'png') {
+                        const imageDataURL = this.addMetadataToPNG(
+                            await this.createPNGData(this.defaultConfig.png, this.defaultConfig.transparentBg), metadata);
+                        zip.file(filename, imageDataURL.substring(imageDataURL.indexOf(',') + 1), { base64: true });
+                    } else {
+                        const svgContent = await this.createSVGContent(this.defaultConfig.svg, this.defaultConfig.transparentBg);
+                        zip.file(filename, this.addMetadataToSVG(svgContent, metadata, this.defaultConfig.svg));
+                    }
+                    files.push(filename);
+                }
+            }
+
+            throwIfCancelled();
+            if (progressCallback) progressCallback(92, 'Comprimiendo archivo ZIP...');
+            const blob = await zip.generateAsync({ type: 'blob' });
+            throwIfCancelled();
+
+            const filename = this.generateFilename('zip', options.filename);
+            this.downloadBlob(blob, filename);
+
+            if (progressCallback) progressCallback(100, `ZIP exportado con ${files.length} archivos`);
+
+            return {
+                success: true,
+                filename: filename,
+                format: 'zip',
+                formats: formats,
+                years: ordered,
+                files: files
+            };
+
+        } catch (error) {
+            if (signal && signal.aborted) {
+                console.log(`Exportación por años cancelada después de ${files.length} archivos`);
+                return { success: false, cancelled: true, files: files };
+            }
+            console.error('Error en exportación por años:', error);
+            throw new Error(`Error en exportación por años: ${error.message}`);
+        }
+    }
+
     /**
      * Obtiene información sobre las capacidades de exportación
      * @returns {Object} Información sobre capacidades
      */
     getExportCapabilities() {
         return {
-            formats: ['png', 'svg'],
+            formats: ['png', 'svg', 'pdf', 'zip'],
             features: {
                 transparentBackground: true,
                 customResolution: true,
                 vectorialSVG: true,
                 highDPI: true,
-                batchExport: true
+                batchExport: true,
+                provenanceMetadata: Boolean(this.metadataProvider)
             },
             maxDimensions: {
                 width: 4000,
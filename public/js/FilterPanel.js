@@ -0,0 +1,217 @@
+/**
+ * FilterPanel - Módulo del panel de filtros del diagrama de Sankey
+ *
+ * Este módulo crea un grupo de casillas por cada grupo de filtros (tipo de
+ * energía, energéticos, sectores y centros de transformación) y notifica la
+ * selección para que el diagrama se vuelva a construir sin recargar la página.
+ *
+ * Funcionalidades principales:
+ * - Casillas por opción con acciones "Todos" y "Ninguno" por grupo
+ * - Selección expresada como valores incluidos por grupo
+ * - Resumen legible de los filtros activos para el diagrama y las exportaciones
+ * - Restablecimiento al estado completo
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class FilterPanel {
+    /**
+     * Constructor del FilterPanel
+     * @param {HTMLElement} container - Contenedor donde se crean los controles
+     * @param {Object} options - Opciones de configuración
+     * @param {Array} options.groups - Grupos { id, title, options: [{ value, label, color }] }
+     * @param {Function} options.onChange - Callback (filters) al cambiar la selección
+     */
+    constructor(container, options = {}) {
+        if (!container) {
+            throw new Error('FilterPanel requiere un contenedor');
+        }
+
+        this.container = container;
+        this.groups = options.groups || [];
+        this.onChange = options.onChange || null;
+        this.checkboxes = new Map();
+
+        this.render();
+    }
+
+    /**
+     * Crea los grupos de casillas y el botón de restablecer
+     * @private
+     */
+    render() {
+        this.container.innerHTML = '';
+        this.container.classList.add('filter-panel-body');
+        this.checkboxes.clear();
+
+        this.groups.forEach((group) => {
+            const fieldset = document.createElement('fieldset');
+            fieldset.className = 'filter-group';
+            fieldset.dataset.group = group.id;
+
+            const legend = document.createElement('legend');
+            legend.textContent = group.title;
+            fieldset.appendChild(legend);
+
+            const actions = document.createElement('div');
+            actions.className = 'filter-group-actions';
+            [['Todos', true], ['Ninguno', false]].forEach(([text, checked]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'filter-group-action';
+                button.textContent = text;
+                button.addEventListener('click', () => this.setGroup(group.id, checked));
+                actions.appendChild(button);
+            });
+            fieldset.appendChild(actions);
+
+            const boxes = new Map();
+            group.options.forEach((option) => {
+                const label = document.createElement('label');
+                label.className = 'filter-option';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = option.value;
+                checkbox.checked = true;
+                checkbox.addEventListener('change', () => this.notify());
+                label.appendChild(checkbox);
+
+                if (option.color) {
+                    const swatch = document.createElement('span');
+                    swatch.className = 'filter-option-swatch';
+                    swatch.style.backgroundColor = option.color;
+                    label.appendChild(swatch);
+                }
+
+                label.appendChild(document.createTextNode(option.label));
+                fieldset.appendChild(label);
+                boxes.set(option.value, checkbox);
+            });
+
+            this.checkboxes.set(group.id, boxes);
+            this.container.appendChild(fieldset);
+        });
+
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.className = 'filter-reset-btn';
+        resetButton.textContent = 'Restablecer filtros';
+        resetButton.addEventListener('click', () => this.reset());
+        this.container.appendChild(resetButton);
+    }
+
+    /**
+     * Obtiene la selección como valores incluidos por grupo.
+     * Los grupos con todas las opciones marcadas no se incluyen.
+     * @returns {Object} { [groupId]: Array de valores incluidos }
+     */
+    getFilters() {
+        const filters = {};
+        for (const [groupId, boxes] of this.checkboxes.entries()) {
+            const checked = Array.from(boxes.values()).filter(box => box.checked).map(box => box.value);
+            if (checked.length < boxes.size) {
+                filters[groupId] = checked;
+            }
+        }
+        return filters;
+    }
+
+    /**
+     * Reemplaza los grupos (por ejemplo, al cambiar de conjunto de datos) y
+     * vuelve a crear las casillas con todas las opciones incluidas
+     * @param {Array} groups - Grupos { id, title, options }
+     */
+    setGroups(groups = []) {
+        this.groups = groups;
+        this.render();
+    }
+
+    /**
+     * Establece la selección desde valores incluidos por grupo
+     * @param {Object} filters - { [groupId]: Array de valores incluidos }; los grupos ausentes quedan completos
+     * @param {Object} options - { silent: true } para no invocar onChange
+     */
+    setFilters(filters = {}, options = {}) {
+        for (const [groupId, boxes] of this.checkboxes.entries()) {
+            const included = filters[groupId];
+            boxes.forEach((box, value) => {
+                box.checked = !included || included.includes(value);
+            });
+        }
+        if (!options.silent) {
+            this.notify();
+        }
+    }
+
+    /**
+     * Marca o desmarca todas las opciones de un grupo
+     * @param {string} groupId - Id del grupo
+     * @param {boolean} checked - Estado de las casillas
+     */
+    setGroup(groupId, checked) {
+        const boxes = this.checkboxes.get(groupId);
+        if (!boxes) return;
+        boxes.forEach((box) => {
+            box.checked = checked;
+        });
+        this.notify();
+    }
+
+    /**
+     * Indica si hay algún filtro activo
+     * @returns {boolean} True si alguna opción está desmarcada
+     */
+    isActive() {
+        return Object.keys(this.getFilters()).length > 0;
+    }
+
+    /**
+     * Describe los filtros activos, una línea por grupo.
+     * Se listan las opciones incluidas u ocultas, la lista que sea más corta.
+     * @returns {Array} Líneas de texto (vacío si no hay filtros)
+     */
+    getActiveFilterSummary() {
+        const filters = this.getFilters();
+
+        return this.groups
+            .filter(group => filters[group.id])
+            .map((group) => {
+                const included = filters[group.id];
+                const labels = (values) => group.options
+                    .filter(option => values.includes(option.value))
+                    .map(option => option.label);
+
+                if (included.length === 0) {
+                    return `${group.title}: ninguno`;
+                }
+                const excluded = group.options.map(option => option.value).filter(value => !included.includes(value));
+                return included.length <= excluded.length
+                    ? `${group.title}: solo ${labels(included).join(', ')}`
+                    : `${group.title}: sin ${labels(excluded).join(', ')}`;
+            });
+    }
+
+    /**
+     * Vuelve a marcar todas las opciones
+     */
+    reset() {
+        this.setFilters({});
+    }
+
+    /**
+     * Notifica la selección actual
+     * @private
+     */
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.getFilters());
+        }
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FilterPanel;
+}
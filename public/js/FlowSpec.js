@@ -0,0 +1,209 @@
+/**
+ * FlowSpec - Especificación declarativa de nodos y flujos del diagrama de Sankey
+ *
+ * Este módulo describe, sin lógica, qué nodos aparecen en el diagrama, en qué
+ * columna se ubican, de qué "Nodo Padre" toman sus valores y qué flujos generan.
+ * El SankeyBuilder interpreta esta especificación para producir los arreglos
+ * de Plotly, de modo que un cambio de metodología del BNE se resuelve editando
+ * esta tabla en lugar de duplicar bloques de código.
+ *
+ * Funcionalidades principales:
+ * - Columnas lógicas con posición X y rango vertical (registradas en LayoutEngine)
+ * - Grupos de energéticos (primarios y secundarios) generados desde un nodo padre
+ * - Nodos agregados con su regla de cálculo de total y su plantilla de popup
+ * - Flujos por energético con convención de signo y tipo de flujo
+ * - Grupos de nodos que el panel de filtros puede ocultar
+ *
+ * Convenciones de signo (campo `sign`):
+ * - 'positive': solo valores > 0
+ * - 'negative': solo valores < 0 (se usa el valor absoluto)
+ * - 'nonzero': cualquier valor distinto de cero (se usa el valor absoluto)
+ * - 'bidirectional': valores > 0 van de `from` a `to`; valores < 0 se invierten
+ *
+ * Referencias de nodos en flujos: un id de nodo (`'Producción'`) o un grupo
+ * de energéticos precedido por `@` (`'@primarios'`).
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+const FLOW_SPEC = {
+    version: '1.0.0',
+    unit: 'PJ',
+
+    // Columnas del diagrama (x relativo al ancho, rango vertical para grupos)
+    columns: {
+        'oferta': { x: 0.05, title: 'Oferta' },
+        'energeticos-primarios': { x: 0.2, title: 'Energéticos Primarios', minY: 0.15, maxY: 0.9 },
+        'salidas-primarias': { x: 0.3, title: 'Salidas Primarias' },
+        'transformacion': { x: 0.35, title: 'Transformación' },
+        'centrales': { x: 0.45, title: 'Centrales Eléctricas' },
+        'importacion-secundaria': { x: 0.5, title: 'Importación Secundaria' },
+        'no-aprovechada-secundaria': { x: 0.6, title: 'Energía No Aprovechada Secundaria' },
+        'energeticos-secundarios': { x: 0.65, title: 'Energéticos Secundarios', minY: 0.15, maxY: 0.9 },
+        'salidas-secundarias': { x: 0.8, title: 'Salidas Secundarias' },
+        'sectores': { x: 0.9, title: 'Usos Finales' }
+    },
+
+    // Grupos de energéticos: un nodo por cada hijo del padre con el tipo indicado
+    groups: {
+        primarios: {
+            parent: 'Oferta Interna Bruta',
+            tipo: 'Energía Primaria',
+            column: 'energeticos-primarios'
+        },
+        secundarios: {
+            parent: 'Oferta Interna Bruta',
+            tipo: 'Energía Secundaria',
+            column: 'energeticos-secundarios'
+        }
+    },
+
+    // Nodos agregados. `total` define qué hijos del padre suman al valor del nodo;
+    // `optional` omite el nodo cuando ese total es cero en el año consultado.
+    nodes: [
+        // --- Oferta primaria ---
+        { id: 'Importación', parent: 'Importación', column: 'oferta', y: 0.05,
+            total: { tipo: 'Energía Primaria', sign: 'nonzero' } },
+        { id: 'Variación de Inventarios', parent: 'Variación de Inventarios', column: 'oferta', y: 0.2,
+            kind: 'inventory', total: { tipo: 'Energía Primaria', sign: 'nonzero' } },
+        { id: 'Producción', parent: 'Producción', column: 'oferta', y: 0.4,
+            total: { tipo: 'Energía Primaria', sign: 'nonzero' } },
+
+        // --- Destinos de energéticos primarios ---
+        { id: 'Energía No Aprovechada', parent: 'Energía No Aprovechada', column: 'salidas-primarias', y: 0.85,
+            total: { tipo: 'Energía Primaria', sign: 'nonzero' } },
+        { id: 'Pérdidas técnicas por transporte, transmisión y distribución',
+            parent: 'Pérdidas técnicas por transporte, transmisión y distribución',
+            column: 'salidas-primarias', y: 0.9,
+            total: { tipo: 'Energía Primaria', sign: 'nonzero' } },
+        { id: 'Consumo Propio del Sector', parent: 'Consumo Propio del Sector', column: 'salidas-primarias', y: 0.94,
+            total: { tipo: 'Energía Primaria', sign: 'nonzero' } },
+        { id: 'Exportación', parent: 'Exportación', column: 'salidas-primarias', y: 0.99,
+            total: { tipo: 'Energía Primaria', sign: 'nonzero' } },
+
+        // --- Centros de transformación ---
+        { id: 'Coquizadoras y Hornos', parent: 'Coquizadoras y Hornos', column: 'transformacion', y: 0.1,
+            total: { tipo: 'Energía Primaria', sign: 'nonzero' } },
+        { id: 'Plantas de Gas y Fraccionadoras', parent: 'Plantas de Gas y Fraccionadoras', column: 'transformacion', y: 0.25,
+            total: { tipo: 'Energía Primaria', sign: 'nonzero' } },
+        { id: 'Refinerías y Despuntadoras', parent: 'Refinerías y Despuntadoras', column: 'transformacion', y: 0.7,
+            total: { tipo: 'Energía Primaria', sign: 'nonzero' } },
+        { id: 'Centrales Eléctricas', parent: 'Centrales Eléctricas', column: 'centrales', y: 0.45,
+            total: { energetics: ['Energía eléctrica'], sign: 'positive' } },
+
+        // --- Oferta y destinos de energéticos secundarios ---
+        { id: 'Importación (Secundaria)', label: 'Importación', parent: 'Importación',
+            column: 'importacion-secundaria', y: 0.05, optional: true,
+            total: { tipo: 'Energía Secundaria', sign: 'positive' } },
+        { id: 'Variación de Inventarios ES', parent: 'Variación de Inventarios',
+            column: 'centrales', y: 0.15, optional: true,
+            kind: 'inventory', total: { tipo: 'Energía Secundaria', sign: 'nonzero' } },
+        { id: 'Energía No Aprovechada (Secundaria)', label: 'Energía No Aprovechada', parent: 'Energía No Aprovechada',
+            column: 'no-aprovechada-secundaria', y: 0.9, optional: true,
+            total: { tipo: 'Energía Secundaria', sign: 'positive' } },
+        { id: 'Exportación (Secundaria)', label: 'Exportación', parent: 'Exportación',
+            column: 'salidas-secundarias', y: 0.9, optional: true,
+            total: { tipo: 'Energía Secundaria', sign: 'negative' } },
+        { id: 'Pérdidas Técnicas (Sec)', label: 'Pérdidas Técnicas',
+            parent: 'Pérdidas técnicas por transporte, transmisión y distribución',
+            column: 'salidas-secundarias', y: 0.95, optional: true,
+            total: { tipo: 'Energía Secundaria', sign: 'nonzero' } },
+        { id: 'Consumo Propio (Secundaria)', label: 'Consumo Propio', parent: 'Consumo Propio del Sector',
+            column: 'salidas-secundarias', y: 0.99, optional: true,
+            total: { tipo: 'Energía Secundaria', sign: 'negative' } },
+
+        // --- Sectores de consumo final ---
+        { id: 'Industrial', parent: 'Industrial', column: 'sectores', y: 0.15,
+            popupLabel: 'Sector Industrial', total: { sign: 'nonzero' } },
+        { id: 'Transporte', parent: 'Transporte', column: 'sectores', y: 0.3,
+            popupLabel: 'Sector Transporte', total: { sign: 'nonzero' } },
+        { id: 'Agropecuario', parent: 'Agropecuario', column: 'sectores', y: 0.4,
+            popupLabel: 'Sector Agropecuario', total: { sign: 'nonzero' } },
+        { id: 'Comercial', parent: 'Comercial', column: 'sectores', y: 0.5,
+            popupLabel: 'Sector Comercial', total: { sign: 'nonzero' } },
+        { id: 'Público', parent: 'Público', column: 'sectores', y: 0.6,
+            popupLabel: 'Sector Público', total: { sign: 'nonzero' } },
+        { id: 'Residencial', parent: 'Residencial', column: 'sectores', y: 0.7,
+            popupLabel: 'Sector Residencial', total: { sign: 'nonzero' } },
+        { id: 'Petroquímica Pemex', parent: 'Petroquímica Pemex', column: 'sectores', y: 0.8,
+            popupLabel: 'Sector Petroquímica Pemex', total: { sign: 'nonzero' } },
+        { id: 'Otras ramas económicas', parent: 'Otras ramas económicas', column: 'sectores', y: 0.85,
+            popupLabel: 'Sector Otras ramas económicas', total: { sign: 'nonzero' } }
+    ],
+
+    // Nodos que pueden ocultarse desde el panel de filtros, agrupados como en el panel
+    filterGroups: {
+        sectors: {
+            title: 'Sectores',
+            nodes: ['Industrial', 'Transporte', 'Agropecuario', 'Comercial', 'Público', 'Residencial',
+                'Petroquímica Pemex', 'Otras ramas económicas']
+        },
+        centers: {
+            title: 'Centros de transformación',
+            nodes: ['Coquizadoras y Hornos', 'Plantas de Gas y Fraccionadoras', 'Refinerías y Despuntadoras',
+                'Centrales Eléctricas']
+        }
+    },
+
+    // Flujos por energético. El valor se lee de `parent` (por defecto, el padre
+    // del extremo que no es grupo) para cada hijo del `tipo` indicado.
+    flows: [
+        // --- Oferta primaria → energéticos primarios ---
+        { from: 'Importación', to: '@primarios', tipo: 'Energía Primaria', sign: 'positive', flowType: 'primary_supply' },
+        { from: 'Producción', to: '@primarios', tipo: 'Energía Primaria', sign: 'positive', flowType: 'primary_supply' },
+        { from: 'Variación de Inventarios', to: '@primarios', tipo: 'Energía Primaria', sign: 'bidirectional', flowType: 'inventory_change_primaria' },
+
+        // --- Energéticos primarios → destinos y transformación ---
+        { from: '@primarios', to: 'Exportación', tipo: 'Energía Primaria', sign: 'nonzero', flowType: 'primary_demand' },
+        { from: '@primarios', to: 'Consumo Propio del Sector', tipo: 'Energía Primaria', sign: 'nonzero', flowType: 'consumo_propio_primaria' },
+        { from: '@primarios', to: 'Pérdidas técnicas por transporte, transmisión y distribución', tipo: 'Energía Primaria', sign: 'nonzero', flowType: 'perdidas_tecnicas' },
+        { from: '@primarios', to: 'Energía No Aprovechada', tipo: 'Energía Primaria', sign: 'nonzero', flowType: 'primary_demand' },
+        { from: '@primarios', to: 'Coquizadoras y Hornos', tipo: 'Energía Primaria', sign: 'nonzero', flowType: 'primary_demand' },
+        { from: '@primarios', to: 'Plantas de Gas y Fraccionadoras', tipo: 'Energía Primaria', sign: 'nonzero', flowType: 'primary_demand' },
+        { from: '@primarios', to: 'Refinerías y Despuntadoras', tipo: 'Energía Primaria', sign: 'nonzero', flowType: 'primary_demand' },
+        { from: '@primarios', to: 'Centrales Eléctricas', tipo: 'Energía Primaria', sign: 'nonzero', flowType: 'primary_demand' },
+
+        // --- Transformación → Centrales Eléctricas ---
+        { from: 'Coquizadoras y Hornos', to: 'Centrales Eléctricas', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'secondary_supply' },
+        { from: 'Refinerías y Despuntadoras', to: 'Centrales Eléctricas', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'secondary_supply' },
+        { from: 'Plantas de Gas y Fraccionadoras', to: 'Centrales Eléctricas', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'secondary_supply' },
+
+        // --- Transformación → energéticos secundarios ---
+        { from: 'Coquizadoras y Hornos', to: '@secundarios', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'secondary_output' },
+        { from: 'Refinerías y Despuntadoras', to: '@secundarios', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'secondary_output' },
+        { from: 'Plantas de Gas y Fraccionadoras', to: '@secundarios', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'secondary_output' },
+        { from: 'Centrales Eléctricas', to: '@secundarios', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'secondary_output' },
+
+        // --- Oferta y destinos de energéticos secundarios ---
+        { from: 'Importación (Secundaria)', to: '@secundarios', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'import_secondary' },
+        { from: 'Variación de Inventarios ES', to: '@secundarios', tipo: 'Energía Secundaria', sign: 'bidirectional', flowType: 'inventory_change_secondary' },
+        { from: '@secundarios', to: 'Exportación (Secundaria)', tipo: 'Energía Secundaria', sign: 'negative', flowType: 'export_secondary' },
+        { from: '@secundarios', to: 'Pérdidas Técnicas (Sec)', tipo: 'Energía Secundaria', sign: 'nonzero', flowType: 'perdidas_tecnicas_secundarias' },
+        { from: '@secundarios', to: 'Consumo Propio (Secundaria)', tipo: 'Energía Secundaria', sign: 'negative', flowType: 'consumo_propio_secondary' },
+        { from: '@secundarios', to: 'Energía No Aprovechada (Secundaria)', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'unused_energy_secondary' },
+
+        // --- Energéticos → sectores de consumo final ---
+        { from: '@primarios', to: 'Industrial', tipo: 'Energía Primaria', sign: 'positive', flowType: 'to_industrial_primary' },
+        { from: '@secundarios', to: 'Industrial', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'to_industrial_secondary' },
+        { from: '@primarios', to: 'Transporte', tipo: 'Energía Primaria', sign: 'positive', flowType: 'to_transporte_primary' },
+        { from: '@secundarios', to: 'Transporte', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'to_transporte_secondary' },
+        { from: '@primarios', to: 'Agropecuario', tipo: 'Energía Primaria', sign: 'positive', flowType: 'to_agropecuario' },
+        { from: '@secundarios', to: 'Agropecuario', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'to_agropecuario_secondary' },
+        { from: '@primarios', to: 'Comercial', tipo: 'Energía Primaria', sign: 'positive', flowType: 'to_comercial_primary' },
+        { from: '@secundarios', to: 'Comercial', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'to_comercial_secondary' },
+        { from: '@primarios', to: 'Público', tipo: 'Energía Primaria', sign: 'positive', flowType: 'to_publico_primary' },
+        { from: '@secundarios', to: 'Público', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'to_publico_secondary' },
+        { from: '@primarios', to: 'Residencial', tipo: 'Energía Primaria', sign: 'positive', flowType: 'to_residencial_primary' },
+        { from: '@secundarios', to: 'Residencial', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'to_residencial_secondary' },
+        { from: '@primarios', to: 'Petroquímica Pemex', tipo: 'Energía Primaria', sign: 'positive', flowType: 'to_petroquimica_primary' },
+        { from: '@secundarios', to: 'Petroquímica Pemex', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'to_petroquimica_secondary' },
+        { from: '@primarios', to: 'Otras ramas económicas', tipo: 'Energía Primaria', sign: 'positive', flowType: 'to_otras_ramas_economicas_primary' },
+        { from: '@secundarios', to: 'Otras ramas económicas', tipo: 'Energía Secundaria', sign: 'positive', flowType: 'to_otras_ramas_economicas_secondary' }
+    ]
+};
+
+// Exportar la especificación para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FLOW_SPEC;
+}
@@ -0,0 +1,175 @@
+/**
+ * FlowTableExporter - Módulo de exportación tabular de los nodos y flujos dibujados
+ *
+ * Este módulo convierte el modelo de SankeyBuilder que se muestra en el
+ * diagrama (año, energético, filtros y agrupación activos) en tablas de nodos
+ * y flujos con los valores reales en PJ y en la unidad activa, y las serializa
+ * a CSV, JSON o XLSX.
+ *
+ * Funcionalidades principales:
+ * - Una fila por nodo y por enlace: origen, destino, energético, tipo de flujo y color
+ * - Valor real en PJ (no el valor escalado que recibe Plotly) y en la unidad de UnitConverter
+ * - Columnas adicionales de la vista de diferencias, emisiones y flujos agrupados
+ * - Metadatos de la vista (año, unidad, energético, filtros, conjunto de datos)
+ * - CSV, JSON y libro XLSX con hojas Nodos, Flujos y Metadatos (requiere SheetJS)
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class FlowTableExporter {
+    /**
+     * Constructor del FlowTableExporter
+     * @param {Object} options - Opciones de configuración
+     * @param {UnitConverter} options.unitConverter - Conversión a la unidad activa (opcional)
+     * @param {SankeyBuilder} options.builder - Para indicar la columna de cada nodo (opcional)
+     */
+    constructor(options = {}) {
+        this.unitConverter = options.unitConverter || null;
+        this.builder = options.builder || null;
+    }
+
+    /**
+     * Construye las tablas de nodos y flujos de un modelo
+     * @param {Object} model - Modelo de SankeyBuilder.build() o buildDifference()
+     * @param {Object} metadata - Datos de la vista que se agregan a los metadatos
+     *   (p. ej. { conjunto_de_datos, filtros })
+     * @returns {Object} { metadata, nodes: [filas], links: [filas], nodeColumns, linkColumns }
+     */
+    getTables(model, metadata = {}) {
+        const unit = this.unitConverter ? this.unitConverter.getUnit() : 'PJ';
+        const convert = value => (this.unitConverter ? this.unitConverter.convert(value, model.year) : value);
+        const isDifference = model.yearFrom !== undefined;
+
+        const nodes = model.nodes.map((node, index) => {
+            const valuePJ = isDifference ? node.delta : node.value;
+            return {
+                indice: index,
+                id: node.id,
+                nombre: node.name,
+                columna: this.builder ? this.builder.getNodeColumn(node) || '' : '',
+                valor: this.round(convert(valuePJ)),
+                unidad: unit,
+                valor_pj: this.round(valuePJ),
+                valor_inicial_pj: isDifference ? this.round(node.valueFrom) : undefined,
+                valor_final_pj: isDifference ? this.round(node.valueTo) : undefined,
+                emisiones_tco2: node.emissions ? this.round(node.emissions) : undefined,
+                color: node.color
+            };
+        });
+
+        const links = model.links.map((link) => {
+            const valuePJ = isDifference ? link.delta : link.value;
+            return {
+                indice: link.index,
+                origen: link.sourceName,
+                destino: link.targetName,
+                energetico: link.energetic,
+                tipo_flujo: link.flowType || '',
+                tipo_energia: link.tipo || '',
+                nodo_padre: link.parent || '',
+                valor: this.round(convert(valuePJ)),
+                unidad: unit,
+                valor_pj: this.round(valuePJ),
+                valor_inicial_pj: isDifference ? this.round(link.valueFrom) : undefined,
+                valor_final_pj: isDifference ? this.round(link.valueTo) : undefined,
+                emisiones_tco2: link.emissions ? this.round(link.emissions) : undefined,
+                energeticos_agrupados: link.aggregated ? link.members.map(member => member.energetic).join('; ') : undefined,
+                color: link.color,
+                color_base: link.baseColor
+            };
+        });
+
+        return {
+            metadata: {
+                'año': model.year,
+                'año_inicial': isDifference ? model.yearFrom : undefined,
+                unidad: unit,
+                energetico: model.energetic || '',
+                nodos: nodes.length,
+                flujos: links.length,
+                ...metadata
+            },
+            nodes: nodes,
+            links: links,
+            nodeColumns: this.getColumns(nodes),
+            linkColumns: this.getColumns(links)
+        };
+    }
+
+    /**
+     * Convierte una tabla en CSV
+     * @param {Array} rows - Filas de getTables() (nodes o links)
+     * @param {Array} columns - Columnas en orden (nodeColumns o linkColumns)
+     * @returns {string} CSV con encabezados
+     */
+    toCsv(rows, columns) {
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            columns.join(','),
+            ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * Convierte las tablas en JSON
+     * @param {Object} tables - Resultado de getTables()
+     * @returns {string} JSON { metadatos, nodos, flujos }
+     */
+    toJson(tables) {
+        return JSON.stringify({
+            metadatos: tables.metadata,
+            nodos: tables.nodes,
+            flujos: tables.links
+        }, null, 2);
+    }
+
+    /**
+     * Crea un libro XLSX con las hojas Flujos, Nodos y Metadatos
+     * @param {Object} tables - Resultado de getTables()
+     * @returns {Object} Libro de SheetJS (se descarga con XLSX.writeFile)
+     */
+    toWorkbook(tables) {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('La biblioteca XLSX no está cargada');
+        }
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(tables.links, { header: tables.linkColumns }), 'Flujos');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(tables.nodes, { header: tables.nodeColumns }), 'Nodos');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+            ['campo', 'valor'],
+            ...Object.entries(tables.metadata)
+                .filter(([, value]) => value !== undefined)
+                .map(([key, value]) => [key, Array.isArray(value) ? value.join('; ') : value])
+        ]), 'Metadatos');
+        return workbook;
+    }
+
+    /**
+     * Columnas de una tabla: se omiten las opcionales que no tiene ninguna fila
+     * @private
+     */
+    getColumns(rows) {
+        if (rows.length === 0) return [];
+        return Object.keys(rows[0]).filter(column => rows.some(row => row[column] !== undefined));
+    }
+
+    /**
+     * Redondea a 6 decimales (mismo criterio que el CSV de revisiones)
+     * @private
+     */
+    round(value) {
+        return Number.isFinite(value) ? Number(value.toFixed(6)) : value;
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlowTableExporter;
+}
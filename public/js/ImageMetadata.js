@@ -0,0 +1,415 @@
+/**
+ * ImageMetadata - Módulo de metadatos de procedencia de las imágenes exportadas
+ *
+ * Este módulo escribe y lee los datos con los que se generó una imagen del
+ * diagrama: conjunto de datos, año, unidad, escala de enlaces, filtros activos,
+ * fecha de exportación y una suma de verificación de los datos. Así una figura
+ * que circula fuera de la aplicación conserva la revisión de la que proviene.
+ *
+ * Funcionalidades principales:
+ * - Suma de verificación SHA-256 del conjunto de datos (CRC-32 si no hay Web Crypto)
+ * - PNG: fragmentos de texto iTXt (UTF-8) antes de IEND, incluido el JSON completo
+ * - SVG: elemento <metadata> y pie de página visible opcional
+ * - Lectura de los metadatos de un PNG o SVG exportado
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class ImageMetadata {
+    /**
+     * Constructor del ImageMetadata
+     */
+    constructor() {
+        // Sumas de verificación por conjunto de datos y algoritmo (se calculan una sola vez)
+        this.checksums = new WeakMap();
+    }
+
+    /**
+     * Crea los metadatos de una imagen
+     * @param {Object} fields - Datos de la vista, p. ej. { conjunto_de_datos, año, unidad,
+     *   escala_enlaces, energetico, filtros }
+     * @param {Object} data - Conjunto de datos del que proviene la imagen (para la suma de verificación)
+     * @returns {Promise<Object>} Metadatos con la fecha de exportación y la suma de verificación
+     */
+    async create(fields, data) {
+        return {
+            aplicacion: ImageMetadata.APPLICATION,
+            ...fields,
+            exportado: new Date().toISOString(),
+            suma_verificacion: data ? await this.getChecksum(data) : undefined
+        };
+    }
+
+    /**
+     * Suma de verificación de un conjunto de datos
+     * @param {Object} data - Conjunto de datos
+     * @param {string} algorithm - 'sha256' o 'crc32' (por defecto sha256 si hay Web Crypto,
+     *   que solo existe en contextos seguros: https o localhost)
+     * @returns {Promise<string|null>} 'sha256:<hex>' o 'crc32:<hex>'; null si el algoritmo no está disponible
+     */
+    async getChecksum(data, algorithm = null) {
+        const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+        const name = algorithm || (subtle ? 'sha256' : 'crc32');
+        if (name === 'sha256' && !subtle) return null;
+
+        if (!this.checksums.has(data)) {
+            this.checksums.set(data, new Map());
+        }
+        const cache = this.checksums.get(data);
+        if (!cache.has(name)) {
+            const bytes = new TextEncoder().encode(JSON.stringify(data));
+            cache.set(name, name === 'sha256'
+                ? `sha256:${this.toHex(new Uint8Array(await subtle.digest('SHA-256', bytes)))}`
+                : `crc32:${this.crc32(bytes).toString(16).padStart(8, '0')}`);
+        }
+        return cache.get(name);
+    }
+
+    /**
+     * Compara la suma de verificación de una imagen con un conjunto de datos
+     * @param {Object} metadata - Metadatos leídos de la imagen
+     * @param {Object} data - Conjunto de datos cargado
+     * @returns {Promise<boolean|null>} true si coinciden; null si no se puede comparar
+     */
+    async verify(metadata, data) {
+        const [algorithm] = String(metadata.suma_verificacion || '').split(':');
+        if (algorithm !== 'sha256' && algorithm !== 'crc32') return null;
+        const checksum = await this.getChecksum(data, algorithm);
+        return checksum === null ? null : checksum === metadata.suma_verificacion;
+    }
+
+    /**
+     * Filas legibles de los metadatos, para el pie de página y el diálogo de inspección
+     * @param {Object} metadata - Metadatos de create()
+     * @returns {Array} Lista de { label, value }
+     */
+    describe(metadata) {
+        return this.getRows(metadata).map(({ label, value }) => ({ label, value }));
+    }
+
+    /**
+     * Texto de una línea con los metadatos principales
+     * @param {Object} metadata - Metadatos de create()
+     * @returns {string} P. ej. "Datos: Nacional · Año: 2024 · Unidad: PJ · ..."
+     */
+    summarize(metadata) {
+        return this.getRows(metadata)
+            .filter(row => row.key !== 'aplicacion')
+            // La suma de verificación abreviada basta para distinguir revisiones a simple vista
+            .map(row => `${row.label}: ${row.key === 'suma_verificacion' ? row.value.slice(0, 19) : row.value}`)
+            .join(' · ');
+    }
+
+    /**
+     * Campos con valor de los metadatos, en el orden de FIELDS
+     * @returns {Array} Lista de { key, label, value }
+     * @private
+     */
+    getRows(metadata) {
+        const isEmpty = value => value === undefined || value === null || value === ''
+            || (Array.isArray(value) && value.length === 0);
+
+        return Object.entries(ImageMetadata.FIELDS)
+            .filter(([key]) => !isEmpty(metadata[key]))
+            .map(([key, label]) => {
+                let value = Array.isArray(metadata[key]) ? metadata[key].join('; ') : String(metadata[key]);
+                if (key === 'exportado' && !Number.isNaN(Date.parse(value))) {
+                    value = new Date(value).toLocaleString('es-MX');
+                }
+                return { key, label, value };
+            });
+    }
+
+    /**
+     * Agrega los metadatos a un PNG
+     * @param {string} dataURL - PNG como data URL
+     * @param {Object} metadata - Metadatos de create()
+     * @returns {string} Data URL del PNG con los fragmentos de texto
+     */
+    addToPNG(dataURL, metadata) {
+        const bytes = this.base64ToBytes(dataURL.substring(dataURL.indexOf(',') + 1));
+        return `data:image/png;base64,${this.bytesToBase64(this.addToPNGBytes(bytes, metadata))}`;
+    }
+
+    /**
+     * Inserta los fragmentos iTXt antes del fragmento IEND
+     * @param {Uint8Array} bytes - Archivo PNG
+     * @param {Object} metadata - Metadatos de create()
+     * @returns {Uint8Array} Archivo PNG con los metadatos
+     */
+    addToPNGBytes(bytes, metadata) {
+        const end = this.findPNGChunk(bytes, 'IEND');
+        if (end < 0) {
+            throw new Error('El archivo no es un PNG válido');
+        }
+
+        const chunks = [
+            ['Software', ImageMetadata.APPLICATION],
+            ['Creation Time', metadata.exportado],
+            ['Description', this.summarize(metadata)],
+            [ImageMetadata.KEYWORD, JSON.stringify(metadata)]
+        ].map(([keyword, text]) => this.createTextChunk(keyword, text));
+
+        const size = chunks.reduce((total, chunk) => total + chunk.length, bytes.length);
+        const result = new Uint8Array(size);
+        result.set(bytes.subarray(0, end), 0);
+        let offset = end;
+        chunks.forEach((chunk) => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+        result.set(bytes.subarray(end), offset);
+        return result;
+    }
+
+    /**
+     * Agrega los metadatos a un SVG
+     * @param {string} svgContent - Contenido SVG
+     * @param {Object} metadata - Metadatos de create()
+     * @param {Object} options - Opciones
+     * @param {boolean} options.caption - Agregar el pie de página visible
+     * @param {number} options.height - Alto del SVG, para ubicar el pie de página
+     * @returns {string} Contenido SVG con los metadatos
+     */
+    addToSVG(svgContent, metadata, options = {}) {
+        const open = svgContent.match(/<svg\b[^>]*>/);
+        if (!open) {
+            throw new Error('El archivo no es un SVG válido');
+        }
+
+        const element = `<metadata id="${ImageMetadata.KEYWORD}">${this.escapeXml(JSON.stringify(metadata))}</metadata>`;
+        const insertAt = open.index + open[0].length;
+        let result = svgContent.slice(0, insertAt) + element + svgContent.slice(insertAt);
+
+        if (options.caption) {
+            const height = options.height || parseFloat((open[0].match(/\sheight="([\d.]+)/) || [])[1]) || 0;
+            const caption = `<text class="${ImageMetadata.KEYWORD}-pie" x="10" y="${height - 8}" `
+                + `font-family="Arial, sans-serif" font-size="11" fill="#6c757d">${this.escapeXml(this.summarize(metadata))}</text>`;
+            const close = result.lastIndexOf('</svg>');
+            result = result.slice(0, close) + caption + result.slice(close);
+        }
+        return result;
+    }
+
+    /**
+     * Lee los metadatos de un archivo exportado
+     * @param {Uint8Array|ArrayBuffer} buffer - Contenido del archivo PNG o SVG
+     * @returns {Object|null} Metadatos, o null si el archivo no los tiene
+     */
+    read(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        if (ImageMetadata.PNG_SIGNATURE.every((value, index) => bytes[index] === value)) {
+            return this.readFromPNG(bytes);
+        }
+
+        const text = new TextDecoder().decode(bytes);
+        if (/<svg\b/.test(text)) {
+            return this.readFromSVG(text);
+        }
+        throw new Error('El archivo no es un PNG ni un SVG');
+    }
+
+    /**
+     * Lee los metadatos de los fragmentos iTXt o tEXt de un PNG
+     * @param {Uint8Array} bytes - Archivo PNG
+     * @returns {Object|null} Metadatos o null
+     */
+    readFromPNG(bytes) {
+        const text = this.readPNGText(bytes)[ImageMetadata.KEYWORD];
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Lee los metadatos del elemento <metadata> de un SVG
+     * @param {string} svgContent - Contenido SVG
+     * @returns {Object|null} Metadatos o null
+     */
+    readFromSVG(svgContent) {
+        const match = svgContent.match(new RegExp(`<metadata id="${ImageMetadata.KEYWORD}"[^>]*>([\\s\\S]*?)</metadata>`));
+        return match ? JSON.parse(this.unescapeXml(match[1])) : null;
+    }
+
+    /**
+     * Textos de un PNG por palabra clave (fragmentos tEXt e iTXt sin comprimir)
+     * @param {Uint8Array} bytes - Archivo PNG
+     * @returns {Object} { palabra clave: texto }
+     */
+    readPNGText(bytes) {
+        const texts = {};
+        const latin1 = new TextDecoder('latin1');
+        const utf8 = new TextDecoder();
+
+        this.forEachPNGChunk(bytes, (type, data) => {
+            if (type !== 'tEXt' && type !== 'iTXt') return;
+            const keywordEnd = data.indexOf(0);
+            const keyword = latin1.decode(data.subarray(0, keywordEnd));
+
+            if (type === 'tEXt') {
+                texts[keyword] = latin1.decode(data.subarray(keywordEnd + 1));
+                return;
+            }
+            // iTXt: compresión, método, idioma\0, palabra clave traducida\0, texto
+            if (data[keywordEnd + 1] !== 0) return;
+            const languageEnd = data.indexOf(0, keywordEnd + 3);
+            const translatedEnd = data.indexOf(0, languageEnd + 1);
+            texts[keyword] = utf8.decode(data.subarray(translatedEnd + 1));
+        });
+        return texts;
+    }
+
+    /**
+     * Recorre los fragmentos de un PNG
+     * @param {Uint8Array} bytes - Archivo PNG
+     * @param {Function} callback - (type, data, offset) => void
+     * @private
+     */
+    forEachPNGChunk(bytes, callback) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = ImageMetadata.PNG_SIGNATURE.length;
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            callback(type, bytes.subarray(offset + 8, offset + 8 + length), offset);
+            if (type === 'IEND') break;
+            offset += length + 12;
+        }
+    }
+
+    /**
+     * Posición de un fragmento del PNG
+     * @returns {number} Desplazamiento del fragmento o -1
+     * @private
+     */
+    findPNGChunk(bytes, chunkType) {
+        let found = -1;
+        this.forEachPNGChunk(bytes, (type, data, offset) => {
+            if (type === chunkType && found < 0) found = offset;
+        });
+        return found;
+    }
+
+    /**
+     * Crea un fragmento iTXt sin comprimir
+     * @private
+     */
+    createTextChunk(keyword, text) {
+        const encoder = new TextEncoder();
+        const data = new Uint8Array([
+            ...encoder.encode(keyword), 0,
+            0, 0, // sin compresión
+            0, // sin idioma
+            0, // sin palabra clave traducida
+            ...encoder.encode(text)
+        ]);
+        const chunk = new Uint8Array(data.length + 12);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        chunk.set(encoder.encode('iTXt'), 4);
+        chunk.set(data, 8);
+        view.setUint32(data.length + 8, this.crc32(chunk.subarray(4, data.length + 8)));
+        return chunk;
+    }
+
+    /**
+     * CRC-32 (el de los fragmentos PNG)
+     * @private
+     */
+    crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ImageMetadata.CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * @private
+     */
+    toHex(bytes) {
+        return Array.from(bytes, value => value.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @private
+     */
+    base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * @private
+     */
+    bytesToBase64(bytes) {
+        let binary = '';
+        // Por bloques para no exceder el número de argumentos de fromCharCode
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * @private
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * @private
+     */
+    unescapeXml(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&amp;/g, '&');
+    }
+}
+
+// Nombre de la aplicación en los metadatos
+ImageMetadata.APPLICATION = 'BNESENER Sankey';
+
+// Palabra clave del fragmento PNG e id del elemento <metadata> SVG
+ImageMetadata.KEYWORD = 'bnesener-procedencia';
+
+// Firma de los archivos PNG
+ImageMetadata.PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Tabla del CRC-32 (polinomio 0xEDB88320)
+ImageMetadata.CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+// Campos de los metadatos y su etiqueta, en el orden en que se muestran
+ImageMetadata.FIELDS = {
+    conjunto_de_datos: 'Datos',
+    'año_inicial': 'Año inicial',
+    'año': 'Año',
+    unidad: 'Unidad',
+    escala_enlaces: 'Escala de enlaces',
+    energetico: 'Energético',
+    filtros: 'Filtros',
+    exportado: 'Exportado',
+    suma_verificacion: 'Suma de verificación',
+    aplicacion: 'Aplicación'
+};
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageMetadata;
+}
@@ -0,0 +1,198 @@
+/**
+ * IndicatorCalculator - Módulo de indicadores principales del balance
+ *
+ * Este módulo calcula por año los indicadores de cabecera del Balance Nacional
+ * de Energía a partir del DataManager (independencia energética, dependencia
+ * de importaciones, participación renovable, eficiencias y pérdidas) y sus
+ * series anuales para graficarlas como líneas de tendencia.
+ *
+ * Funcionalidades principales:
+ * - Indicadores de un año con su valor, unidad y definición
+ * - Series de todos los años disponibles en orden cronológico
+ * - Participación de cada sector en el consumo final energético
+ * - Energéticos renovables configurables
+ *
+ * Definiciones (consumo nacional = oferta interna bruta de todos los energéticos):
+ * - Independencia energética = producción / consumo nacional
+ * - Dependencia de importaciones = (importación − exportación) / consumo nacional
+ * - Participación renovable = oferta interna bruta renovable / oferta interna bruta primaria
+ * - Eficiencia de un centro = salidas / entradas del centro de transformación
+ * - Pérdidas = pérdidas técnicas y no técnicas / consumo nacional
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class IndicatorCalculator {
+    /**
+     * Constructor del IndicatorCalculator
+     * @param {Object} options - Opciones de configuración
+     * @param {DataManager} options.dataManager - Fuente de los datos del balance
+     * @param {Array} options.renewables - Energéticos primarios renovables
+     * @param {Array} options.sectors - Sectores del consumo final energético
+     */
+    constructor(options = {}) {
+        if (!options.dataManager) {
+            throw new Error('IndicatorCalculator requiere un dataManager');
+        }
+
+        this.dataManager = options.dataManager;
+        this.renewables = new Set(options.renewables || IndicatorCalculator.DEFAULT_RENEWABLES);
+        this.sectors = options.sectors || IndicatorCalculator.DEFAULT_SECTORS;
+    }
+
+    /**
+     * Calcula los indicadores de un año
+     * @param {string} year - Año a calcular
+     * @returns {Array} Indicadores { id, label, group, unit, description, value } (value null si no aplica)
+     */
+    calculateYear(year) {
+        const yearData = this.dataManager.getYearData(year);
+        const sum = (parent, predicate = () => true) => {
+            let total = 0;
+            (yearData.get(parent) || new Map()).forEach((value, carrier) => {
+                if (predicate(carrier, value)) total += value;
+            });
+            return total;
+        };
+        const ratio = (numerator, denominator) => (denominator ? numerator / denominator : null);
+        const supplyDefinition = this.dataManager.getNodeDefinition('Oferta Interna Bruta');
+        const isPrimary = (carrier) => {
+            const child = supplyDefinition && supplyDefinition.children.get(carrier);
+            return Boolean(child && child.type === 'Energía Primaria');
+        };
+
+        const nationalConsumption = sum('Oferta Interna Bruta');
+        const primarySupply = sum('Oferta Interna Bruta', isPrimary);
+        const renewableSupply = sum('Oferta Interna Bruta', carrier => this.renewables.has(carrier));
+        const losses = -(sum('Pérdidas técnicas por transporte, transmisión y distribución')
+            + sum('Pérdidas no técnicas por energético'));
+        const finalEnergy = this.sectors.reduce((total, sector) => total + sum(sector), 0);
+
+        const indicators = [
+            {
+                id: 'independencia',
+                label: 'Independencia energética',
+                group: 'Oferta',
+                unit: 'índice',
+                description: 'Producción / consumo nacional (mayor a 1: se produce más de lo que se consume)',
+                value: ratio(sum('Producción'), nationalConsumption)
+            },
+            {
+                id: 'dependencia-importaciones',
+                label: 'Dependencia de importaciones',
+                group: 'Oferta',
+                unit: '%',
+                description: 'Importaciones netas de exportaciones / consumo nacional',
+                value: ratio(sum('Importación') + sum('Exportación'), nationalConsumption)
+            },
+            {
+                id: 'participacion-renovable',
+                label: 'Participación renovable',
+                group: 'Oferta',
+                unit: '%',
+                description: 'Oferta interna bruta de energéticos renovables / oferta interna bruta primaria',
+                value: ratio(renewableSupply, primarySupply)
+            },
+            {
+                id: 'eficiencia-centrales',
+                label: 'Eficiencia de centrales eléctricas',
+                group: 'Transformación',
+                unit: '%',
+                description: 'Electricidad generada / combustibles y energía primaria consumidos',
+                value: this.getEfficiency(yearData, 'Centrales Eléctricas')
+            },
+            {
+                id: 'eficiencia-refinerias',
+                label: 'Eficiencia de refinerías',
+                group: 'Transformación',
+                unit: '%',
+                description: 'Petrolíferos producidos / crudo y condensados procesados',
+                value: this.getEfficiency(yearData, 'Refinerías y Despuntadoras')
+            },
+            {
+                id: 'perdidas',
+                label: 'Pérdidas de transporte y distribución',
+                group: 'Transformación',
+                unit: '%',
+                description: 'Pérdidas técnicas y no técnicas / consumo nacional',
+                value: ratio(losses, nationalConsumption)
+            },
+            ...this.sectors.map(sector => ({
+                id: `sector-${sector}`,
+                label: sector,
+                group: 'Consumo final energético',
+                unit: '%',
+                description: `Participación de ${sector} en el consumo final energético`,
+                value: ratio(sum(sector), finalEnergy)
+            }))
+        ];
+
+        return indicators;
+    }
+
+    /**
+     * Calcula las series anuales de todos los indicadores
+     * @param {Array} years - Años a incluir (por defecto los disponibles)
+     * @returns {Array} Indicadores con points: [{ year, value }] en orden cronológico
+     */
+    calculateSeries(years = this.dataManager.getAvailableYears()) {
+        const sortedYears = [...years].sort();
+        const byYear = sortedYears.map(year => this.calculateYear(year));
+        if (byYear.length === 0) return [];
+
+        return byYear[0].map((indicator, index) => ({
+            id: indicator.id,
+            label: indicator.label,
+            group: indicator.group,
+            unit: indicator.unit,
+            description: indicator.description,
+            points: sortedYears.map((year, yearIndex) => ({ year, value: byYear[yearIndex][index].value }))
+        }));
+    }
+
+    /**
+     * Eficiencia de un centro de transformación: salidas / entradas
+     * @private
+     */
+    getEfficiency(yearData, center) {
+        let inputs = 0;
+        let outputs = 0;
+        (yearData.get(center) || new Map()).forEach((value) => {
+            if (value < 0) inputs -= value;
+            else outputs += value;
+        });
+        return inputs > 0 ? outputs / inputs : null;
+    }
+
+    /**
+     * Formatea el valor de un indicador
+     * @param {Object} indicator - Indicador con unit
+     * @param {number|null} value - Valor a formatear
+     * @returns {string} Texto, p. ej. "43.2%" o "0.82"
+     */
+    format(indicator, value) {
+        if (value === null || value === undefined) return '—';
+        return indicator.unit === '%'
+            ? `${(value * 100).toLocaleString('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 })}%`
+            : value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+}
+
+/**
+ * Energéticos primarios renovables, por nombre canónico (DataManager agrupa las grafías)
+ */
+IndicatorCalculator.DEFAULT_RENEWABLES = [
+    'Energía Hidráulica', 'Geoenergía', 'Energía solar', 'Energía eólica',
+    'Bagazo de caña', 'Leña', 'Biogás'
+];
+
+/**
+ * Sectores del consumo final energético
+ */
+IndicatorCalculator.DEFAULT_SECTORS = ['Transporte', 'Industrial', 'Residencial', 'Comercial', 'Agropecuario', 'Público'];
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndicatorCalculator;
+}
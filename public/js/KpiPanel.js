@@ -0,0 +1,174 @@
+/**
+ * KpiPanel - Módulo del panel de indicadores junto al diagrama
+ *
+ * Este módulo muestra los indicadores de IndicatorCalculator como tarjetas con
+ * el valor del año seleccionado, el cambio respecto al año anterior y una
+ * línea de tendencia (sparkline) de todos los años disponibles.
+ *
+ * Funcionalidades principales:
+ * - Tarjetas agrupadas (oferta, transformación, consumo final energético)
+ * - Sparkline SVG con el año seleccionado resaltado
+ * - Cambio respecto al año anterior en puntos porcentuales o en el índice
+ * - Series en caché; se recalculan al cargar otro conjunto de datos
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class KpiPanel {
+    /**
+     * Constructor del KpiPanel
+     * @param {HTMLElement} container - Contenedor donde se crean las tarjetas
+     * @param {Object} options - Opciones de configuración
+     * @param {IndicatorCalculator} options.calculator - Calculadora de indicadores
+     * @param {number} options.sparklineWidth - Ancho de la sparkline en px
+     * @param {number} options.sparklineHeight - Alto de la sparkline en px
+     */
+    constructor(container, options = {}) {
+        if (!container) {
+            throw new Error('KpiPanel requiere un contenedor');
+        }
+        if (!options.calculator) {
+            throw new Error('KpiPanel requiere un IndicatorCalculator');
+        }
+
+        this.container = container;
+        this.calculator = options.calculator;
+        this.sparklineWidth = options.sparklineWidth || 120;
+        this.sparklineHeight = options.sparklineHeight || 28;
+        this.series = null;
+        this.year = null;
+    }
+
+    /**
+     * Recalcula las series (por ejemplo, después de importar otro balance)
+     */
+    refresh() {
+        this.series = this.calculator.calculateSeries();
+        if (this.year !== null) {
+            this.render(this.year);
+        }
+    }
+
+    /**
+     * Muestra los indicadores de un año
+     * @param {string} year - Año seleccionado
+     */
+    render(year) {
+        if (!this.series) {
+            this.series = this.calculator.calculateSeries();
+        }
+        this.year = String(year);
+        this.container.innerHTML = '';
+        this.container.classList.add('kpi-panel-body');
+
+        const groups = new Map();
+        this.series.forEach((indicator) => {
+            if (!groups.has(indicator.group)) groups.set(indicator.group, []);
+            groups.get(indicator.group).push(indicator);
+        });
+
+        groups.forEach((indicators, title) => {
+            const section = document.createElement('section');
+            section.className = 'kpi-group';
+
+            const heading = document.createElement('h4');
+            heading.className = 'kpi-group-title';
+            heading.textContent = title;
+            section.appendChild(heading);
+
+            indicators.forEach(indicator => section.appendChild(this.createCard(indicator)));
+            this.container.appendChild(section);
+        });
+    }
+
+    /**
+     * Crea la tarjeta de un indicador
+     * @private
+     */
+    createCard(indicator) {
+        const index = indicator.points.findIndex(point => point.year === this.year);
+        const current = index >= 0 ? indicator.points[index].value : null;
+        const previous = index > 0 ? indicator.points[index - 1] : null;
+
+        const card = document.createElement('div');
+        card.className = 'kpi-card';
+        card.title = indicator.description;
+
+        const label = document.createElement('div');
+        label.className = 'kpi-label';
+        label.textContent = indicator.label;
+        card.appendChild(label);
+
+        const value = document.createElement('div');
+        value.className = 'kpi-value';
+        value.textContent = this.calculator.format(indicator, current);
+        card.appendChild(value);
+
+        if (previous && previous.value !== null && current !== null) {
+            const delta = current - previous.value;
+            const change = document.createElement('div');
+            change.className = 'kpi-change';
+            const amount = indicator.unit === '%'
+                ? `${(Math.abs(delta) * 100).toFixed(1)} pp`
+                : Math.abs(delta).toFixed(2);
+            change.textContent = `${delta > 0 ? '▲' : delta < 0 ? '▼' : '='} ${amount} vs ${previous.year}`;
+            card.appendChild(change);
+        }
+
+        card.appendChild(this.createSparkline(indicator, index));
+        return card;
+    }
+
+    /**
+     * Crea la sparkline SVG de una serie con el año seleccionado resaltado
+     * @param {Object} indicator - Indicador con points
+     * @param {number} selectedIndex - Índice del año seleccionado (-1 si no está)
+     * @returns {SVGElement} Elemento SVG
+     * @private
+     */
+    createSparkline(indicator, selectedIndex) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const width = this.sparklineWidth;
+        const height = this.sparklineHeight;
+        const pad = 3;
+        const points = indicator.points;
+        const values = points.map(point => point.value).filter(value => value !== null);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const x = index => pad + (points.length > 1 ? (index / (points.length - 1)) * (width - 2 * pad) : 0);
+        const y = value => height - pad - (max > min ? ((value - min) / (max - min)) * (height - 2 * pad) : (height - 2 * pad) / 2);
+
+        const svg = document.createElementNS(ns, 'svg');
+        svg.setAttribute('class', 'kpi-sparkline');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('role', 'img');
+        if (values.length === 0) return svg;
+        svg.setAttribute('aria-label', `${indicator.label}: ${points[0].year}–${points[points.length - 1].year}, ` +
+            `mínimo ${this.calculator.format(indicator, min)}, máximo ${this.calculator.format(indicator, max)}`);
+
+        const line = document.createElementNS(ns, 'polyline');
+        line.setAttribute('points', points
+            .map((point, index) => (point.value === null ? null : `${x(index).toFixed(1)},${y(point.value).toFixed(1)}`))
+            .filter(Boolean)
+            .join(' '));
+        svg.appendChild(line);
+
+        if (selectedIndex >= 0 && points[selectedIndex].value !== null) {
+            const marker = document.createElementNS(ns, 'circle');
+            marker.setAttribute('cx', x(selectedIndex).toFixed(1));
+            marker.setAttribute('cy', y(points[selectedIndex].value).toFixed(1));
+            marker.setAttribute('r', 2.5);
+            svg.appendChild(marker);
+        }
+
+        return svg;
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KpiPanel;
+}
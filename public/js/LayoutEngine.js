@@ -19,8 +19,10 @@ class LayoutEngine {
     /**
      * Constructor del LayoutEngine
      * @param {Object} options - Opciones de configuración
+     * @param {NameRegistry} options.nameRegistry - Registro de nombres para asignar columnas a alias y otras grafías (opcional)
      */
     constructor(options = {}) {
+        this.nameRegistry = options.nameRegistry || null;
         this.canvasWidth = options.canvasWidth || 1.0;
         this.canvasHeight = options.canvasHeight || 1.0;
         this.minNodeSpacing = options.minNodeSpacing || 0.02; // Reduced spacing for better distribution
@@ -85,7 +87,7 @@ class LayoutEngine {
             width: 0.15,
             nodes: [
                 'Carbón mineral', 'Petróleo crudo', 'Condensados', 'Gas natural',
-                'Energía Nuclear', 'Energia Hidraúlica', 'Energía Hidráulica',
+                'Energía Nuclear', 'Energía Hidráulica',
                 'Geoenergía', 'Energía solar', 'Energía eólica', 'Bagazo de caña',
                 'Leña', 'Biogás'
             ],
@@ -285,19 +287,15 @@ class LayoutEngine {
         const assignedNodes = new Set();
 
         // Asignar nodos a columnas definidas
-        for (const [columnName, columnConfig] of this.columnDefinitions.entries()) {
-            const columnNodes = [];
-
-            for (const nodeName of nodeNames) {
-                if (columnConfig.nodes.includes(nodeName)) {
-                    columnNodes.push(nodeName);
-                    assignedNodes.add(nodeName);
-                }
-            }
+        for (const nodeName of nodeNames) {
+            const columnName = this.findColumnForNode(nodeName);
+            if (columnName === null) continue;
 
-            if (columnNodes.length > 0) {
-                nodesByColumn.set(columnName, columnNodes);
+            if (!nodesByColumn.has(columnName)) {
+                nodesByColumn.set(columnName, []);
             }
+            nodesByColumn.get(columnName).push(nodeName);
+            assignedNodes.add(nodeName);
         }
 
         // Crear columna para nodos no asignados
@@ -309,6 +307,25 @@ class LayoutEngine {
         return nodesByColumn;
     }
 
+    /**
+     * Busca la columna de un nodo: primero por nombre exacto y, si no aparece en
+     * ninguna, por su nombre canónico en el NameRegistry
+     * @param {string} nodeName - Nombre del nodo
+     * @returns {string|null} Nombre de la columna o null si no está asignado
+     */
+    findColumnForNode(nodeName) {
+        for (const [columnName, columnConfig] of this.columnDefinitions.entries()) {
+            if (columnConfig.nodes.includes(nodeName)) return columnName;
+        }
+
+        if (this.nameRegistry) {
+            for (const [columnName, columnConfig] of this.columnDefinitions.entries()) {
+                if (this.nameRegistry.includes(columnConfig.nodes, nodeName)) return columnName;
+            }
+        }
+        return null;
+    }
+
     /**
      * Calcula posiciones para nodos en una columna específica
      * @param {Array} nodes - Nodos de la columna
@@ -19,12 +19,14 @@ class LinkManager {
     /**
      * Constructor del LinkManager
      * @param {Object} options - Opciones de configuración
+     * @param {NameRegistry} options.nameRegistry - Registro de nombres para comparar nodos por su nombre canónico (opcional)
      */
     constructor(options = {}) {
         this.dataManager = options.dataManager || null;
         this.styleManager = options.styleManager || null;
         this.nodeFactory = options.nodeFactory || null;
         this.popupManager = options.popupManager || null;
+        this.nameRegistry = options.nameRegistry || null;
 
         // Mapas de conexiones por tipo
         this.connectionMaps = new Map();
@@ -482,7 +484,7 @@ class LinkManager {
                             // EXCLUIR ENERGÍAS PRIMARIAS DIRECTAS DE ESTE PROCESAMIENTO
                             const directPrimaryEnergies = ['Energía Nuclear', 'Geoenergía', 'Energía solar', 'Energía eólica', 'Energía Hidráulica'];
 
-                            if (directPrimaryEnergies.includes(child['Nodo Hijo'])) {
+                            if (this.includesNode(directPrimaryEnergies, child['Nodo Hijo'])) {
                                 shouldProcessEnergetic = false; // Estas energías se manejan con primary-to-centrales
                             } else if (targetNode === 'Carboeléctrica' || targetNode === 'Térmica Convencional' || targetNode === 'Turbogás' || targetNode === 'Ciclo Combinado') {
                                 shouldProcessEnergetic = (flowValue !== undefined && flowValue < 0 &&
@@ -741,7 +743,7 @@ class LinkManager {
      */
     getConnectionsForNodes(nodeNames, options = {}) {
         const connections = [];
-        const availableNodes = new Set(nodeNames);
+        const availableNodes = new Set(nodeNames.map(name => this.getNodeKey(name)));
         const mapTypes = options.mapTypes || Array.from(this.connectionMaps.keys());
 
         for (const mapType of mapTypes) {
@@ -749,9 +751,9 @@ class LinkManager {
             if (!connectionMap) continue;
 
             for (const [source, targets] of connectionMap.entries()) {
-                if (availableNodes.has(source)) {
+                if (availableNodes.has(this.getNodeKey(source))) {
                     for (const target of targets) {
-                        if (availableNodes.has(target)) {
+                        if (availableNodes.has(this.getNodeKey(target))) {
                             connections.push({
                                 source: source,
                                 target: target,
@@ -795,9 +797,9 @@ class LinkManager {
 
         // Verificar en todos los mapas de conexiones
         for (const [mapType, connectionMap] of this.connectionMaps.entries()) {
-            if (connectionMap.has(sourceNode)) {
-                const targets = connectionMap.get(sourceNode);
-                if (targets.includes(targetNode)) {
+            const targets = this.getMapTargets(connectionMap, sourceNode);
+            if (targets) {
+                if (this.includesNode(targets, targetNode)) {
                     validation.valid = true;
                     validation.type = mapType;
                     validation.confidence = 1.0;
@@ -999,8 +1001,8 @@ class LinkManager {
         // Buscar conexiones de salida (nodo como fuente)
         if (direction === 'outputs' || direction === 'both') {
             for (const [mapType, connectionMap] of this.connectionMaps.entries()) {
-                if (connectionMap.has(nodeName)) {
-                    const targets = connectionMap.get(nodeName);
+                const targets = this.getMapTargets(connectionMap, nodeName);
+                if (targets) {
                     for (const target of targets) {
                         connections.outputs.push({
                             target: target,
@@ -1016,7 +1018,7 @@ class LinkManager {
         if (direction === 'inputs' || direction === 'both') {
             for (const [mapType, connectionMap] of this.connectionMaps.entries()) {
                 for (const [source, targets] of connectionMap.entries()) {
-                    if (targets.includes(nodeName)) {
+                    if (this.includesNode(targets, nodeName)) {
                         connections.inputs.push({
                             source: source,
                             type: mapType,
@@ -1030,6 +1032,43 @@ class LinkManager {
         return connections;
     }
 
+    /**
+     * Clave para comparar nombres de nodos: la canónica del NameRegistry, de modo
+     * que los alias y las grafías sin acentos coincidan con las claves de los mapas
+     * @param {string} nodeName - Nombre del nodo
+     * @returns {string} Clave de comparación
+     */
+    getNodeKey(nodeName) {
+        return this.nameRegistry ? this.nameRegistry.getKey(nodeName) : nodeName;
+    }
+
+    /**
+     * Indica si una lista de nodos contiene un nombre o una de sus variantes
+     * @param {Array} nodeNames - Lista de nombres
+     * @param {string} nodeName - Nombre buscado
+     * @returns {boolean}
+     */
+    includesNode(nodeNames, nodeName) {
+        return this.nameRegistry ? this.nameRegistry.includes(nodeNames, nodeName) : nodeNames.includes(nodeName);
+    }
+
+    /**
+     * Destinos de un nodo fuente en un mapa de conexiones, resolviendo variantes del nombre
+     * @param {Map} connectionMap - Mapa de conexiones (source -> [targets])
+     * @param {string} sourceNode - Nodo fuente
+     * @returns {Array|null} Destinos o null si el nodo no está en el mapa
+     */
+    getMapTargets(connectionMap, sourceNode) {
+        if (connectionMap.has(sourceNode)) return connectionMap.get(sourceNode);
+        if (!this.nameRegistry) return null;
+
+        const key = this.getNodeKey(sourceNode);
+        for (const [source, targets] of connectionMap.entries()) {
+            if (this.getNodeKey(source) === key) return targets;
+        }
+        return null;
+    }
+
     /**
      * Registra una nueva regla de conexión
      * @param {string} ruleName - Nombre de la regla
@@ -0,0 +1,298 @@
+/**
+ * LinkScaleManager - Módulo para el escalado del grosor de los enlaces del diagrama
+ *
+ * Este módulo convierte los valores reales en PJ de cada flujo en el valor que
+ * Plotly usa para dibujar el grosor del enlace, según el modo de escala elegido,
+ * y genera la leyenda que traduce un grosor visible a su valor en PJ.
+ *
+ * Funcionalidades principales:
+ * - Modos de escala lineal, raíz cuadrada, logarítmico y lineal con grosor mínimo
+ * - Calibración de píxeles por unidad a partir del diagrama renderizado
+ * - Leyenda de grosores con valores de referencia en PJ
+ * - Datos de leyenda reutilizables por ExportManager
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class LinkScaleManager {
+    /**
+     * Constructor del LinkScaleManager
+     * @param {Object} options - Opciones de configuración
+     * @param {string} options.mode - Modo inicial ('linear', 'sqrt', 'log', 'linear-min')
+     * @param {number} options.minLinkSize - Grosor mínimo añadido en el modo logarítmico
+     * @param {number} options.minVisibleFraction - Fracción del flujo mayor usada como grosor mínimo en 'linear-min'
+     * @param {string} options.unit - Unidad de los valores reales
+     * @param {UnitConverter} options.unitConverter - Unidad de la leyenda (opcional; los valores siguen en PJ)
+     */
+    constructor(options = {}) {
+        this.minLinkSize = options.minLinkSize ?? 0.25;
+        this.minVisibleFraction = options.minVisibleFraction ?? 0.005;
+        this.unit = options.unit || 'PJ';
+        this.unitConverter = options.unitConverter || null;
+
+        // Definición de los modos de escala disponibles
+        this.modes = new Map([
+            ['linear', {
+                label: 'Lineal',
+                description: 'El grosor es proporcional al valor',
+                scale: (value) => value
+            }],
+            ['sqrt', {
+                label: 'Raíz cuadrada',
+                description: 'El grosor es proporcional a la raíz cuadrada del valor',
+                scale: (value) => Math.sqrt(value)
+            }],
+            ['log', {
+                label: 'Logarítmica',
+                description: 'El grosor crece con el logaritmo del valor; las diferencias grandes se comprimen',
+                scale: (value) => Math.log10(value + 1) + this.minLinkSize
+            }],
+            ['linear-min', {
+                label: 'Lineal con mínimo visible',
+                description: 'Proporcional al valor, con un grosor mínimo para los flujos pequeños',
+                scale: (value, context) => Math.max(value, (context.maxValue || 0) * this.minVisibleFraction)
+            }]
+        ]);
+
+        this.mode = this.modes.has(options.mode) ? options.mode : 'log';
+
+        // Píxeles por unidad escalada medidos en el último renderizado
+        this.pixelsPerUnit = null;
+        this.referenceMax = 0;
+        this.colorKey = [];
+
+        console.log(`LinkScaleManager inicializado en modo "${this.mode}"`);
+    }
+
+    /**
+     * Obtiene la lista de modos disponibles
+     * @returns {Array} Lista de { id, label, description }
+     */
+    getModes() {
+        return Array.from(this.modes.entries()).map(([id, mode]) => ({
+            id: id,
+            label: mode.label,
+            description: mode.description
+        }));
+    }
+
+    /**
+     * Cambia el modo de escala activo
+     * @param {string} mode - Id del modo
+     * @throws {Error} Si el modo no existe
+     */
+    setMode(mode) {
+        if (!this.modes.has(mode)) {
+            throw new Error(`Modo de escala desconocido: ${mode}`);
+        }
+        this.mode = mode;
+        this.pixelsPerUnit = null;
+        console.log(`Modo de escala de enlaces cambiado a "${mode}"`);
+    }
+
+    /**
+     * Obtiene el modo de escala activo
+     * @returns {string} Id del modo
+     */
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * Obtiene la etiqueta legible del modo activo
+     * @returns {string} Etiqueta del modo
+     */
+    getModeLabel() {
+        return this.modes.get(this.mode).label;
+    }
+
+    /**
+     * Convierte un valor real en el valor visual del enlace
+     * @param {number} value - Valor real (se usa su valor absoluto)
+     * @param {Object} context - Contexto del diagrama ({ maxValue })
+     * @returns {number} Valor escalado para Plotly
+     */
+    scale(value, context = {}) {
+        const absValue = Math.abs(value);
+        const maxValue = context.maxValue ?? this.referenceMax;
+        return this.modes.get(this.mode).scale(absValue, { maxValue });
+    }
+
+    /**
+     * Registra el flujo máximo del diagrama actual (usado por 'linear-min' y la leyenda)
+     * @param {number} maxValue - Valor real máximo
+     */
+    setReferenceMax(maxValue) {
+        this.referenceMax = Math.abs(maxValue) || 0;
+    }
+
+    /**
+     * Establece la clave de colores mostrada junto a la leyenda (p. ej. aumento/disminución)
+     * @param {Array|null} colorKey - Lista de { label, color } o null para ocultarla
+     */
+    setColorKey(colorKey) {
+        this.colorKey = Array.isArray(colorKey) ? colorKey : [];
+    }
+
+    /**
+     * Mide los píxeles por unidad escalada a partir de los enlaces renderizados por Plotly
+     * @param {HTMLElement} plotlyElement - Elemento con el diagrama de Sankey
+     * @returns {number|null} Píxeles por unidad o null si no se pudo medir
+     */
+    calibrate(plotlyElement) {
+        this.pixelsPerUnit = null;
+        if (!plotlyElement || !plotlyElement.querySelectorAll) {
+            return null;
+        }
+
+        const ratios = [];
+        plotlyElement.querySelectorAll('.sankey-link').forEach((element) => {
+            const link = element.__data__ && element.__data__.link;
+            if (link && link.value > 0 && link.width > 0) {
+                ratios.push(link.width / link.value);
+            }
+        });
+
+        if (ratios.length === 0) {
+            console.warn('No se pudo calibrar la escala de enlaces: no hay enlaces renderizados');
+            return null;
+        }
+
+        ratios.sort((a, b) => a - b);
+        this.pixelsPerUnit = ratios[Math.floor(ratios.length / 2)];
+        return this.pixelsPerUnit;
+    }
+
+    /**
+     * Elige valores de referencia "redondos" para la leyenda
+     * @param {number} maxValue - Valor real máximo del diagrama
+     * @param {number} count - Número máximo de valores
+     * @returns {Array} Valores en orden descendente
+     */
+    pickLegendValues(maxValue, count = 4) {
+        if (!maxValue || maxValue <= 0) return [];
+
+        const exponent = Math.floor(Math.log10(maxValue));
+        const base = Math.pow(10, exponent);
+        const top = [5, 2, 1].map(step => step * base).find(candidate => candidate <= maxValue) || base;
+
+        const values = [];
+        for (let value = top; values.length < count && value >= 0.1; value /= 10) {
+            values.push(Number(value.toPrecision(3)));
+        }
+        return values;
+    }
+
+    /**
+     * Genera los datos de la leyenda de grosores
+     * @param {number} maxValue - Valor real máximo del diagrama (por defecto el de referencia)
+     * @returns {Object} { title, mode, modeLabel, entries: [{ value, label, px }], colorKey, note, calibrated }
+     */
+    getLegendData(maxValue = this.referenceMax) {
+        // Los valores redondos se eligen en la unidad mostrada y se escalan en PJ
+        const converter = this.unitConverter;
+        const displayValues = this.pickLegendValues(converter ? converter.convert(maxValue) : maxValue);
+        const values = converter ? displayValues.map(value => converter.toBase(value)) : displayValues;
+        const unit = converter ? converter.getUnit() : this.unit;
+        const scaledValues = values.map(value => this.scale(value, { maxValue }));
+        const calibrated = this.pixelsPerUnit !== null;
+
+        // Sin calibración, el mayor valor de referencia se dibuja con 40 px
+        const pxPerUnit = calibrated
+            ? this.pixelsPerUnit
+            : (scaledValues[0] ? 40 / scaledValues[0] : 0);
+
+        const entries = values.map((value, index) => ({
+            value: value,
+            label: `${displayValues[index].toLocaleString('en-US', { maximumFractionDigits: 1 })} ${unit}`,
+            px: scaledValues[index] * pxPerUnit
+        }));
+
+        let note = '';
+        if (this.mode === 'log') {
+            note = 'El grosor no es proporcional al valor';
+        } else if (this.mode === 'sqrt') {
+            note = 'El grosor crece más lento que el valor';
+        } else if (this.mode === 'linear-min' && maxValue > 0) {
+            const threshold = maxValue * this.minVisibleFraction;
+            const displayThreshold = converter ? converter.convert(threshold) : threshold;
+            note = `Flujos < ${displayThreshold.toLocaleString('en-US', { maximumFractionDigits: 2 })} ${unit} se dibujan con grosor mínimo`;
+        }
+
+        return {
+            title: 'Grosor de enlaces',
+            mode: this.mode,
+            modeLabel: this.getModeLabel(),
+            entries: entries,
+            colorKey: this.colorKey,
+            note: note,
+            calibrated: calibrated
+        };
+    }
+
+    /**
+     * Renderiza la leyenda de grosores en un contenedor del DOM
+     * @param {HTMLElement} container - Contenedor de la leyenda
+     * @param {number} maxValue - Valor real máximo del diagrama
+     */
+    renderLegend(container, maxValue = this.referenceMax) {
+        if (!container) return;
+
+        const legend = this.getLegendData(maxValue);
+        container.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'link-scale-legend-title';
+        title.textContent = `${legend.title} · ${legend.modeLabel}`;
+        container.appendChild(title);
+
+        legend.entries.forEach((entry) => {
+            const row = document.createElement('div');
+            row.className = 'link-scale-legend-row';
+
+            const bar = document.createElement('span');
+            bar.className = 'link-scale-legend-bar';
+            bar.style.height = `${Math.max(entry.px, 1)}px`;
+
+            const label = document.createElement('span');
+            label.className = 'link-scale-legend-label';
+            label.textContent = entry.label;
+
+            row.appendChild(bar);
+            row.appendChild(label);
+            container.appendChild(row);
+        });
+
+        legend.colorKey.forEach((item) => {
+            const row = document.createElement('div');
+            row.className = 'link-scale-legend-row';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'link-scale-legend-swatch';
+            swatch.style.background = item.color;
+
+            const label = document.createElement('span');
+            label.className = 'link-scale-legend-label';
+            label.textContent = item.label;
+
+            row.appendChild(swatch);
+            row.appendChild(label);
+            container.appendChild(row);
+        });
+
+        if (legend.note) {
+            const note = document.createElement('div');
+            note.className = 'link-scale-legend-note';
+            note.textContent = legend.note;
+            container.appendChild(note);
+        }
+
+        container.hidden = legend.entries.length === 0;
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinkScaleManager;
+}
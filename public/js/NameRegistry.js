@@ -0,0 +1,298 @@
+/**
+ * NameRegistry - Módulo del registro canónico de nombres de nodos y energéticos
+ *
+ * Este módulo reúne las distintas grafías con que aparece un mismo nodo padre
+ * o energético (por ejemplo "Energia Hidraúlica" y "Energía Hidráulica") bajo
+ * una entrada canónica identificada por su id_padre o id_hijo. Las búsquedas
+ * no distinguen acentos, mayúsculas ni espacios repetidos.
+ *
+ * Funcionalidades principales:
+ * - Entradas canónicas construidas a partir de id_padre / id_hijo de los datos
+ * - Alias declarados para nombres heredados (DEFAULT_ALIASES)
+ * - Coincidencia sin acentos ni mayúsculas
+ * - Advertencias por ids repetidos o nombres que no se pueden resolver
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class NameRegistry {
+    /**
+     * Constructor del NameRegistry
+     * @param {Object} options - Opciones de configuración
+     * @param {Object} options.aliases - { parent: { canónico: [alias] }, child: { ... } } (por defecto DEFAULT_ALIASES)
+     * @param {Object} options.data - Datos { Datos: [...] } para registrar desde el inicio (opcional)
+     */
+    constructor(options = {}) {
+        this.aliases = options.aliases || NameRegistry.DEFAULT_ALIASES;
+        this.normalized = new Map();
+        this.reset();
+
+        if (options.data) {
+            this.registerData(options.data);
+        }
+    }
+
+    /**
+     * Descarta los nombres registrados y conserva solo los alias declarados
+     */
+    reset() {
+        this.entries = { parent: [], child: [] };
+        this.index = { parent: new Map(), child: new Map() };
+        this.ids = { parent: new Map(), child: new Map() };
+        this.warnings = [];
+        this.reported = new Set();
+
+        for (const kind of ['parent', 'child']) {
+            for (const [name, aliases] of Object.entries(this.aliases[kind] || {})) {
+                const entry = this.createEntry(kind, name, null);
+                aliases.forEach(alias => this.addVariant(entry, alias));
+            }
+        }
+    }
+
+    /**
+     * Registra los nodos padre e hijo de un conjunto de datos (reemplaza los anteriores)
+     * @param {Object} data - Datos { Datos: [...] } con id_padre e id_hijo
+     * @returns {Array} Advertencias del registro
+     */
+    registerData(data) {
+        this.reset();
+        if (!data || !Array.isArray(data.Datos)) return this.getWarnings();
+
+        for (const nodeData of data.Datos) {
+            const parentName = nodeData['Nodo Padre'];
+            this.register('parent', parentName, nodeData.id_padre);
+
+            for (const child of nodeData['Nodos Hijo'] || []) {
+                this.register('child', child['Nodo Hijo'], child.id_hijo, parentName);
+            }
+        }
+
+        return this.getWarnings();
+    }
+
+    /**
+     * Registra un nombre con su id. Si el nombre ya corresponde a una entrada
+     * (por alias o sin acentos) se agrega como variante de esa entrada.
+     * @param {string} kind - 'parent' o 'child'
+     * @param {string} name - Nombre tal como aparece en los datos
+     * @param {number|string} id - id_padre o id_hijo (opcional)
+     * @param {string} context - Nodo padre donde aparece (para las advertencias)
+     * @returns {Object|null} Entrada canónica
+     */
+    register(kind, name, id = null, context = null) {
+        if (typeof name !== 'string' || name.trim() === '') return null;
+
+        const idKey = id === null || id === undefined || id === '' ? null : String(id);
+        const idLabel = kind === 'parent' ? 'id_padre' : 'id_hijo';
+        const where = context ? ` en "${context}"` : '';
+        const byName = this.resolve(name, kind);
+        const byId = idKey !== null ? this.ids[kind].get(idKey) || null : null;
+
+        // El nombre manda: los datos se consultan por nombre, no por id
+        const entry = byName || this.createEntry(kind, name, byId ? null : idKey);
+        this.addVariant(entry, name);
+
+        if (idKey === null) return entry;
+
+        if (byId && byId !== entry) {
+            this.warn(`${idLabel} ${idKey} se usa para "${byId.name}" y "${name}"${where}`);
+            return entry;
+        }
+
+        if (entry.id === null) {
+            entry.id = idKey;
+            this.ids[kind].set(idKey, entry);
+        } else if (entry.id !== idKey && !entry.ids.has(idKey)) {
+            this.warn(`"${name}"${where} tiene ${idLabel} ${idKey}; se trata como ${idLabel} ${entry.id} ("${entry.name}")`);
+            this.ids[kind].set(idKey, entry);
+        }
+        entry.ids.add(idKey);
+        return entry;
+    }
+
+    /**
+     * Busca la entrada canónica de un nombre (sin acentos ni mayúsculas)
+     * @param {string} name - Nombre o alias
+     * @param {string|null} kind - 'parent', 'child' o null para buscar en ambos
+     * @returns {Object|null} Entrada { kind, id, ids, name, variants } o null
+     */
+    resolve(name, kind = null) {
+        if (typeof name !== 'string') return null;
+        const normalized = this.normalize(name);
+        if (kind) return this.index[kind].get(normalized) || null;
+        return this.index.parent.get(normalized) || this.index.child.get(normalized) || null;
+    }
+
+    /**
+     * Busca la entrada de un id_padre o id_hijo
+     * @param {number|string} id - Id
+     * @param {string} kind - 'parent' o 'child'
+     * @returns {Object|null} Entrada canónica
+     */
+    resolveId(id, kind = 'child') {
+        return this.ids[kind].get(String(id)) || null;
+    }
+
+    /**
+     * Nombre canónico de un nodo o energético
+     * @param {string} name - Nombre o alias
+     * @param {string|null} kind - 'parent', 'child' o null
+     * @returns {string} Nombre canónico (el mismo nombre si no está registrado)
+     */
+    getCanonicalName(name, kind = null) {
+        const entry = this.resolve(name, kind);
+        return entry ? entry.name : name;
+    }
+
+    /**
+     * Clave para comparar nombres: la del id canónico si está registrado
+     * ("padre:4", "hijo:6") o el nombre normalizado si no
+     * @param {string} name - Nombre o alias
+     * @param {string|null} kind - 'parent', 'child' o null
+     * @returns {string} Clave de comparación
+     */
+    getKey(name, kind = null) {
+        if (typeof name !== 'string') return name;
+        const entry = this.resolve(name, kind);
+        if (!entry) return this.normalize(name);
+        const prefix = entry.kind === 'parent' ? 'padre' : 'hijo';
+        return entry.id !== null ? `${prefix}:${entry.id}` : `${prefix}:${this.normalize(entry.name)}`;
+    }
+
+    /**
+     * Indica si dos nombres corresponden al mismo nodo o energético
+     * @param {string} a - Primer nombre
+     * @param {string} b - Segundo nombre
+     * @param {string|null} kind - 'parent', 'child' o null
+     * @returns {boolean}
+     */
+    matches(a, b, kind = null) {
+        return a === b || this.getKey(a, kind) === this.getKey(b, kind);
+    }
+
+    /**
+     * Indica si una lista contiene un nombre o una de sus variantes
+     * @param {Array} names - Lista de nombres
+     * @param {string} name - Nombre buscado
+     * @param {string|null} kind - 'parent', 'child' o null
+     * @returns {boolean}
+     */
+    includes(names, name, kind = null) {
+        if (names.includes(name)) return true;
+        const key = this.getKey(name, kind);
+        return names.some(item => this.getKey(item, kind) === key);
+    }
+
+    /**
+     * Reporta (una sola vez) un nombre que no corresponde a ninguna entrada
+     * @param {string} name - Nombre buscado
+     * @param {string} kind - 'parent' o 'child'
+     * @param {string} context - Dónde se buscó (opcional)
+     */
+    reportUnresolved(name, kind, context = null) {
+        const label = kind === 'parent' ? 'Nodo padre' : 'Energético';
+        this.warn(`${label} desconocido: "${name}"${context ? ` (${context})` : ''}`);
+    }
+
+    /**
+     * Advertencias acumuladas desde el último registro de datos
+     * @returns {Array} Mensajes
+     */
+    getWarnings() {
+        return this.warnings.slice();
+    }
+
+    /**
+     * Entradas canónicas de un tipo
+     * @param {string} kind - 'parent' o 'child'
+     * @returns {Array} Entradas { kind, id, ids, name, variants }
+     */
+    getEntries(kind = 'child') {
+        return this.entries[kind].slice();
+    }
+
+    /**
+     * Quita acentos, mayúsculas y espacios repetidos
+     * @param {string} name - Nombre
+     * @returns {string} Nombre normalizado
+     */
+    normalize(name) {
+        let normalized = this.normalized.get(name);
+        if (normalized === undefined) {
+            normalized = NameRegistry.normalize(name);
+            this.normalized.set(name, normalized);
+        }
+        return normalized;
+    }
+
+    /**
+     * Crea una entrada canónica
+     * @private
+     */
+    createEntry(kind, name, id) {
+        const entry = { kind, id, ids: new Set(id !== null ? [id] : []), name, variants: new Set() };
+        this.entries[kind].push(entry);
+        if (id !== null) this.ids[kind].set(id, entry);
+        this.addVariant(entry, name);
+        return entry;
+    }
+
+    /**
+     * Agrega una grafía a una entrada
+     * @private
+     */
+    addVariant(entry, name) {
+        entry.variants.add(name);
+        const normalized = this.normalize(name);
+        if (!this.index[entry.kind].has(normalized)) {
+            this.index[entry.kind].set(normalized, entry);
+        }
+    }
+
+    /**
+     * Registra una advertencia sin repetirla
+     * @private
+     */
+    warn(message) {
+        if (this.reported.has(message)) return;
+        this.reported.add(message);
+        this.warnings.push(message);
+        console.warn(`NameRegistry: ${message}`);
+    }
+
+    /**
+     * Quita acentos, mayúsculas y espacios repetidos
+     * @param {string} name - Nombre
+     * @returns {string} Nombre normalizado
+     */
+    static normalize(name) {
+        return String(name)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+/**
+ * Alias de nombres heredados o con otra grafía. La clave es el nombre canónico
+ * que se muestra; las grafías que solo difieren en acentos no necesitan alias.
+ */
+NameRegistry.DEFAULT_ALIASES = {
+    parent: {
+        'Importación': ['Importación de energéticos primarios'],
+        'Variación de Inventarios': ['Variación de inventarios de Energéticos primarios']
+    },
+    child: {
+        'Energía Hidráulica': ['Energia Hidraúlica', 'Hidroenergía'],
+        'Geoenergía': ['Energía geotérmica']
+    }
+};
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NameRegistry;
+}
@@ -0,0 +1,151 @@
+/**
+ * PathTracer - Módulo para recorrer el grafo de flujos del diagrama de Sankey
+ *
+ * Este módulo recibe los arreglos paralelos de origen y destino de los enlaces
+ * y calcula el subgrafo alcanzable desde un nodo en distintas direcciones.
+ *
+ * Funcionalidades principales:
+ * - Recorrido aguas abajo (hacia los usos finales)
+ * - Recorrido aguas arriba (hacia las fuentes)
+ * - Ruta completa (ambas direcciones)
+ * - Flujos en rutas entre dos nodos
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class PathTracer {
+    /**
+     * Constructor del PathTracer
+     * @param {Array} sources - Índice del nodo origen de cada enlace
+     * @param {Array} targets - Índice del nodo destino de cada enlace
+     * @param {Array} values - Valor de cada enlace; los enlaces con valor 0 se ignoran (opcional)
+     */
+    constructor(sources, targets, values = null) {
+        this.outgoing = new Map();
+        this.incoming = new Map();
+
+        sources.forEach((source, index) => {
+            if (values && !(values[index] > 0)) return;
+            const target = targets[index];
+
+            if (!this.outgoing.has(source)) this.outgoing.set(source, []);
+            if (!this.incoming.has(target)) this.incoming.set(target, []);
+            this.outgoing.get(source).push({ link: index, node: target });
+            this.incoming.get(target).push({ link: index, node: source });
+        });
+    }
+
+    /**
+     * Recorrido en anchura siguiendo una lista de adyacencia
+     * @param {number} start - Nodo inicial
+     * @param {Map} adjacency - Lista de adyacencia (outgoing o incoming)
+     * @returns {Object} { nodes: Set, links: Set }
+     * @private
+     */
+    walk(start, adjacency) {
+        const nodes = new Set([start]);
+        const links = new Set();
+        const queue = [start];
+
+        while (queue.length) {
+            const node = queue.shift();
+            for (const edge of adjacency.get(node) || []) {
+                links.add(edge.link);
+                if (!nodes.has(edge.node)) {
+                    nodes.add(edge.node);
+                    queue.push(edge.node);
+                }
+            }
+        }
+
+        return { nodes, links };
+    }
+
+    /**
+     * Nodos y enlaces aguas abajo de un nodo
+     * @param {number} start - Nodo inicial
+     * @returns {Object} { nodes: Set, links: Set }
+     */
+    forward(start) {
+        return this.walk(start, this.outgoing);
+    }
+
+    /**
+     * Nodos y enlaces aguas arriba de un nodo
+     * @param {number} start - Nodo inicial
+     * @returns {Object} { nodes: Set, links: Set }
+     */
+    backward(start) {
+        return this.walk(start, this.incoming);
+    }
+
+    /**
+     * Unión de los recorridos aguas arriba y aguas abajo
+     * @param {number} start - Nodo inicial
+     * @returns {Object} { nodes: Set, links: Set }
+     */
+    full(start) {
+        const down = this.forward(start);
+        const up = this.backward(start);
+        return {
+            nodes: new Set([...down.nodes, ...up.nodes]),
+            links: new Set([...down.links, ...up.links])
+        };
+    }
+
+    /**
+     * Enlaces que forman parte de alguna ruta desde un nodo hasta otro
+     * @param {number} from - Nodo de origen
+     * @param {number} to - Nodo de destino
+     * @returns {Object} { nodes: Set, links: Set } vacíos si no hay ruta
+     */
+    between(from, to) {
+        const reachable = this.forward(from);
+        const reaching = this.backward(to);
+        const nodes = new Set([...reachable.nodes].filter(node => reaching.nodes.has(node)));
+
+        if (!nodes.has(from) || !nodes.has(to)) {
+            return { nodes: new Set(), links: new Set() };
+        }
+
+        // Un enlace está en una ruta si ambos extremos están en la intersección
+        const links = new Set();
+        for (const [source, edges] of this.outgoing.entries()) {
+            if (!nodes.has(source)) continue;
+            edges.forEach((edge) => {
+                if (nodes.has(edge.node)) links.add(edge.link);
+            });
+        }
+
+        return { nodes, links };
+    }
+
+    /**
+     * Ejecuta el recorrido correspondiente a un modo
+     * @param {string} mode - 'forward', 'backward', 'full' o 'between'
+     * @param {number} start - Nodo inicial (origen en 'between')
+     * @param {number} end - Nodo destino (solo 'between')
+     * @returns {Object} { nodes: Set, links: Set }
+     * @throws {Error} Si el modo no existe
+     */
+    trace(mode, start, end = null) {
+        switch (mode) {
+            case 'forward':
+                return this.forward(start);
+            case 'backward':
+                return this.backward(start);
+            case 'full':
+                return this.full(start);
+            case 'between':
+                return this.between(start, end);
+            default:
+                throw new Error(`Modo de trazado desconocido: ${mode}`);
+        }
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PathTracer;
+}
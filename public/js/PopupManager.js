@@ -24,6 +24,9 @@ class PopupManager {
         this.dataManager = options.dataManager || null;
         this.styleManager = options.styleManager || null;
         this.nodeFactory = options.nodeFactory || null;
+        this.unitConverter = options.unitConverter || null;
+        this.emissionsCalculator = options.emissionsCalculator || null;
+        this.nameRegistry = options.nameRegistry || null;
 
         // Configuración de formato
         this.formatConfig = {
@@ -188,7 +191,7 @@ class PopupManager {
             'Solar Fotovoltaica'
         ];
 
-        if (generationNodes.includes(nodeName)) {
+        if (this.includesNode(generationNodes, nodeName)) {
             return 'generation';
         }
 
@@ -203,7 +206,7 @@ class PopupManager {
             'Plantas de Gas y Fraccionadoras',
             'Centrales Eléctricas',
             'Carbón mineral', 'Petróleo crudo', 'Condensados', 'Gas natural',
-            'Energía Nuclear', 'Energia Hidraúlica', 'Energía Hidráulica',
+            'Energía Nuclear', 'Energía Hidráulica',
             'Geoenergía', 'Energía solar', 'Energía eólica', 'Bagazo de caña',
             'Leña', 'Biogás'
         ];
@@ -227,9 +230,10 @@ class PopupManager {
             'Energía No Aprovechada': 'simple_source'
         };
 
-        // Verificar mapeo directo
-        if (nodeTypeMapping[nodeName]) {
-            return nodeTypeMapping[nodeName];
+        // Verificar mapeo directo (también para alias y otras grafías del nombre)
+        const mappedName = Object.keys(nodeTypeMapping).find(name => this.isSameNode(name, nodeName));
+        if (mappedName) {
+            return nodeTypeMapping[mappedName];
         }
 
         // Detectar energéticos secundarios por additionalData
@@ -280,7 +284,7 @@ class PopupManager {
         const templateData = {
             label: nodeName,
             year: year,
-            unit: 'PJ', // Siempre usar PJ para valores energéticos
+            unit: this.getEnergyUnit(),
             description: nodeData?.descripcion || additionalData.description || 'Sin descripción disponible',
             ...additionalData
         };
@@ -535,35 +539,34 @@ class PopupManager {
         if (template.type === 'simple_source') {
             console.log(`[DEBUG - PopupManager - SimpleSource] Data recibida:`, data);
             const totalValue = data.total_input ?? data.total ?? 0;
-            return `${data.label}: ${this.formatNumber(totalValue)} ${data.unit || 'PJ'}`;
+            return `${data.label}: ${this.formatEnergy(totalValue)}`;
         }
 
         // Lógica especial para nodos de generación eléctrica
         if (template.type === 'generation') {
-            const entrada = this.formatNumber(data.input_total || 0);
-            const salida = this.formatNumber(data.output_total || 0);
+            const entrada = this.formatEnergy(data.input_total || 0);
+            const salida = this.formatEnergy(data.output_total || 0);
             const eficiencia = data.efficiency ? this.formatNumber(data.efficiency) : 'N/A';
-            return `${data.label}\n↓${entrada}PJ ↑${salida}PJ ⚡${eficiencia}%`;
+            return `${data.label}\n↓${entrada} ↑${salida} ⚡${eficiencia}%`;
         }
 
         // Lógica especial para energéticos secundarios
         if (template.type === 'secondary_energy') {
-            const totalValue = this.formatNumber(data.total_production || 0);
-            return `${data.label}: ${totalValue} PJ`;
+            return `${data.label}: ${this.formatEnergy(data.total_production || 0)}`;
         }
 
         // Lógica especial para Variación de Inventarios (reintroducida y corregida)
         if (template.type === 'inventory_variation') {
             let text = `${data.label}\n`; // Título del nodo
             if (data.variacion_positiva) {
-                text += `↑ ${this.formatNumber(data.variacion_positiva)} PJ\n`;
+                text += `↑ ${this.formatEnergy(data.variacion_positiva)}\n`;
             }
             if (data.variacion_negativa) {
-                text += `↓ ${this.formatNumber(data.variacion_negativa)} PJ\n`;
+                text += `↓ ${this.formatEnergy(data.variacion_negativa)}\n`;
             }
             // Se eliminan las líneas para el Total y el Año
             // if (data.total !== undefined && data.total !== 0) {
-            //     text += `Total: ${this.formatNumber(data.total)} PJ\n`;
+            //     text += `Total: ${this.formatEnergy(data.total)}\n`;
             // }
             // text += `\nAño: ${data.year}`;
             return text;
@@ -676,6 +679,72 @@ class PopupManager {
         return value.toLocaleString(this.formatConfig.locale, this.formatConfig.numberFormat);
     }
 
+    /**
+     * Formatea un valor de energía (en PJ) en la unidad activa, con su unidad
+     * @param {number} value - Valor en PJ
+     * @returns {string} Valor convertido y formateado, p. ej. "1,234.5 PJ"
+     */
+    formatEnergy(value) {
+        if (this.unitConverter) {
+            return this.unitConverter.format(value);
+        }
+        return `${this.formatNumber(value)} ${this.formatConfig.units.energy}`;
+    }
+
+    /**
+     * Formatea una cantidad de emisiones de CO2
+     * @param {number} value - Emisiones en tCO2
+     * @returns {string} Emisiones con su escala, p. ej. "12.35 MtCO₂"
+     */
+    formatEmissions(value) {
+        if (this.emissionsCalculator) {
+            return this.emissionsCalculator.format(value);
+        }
+        return `${this.formatNumber(value)} tCO₂`;
+    }
+
+    /**
+     * Agrega la línea de emisiones de CO2 a un popup de nodo o enlace
+     * @param {string} popup - Popup en texto generado por este módulo
+     * @param {number} emissions - Emisiones en tCO2
+     * @returns {string} Popup con la línea de emisiones al final
+     */
+    appendEmissions(popup, emissions) {
+        return `${(popup || '').replace(/\n+$/, '')}<br>Emisiones: ${this.formatEmissions(emissions)}`;
+    }
+
+    /**
+     * Agrega la línea de revisión respecto a otra edición de los datos a un popup
+     * @param {string} popup - Popup en texto generado por este módulo
+     * @param {Object} change - Revisión { before, after, delta } en PJ (ver DatasetComparator)
+     * @param {string|null} label - Energético, para los enlaces que agrupan varios
+     * @returns {string} Popup con la línea de revisión al final
+     */
+    appendRevision(popup, change, label = null) {
+        const sign = change.delta > 0 ? '+' : change.delta < 0 ? '−' : '';
+        return `${(popup || '').replace(/\n+$/, '')}<br>Revisión${label ? ` (${label})` : ''}: ` +
+            `${this.formatEnergy(change.before)} → ${this.formatEnergy(change.after)} ` +
+            `(${sign}${this.formatEnergy(Math.abs(change.delta))})`;
+    }
+
+    /**
+     * Agrega la nota de un año no definitivo a un popup
+     * @param {string} popup - Popup en texto generado por este módulo
+     * @param {string} note - Nota, p. ej. "Datos preliminares 2024" (ver DataManager.getYearNote)
+     * @returns {string} Popup con la nota al final
+     */
+    appendYearNote(popup, note) {
+        return `${(popup || '').replace(/\n+$/, '')}<br><i>⚠ ${note}</i>`;
+    }
+
+    /**
+     * Obtiene la unidad de energía activa
+     * @returns {string} Símbolo de la unidad
+     */
+    getEnergyUnit() {
+        return this.unitConverter ? this.unitConverter.getUnit() : this.formatConfig.units.energy;
+    }
+
     /**
      * Formatea un valor como moneda
      * @param {number} value - Valor a formatear
@@ -741,27 +810,27 @@ class PopupManager {
                 if (breakdown.importacion !== 0) {
                     html += `<div class="popup-field">`;
                     html += `<span class="popup-field-label">Importación:</span> `;
-                    html += `<span class="popup-field-value">${this.formatNumber(breakdown.importacion)} PJ</span>`;
+                    html += `<span class="popup-field-value">${this.formatEnergy(breakdown.importacion)}</span>`;
                     html += `</div>`;
                 }
 
                 if (breakdown.produccion !== 0) {
                     html += `<div class="popup-field">`;
                     html += `<span class="popup-field-label">Producción:</span> `;
-                    html += `<span class="popup-field-value">${this.formatNumber(breakdown.produccion)} PJ</span>`;
+                    html += `<span class="popup-field-value">${this.formatEnergy(breakdown.produccion)}</span>`;
                     html += `</div>`;
                 }
 
                 if (breakdown.variacion !== 0) {
                     html += `<div class="popup-field">`;
                     html += `<span class="popup-field-label">Variación:</span> `;
-                    html += `<span class="popup-field-value">${this.formatNumber(breakdown.variacion)} PJ</span>`;
+                    html += `<span class="popup-field-value">${this.formatEnergy(breakdown.variacion)}</span>`;
                     html += `</div>`;
                 }
 
                 html += `<div class="popup-field highlight">`;
                 html += `<span class="popup-field-label">Total:</span> `;
-                html += `<span class="popup-field-value">${this.formatNumber(Math.abs(breakdown.total))} PJ</span>`;
+                html += `<span class="popup-field-value">${this.formatEnergy(Math.abs(breakdown.total))}</span>`;
                 html += `</div>`;
 
                 html += `</div></div>`;
@@ -779,18 +848,18 @@ class PopupManager {
                 text += `\nInformación Energética:\n`;
 
                 if (breakdown.importacion !== 0) {
-                    text += `  Importación: ${this.formatNumber(breakdown.importacion)} PJ\n`;
+                    text += `  Importación: ${this.formatEnergy(breakdown.importacion)}\n`;
                 }
 
                 if (breakdown.produccion !== 0) {
-                    text += `  Producción: ${this.formatNumber(breakdown.produccion)} PJ\n`;
+                    text += `  Producción: ${this.formatEnergy(breakdown.produccion)}\n`;
                 }
 
                 if (breakdown.variacion !== 0) {
-                    text += `  Variación: ${this.formatNumber(breakdown.variacion)} PJ\n`;
+                    text += `  Variación: ${this.formatEnergy(breakdown.variacion)}\n`;
                 }
 
-                text += `• Total: ${this.formatNumber(Math.abs(breakdown.total))} PJ\n`;
+                text += `• Total: ${this.formatEnergy(Math.abs(breakdown.total))}\n`;
             }
 
             text += `\nAño: ${year}`;
@@ -882,13 +951,13 @@ class PopupManager {
             energyType: energyType, // Usar el energyType pasado como primer argumento
             value: value,
             absValue: absValue,
-            formattedValue: this.formatNumber(absValue),
+            formattedValue: this.formatEnergy(absValue),
             isNegative: isNegative,
             sourceNode: sourceNode,
             targetNode: targetNode,
             color: color,
             year: year,
-            unit: 'PJ',
+            unit: this.getEnergyUnit(),
             flowType: flowType,
             flowDescription: flowDescription,
             direction: isNegative ? 'salida' : 'entrada',
@@ -898,6 +967,27 @@ class PopupManager {
         return templateData;
     }
 
+    /**
+     * Indica si dos nombres corresponden al mismo nodo (con NameRegistry, sin
+     * distinguir alias, acentos ni mayúsculas)
+     * @param {string} a - Primer nombre
+     * @param {string} b - Segundo nombre
+     * @returns {boolean}
+     */
+    isSameNode(a, b) {
+        return this.nameRegistry ? this.nameRegistry.matches(a, b) : a === b;
+    }
+
+    /**
+     * Indica si una lista de nodos contiene un nombre o una de sus variantes
+     * @param {Array} nodeNames - Lista de nombres
+     * @param {string} nodeName - Nombre buscado
+     * @returns {boolean}
+     */
+    includesNode(nodeNames, nodeName) {
+        return this.nameRegistry ? this.nameRegistry.includes(nodeNames, nodeName) : nodeNames.includes(nodeName);
+    }
+
     /**
      * Determina el tipo de flujo energético basado en los nodos origen y destino
      * @param {string} sourceNode - Nodo origen
@@ -939,12 +1029,12 @@ class PopupManager {
         for (const [flowType, pattern] of Object.entries(flowPatterns)) {
             if (flowType === 'fuel_to_generation') {
                 // Para fuel_to_generation, verificar si el target es una tecnología de generación
-                if (pattern.targets.includes(targetNode)) {
+                if (this.includesNode(pattern.targets, targetNode)) {
                     return flowType;
                 }
             } else {
-                // Para otros patrones, verificar coincidencia exacta
-                if (pattern.sources.includes(sourceNode) && pattern.targets.includes(targetNode)) {
+                // Para otros patrones, verificar coincidencia del nombre canónico
+                if (this.includesNode(pattern.sources, sourceNode) && this.includesNode(pattern.targets, targetNode)) {
                     return flowType;
                 }
             }
@@ -995,7 +1085,7 @@ class PopupManager {
         // Valor del flujo
         html += `<div class="popup-field highlight">`;
         html += `<span class="popup-field-label">Valor:</span> `;
-        html += `<span class="popup-field-value">${data.formattedValue} ${data.unit}</span>`;
+        html += `<span class="popup-field-value">${data.formattedValue}</span>`;
         if (data.isNegative) {
             html += ` <span class="flow-indicator negative">(${data.direction})</span>`;
         }
@@ -1036,12 +1126,82 @@ class PopupManager {
         // Log para debugging
         if (data.energyType === 'Carbón mineral') {
             console.log('PopupManager renderLinkTemplateAsText:', data);
-            console.log('Valor final del popup:', `${data.energyType}: ${this.formatNumber(data.value)} ${data.unit}`);
+            console.log('Valor final del popup:', `${data.energyType}: ${this.formatEnergy(data.value)}`);
         }
 
         // Formato simplificado: Nombre del flujo y su valor.
         // Usar formattedValue para asegurar consistencia
-        return `${data.energyType}: ${data.formattedValue} ${data.unit}`;
+        return `${data.energyType}: ${data.formattedValue}`;
+    }
+
+    /**
+     * Genera las líneas comunes de un popup de comparación entre dos años
+     * @param {number} valueFrom - Valor en el año base
+     * @param {number} valueTo - Valor en el año de comparación
+     * @param {string} yearFrom - Año base
+     * @param {string} yearTo - Año de comparación
+     * @returns {Array} Líneas de texto
+     */
+    formatDifferenceLines(valueFrom, valueTo, yearFrom, yearTo) {
+        const delta = valueTo - valueFrom;
+        const sign = delta > 0 ? '+' : delta < 0 ? '−' : '';
+        const percentage = valueFrom !== 0
+            ? `${sign}${this.formatNumber(Math.abs(delta / valueFrom) * 100)}%`
+            : (valueTo !== 0 ? 'nuevo' : '0%');
+
+        return [
+            `${yearFrom}: ${this.formatEnergy(valueFrom)}`,
+            `${yearTo}: ${this.formatEnergy(valueTo)}`,
+            `Diferencia: ${sign}${this.formatEnergy(Math.abs(delta))} (${percentage})`
+        ];
+    }
+
+    /**
+     * Genera el popup de un enlace en el diagrama de diferencias
+     * @param {string} energyType - Tipo de energético del enlace
+     * @param {string} sourceNode - Nodo origen del enlace
+     * @param {string} targetNode - Nodo destino del enlace
+     * @param {number} valueFrom - Valor en el año base
+     * @param {number} valueTo - Valor en el año de comparación
+     * @param {string} yearFrom - Año base
+     * @param {string} yearTo - Año de comparación
+     * @returns {string} Popup en texto con saltos <br> para Plotly
+     */
+    generateDifferenceLinkPopup(energyType, sourceNode, targetNode, valueFrom, valueTo, yearFrom, yearTo) {
+        return [
+            `${energyType}: ${sourceNode} → ${targetNode}`,
+            ...this.formatDifferenceLines(valueFrom, valueTo, yearFrom, yearTo)
+        ].join('<br>');
+    }
+
+    /**
+     * Genera el popup de un nodo en el diagrama de diferencias
+     * @param {string} nodeName - Nombre del nodo
+     * @param {number} valueFrom - Total en el año base
+     * @param {number} valueTo - Total en el año de comparación
+     * @param {string} yearFrom - Año base
+     * @param {string} yearTo - Año de comparación
+     * @returns {string} Popup en texto con saltos <br> para Plotly
+     */
+    generateDifferenceNodePopup(nodeName, valueFrom, valueTo, yearFrom, yearTo) {
+        return [nodeName, ...this.formatDifferenceLines(valueFrom, valueTo, yearFrom, yearTo)].join('<br>');
+    }
+
+    /**
+     * Genera el popup de un enlace que agrupa flujos menores
+     * @param {string} label - Etiqueta del enlace agrupado, p. ej. "Otros energéticos (3)"
+     * @param {string} sourceNode - Nodo origen del enlace
+     * @param {string} targetNode - Nodo destino del enlace
+     * @param {Array} members - Flujos agrupados { energetic, value }
+     * @returns {string} Popup en texto con saltos <br> para Plotly
+     */
+    generateAggregatedLinkPopup(label, sourceNode, targetNode, members) {
+        const total = members.reduce((sum, member) => sum + Math.abs(member.value), 0);
+        return [
+            `${label}: ${sourceNode} → ${targetNode}`,
+            `Total: ${this.formatEnergy(total)}`,
+            ...members.map(member => `• ${member.energetic}: ${this.formatEnergy(Math.abs(member.value))}`)
+        ].join('<br>');
     }
 
     /**
@@ -1059,7 +1219,7 @@ class PopupManager {
                 <div class="popup-section">
                     <div class="popup-field">
                         <span class="popup-field-label">Valor:</span>
-                        <span class="popup-field-value">${this.formatNumber(Math.abs(value || 0))} PJ</span>
+                        <span class="popup-field-value">${this.formatEnergy(Math.abs(value || 0))}</span>
                     </div>
                     <div class="popup-field">
                         <span class="popup-field-label">Error:</span>
@@ -1068,7 +1228,7 @@ class PopupManager {
                 </div>
             </div>`;
         } else {
-            return `${energyType || 'Enlace'}\n\n• Valor: ${this.formatNumber(Math.abs(value || 0))} PJ\n• Error: ${errorMessage}`;
+            return `${energyType || 'Enlace'}\n\n• Valor: ${this.formatEnergy(Math.abs(value || 0))}\n• Error: ${errorMessage}`;
         }
     }
 
@@ -1298,7 +1458,8 @@ class PopupManager {
 
         switch (format) {
             case 'number':
-                return this.formatNumber(value);
+                // Los campos de energía se muestran en la unidad activa
+                return unit === this.formatConfig.units.energy ? this.formatEnergy(value) : this.formatNumber(value);
 
             case 'percentage':
                 return `${this.formatNumber(value)}%`;
@@ -1306,7 +1467,7 @@ class PopupManager {
             case 'breakdown':
                 if (Array.isArray(value)) {
                     return value.map(item =>
-                        `${item.name}: ${this.formatNumber(item.value)} ${unit} (${item.percentage}%)`
+                        `${item.name}: ${this.formatEnergy(item.value)} (${item.percentage}%)`
                     ).join('\n  ');
                 }
                 return value.toString();
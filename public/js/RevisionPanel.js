@@ -0,0 +1,200 @@
+/**
+ * RevisionPanel - Módulo de la tabla de revisiones entre dos ediciones del balance
+ *
+ * Este módulo muestra el reporte de DatasetComparator como una tabla que se
+ * ordena al hacer clic en los encabezados, con un resumen de los cambios.
+ *
+ * Funcionalidades principales:
+ * - Resumen de nodos agregados o eliminados, atributos y revisiones
+ * - Orden ascendente o descendente por cualquier columna
+ * - Valores en la unidad activa de UnitConverter
+ * - Límite de filas mostradas (el CSV contiene todas)
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class RevisionPanel {
+    /**
+     * Constructor del RevisionPanel
+     * @param {HTMLElement} container - Contenedor donde se crean el resumen y la tabla
+     * @param {Object} options - Opciones de configuración
+     * @param {UnitConverter} options.unitConverter - Conversión a la unidad activa (opcional)
+     * @param {number} options.maxRows - Filas máximas de la tabla
+     * @param {Object} options.kindLabels - Etiquetas de los tipos de cambio (por defecto DatasetComparator.KINDS)
+     */
+    constructor(container, options = {}) {
+        if (!container) {
+            throw new Error('RevisionPanel requiere un contenedor');
+        }
+
+        this.container = container;
+        this.unitConverter = options.unitConverter || null;
+        this.maxRows = options.maxRows || 500;
+        this.kindLabels = options.kindLabels || (typeof DatasetComparator !== 'undefined' ? DatasetComparator.KINDS : {});
+        this.report = null;
+        this.title = '';
+        // Por defecto, las revisiones más grandes primero
+        this.sort = { column: 'delta', descending: true };
+    }
+
+    /**
+     * Muestra un reporte de DatasetComparator
+     * @param {Object} report - Reporte de compare()
+     * @param {string} title - Descripción de la comparación, p. ej. "Preliminar → Revisado"
+     */
+    render(report, title = '') {
+        this.report = report;
+        this.title = title;
+        this.container.innerHTML = '';
+        if (!report) return;
+
+        const summary = report.summary;
+        const parts = [
+            `${summary.revisions} revisiones en ${summary.revisedYears.length} años`,
+            summary.parentsAdded || summary.parentsRemoved
+                ? `nodos padre: +${summary.parentsAdded} / −${summary.parentsRemoved}` : null,
+            summary.childrenAdded || summary.childrenRemoved
+                ? `nodos hijo: +${summary.childrenAdded} / −${summary.childrenRemoved}` : null,
+            summary.attributes ? `${summary.attributes} atributos` : null,
+            summary.yearsAdded.length ? `años nuevos: ${summary.yearsAdded.join(', ')}` : null,
+            summary.yearsRemoved.length ? `años eliminados: ${summary.yearsRemoved.join(', ')}` : null
+        ].filter(Boolean);
+
+        const note = document.createElement('p');
+        note.className = 'balance-report-note';
+        note.textContent = `${title ? `${title}: ` : ''}${parts.join(' · ')}. ` +
+            `Tolerancia: ${this.formatValue(report.tolerance.absolute)} ${this.unitConverter ? this.unitConverter.getUnit() : 'PJ'}` +
+            (report.tolerance.relative ? ` y ${report.tolerance.relative * 100}% del valor` : '') + '.';
+        this.container.appendChild(note);
+
+        if (report.changes.length === 0) return;
+        this.container.appendChild(this.createTable());
+    }
+
+    /**
+     * Ordena la tabla por una columna (un segundo clic invierte el orden)
+     * @param {string} column - Id de la columna (ver RevisionPanel.COLUMNS)
+     */
+    sortBy(column) {
+        this.sort = this.sort.column === column
+            ? { column, descending: !this.sort.descending }
+            : { column, descending: column === 'delta' || column === 'relative' };
+        this.render(this.report, this.title);
+    }
+
+    /**
+     * Cambios del reporte en el orden activo
+     * @returns {Array} Cambios ordenados
+     */
+    getSortedChanges() {
+        if (!this.report) return [];
+        const { column, descending } = this.sort;
+        const key = (change) => {
+            if (column === 'delta' || column === 'relative') {
+                return change[column] === null ? -Infinity : Math.abs(change[column]);
+            }
+            if (column === 'kind') return this.kindLabels[change.kind] || change.kind;
+            return change[column] ?? '';
+        };
+
+        return [...this.report.changes].sort((a, b) => {
+            const [x, y] = [key(a), key(b)];
+            const order = typeof x === 'number' && typeof y === 'number'
+                ? x - y
+                : String(x).localeCompare(String(y), 'es');
+            return descending ? -order : order;
+        });
+    }
+
+    /**
+     * Crea la tabla con encabezados ordenables
+     * @private
+     */
+    createTable() {
+        const table = document.createElement('table');
+        table.className = 'revision-table';
+
+        const header = table.createTHead().insertRow();
+        RevisionPanel.COLUMNS.forEach((column) => {
+            const th = document.createElement('th');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'revision-sort';
+            button.textContent = column.unit && this.unitConverter
+                ? `${column.label} (${this.unitConverter.getUnit()})`
+                : column.label;
+            if (this.sort.column === column.id) {
+                button.textContent += this.sort.descending ? ' ▼' : ' ▲';
+                th.setAttribute('aria-sort', this.sort.descending ? 'descending' : 'ascending');
+            }
+            button.addEventListener('click', () => this.sortBy(column.id));
+            th.appendChild(button);
+            header.appendChild(th);
+        });
+
+        const changes = this.getSortedChanges();
+        const body = table.createTBody();
+        changes.slice(0, this.maxRows).forEach((change) => {
+            const row = body.insertRow();
+            const numeric = change.kind === 'value';
+            [
+                this.kindLabels[change.kind] || change.kind,
+                change.parent,
+                change.child ?? '',
+                change.year ?? '',
+                change.field ?? '',
+                numeric ? this.formatValue(change.before, change.year) : change.before ?? '',
+                numeric ? this.formatValue(change.after, change.year) : change.after ?? '',
+                numeric ? this.formatValue(change.delta, change.year, true) : '',
+                change.relative !== null ? `${(change.relative * 100).toFixed(1)}%` : ''
+            ].forEach((text, index) => {
+                const cell = row.insertCell();
+                cell.textContent = text;
+                if (index >= 5) cell.className = 'number';
+            });
+        });
+
+        if (changes.length > this.maxRows) {
+            const row = body.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = RevisionPanel.COLUMNS.length;
+            cell.className = 'revision-more';
+            cell.textContent = `Se muestran ${this.maxRows} de ${changes.length} cambios; el CSV contiene todos.`;
+        }
+
+        return table;
+    }
+
+    /**
+     * Formatea un valor en PJ en la unidad activa
+     * @private
+     */
+    formatValue(value, year = null, signed = false) {
+        const sign = signed && value > 0 ? '+' : '';
+        if (this.unitConverter) {
+            return sign + this.unitConverter.formatNumber(value, year ? { year } : {});
+        }
+        return sign + value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    }
+}
+
+/**
+ * Columnas de la tabla
+ */
+RevisionPanel.COLUMNS = [
+    { id: 'kind', label: 'Cambio' },
+    { id: 'parent', label: 'Nodo padre' },
+    { id: 'child', label: 'Energético' },
+    { id: 'year', label: 'Año' },
+    { id: 'field', label: 'Campo' },
+    { id: 'before', unit: true, label: 'Anterior' },
+    { id: 'after', unit: true, label: 'Nuevo' },
+    { id: 'delta', unit: true, label: 'Diferencia' },
+    { id: 'relative', label: 'Dif. %' }
+];
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RevisionPanel;
+}
@@ -0,0 +1,1200 @@
+/**
+ * SankeyBuilder - Constructor genérico del diagrama de Sankey a partir de FlowSpec
+ *
+ * Este módulo interpreta la especificación declarativa de flujos (FlowSpec) y
+ * produce los arreglos que Plotly necesita (etiquetas, colores, posiciones,
+ * source/target/value y customdata). Sustituye los bloques copiados por nodo
+ * que antes vivían en updateSankey.
+ *
+ * Funcionalidades principales:
+ * - Validación de la especificación antes de construir
+ * - Registro de las columnas de la especificación en LayoutEngine
+ * - Lectura de valores mediante DataManager.getEnergeticValue
+ * - Aplicación de convenciones de signo por flujo
+ * - Registro de los flujos generados como mapa de conexiones en LinkManager
+ * - Modelo estructurado de nodos y enlaces con valores reales en PJ
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class SankeyBuilder {
+    /**
+     * Constructor del SankeyBuilder
+     * @param {Object} options - Opciones de configuración
+     * @param {Object} options.spec - Especificación de flujos (FLOW_SPEC)
+     * @param {DataManager} options.dataManager - Fuente de datos
+     * @param {StyleManager} options.styleManager - Colores de nodos y enlaces
+     * @param {PopupManager} options.popupManager - Generador de popups
+     * @param {LinkManager} options.linkManager - Registro de conexiones (opcional)
+     * @param {LayoutEngine} options.layoutEngine - Columnas y posiciones (opcional)
+     * @param {Function} options.linkValueScaler - Función (valorPJ, { maxValue }) => ancho visual
+     * @param {number} options.linkOpacity - Opacidad de los enlaces
+     * @param {UnitConverter} options.unitConverter - Unidad de las etiquetas (opcional; por defecto spec.unit)
+     * @param {EmissionsCalculator} options.emissionsCalculator - Emisiones de CO2 de los flujos (opcional)
+     */
+    constructor(options = {}) {
+        this.spec = options.spec || null;
+        this.dataManager = options.dataManager || null;
+        this.styleManager = options.styleManager || null;
+        this.popupManager = options.popupManager || null;
+        this.linkManager = options.linkManager || null;
+        this.layoutEngine = options.layoutEngine || null;
+        this.linkValueScaler = options.linkValueScaler || ((value) => Math.log10(Math.abs(value) + 1));
+        this.linkOpacity = options.linkOpacity ?? 0.5;
+        this.unitConverter = options.unitConverter || null;
+        this.emissionsCalculator = options.emissionsCalculator || null;
+
+        if (!this.spec || !this.dataManager) {
+            throw new Error('SankeyBuilder requiere una especificación y un DataManager');
+        }
+
+        this.validateSpec();
+        this.registerColumns();
+
+        console.log(`SankeyBuilder inicializado con ${this.spec.nodes.length} nodos y ${this.spec.flows.length} flujos`);
+    }
+
+    /**
+     * Valida la coherencia interna de la especificación
+     * @throws {Error} Si un nodo, grupo, columna o signo no es válido
+     */
+    validateSpec() {
+        const { columns = {}, groups = {}, nodes = [], flows = [], filterGroups = {} } = this.spec;
+        const validSigns = ['positive', 'negative', 'nonzero', 'bidirectional'];
+        const nodeIds = new Set();
+
+        for (const [groupName, group] of Object.entries(groups)) {
+            if (!columns[group.column]) {
+                throw new Error(`FlowSpec inválida: el grupo "${groupName}" usa la columna inexistente "${group.column}"`);
+            }
+        }
+
+        for (const node of nodes) {
+            if (!node.id || !node.parent) {
+                throw new Error('FlowSpec inválida: cada nodo requiere "id" y "parent"');
+            }
+            if (nodeIds.has(node.id)) {
+                throw new Error(`FlowSpec inválida: nodo duplicado "${node.id}"`);
+            }
+            if (!columns[node.column]) {
+                throw new Error(`FlowSpec inválida: el nodo "${node.id}" usa la columna inexistente "${node.column}"`);
+            }
+            nodeIds.add(node.id);
+        }
+
+        for (const flow of flows) {
+            for (const ref of [flow.from, flow.to]) {
+                const isGroup = typeof ref === 'string' && ref.startsWith('@');
+                if (isGroup ? !groups[ref.slice(1)] : !nodeIds.has(ref)) {
+                    throw new Error(`FlowSpec inválida: referencia desconocida "${ref}" en flujo ${flow.flowType}`);
+                }
+            }
+            if (!validSigns.includes(flow.sign)) {
+                throw new Error(`FlowSpec inválida: signo "${flow.sign}" no soportado en flujo ${flow.flowType}`);
+            }
+        }
+
+        for (const [groupId, filterGroup] of Object.entries(filterGroups)) {
+            const unknown = (filterGroup.nodes || []).find(id => !nodeIds.has(id));
+            if (unknown) {
+                throw new Error(`FlowSpec inválida: el grupo de filtros "${groupId}" usa el nodo desconocido "${unknown}"`);
+            }
+        }
+    }
+
+    /**
+     * Registra las columnas de la especificación en el LayoutEngine
+     */
+    registerColumns() {
+        if (!this.layoutEngine) return;
+
+        for (const [columnId, column] of Object.entries(this.spec.columns)) {
+            this.layoutEngine.defineColumn(this.getColumnName(columnId), {
+                x: column.x,
+                title: column.title,
+                nodes: this.spec.nodes.filter(node => node.column === columnId).map(node => node.id),
+                verticalDistribution: 'spread',
+                minY: column.minY,
+                maxY: column.maxY
+            });
+        }
+    }
+
+    /**
+     * Nombre con el que una columna de la especificación se registra en LayoutEngine
+     * @param {string} columnId - Id de la columna en FlowSpec
+     * @returns {string} Nombre de la columna en LayoutEngine
+     */
+    getColumnName(columnId) {
+        return `flujo-${columnId}`;
+    }
+
+    /**
+     * Obtiene la configuración de una columna, preferentemente desde LayoutEngine
+     * @param {string} columnId - Id de la columna en FlowSpec
+     * @returns {Object} Configuración de la columna
+     */
+    getColumn(columnId) {
+        const registered = this.layoutEngine && this.layoutEngine.getColumnInfo(this.getColumnName(columnId));
+        if (registered) return registered;
+
+        const column = this.spec.columns[columnId];
+        return {
+            name: columnId,
+            x: column.x,
+            verticalDistribution: 'spread',
+            minY: column.minY ?? 0.03,
+            maxY: column.maxY ?? 0.97
+        };
+    }
+
+    /**
+     * Calcula posiciones distribuidas verticalmente dentro de una columna
+     * @param {Array} names - Nombres de los nodos a distribuir
+     * @param {string} columnId - Id de la columna en FlowSpec
+     * @returns {Map} Nombre → {x, y}
+     */
+    calculateColumnPositions(names, columnId) {
+        const column = this.getColumn(columnId);
+        if (this.layoutEngine) {
+            return this.layoutEngine.calculateColumnPositions(names, column, {});
+        }
+
+        const positions = new Map();
+        const step = names.length > 1 ? (column.maxY - column.minY) / (names.length - 1) : 0;
+        names.forEach((name, index) => {
+            positions.set(name, { x: column.x, y: column.minY + index * step, column: columnId });
+        });
+        return positions;
+    }
+
+    /**
+     * Aplica una convención de signo a un valor
+     * @param {number|null} rawValue - Valor original del dato
+     * @param {string} sign - Convención ('positive', 'negative', 'nonzero', 'bidirectional')
+     * @returns {Object|null} { value, reversed } o null si el valor no aplica
+     */
+    applySign(rawValue, sign) {
+        if (rawValue === null || rawValue === undefined || isNaN(rawValue) || rawValue === 0) {
+            return null;
+        }
+
+        switch (sign) {
+            case 'positive':
+                return rawValue > 0 ? { value: rawValue, reversed: false } : null;
+            case 'negative':
+                return rawValue < 0 ? { value: Math.abs(rawValue), reversed: false } : null;
+            case 'bidirectional':
+                return { value: Math.abs(rawValue), reversed: rawValue < 0 };
+            case 'nonzero':
+            default:
+                return { value: Math.abs(rawValue), reversed: false };
+        }
+    }
+
+    /**
+     * Obtiene los hijos de un nodo padre filtrados por tipo de energía
+     * @param {string} parentName - Nombre del nodo padre
+     * @param {string|null} tipo - Tipo de energía o null para todos
+     * @returns {Array} Hijos del nodo padre
+     */
+    getChildren(parentName, tipo = null) {
+        const parentData = this.dataManager.getNodeData(parentName);
+        if (!parentData || !parentData['Nodos Hijo']) {
+            return [];
+        }
+        return parentData['Nodos Hijo'].filter(child => !tipo || child.tipo === tipo);
+    }
+
+    /**
+     * Calcula el total de un nodo según su regla `total`
+     * @param {Object} nodeSpec - Definición del nodo
+     * @param {string} year - Año a consultar
+     * @param {string|null} energetic - Limitar el total a un energético (opcional)
+     * @param {Object|null} filter - Filtro creado con createFilter (opcional)
+     * @returns {Object} { total, input, output }
+     */
+    computeNodeTotal(nodeSpec, year, energetic = null, filter = null) {
+        const rule = nodeSpec.total || { sign: 'nonzero' };
+        let children = this.getChildren(nodeSpec.parent, rule.tipo || null);
+        if (rule.energetics) {
+            children = children.filter(child => rule.energetics.includes(child['Nodo Hijo']));
+        }
+        if (energetic) {
+            children = children.filter(child => child['Nodo Hijo'] === energetic);
+        }
+        if (filter) {
+            children = children.filter(child => filter.allowsChild(nodeSpec.parent, child['Nodo Hijo']));
+        }
+
+        let input = 0;
+        let output = 0;
+        for (const child of children) {
+            const rawValue = this.dataManager.getEnergeticValue(nodeSpec.parent, child['Nodo Hijo'], year);
+            const selected = this.applySign(rawValue, rule.sign);
+            if (!selected) continue;
+
+            if (rawValue > 0) {
+                input += selected.value;
+            } else {
+                output += selected.value;
+            }
+        }
+
+        return { total: input + output, input, output };
+    }
+
+    /**
+     * Obtiene los energéticos de los grupos de la especificación
+     * @returns {Array} Lista de { name, tipo, group, color } sin duplicados
+     */
+    getEnergetics() {
+        const energetics = new Map();
+
+        for (const [groupName, group] of Object.entries(this.spec.groups || {})) {
+            this.getChildren(group.parent, group.tipo).forEach(child => {
+                const name = child['Nodo Hijo'];
+                if (energetics.has(name)) return;
+                energetics.set(name, {
+                    name: name,
+                    tipo: group.tipo,
+                    group: groupName,
+                    color: (this.styleManager && this.styleManager.getEnergyColor(name)) || child.color || '#CCCCCC'
+                });
+            });
+        }
+
+        return Array.from(energetics.values());
+    }
+
+    /**
+     * Obtiene la serie anual de un nodo desglosada por energético, con la
+     * misma regla de total que el nodo en el diagrama
+     * @param {Object} node - Nodo de un modelo de build (agregado o energético)
+     * @param {Object} options - Opciones
+     * @param {Array} options.years - Años a incluir (por defecto los disponibles)
+     * @param {string} options.energetic - Limitar a un energético (vista de un energético)
+     * @param {Object} options.filters - Selección del panel de filtros
+     * @returns {Object|null} { id, label, years, totals, carriers: [{ name, color, values }] } en PJ
+     */
+    getNodeSeries(node, options = {}) {
+        const filter = this.createFilter(options.filters);
+        const nodeSpec = this.spec.nodes.find(item => item.id === node.id);
+        let carriers = [];
+        let valueOf = null;
+
+        if (nodeSpec) {
+            const rule = nodeSpec.total || { sign: 'nonzero' };
+            carriers = this.getChildren(nodeSpec.parent, rule.tipo || null)
+                .map(child => child['Nodo Hijo'])
+                .filter(name => !rule.energetics || rule.energetics.includes(name))
+                .filter(name => !filter || filter.allowsChild(nodeSpec.parent, name));
+            valueOf = (name, year) => this.computeNodeTotal(nodeSpec, year, name, filter).total;
+        } else {
+            // Nodos de energético: su valor es el de la oferta interna bruta de su grupo
+            const group = Object.values(this.spec.groups || {}).find(item => item.tipo === node.tipo);
+            if (!group) return null;
+            carriers = [node.id];
+            valueOf = (name, year) => this.dataManager.getEnergeticValue(group.parent, name, year) ?? 0;
+        }
+        if (options.energetic) {
+            carriers = carriers.filter(name => name === options.energetic);
+        }
+
+        return this.createSeries(node.id, node.name || node.id, carriers.map(name => ({ name, valueOf })), options.years);
+    }
+
+    /**
+     * Obtiene la serie anual de un enlace del modelo (por energético si agrupa flujos menores).
+     * En los flujos bidireccionales solo cuentan los años con la misma dirección que el enlace.
+     * @param {Object} link - Enlace de un modelo de build
+     * @param {Object} options - { years }
+     * @returns {Object} { id, label, years, totals, carriers: [{ name, color, values }] } en PJ
+     */
+    getLinkSeries(link, options = {}) {
+        const members = link.aggregated ? link.members : [link];
+        const label = `${link.energetic}: ${link.sourceName} → ${link.targetName}`;
+
+        return this.createSeries(label, label, members.map(member => ({
+            name: member.energetic,
+            valueOf: (name, year) => {
+                const selected = this.applySign(this.dataManager.getEnergeticValue(member.parent, name, year), member.sign);
+                return selected && selected.reversed === Boolean(member.reversed) ? selected.value : 0;
+            }
+        })), options.years);
+    }
+
+    /**
+     * Arma una serie anual a partir de funciones de valor por energético
+     * @private
+     */
+    createSeries(id, label, entries, yearList) {
+        const years = [...(yearList || this.dataManager.getAvailableYears())].sort();
+        const carriers = entries
+            .map(entry => ({
+                name: entry.name,
+                color: (this.styleManager && this.styleManager.getEnergyColor(entry.name)) || '#999999',
+                values: years.map(year => entry.valueOf(entry.name, year) || 0)
+            }))
+            .filter(carrier => carrier.values.some(value => value !== 0))
+            .sort((a, b) => b.values.reduce((sum, v) => sum + Math.abs(v), 0) - a.values.reduce((sum, v) => sum + Math.abs(v), 0));
+        const totals = years.map((year, index) => carriers.reduce((sum, carrier) => sum + carrier.values[index], 0));
+
+        return { id, label, years, totals, carriers };
+    }
+
+    /**
+     * Obtiene los grupos de opciones del panel de filtros
+     * @returns {Array} Lista de { id, title, options: [{ value, label, color }] }
+     */
+    getFilterGroups() {
+        const energetics = this.getEnergetics();
+        const energyTypes = [...new Set(energetics.map(energetic => energetic.tipo))];
+        const nodeSpecs = new Map(this.spec.nodes.map(node => [node.id, node]));
+
+        return [
+            {
+                id: 'energyTypes',
+                title: 'Tipo de energía',
+                options: energyTypes.map(tipo => ({ value: tipo, label: tipo.replace(/^Energía /, '') }))
+            },
+            {
+                id: 'energetics',
+                title: 'Energéticos',
+                options: energetics.map(energetic => ({ value: energetic.name, label: energetic.name, color: energetic.color }))
+            },
+            ...Object.entries(this.spec.filterGroups || {}).map(([id, group]) => ({
+                id: id,
+                title: group.title,
+                options: group.nodes.map(nodeId => ({ value: nodeId, label: nodeSpecs.get(nodeId).label || nodeId }))
+            }))
+        ];
+    }
+
+    /**
+     * Crea el filtro de construcción a partir de las opciones seleccionadas.
+     * Los hijos permitidos se obtienen con DataManager.filterNodes.
+     * @param {Object|null} filters - Valores incluidos por grupo ({ energyTypes, energetics,
+     *   y un arreglo por cada grupo de FlowSpec.filterGroups }); un grupo ausente no filtra
+     * @returns {Object|null} { hiddenNodes: Set, allowsChild(parent, energético) } o null sin filtros
+     */
+    createFilter(filters) {
+        if (!filters || Object.values(filters).every(values => !values)) {
+            return null;
+        }
+
+        const hiddenNodes = new Set();
+        for (const [id, group] of Object.entries(this.spec.filterGroups || {})) {
+            if (!filters[id]) continue;
+            group.nodes.filter(nodeId => !filters[id].includes(nodeId)).forEach(nodeId => hiddenNodes.add(nodeId));
+        }
+
+        // Los padres de nodos ocultos se excluyen salvo que otro nodo visible los use
+        const visibleParents = new Set(this.spec.nodes.filter(node => !hiddenNodes.has(node.id)).map(node => node.parent));
+        const hiddenParents = new Set(this.spec.nodes
+            .filter(node => hiddenNodes.has(node.id) && !visibleParents.has(node.parent))
+            .map(node => node.parent));
+
+        const { childNodes } = this.dataManager.filterNodes({
+            energyTypes: filters.energyTypes || undefined,
+            parentNodes: hiddenParents.size
+                ? this.dataManager.getParentNodeNames().filter(name => !hiddenParents.has(name))
+                : undefined
+        });
+        const allowed = new Set(childNodes.map(child => `${child.parent}|${child.name}`));
+        const energetics = filters.energetics ? new Set(filters.energetics) : null;
+
+        return {
+            hiddenNodes: hiddenNodes,
+            allowsChild: (parentName, energetic) =>
+                allowed.has(`${parentName}|${energetic}`) && (!energetics || energetics.has(energetic))
+        };
+    }
+
+    /**
+     * Formatea un valor en PJ para las etiquetas de los nodos, en la unidad activa
+     * @param {number} value - Valor a formatear (en PJ)
+     * @returns {string} Valor formateado
+     */
+    formatValue(value) {
+        if (this.unitConverter) {
+            return this.unitConverter.formatNumber(Math.abs(value));
+        }
+        return Math.abs(value).toLocaleString('en-US', {
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 2
+        });
+    }
+
+    /**
+     * Obtiene la unidad en que se muestran las etiquetas y popups
+     * @returns {string} Unidad, p. ej. 'PJ' o 'TWh'
+     */
+    getUnit() {
+        return this.unitConverter ? this.unitConverter.getUnit() : (this.spec.unit || 'PJ');
+    }
+
+    /**
+     * Construye el modelo del diagrama para un año
+     * @param {string} year - Año a construir
+     * @param {Object} options - Opciones de construcción
+     * @param {Object} options.stableLayout - Estructura común a varios años (ver getStableLayout)
+     * @param {string} options.energetic - Seguir un solo energético: se omiten los demás y
+     *   los totales de los nodos se calculan solo con ese energético
+     * @param {Object} options.filters - Selección del panel de filtros (ver createFilter)
+     * @param {Object} options.smallFlows - Agrupación de flujos menores { threshold, mode }
+     *   (ver aggregateSmallFlows); no se aplica en la vista de un solo energético
+     * @param {boolean} options.emissions - Agregar las emisiones de CO2 a enlaces y nodos
+     *   (requiere emissionsCalculator; ver applyEmissions)
+     * @param {Map} options.revisions - Flujos revisados del año ("nodo padre|energético" → cambio,
+     *   ver DatasetComparator.getRevisedFlows): se resaltan y los demás se atenúan
+     * @returns {Object} Modelo con nodos, enlaces, mapa de índices y arreglos de Plotly;
+     *   yearNote indica si el año no es definitivo (ver DataManager.getYearNote)
+     */
+    build(year, options = {}) {
+        const unit = this.getUnit();
+        const stableLayout = options.stableLayout || null;
+        const carrier = options.energetic || null;
+        const filter = this.createFilter(options.filters);
+        const nodes = [];
+        const links = [];
+        const nodeMap = new Map();
+        const groupMaps = new Map();
+        const withEmissions = Boolean(options.emissions && this.emissionsCalculator);
+
+        // Las unidades por día dependen de los días del año que se construye
+        if (this.unitConverter) {
+            this.unitConverter.setReferenceYear(year);
+        }
+
+        const pushNode = (node) => {
+            if (nodeMap.has(node.id)) {
+                return nodeMap.get(node.id);
+            }
+            const index = nodes.length;
+            nodes.push({ index, ...node });
+            nodeMap.set(node.id, index);
+            return index;
+        };
+
+        // 1) Grupos de energéticos
+        for (const [groupName, group] of Object.entries(this.spec.groups || {})) {
+            const children = this.getChildren(group.parent, group.tipo)
+                .filter(child => !carrier || child['Nodo Hijo'] === carrier)
+                .filter(child => !filter || filter.allowsChild(group.parent, child['Nodo Hijo']));
+            const positions = this.calculateColumnPositions(children.map(child => child['Nodo Hijo']), group.column);
+            const groupMap = new Map();
+
+            children.forEach(child => {
+                const name = child['Nodo Hijo'];
+                const total = this.dataManager.getEnergeticValue(group.parent, name, year);
+                const position = positions.get(name);
+                const color = (this.styleManager && this.styleManager.getEnergyColor(name)) || child.color || '#CCCCCC';
+
+                const index = pushNode({
+                    id: name,
+                    name: name,
+                    label: total !== null ? `${name}<br>${this.formatValue(total)} ${unit}` : name,
+                    color: color,
+                    x: position.x,
+                    y: position.y,
+                    value: total ?? 0,
+                    group: groupName,
+                    tipo: group.tipo,
+                    customdata: this.popupManager
+                        ? this.popupManager.generateNodePopup(name, child, year, total !== null ? { total, unit } : {}, 'text', group.tipo, 'simple_source')
+                        : ''
+                });
+                groupMap.set(name, index);
+            });
+
+            groupMaps.set(groupName, groupMap);
+        }
+
+        // 2) Nodos agregados
+        const omittedNodes = new Set();
+        for (const nodeSpec of this.spec.nodes) {
+            if (filter && filter.hiddenNodes.has(nodeSpec.id)) {
+                omittedNodes.add(nodeSpec.id);
+                continue;
+            }
+
+            const parentData = this.dataManager.getNodeData(nodeSpec.parent);
+            if (!parentData) {
+                console.error(`Error: datos de '${nodeSpec.parent}' no disponibles para el nodo "${nodeSpec.id}".`);
+                omittedNodes.add(nodeSpec.id);
+                continue;
+            }
+
+            const { total, input, output } = this.computeNodeTotal(nodeSpec, year, carrier, filter);
+            const keepNode = stableLayout && stableLayout.nodeIds.has(nodeSpec.id);
+            if (nodeSpec.optional && total === 0 && !keepNode) {
+                omittedNodes.add(nodeSpec.id);
+                continue;
+            }
+
+            const displayName = nodeSpec.label || nodeSpec.id;
+            const column = this.getColumn(nodeSpec.column);
+            const baseColor = parentData.color || '#999999';
+            const color = (this.styleManager && this.styleManager.getEnergyColor(nodeSpec.id, 'default')) || baseColor;
+
+            let label = `${displayName}<br>${this.formatValue(total)} ${unit}`;
+            let popupData = { label: nodeSpec.popupLabel || nodeSpec.id, total, unit };
+            let template = 'simple_source';
+            if (nodeSpec.kind === 'inventory') {
+                label = `${displayName}<br>↑ ${this.formatValue(input)} ${unit}  ↓ ${this.formatValue(output)} ${unit}`;
+                popupData = { variacion_positiva: input, variacion_negativa: output, unit };
+                template = 'inventory_variation';
+            }
+
+            pushNode({
+                id: nodeSpec.id,
+                name: displayName,
+                label: label,
+                color: color,
+                x: column.x,
+                y: nodeSpec.y ?? 0.5,
+                value: total,
+                parent: nodeSpec.parent,
+                customdata: this.popupManager
+                    ? this.popupManager.generateNodePopup(popupData.label || nodeSpec.id, parentData, year, popupData, 'text', null, template)
+                    : ''
+            });
+        }
+
+        // 3) Flujos
+        const resolve = (ref, energetic) => {
+            if (ref.startsWith('@')) {
+                const groupMap = groupMaps.get(ref.slice(1));
+                return groupMap ? groupMap.get(energetic) : undefined;
+            }
+            return omittedNodes.has(ref) ? undefined : nodeMap.get(ref);
+        };
+        const nodeSpecs = new Map(this.spec.nodes.map(node => [node.id, node]));
+
+        for (const flow of this.spec.flows) {
+            const parentName = flow.parent
+                || (flow.from.startsWith('@') ? nodeSpecs.get(flow.to).parent : nodeSpecs.get(flow.from).parent);
+
+            for (const child of this.getChildren(parentName, flow.tipo || null)) {
+                const energetic = child['Nodo Hijo'];
+                if (carrier && energetic !== carrier) continue;
+                if (filter && !filter.allowsChild(parentName, energetic)) continue;
+                const rawValue = this.dataManager.getEnergeticValue(parentName, energetic, year);
+                const selected = this.applySign(rawValue, flow.sign);
+                if (!selected) continue;
+
+                let sourceIndex = resolve(flow.from, energetic);
+                let targetIndex = resolve(flow.to, energetic);
+                if (sourceIndex === undefined || targetIndex === undefined) continue;
+                if (selected.reversed) {
+                    [sourceIndex, targetIndex] = [targetIndex, sourceIndex];
+                }
+
+                const baseColor = (this.styleManager && this.styleManager.getEnergyColor(energetic)) || child.color || '#999999';
+                const sourceName = nodes[sourceIndex].id;
+                const targetName = nodes[targetIndex].id;
+
+                links.push({
+                    index: links.length,
+                    source: sourceIndex,
+                    target: targetIndex,
+                    sourceName: sourceName,
+                    targetName: targetName,
+                    energetic: energetic,
+                    tipo: child.tipo,
+                    parent: parentName,
+                    flowType: flow.flowType,
+                    sign: flow.sign,
+                    reversed: selected.reversed,
+                    value: selected.value,
+                    rawValue: rawValue,
+                    emissions: withEmissions ? this.emissionsCalculator.getFlowEmissions(parentName, energetic, rawValue) : null,
+                    baseColor: baseColor,
+                    color: this.styleManager ? this.styleManager.hexToRgba(baseColor, this.linkOpacity) : baseColor,
+                    customdata: this.popupManager
+                        ? this.popupManager.generateLinkPopup(energetic, rawValue, sourceName, targetName, baseColor, year, { flowType: flow.flowType })
+                        : ''
+                });
+            }
+        }
+
+        if (stableLayout) {
+            this.alignLinks(links, stableLayout, nodeMap, (template) =>
+                (!carrier || template.energetic === carrier)
+                && (!filter || filter.allowsChild(template.parent, template.energetic)));
+        }
+
+        // En la vista de un energético solo quedan los nodos por los que pasa,
+        // con totales calculados a partir de los flujos de ese energético
+        if (carrier) {
+            this.applyCarrierTotals(nodes, links, nodeSpecs, year);
+        }
+        // Los flujos menores al umbral se agrupan en enlaces "Otros energéticos (n)"
+        const smallFlows = options.smallFlows || null;
+        if (!carrier && smallFlows && smallFlows.threshold > 0) {
+            this.aggregateSmallFlows(nodes, links, smallFlows);
+        }
+
+        // Los nodos que se quedan sin flujos por los filtros también se omiten
+        if (carrier || filter) {
+            this.pruneUnlinkedNodes(nodes, links, nodeMap);
+        }
+
+        if (withEmissions) {
+            this.applyEmissions(nodes, links);
+        }
+        if (options.revisions) {
+            this.applyRevisions(links, options.revisions);
+        }
+
+        // Los popups de un año preliminar o proyectado lo indican
+        const yearNote = this.dataManager.getYearNote(year);
+        if (yearNote && this.popupManager) {
+            this.applyYearNote(nodes, links, yearNote);
+        }
+
+        this.registerConnections(links);
+
+        return {
+            year: year,
+            yearNote: yearNote,
+            unit: unit,
+            energetic: carrier,
+            nodes: nodes,
+            links: links,
+            nodeMap: nodeMap,
+            omittedNodes: Array.from(omittedNodes),
+            maxLinkValue: this.getMaxLinkValue(links),
+            ...this.toPlotlyArrays(nodes, links)
+        };
+    }
+
+    /**
+     * Obtiene la clave de identidad de un enlace entre años
+     * @param {Object} link - Enlace construido
+     * @returns {string} Clave origen→destino|energético|tipo de flujo
+     */
+    getLinkKey(link) {
+        return `${link.sourceName}→${link.targetName}|${link.energetic}|${link.flowType}`;
+    }
+
+    /**
+     * Calcula una estructura de nodos y enlaces común a varios años.
+     * Con ella, build() genera los mismos nodos y enlaces en el mismo orden
+     * para cada año, lo que permite animar las transiciones entre años.
+     * @param {Array} years - Años a considerar
+     * @returns {Object} { nodeIds: Set, links: Array de plantillas de enlace en orden }
+     */
+    getStableLayout(years) {
+        const nodeIds = new Set();
+        const linkTemplates = new Map();
+
+        for (const year of years) {
+            const model = this.build(year);
+            model.nodes.forEach(node => nodeIds.add(node.id));
+            model.links.forEach(link => {
+                const key = this.getLinkKey(link);
+                if (!linkTemplates.has(key)) {
+                    linkTemplates.set(key, {
+                        key: key,
+                        sourceName: link.sourceName,
+                        targetName: link.targetName,
+                        energetic: link.energetic,
+                        tipo: link.tipo,
+                        parent: link.parent,
+                        flowType: link.flowType,
+                        baseColor: link.baseColor,
+                        color: link.color
+                    });
+                }
+            });
+        }
+
+        return { years: [...years], nodeIds, links: Array.from(linkTemplates.values()) };
+    }
+
+    /**
+     * Reordena los enlaces según la estructura común y completa los ausentes con valor 0
+     * @param {Array} links - Enlaces del año (se modifica en su lugar)
+     * @param {Object} stableLayout - Estructura común (ver getStableLayout)
+     * @param {Map} nodeMap - Mapa de id de nodo a índice
+     * @param {Function|null} acceptsTemplate - Predicado (plantilla) => boolean para usar
+     *   solo algunas plantillas, por ejemplo las de un energético (opcional)
+     */
+    alignLinks(links, stableLayout, nodeMap, acceptsTemplate = null) {
+        const byKey = new Map(links.map(link => [this.getLinkKey(link), link]));
+        const aligned = [];
+
+        for (const template of stableLayout.links) {
+            if (acceptsTemplate && !acceptsTemplate(template)) continue;
+            const link = byKey.get(template.key);
+            if (link) {
+                aligned.push(link);
+                byKey.delete(template.key);
+            } else if (nodeMap.has(template.sourceName) && nodeMap.has(template.targetName)) {
+                const { key, ...fields } = template;
+                aligned.push({
+                    ...fields,
+                    source: nodeMap.get(template.sourceName),
+                    target: nodeMap.get(template.targetName),
+                    value: 0,
+                    rawValue: 0,
+                    placeholder: true,
+                    customdata: ''
+                });
+            }
+        }
+
+        // Enlaces que no existían al calcular la estructura se agregan al final
+        aligned.push(...byKey.values());
+
+        links.length = 0;
+        aligned.forEach((link, index) => links.push({ ...link, index }));
+    }
+
+    /**
+     * Recalcula el total de los nodos agregados como el mayor entre lo que
+     * entra y lo que sale por los flujos de un solo energético. Los nodos de
+     * inventario conservan sus variaciones y los de energéticos su valor propio.
+     * @param {Array} nodes - Nodos construidos (se modifica en su lugar)
+     * @param {Array} links - Enlaces del energético
+     * @param {Map} nodeSpecs - Definiciones de nodos por id
+     * @param {string} year - Año construido
+     */
+    applyCarrierTotals(nodes, links, nodeSpecs, year) {
+        const unit = this.getUnit();
+        const inflow = new Map();
+        const outflow = new Map();
+        links.forEach(link => {
+            outflow.set(link.source, (outflow.get(link.source) || 0) + link.value);
+            inflow.set(link.target, (inflow.get(link.target) || 0) + link.value);
+        });
+
+        nodes.forEach(node => {
+            const nodeSpec = nodeSpecs.get(node.id);
+            if (!nodeSpec || nodeSpec.kind === 'inventory') return;
+
+            const total = Math.max(inflow.get(node.index) || 0, outflow.get(node.index) || 0);
+            node.value = total;
+            node.label = `${node.name}<br>${this.formatValue(total)} ${unit}`;
+            if (this.popupManager) {
+                const label = nodeSpec.popupLabel || nodeSpec.id;
+                node.customdata = this.popupManager.generateNodePopup(label, this.dataManager.getNodeData(nodeSpec.parent), year, { label, total, unit }, 'text', null, 'simple_source');
+            }
+        });
+    }
+
+    /**
+     * Agrupa los flujos menores a un umbral. Para cada nodo agregado (el extremo
+     * que no es un energético), sus flujos pequeños de entrada o de salida que
+     * comparten origen y destino se combinan en un solo enlace "Otros energéticos (n)"
+     * entre esos mismos nodos, por lo que las entradas y salidas de todos los
+     * nodos no cambian.
+     * @param {Array} nodes - Nodos construidos
+     * @param {Array} links - Enlaces construidos (se modifica en su lugar)
+     * @param {Object} smallFlows - Configuración de la agrupación
+     * @param {number} smallFlows.threshold - Umbral en PJ o en porcentaje
+     * @param {string} smallFlows.mode - 'absolute' (PJ) o 'percent' (% del flujo total del nodo)
+     * @returns {number} Cantidad de enlaces agrupados creados
+     */
+    aggregateSmallFlows(nodes, links, smallFlows) {
+        const relative = smallFlows.mode === 'percent';
+        const inflow = new Map();
+        const outflow = new Map();
+        links.forEach(link => {
+            outflow.set(link.source, (outflow.get(link.source) || 0) + link.value);
+            inflow.set(link.target, (inflow.get(link.target) || 0) + link.value);
+        });
+        const throughput = index => Math.max(inflow.get(index) || 0, outflow.get(index) || 0);
+        const isEnergetic = index => Boolean(nodes[index].group);
+
+        // 1) Clasificar los flujos pequeños por origen y destino; el umbral
+        //    relativo se mide sobre el nodo agregado
+        const buckets = new Map();
+        links.forEach(link => {
+            if (link.placeholder || !(link.value > 0)) return;
+            const anchor = isEnergetic(link.target) && !isEnergetic(link.source) ? link.source : link.target;
+
+            const limit = relative ? throughput(anchor) * smallFlows.threshold / 100 : smallFlows.threshold;
+            if (link.value >= limit) return;
+
+            const key = `${link.source}→${link.target}`;
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(link);
+        });
+
+        // Un solo flujo pequeño no satura el diagrama: se conserva tal cual
+        const merging = Array.from(buckets.values()).filter(bucket => bucket.length > 1);
+        if (merging.length === 0) return 0;
+
+        // 2) Reemplazar los flujos agrupados por un enlace por cubeta
+        const merged = new Set();
+        const aggregatedLinks = merging.map((bucket) => {
+            const { source, target } = bucket[0];
+            const members = bucket
+                .map(link => ({
+                    energetic: link.energetic,
+                    parent: link.parent,
+                    sign: link.sign,
+                    reversed: link.reversed,
+                    value: link.value,
+                    emissions: link.emissions ?? null
+                }))
+                .sort((a, b) => b.value - a.value);
+            const value = members.reduce((sum, member) => sum + member.value, 0);
+            const emissions = members.some(member => member.emissions)
+                ? members.reduce((sum, member) => sum + (member.emissions || 0), 0)
+                : null;
+            const label = `Otros energéticos (${members.length})`;
+            bucket.forEach(link => merged.add(link));
+
+            return {
+                source: source,
+                target: target,
+                sourceName: bucket[0].sourceName,
+                targetName: bucket[0].targetName,
+                energetic: label,
+                tipo: bucket[0].tipo,
+                parent: null,
+                flowType: bucket[0].flowType,
+                value: value,
+                rawValue: value,
+                emissions: emissions,
+                aggregated: true,
+                members: members,
+                baseColor: '#AAAAAA',
+                color: this.styleManager ? this.styleManager.hexToRgba('#AAAAAA', this.linkOpacity) : '#AAAAAA',
+                customdata: this.popupManager
+                    ? this.popupManager.generateAggregatedLinkPopup(label, nodes[source].name, nodes[target].name, members)
+                    : ''
+            };
+        });
+
+        const remaining = links.filter(link => !merged.has(link));
+        links.length = 0;
+        [...remaining, ...aggregatedLinks].forEach((link, index) => links.push({ ...link, index }));
+
+        return aggregatedLinks.length;
+    }
+
+    /**
+     * Agrega las emisiones de CO2 a los popups. Cada enlace de combustión ya trae
+     * sus emisiones; cada nodo suma las de sus enlaces de entrada o de salida
+     * (el mayor), de modo que un energético muestra lo que emite al quemarse y
+     * un sector o centro lo que emite al consumirlo, con los filtros aplicados.
+     * @param {Array} nodes - Nodos construidos (se modifica en su lugar)
+     * @param {Array} links - Enlaces construidos (se modifica en su lugar)
+     */
+    applyEmissions(nodes, links) {
+        const inflow = new Map();
+        const outflow = new Map();
+        links.forEach(link => {
+            if (!link.emissions) return;
+            outflow.set(link.source, (outflow.get(link.source) || 0) + link.emissions);
+            inflow.set(link.target, (inflow.get(link.target) || 0) + link.emissions);
+            if (this.popupManager) {
+                link.customdata = this.popupManager.appendEmissions(link.customdata, link.emissions);
+            }
+        });
+
+        nodes.forEach(node => {
+            const emissions = Math.max(inflow.get(node.index) || 0, outflow.get(node.index) || 0);
+            if (emissions === 0) return;
+            node.emissions = emissions;
+            if (this.popupManager) {
+                node.customdata = this.popupManager.appendEmissions(node.customdata, emissions);
+            }
+        });
+    }
+
+    /**
+     * Marca los enlaces con revisiones respecto a otra edición de los datos y
+     * atenúa los demás; un enlace agrupado está revisado si lo está algún miembro
+     * @param {Array} links - Enlaces construidos (se modifican en su lugar)
+     * @param {Map} revisions - "nodo padre|energético canónico" → { before, after, delta }
+     */
+    applyRevisions(links, revisions) {
+        // Las revisiones usan el nombre canónico del energético (ver DataManager.processChildNodes)
+        const registry = this.dataManager && this.dataManager.nameRegistry;
+        const canonical = name => (registry ? registry.getCanonicalName(name, 'child') : name);
+
+        links.forEach(link => {
+            const members = link.aggregated ? link.members : [link];
+            const changes = members
+                .map(member => revisions.get(`${member.parent}|${canonical(member.energetic)}`))
+                .filter(Boolean);
+
+            if (changes.length === 0) {
+                link.revised = false;
+                link.color = this.styleManager ? this.styleManager.hexToRgba(link.baseColor, 0.08) : link.color;
+                return;
+            }
+
+            link.revised = true;
+            if (this.popupManager) {
+                link.customdata = changes.reduce(
+                    (popup, change) => this.popupManager.appendRevision(popup, change, link.aggregated ? change.child : null),
+                    link.customdata
+                );
+            }
+        });
+    }
+
+    /**
+     * Agrega a todos los popups la nota de un año no definitivo
+     * @param {Array} nodes - Nodos construidos (se modifica en su lugar)
+     * @param {Array} links - Enlaces construidos (se modifica en su lugar)
+     * @param {string} note - Nota, p. ej. "Datos preliminares 2024"
+     */
+    applyYearNote(nodes, links, note) {
+        [...nodes, ...links].forEach(item => {
+            item.customdata = this.popupManager.appendYearNote(item.customdata, note);
+        });
+    }
+
+    /**
+     * Elimina los nodos sin enlaces y reasigna los índices de nodos y enlaces
+     * @param {Array} nodes - Nodos construidos (se modifica en su lugar)
+     * @param {Array} links - Enlaces construidos (se modifica en su lugar)
+     * @param {Map} nodeMap - Mapa de id de nodo a índice (se modifica en su lugar)
+     */
+    pruneUnlinkedNodes(nodes, links, nodeMap) {
+        const linked = new Set();
+        links.forEach(link => {
+            linked.add(link.source);
+            linked.add(link.target);
+        });
+
+        const kept = nodes.filter(node => linked.has(node.index));
+        const newIndex = new Map(kept.map((node, index) => [node.index, index]));
+
+        nodes.length = 0;
+        nodeMap.clear();
+        kept.forEach((node, index) => {
+            nodes.push({ ...node, index });
+            nodeMap.set(node.id, index);
+        });
+
+        links.forEach(link => {
+            link.source = newIndex.get(link.source);
+            link.target = newIndex.get(link.target);
+        });
+    }
+
+    /**
+     * Convierte el modelo de nodos y enlaces a los arreglos de la traza de Plotly
+     * @param {Array} nodes - Nodos construidos
+     * @param {Array} links - Enlaces construidos
+     * @returns {Object} { node, link } con arreglos paralelos
+     */
+    toPlotlyArrays(nodes, links) {
+        const scaleContext = { maxValue: this.getMaxLinkValue(links) };
+
+        return {
+            node: {
+                label: nodes.map(node => node.label),
+                color: nodes.map(node => node.color),
+                x: nodes.map(node => node.x),
+                y: nodes.map(node => node.y),
+                value: nodes.map(node => node.value),
+                customdata: nodes.map(node => node.customdata)
+            },
+            link: {
+                source: links.map(link => link.source),
+                target: links.map(link => link.target),
+                value: links.map(link => (link.value > 0 ? this.linkValueScaler(link.value, scaleContext) : 0)),
+                color: links.map(link => link.color),
+                customdata: links.map(link => link.customdata)
+            }
+        };
+    }
+
+    /**
+     * Construye el diagrama de diferencias entre dos años.
+     * El grosor de cada enlace es el cambio absoluto en PJ y su color indica
+     * si el flujo aumentó o disminuyó.
+     * @param {string} yearFrom - Año base
+     * @param {string} yearTo - Año de comparación
+     * @param {Object} options - Opciones de construcción
+     * @param {Object} options.stableLayout - Estructura común que incluya ambos años
+     * @param {string} options.energetic - Comparar un solo energético (opcional)
+     * @param {Object} options.filters - Selección del panel de filtros (opcional)
+     * @returns {Object} Modelo con la misma forma que build() más yearFrom, yearTo y colorKey
+     */
+    buildDifference(yearFrom, yearTo, options = {}) {
+        const stableLayout = options.stableLayout || this.getStableLayout([yearFrom, yearTo]);
+        const energetic = options.energetic || null;
+        const filters = options.filters || null;
+        const from = this.build(yearFrom, { stableLayout, energetic, filters });
+        const to = this.build(yearTo, { stableLayout, energetic, filters });
+        const unit = to.unit;
+        const fromLinks = new Map(from.links.map(link => [this.getLinkKey(link), link]));
+        const sign = (value) => (value > 0 ? '+' : value < 0 ? '−' : '');
+
+        const nodes = to.nodes.map((node) => {
+            const previous = from.nodes[from.nodeMap.get(node.id)];
+            const valueFrom = previous ? previous.value : 0;
+            const delta = node.value - valueFrom;
+
+            return {
+                ...node,
+                label: `${node.name}<br>Δ ${sign(delta)}${this.formatValue(delta)} ${unit}`,
+                valueFrom: valueFrom,
+                valueTo: node.value,
+                delta: delta,
+                customdata: this.popupManager
+                    ? this.popupManager.generateDifferenceNodePopup(node.name, valueFrom, node.value, yearFrom, yearTo)
+                    : ''
+            };
+        });
+
+        const links = to.links.map((link) => {
+            const previous = fromLinks.get(this.getLinkKey(link));
+            const valueFrom = previous ? previous.value : 0;
+            const delta = link.value - valueFrom;
+            const color = this.styleManager
+                ? this.styleManager.getChangeColor(delta, this.linkOpacity)
+                : link.color;
+
+            return {
+                ...link,
+                value: Math.abs(delta),
+                valueFrom: valueFrom,
+                valueTo: link.value,
+                delta: delta,
+                color: color,
+                customdata: this.popupManager && delta !== 0
+                    ? this.popupManager.generateDifferenceLinkPopup(link.energetic, link.sourceName, link.targetName, valueFrom, link.value, yearFrom, yearTo)
+                    : ''
+            };
+        });
+
+        this.registerConnections(links.filter(link => link.value > 0));
+
+        return {
+            year: yearTo,
+            yearFrom: yearFrom,
+            yearTo: yearTo,
+            unit: unit,
+            energetic: energetic,
+            nodes: nodes,
+            links: links,
+            nodeMap: to.nodeMap,
+            omittedNodes: to.omittedNodes,
+            maxLinkValue: this.getMaxLinkValue(links),
+            colorKey: this.styleManager
+                ? [
+                    { label: 'Aumento', color: this.styleManager.getChangeColor(1, this.linkOpacity) },
+                    { label: 'Disminución', color: this.styleManager.getChangeColor(-1, this.linkOpacity) }
+                ]
+                : [],
+            ...this.toPlotlyArrays(nodes, links)
+        };
+    }
+
+    /**
+     * Obtiene la columna de la especificación a la que pertenece un nodo construido
+     * @param {Object} node - Nodo del modelo
+     * @returns {string|null} Id de la columna en FlowSpec
+     */
+    getNodeColumn(node) {
+        if (node.group) {
+            const group = (this.spec.groups || {})[node.group];
+            return group ? group.column : null;
+        }
+        const nodeSpec = this.spec.nodes.find(spec => spec.id === node.id);
+        return nodeSpec ? nodeSpec.column : null;
+    }
+
+    /**
+     * Agrupa los flujos de un modelo por la columna de su nodo de origen,
+     * de mayor a menor, para las tablas de los reportes
+     * @param {Object} model - Modelo construido por build() o buildDifference()
+     * @param {Object} options - Opciones
+     * @param {number} options.limit - Flujos por columna (por defecto 10; el total incluye todos)
+     * @returns {Array} Tablas { columnId, title, rows: [{ source, target, energetic, value, delta, emissions }], total, count }
+     *   en el orden de las columnas de la especificación, sin las columnas sin flujos
+     *   (delta solo en modelos de diferencia; emissions cuando el modelo incluye emisiones)
+     */
+    getFlowTables(model, options = {}) {
+        const limit = options.limit ?? 10;
+        const tables = new Map(Object.entries(this.spec.columns).map(([columnId, column]) => [columnId, {
+            columnId: columnId,
+            title: column.title || columnId,
+            rows: [],
+            total: 0,
+            count: 0
+        }]));
+
+        model.links.forEach((link) => {
+            const table = tables.get(this.getNodeColumn(model.nodes[link.source]));
+            if (!table) return;
+            table.rows.push({
+                source: model.nodes[link.source].name,
+                target: model.nodes[link.target].name,
+                energetic: link.energetic,
+                value: Math.abs(link.value),
+                delta: link.delta ?? null,
+                emissions: link.emissions ?? null
+            });
+            table.total += Math.abs(link.value);
+            table.count++;
+        });
+
+        return Array.from(tables.values())
+            .filter(table => table.count > 0)
+            .map(table => ({
+                ...table,
+                rows: table.rows.sort((a, b) => b.value - a.value).slice(0, limit)
+            }));
+    }
+
+    /**
+     * Energéticos presentes en los flujos de un modelo con su color, de mayor a menor flujo
+     * @param {Object} model - Modelo construido por build()
+     * @returns {Array} Elementos { label, color, value }
+     */
+    getLegendItems(model) {
+        const items = new Map();
+        model.links.forEach((link) => {
+            const item = items.get(link.energetic) || { label: link.energetic, color: link.baseColor, value: 0 };
+            item.value += Math.abs(link.value);
+            items.set(link.energetic, item);
+        });
+        return Array.from(items.values()).sort((a, b) => b.value - a.value);
+    }
+
+    /**
+     * Obtiene el mayor valor real (en valor absoluto) entre los enlaces
+     * @param {Array} links - Enlaces construidos
+     * @returns {number} Valor máximo o 0 si no hay enlaces
+     */
+    getMaxLinkValue(links) {
+        return links.reduce((max, link) => Math.max(max, Math.abs(link.value)), 0);
+    }
+
+    /**
+     * Registra los flujos generados como mapa de conexiones en LinkManager
+     * @param {Array} links - Enlaces construidos
+     */
+    registerConnections(links) {
+        if (!this.linkManager) return;
+
+        const connectionMap = new Map();
+        for (const link of links.filter(l => !l.placeholder)) {
+            const targets = connectionMap.get(link.sourceName) || [];
+            if (!targets.includes(link.targetName)) {
+                targets.push(link.targetName);
+            }
+            connectionMap.set(link.sourceName, targets);
+        }
+        this.linkManager.registerConnectionMap('flow-spec', connectionMap);
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SankeyBuilder;
+}
@@ -0,0 +1,678 @@
+/**
+ * SankeyDiagram - Controlador de una instancia del diagrama de Sankey
+ *
+ * Este módulo encapsula el estado que antes vivía en variables globales de
+ * main.js (elemento de Plotly, colores base, mapeo de enlaces, foco y zoom)
+ * para poder tener varios diagramas en la misma página y sincronizarlos.
+ *
+ * Funcionalidades principales:
+ * - Renderizado con Plotly.newPlot y actualización animada con Plotly.react
+ * - Trazado de rutas aguas abajo, aguas arriba, completas o entre dos nodos
+ * - Resumen en PJ del subgrafo trazado
+ * - Zoom y desplazamiento mediante ZoomManager
+ * - Eventos 'rendered', 'focus', 'reset', 'trace', 'tracemode', 'tracepending',
+ *   'hover', 'unhover', 'select' y 'zoom'
+ * - Sincronización de foco, hover y zoom entre instancias
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class SankeyDiagram {
+    /**
+     * Constructor del SankeyDiagram
+     * @param {HTMLElement} element - Elemento donde Plotly dibuja el diagrama
+     * @param {Object} options - Opciones de configuración
+     * @param {HTMLElement} options.zoomContainer - Contenedor que recibe los gestos de zoom
+     * @param {ColumnLabelsManager} options.columnLabelsManager - Etiquetas de columnas (opcional)
+     * @param {number} options.transitionMs - Duración aproximada de la transición de Plotly
+     */
+    constructor(element, options = {}) {
+        if (!element) {
+            throw new Error('SankeyDiagram requiere un elemento contenedor');
+        }
+
+        this.element = element;
+        this.zoomContainer = options.zoomContainer || null;
+        this.columnLabelsManager = options.columnLabelsManager || null;
+        this.transitionMs = options.transitionMs ?? 600;
+
+        // Estado del resaltado
+        this.baseNodeColors = [];
+        this.baseLinkColors = [];
+        this.linkSources = [];
+        this.linkTargets = [];
+        this.linkValues = [];
+        this.model = null;
+        this.focusActive = false;
+        this.focusedNode = null;
+
+        // Modos de trazado disponibles al hacer clic en un nodo
+        this.traceModes = new Map([
+            ['forward', { label: 'Aguas abajo', hint: 'Clic en un nodo para ver a dónde fluye su energía' }],
+            ['backward', { label: 'Aguas arriba', hint: 'Clic en un nodo para ver de dónde proviene su energía' }],
+            ['full', { label: 'Ruta completa', hint: 'Clic en un nodo para ver sus orígenes y destinos' }],
+            ['between', { label: 'Entre dos nodos', hint: 'Clic en el nodo de origen y después en el de destino' }]
+        ]);
+        this.traceMode = 'forward';
+        this.activeTrace = null;
+        this.pendingStart = null;
+
+        this.zoomManager = null;
+        this.blankClickHandler = null;
+        this.listeners = new Map();
+
+        // Elementos de diagramas sincronizados: un clic en ellos no reinicia el foco
+        this.linkedElements = new Set([element]);
+    }
+
+    /**
+     * Registra un callback para un evento del diagrama
+     * @param {string} eventName - Nombre del evento
+     * @param {Function} callback - Función a ejecutar
+     */
+    on(eventName, callback) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        this.listeners.get(eventName).add(callback);
+    }
+
+    /**
+     * Emite un evento a los callbacks registrados
+     * @param {string} eventName - Nombre del evento
+     * @param {*} detail - Datos del evento
+     * @private
+     */
+    emit(eventName, detail) {
+        const callbacks = this.listeners.get(eventName);
+        if (!callbacks) return;
+        callbacks.forEach((callback) => {
+            try {
+                callback(detail, this);
+            } catch (error) {
+                console.error(`Error en el evento "${eventName}" del diagrama:`, error);
+            }
+        });
+    }
+
+    /**
+     * Indica si el diagrama ya fue dibujado
+     * @returns {boolean} True si existe una traza de Plotly
+     */
+    isRendered() {
+        return Boolean(this.element.data && this.element.data.length);
+    }
+
+    /**
+     * Dibuja o actualiza el diagrama con un modelo de SankeyBuilder
+     * @param {Object} model - Modelo con los arreglos node y link
+     * @param {Object} options - Opciones de renderizado
+     * @param {string} options.title - Título del diagrama
+     * @param {string} options.filename - Nombre base para el botón de imagen de Plotly
+     * @param {Array} options.notes - Líneas de nota al pie (por ejemplo, filtros activos);
+     *   forman parte del layout, por lo que también aparecen en las exportaciones
+     * @param {Array} options.flags - Nodos marcados { index, messages } (por ejemplo, los
+     *   que no cierran el balance): se resaltan con un borde rojo y los mensajes en el hover
+     * @param {string} options.watermark - Marca de agua sobre el diagrama (por ejemplo,
+     *   "PRELIMINAR" para datos no definitivos); también aparece en las exportaciones
+     * @returns {Promise<void>} Se resuelve cuando Plotly terminó de dibujar
+     */
+    render(model, options = {}) {
+        const { node, link } = model;
+        const isUpdate = this.isRendered();
+        const flagged = new Map((options.flags || []).map(flag => [flag.index, flag.messages]));
+
+        const data = {
+            type: 'sankey',
+            orientation: 'h',
+            arrangement: 'perpendicular',
+            node: {
+                pad: 100,
+                thickness: 10,
+                line: {
+                    color: node.label.map((_, index) => (flagged.has(index) ? '#dc3545' : 'black')),
+                    width: node.label.map((_, index) => (flagged.has(index) ? 3 : 0.5))
+                },
+                label: node.label,
+                value: node.value,
+                color: node.color,
+                hovertemplate: '%{customdata}<extra></extra>',
+                customdata: node.customdata.map((text, index) => (flagged.has(index)
+                    ? `${text}<br><br><b>⚠ No cierra el balance</b><br>${flagged.get(index).join('<br>')}`
+                    : text)),
+                x: node.x,
+                y: node.y
+            },
+            link: {
+                source: link.source,
+                target: link.target,
+                value: link.value,
+                color: link.color,
+                customdata: link.customdata,
+                hovertemplate: '%{customdata}<extra></extra>',
+                curvature: 0
+            }
+        };
+
+        const layout = {
+            title: options.title || '',
+            font: { size: 9 },
+            margin: { l: 10, r: 10, t: 50, b: 10 },
+            autosize: true
+        };
+        const notes = options.notes || [];
+        layout.annotations = [];
+        if (notes.length) {
+            layout.margin.b = 14 + notes.length * 14;
+            layout.annotations.push({
+                text: notes.join('<br>'),
+                xref: 'paper',
+                yref: 'paper',
+                x: 1,
+                y: 0,
+                yshift: -8,
+                xanchor: 'right',
+                yanchor: 'top',
+                align: 'right',
+                showarrow: false,
+                font: { size: 11, color: '#555555' }
+            });
+        }
+        if (options.watermark) {
+            layout.annotations.push({
+                text: options.watermark,
+                xref: 'paper',
+                yref: 'paper',
+                x: 0.5,
+                y: 0.5,
+                textangle: -20,
+                showarrow: false,
+                captureevents: false,
+                font: { size: 96, color: 'rgba(220, 53, 69, 0.12)' }
+            });
+        }
+        const config = {
+            displaylogo: false,
+            responsive: true,
+            toImageButtonOptions: {
+                format: 'png',
+                filename: options.filename || 'sankey_energia',
+                setBackground: 'transparent',
+                width: 1920,
+                height: 1080,
+                scale: 1
+            }
+        };
+
+        const rendered = isUpdate
+            ? Plotly.react(this.element, [data], layout, config)
+            : Plotly.newPlot(this.element, [data], layout, config);
+
+        return rendered
+            .then(() => {
+                const sameNodes = this.model !== null
+                    && this.model.nodes.length === model.nodes.length
+                    && this.model.nodes.every((previous, index) => previous.id === model.nodes[index].id);
+
+                // Guardar colores base y mapeo de enlaces para el modo foco
+                this.model = model;
+                this.baseNodeColors = [...node.color];
+                this.baseLinkColors = [...link.color];
+                this.linkSources = [...link.source];
+                this.linkTargets = [...link.target];
+                this.linkValues = link.value.slice();
+
+                this.attachPlotlyEvents();
+
+                // Los índices son estables entre años: el trazado activo se vuelve a aplicar
+                // salvo que cambien los nodos (por ejemplo, al cambiar de energético)
+                this.pendingStart = null;
+                if (this.activeTrace && sameNodes) {
+                    this.highlightTrace(this.activeTrace, { silent: true });
+                } else {
+                    const hadTrace = this.activeTrace !== null;
+                    this.focusActive = false;
+                    this.focusedNode = null;
+                    this.activeTrace = null;
+                    if (hadTrace) {
+                        this.emit('trace', null);
+                    }
+                }
+
+                if (!this.zoomManager && this.zoomContainer) {
+                    this.zoomManager = new ZoomManager(this.zoomContainer, {
+                        target: this.element,
+                        minScale: 1,
+                        onChange: (transform) => this.emit('zoom', transform)
+                    });
+                }
+
+                // Renderizar etiquetas de columnas y fondos de etiquetas al terminar la transición
+                setTimeout(() => {
+                    if (this.columnLabelsManager && this.columnLabelsManager.isEnabled()) {
+                        this.columnLabelsManager.renderLabels(this.element);
+                    }
+                    this.addNodeLabelBackgrounds();
+                    this.emit('rendered', model);
+                }, isUpdate ? this.transitionMs : 100);
+            })
+            .catch((error) => {
+                console.error('Error al renderizar el diagrama de Sankey:', error);
+            });
+    }
+
+    /**
+     * Conecta los eventos de Plotly y el clic fuera del diagrama
+     * @private
+     */
+    attachPlotlyEvents() {
+        if (this.blankClickHandler) {
+            document.removeEventListener('click', this.blankClickHandler);
+            this.blankClickHandler = null;
+        }
+        if (this.element.removeAllListeners) {
+            this.element.removeAllListeners('plotly_click');
+            this.element.removeAllListeners('plotly_hover');
+            this.element.removeAllListeners('plotly_unhover');
+        }
+
+        // Clic en un nodo para trazar sus conexiones según el modo activo; el clic
+        // en un nodo o enlace también se emite como 'select' (panel de series)
+        this.element.on('plotly_click', (ev) => {
+            const pt = ev.points && ev.points[0];
+            if (!pt || pt.pointNumber == null) return;
+
+            const type = pt.source === undefined ? 'node' : 'link';
+            if (type === 'node') {
+                this.handleNodeClick(pt.pointNumber);
+            }
+            const items = this.model ? (type === 'node' ? this.model.nodes : this.model.links) : [];
+            if (items[pt.pointNumber]) {
+                this.emit('select', { type, index: pt.pointNumber, item: items[pt.pointNumber] });
+            }
+        });
+
+        this.element.on('plotly_hover', (ev) => {
+            const pt = ev.points && ev.points[0];
+            if (pt && pt.pointNumber != null) {
+                this.emit('hover', { type: pt.source === undefined ? 'node' : 'link', index: pt.pointNumber });
+            }
+        });
+
+        this.element.on('plotly_unhover', () => {
+            this.emit('unhover');
+        });
+
+        // Clic fuera de los diagramas para reiniciar el foco
+        this.blankClickHandler = (e) => {
+            const inside = Array.from(this.linkedElements).some(element => element.contains(e.target));
+            if (!inside && (this.focusActive || this.pendingStart !== null)) {
+                this.resetHighlight();
+            }
+        };
+        document.addEventListener('click', this.blankClickHandler);
+    }
+
+    /**
+     * Obtiene los modos de trazado disponibles
+     * @returns {Array} Lista de { id, label, hint }
+     */
+    getTraceModes() {
+        return Array.from(this.traceModes.entries()).map(([id, mode]) => ({ id, ...mode }));
+    }
+
+    /**
+     * Obtiene el modo de trazado activo
+     * @returns {string} Id del modo
+     */
+    getTraceMode() {
+        return this.traceMode;
+    }
+
+    /**
+     * Cambia el modo de trazado y reinicia el resaltado actual
+     * @param {string} mode - 'forward', 'backward', 'full' o 'between'
+     * @param {Object} options - { silent: true } para no emitir 'tracemode'
+     * @throws {Error} Si el modo no existe
+     */
+    setTraceMode(mode, options = {}) {
+        if (!this.traceModes.has(mode)) {
+            throw new Error(`Modo de trazado desconocido: ${mode}`);
+        }
+        this.traceMode = mode;
+        this.pendingStart = null;
+        if (this.focusActive) {
+            this.resetHighlight({ silent: true });
+        }
+        this.activeTrace = null;
+
+        if (!options.silent) {
+            this.emit('tracemode', { mode, ...this.traceModes.get(mode) });
+        }
+    }
+
+    /**
+     * Procesa el clic en un nodo según el modo de trazado activo
+     * @param {number} index - Índice del nodo
+     * @private
+     */
+    handleNodeClick(index) {
+        if (this.traceMode !== 'between') {
+            this.highlightTrace({ mode: this.traceMode, start: index });
+            return;
+        }
+
+        // En 'entre dos nodos' el primer clic fija el origen y el segundo el destino
+        if (this.pendingStart === null) {
+            this.pendingStart = index;
+            this.applyHighlight(new Set([index]), new Set());
+            this.emit('tracepending', { index, name: this.getNodeName(index) });
+        } else {
+            const start = this.pendingStart;
+            this.pendingStart = null;
+            this.highlightTrace({ mode: 'between', start, end: index });
+        }
+    }
+
+    /**
+     * Resalta el subgrafo de un trazado y atenúa el resto
+     * @param {Object} trace - { mode, start, end }
+     * @param {Object} options - { silent: true } para no emitir 'focus'
+     * @returns {Object|null} Resumen del trazado
+     */
+    highlightTrace(trace, options = {}) {
+        if (!this.isRendered()) return null;
+
+        const tracer = new PathTracer(this.linkSources, this.linkTargets, this.linkValues);
+        const result = tracer.trace(trace.mode, trace.start, trace.end ?? null);
+
+        this.focusActive = true;
+        this.focusedNode = trace.start;
+        this.activeTrace = { ...trace };
+        this.applyHighlight(result.nodes, result.links);
+
+        const summary = this.getTraceSummary(trace, result);
+        if (!options.silent) {
+            this.emit('focus', this.activeTrace);
+        }
+        this.emit('trace', summary);
+        return summary;
+    }
+
+    /**
+     * Obtiene el trazado activo con los nodos identificados por id, de modo
+     * que pueda guardarse fuera del diagrama (por ejemplo, en la URL)
+     * @returns {Object|null} { mode, start, end } con ids de nodo o null
+     */
+    getActiveTraceIds() {
+        if (!this.activeTrace || !this.model) return null;
+        const idOf = index => (index !== null && index !== undefined && this.model.nodes[index]
+            ? this.model.nodes[index].id
+            : null);
+        return { mode: this.activeTrace.mode, start: idOf(this.activeTrace.start), end: idOf(this.activeTrace.end) };
+    }
+
+    /**
+     * Aplica un trazado con los nodos identificados por id
+     * @param {Object} trace - { mode, start, end } con ids de nodo
+     * @param {Object} options - { silent: true } para no emitir 'focus'
+     * @returns {Object|null} Resumen del trazado o null si algún nodo no existe
+     */
+    highlightTraceByIds(trace, options = {}) {
+        if (!this.model || !this.traceModes.has(trace.mode)) return null;
+        const start = this.model.nodeMap.get(trace.start);
+        const end = trace.end ? this.model.nodeMap.get(trace.end) : null;
+        if (start === undefined || end === undefined) return null;
+
+        return this.highlightTrace({ mode: trace.mode, start, end }, options);
+    }
+
+    /**
+     * Resalta un nodo y todo lo que alcanza siguiendo los enlaces hacia adelante
+     * @param {number} startIndex - Índice del nodo inicial
+     * @param {Object} options - { silent: true } para no emitir 'focus'
+     */
+    highlightForward(startIndex, options = {}) {
+        this.highlightTrace({ mode: 'forward', start: startIndex }, options);
+    }
+
+    /**
+     * Aplica los colores de resaltado a los nodos y enlaces indicados
+     * @param {Set} nodes - Índices de nodos resaltados
+     * @param {Set} links - Índices de enlaces resaltados
+     * @private
+     */
+    applyHighlight(nodes, links) {
+        const dimNode = 'rgba(200,200,200,0.3)';
+        const dimLink = 'rgba(200,200,200,0.2)';
+        Plotly.restyle(this.element, {
+            'node.color': [this.baseNodeColors.map((c, idx) => (nodes.has(idx) ? c : dimNode))],
+            'link.color': [this.baseLinkColors.map((c, idx) => (links.has(idx) ? c : dimLink))]
+        });
+    }
+
+    /**
+     * Obtiene el nombre visible de un nodo
+     * @param {number} index - Índice del nodo
+     * @returns {string} Nombre del nodo
+     * @private
+     */
+    getNodeName(index) {
+        const node = this.model && this.model.nodes ? this.model.nodes[index] : null;
+        return node ? (node.name || node.id) : `Nodo ${index}`;
+    }
+
+    /**
+     * Resume en PJ el subgrafo trazado
+     * @param {Object} trace - { mode, start, end }
+     * @param {Object} result - { nodes: Set, links: Set } de PathTracer
+     * @returns {Object} Resumen con totales, flujos del nodo de referencia y desglose por energético
+     */
+    getTraceSummary(trace, result) {
+        const links = (this.model && this.model.links) || [];
+        const tracedLinks = [...result.links].map(index => links[index]).filter(Boolean);
+        const sum = list => list.reduce((total, link) => total + Math.abs(link.value), 0);
+
+        // Nodo de referencia: destino en 'entre dos nodos', nodo clicado en los demás modos
+        const anchor = trace.mode === 'between' ? trace.end : trace.start;
+        const inflow = tracedLinks.filter(link => link.target === anchor);
+        const outflow = tracedLinks.filter(link => link.source === anchor);
+        const anchorLinks = trace.mode === 'forward' ? outflow : (trace.mode === 'full' ? [...inflow, ...outflow] : inflow);
+
+        const byEnergetic = new Map();
+        anchorLinks.forEach((link) => {
+            byEnergetic.set(link.energetic, (byEnergetic.get(link.energetic) || 0) + Math.abs(link.value));
+        });
+
+        return {
+            mode: trace.mode,
+            modeLabel: this.traceModes.get(trace.mode).label,
+            start: this.getNodeName(trace.start),
+            end: trace.end !== undefined && trace.end !== null ? this.getNodeName(trace.end) : null,
+            anchor: this.getNodeName(anchor),
+            unit: (this.model && this.model.unit) || 'PJ',
+            isDifference: Boolean(this.model && this.model.yearFrom),
+            nodeCount: result.nodes.size,
+            linkCount: tracedLinks.length,
+            total: sum(tracedLinks),
+            inflow: sum(inflow),
+            outflow: sum(outflow),
+            byEnergetic: Array.from(byEnergetic.entries())
+                .map(([energetic, value]) => ({ energetic, value }))
+                .sort((a, b) => b.value - a.value)
+        };
+    }
+
+    /**
+     * Restaura los colores base del diagrama
+     * @param {Object} options - { silent: true } para no emitir 'reset'
+     */
+    resetHighlight(options = {}) {
+        if (!this.isRendered()) return;
+        this.focusActive = false;
+        this.focusedNode = null;
+        this.activeTrace = null;
+        this.pendingStart = null;
+        Plotly.restyle(this.element, {
+            'node.color': [this.baseNodeColors],
+            'link.color': [this.baseLinkColors]
+        });
+
+        if (!options.silent) {
+            this.emit('reset');
+        }
+        this.emit('trace', null);
+    }
+
+    /**
+     * Identifica un nodo o enlace por id, de modo que pueda buscarse en el
+     * diagrama de otro año (los índices cambian al omitir nodos sin flujos)
+     * @param {Object} point - { type: 'node'|'link', index }
+     * @returns {Object|null} { type, id }: id del nodo o clave del enlace (como SankeyBuilder.getLinkKey)
+     */
+    getPointId(point) {
+        const items = this.model ? (point.type === 'node' ? this.model.nodes : this.model.links) : [];
+        const item = items[point.index];
+        if (!item) return null;
+        return {
+            type: point.type,
+            id: point.type === 'node' ? item.id : `${item.sourceName}→${item.targetName}|${item.energetic}|${item.flowType}`
+        };
+    }
+
+    /**
+     * Marca visualmente un nodo o enlace (hover reflejado desde otro diagrama)
+     * @param {Object|null} point - { type: 'node'|'link', id } (ver getPointId) o null para limpiar
+     */
+    showSyncedHover(point) {
+        this.element.querySelectorAll('.sankey-sync-hover').forEach((element) => {
+            element.classList.remove('sankey-sync-hover');
+        });
+        if (!point || !this.model) return;
+
+        const items = point.type === 'node' ? this.model.nodes : this.model.links;
+        const index = items.findIndex((item, itemIndex) =>
+            this.getPointId({ type: point.type, index: itemIndex }).id === point.id);
+        if (index === -1) return;
+
+        const selector = point.type === 'node' ? '.sankey-node' : '.sankey-link';
+        this.element.querySelectorAll(selector).forEach((element) => {
+            const datum = element.__data__ && element.__data__[point.type];
+            if (datum && datum.pointNumber === index) {
+                element.classList.add('sankey-sync-hover');
+            }
+        });
+    }
+
+    /**
+     * Registra un elemento cuyos clics no reinician el resaltado (p. ej. paneles de controles)
+     * @param {HTMLElement} element - Elemento a ignorar
+     */
+    ignoreClicksFrom(element) {
+        if (element) {
+            this.linkedElements.add(element);
+        }
+    }
+
+    /**
+     * Sincroniza foco, hover y zoom con otro diagrama
+     * @param {SankeyDiagram} other - Diagrama a sincronizar
+     */
+    syncWith(other) {
+        this.linkedElements.add(other.element);
+        other.linkedElements.add(this.element);
+
+        const link = (from, to) => {
+            // Los nodos se buscan por id: cada diagrama puede omitir nodos distintos
+            from.on('focus', () => {
+                if (!to.highlightTraceByIds(from.getActiveTraceIds(), { silent: true })) {
+                    to.resetHighlight({ silent: true });
+                }
+            });
+            from.on('tracemode', ({ mode }) => to.setTraceMode(mode, { silent: true }));
+            from.on('reset', () => to.resetHighlight({ silent: true }));
+            from.on('hover', point => to.showSyncedHover(from.getPointId(point)));
+            from.on('unhover', () => to.showSyncedHover(null));
+            from.on('zoom', (transform) => {
+                if (to.zoomManager) to.zoomManager.setTransform(transform);
+            });
+        };
+        link(this, other);
+        link(other, this);
+    }
+
+    /**
+     * Recalcula el tamaño del diagrama tras cambiar el tamaño de su contenedor
+     */
+    resize() {
+        if (this.isRendered()) {
+            Plotly.Plots.resize(this.element);
+        }
+    }
+
+    /**
+     * Elimina el diagrama y sus manejadores
+     */
+    destroy() {
+        if (this.blankClickHandler) {
+            document.removeEventListener('click', this.blankClickHandler);
+            this.blankClickHandler = null;
+        }
+        if (this.zoomManager) {
+            this.zoomManager.reset();
+        }
+        Plotly.purge(this.element);
+        this.focusActive = false;
+        this.focusedNode = null;
+        this.activeTrace = null;
+        this.pendingStart = null;
+        this.model = null;
+    }
+
+    /**
+     * Añade un rectángulo de fondo a cada etiqueta de nodo para mejorar la legibilidad
+     */
+    addNodeLabelBackgrounds() {
+        const svg = this.element.querySelector('svg');
+        if (!svg) return;
+
+        // Seleccionar etiquetas de texto de nodos
+        const texts = svg.querySelectorAll('g.node text');
+        texts.forEach((text) => {
+            const bbox = text.getBBox();
+
+            // Tras una transición entre años solo se actualiza el fondo existente
+            if (
+                text.previousSibling &&
+                text.previousSibling.classList &&
+                text.previousSibling.classList.contains('node-label-bg')
+            ) {
+                const existing = text.previousSibling;
+                existing.setAttribute('x', bbox.x - 2);
+                existing.setAttribute('y', bbox.y - 1);
+                existing.setAttribute('width', bbox.width + 4);
+                existing.setAttribute('height', bbox.height + 2);
+                return;
+            }
+
+            const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            rect.setAttribute('class', 'node-label-bg');
+            rect.setAttribute('x', bbox.x - 2);
+            rect.setAttribute('y', bbox.y - 1);
+            rect.setAttribute('width', bbox.width + 4);
+            rect.setAttribute('height', bbox.height + 2);
+            rect.setAttribute('rx', 2);
+            rect.setAttribute('ry', 2);
+            rect.setAttribute('fill', 'rgba(255, 255, 255, 0.8)');
+            rect.setAttribute('stroke', 'rgba(0,0,0,0.1)');
+            rect.setAttribute('stroke-width', '1');
+            text.parentNode.insertBefore(rect, text);
+        });
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SankeyDiagram;
+}
@@ -0,0 +1,328 @@
+/**
+ * SeriesPanel - Módulo del panel fijo con la serie anual de un nodo o flujo
+ *
+ * Este módulo muestra, al hacer clic en un nodo o enlace del diagrama, la serie
+ * de todos los años disponibles del elemento seleccionado: barras apiladas por
+ * energético, el año seleccionado resaltado, el cambio anual y la tasa de
+ * crecimiento media anual (TCMA) del periodo.
+ *
+ * Funcionalidades principales:
+ * - Series de SankeyBuilder.getNodeSeries y getLinkSeries (con filtros y energético activos)
+ * - Barras apiladas por energético con Plotly, en la unidad activa de UnitConverter
+ * - Tabla con el total de cada año y su cambio respecto al año anterior
+ * - TCMA entre el primer y el último año con valor positivo
+ * - Años preliminares o proyectados con barras rayadas y su estado en la tabla
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class SeriesPanel {
+    /**
+     * Constructor del SeriesPanel
+     * @param {HTMLElement} container - Contenedor del panel (se muestra u oculta con hidden)
+     * @param {Object} options - Opciones de configuración
+     * @param {SankeyBuilder} options.builder - Constructor de las series
+     * @param {UnitConverter} options.unitConverter - Conversión a la unidad activa (opcional)
+     * @param {Object} options.plotly - Instancia de Plotly (por defecto la global)
+     * @param {Function} options.onClose - Callback al cerrar el panel
+     */
+    constructor(container, options = {}) {
+        if (!container) {
+            throw new Error('SeriesPanel requiere un contenedor');
+        }
+        if (!options.builder) {
+            throw new Error('SeriesPanel requiere un SankeyBuilder');
+        }
+
+        this.container = container;
+        this.builder = options.builder;
+        this.unitConverter = options.unitConverter || null;
+        this.plotly = options.plotly || (typeof Plotly !== 'undefined' ? Plotly : null);
+        this.onClose = options.onClose || null;
+        this.selection = null;
+        this.seriesOptions = {};
+        this.series = null;
+        this.chart = null;
+        this.year = null;
+    }
+
+    /**
+     * Indica si el panel muestra una selección
+     * @returns {boolean} true si está abierto
+     */
+    isOpen() {
+        return this.selection !== null;
+    }
+
+    /**
+     * Abre el panel con la serie de un nodo o enlace
+     * @param {Object} selection - { type: 'node'|'link', item } (evento 'select' de SankeyDiagram)
+     * @param {string} year - Año a resaltar
+     * @param {Object} options - { energetic, filters } de la vista activa
+     */
+    open(selection, year, options = {}) {
+        this.selection = selection;
+        this.seriesOptions = options;
+        this.year = String(year);
+        this.refresh();
+    }
+
+    /**
+     * Actualiza la vista activa (año, energético o filtros) sin cambiar la selección
+     * @param {string} year - Año a resaltar
+     * @param {Object} options - { energetic, filters }
+     */
+    update(year, options = {}) {
+        if (!this.isOpen()) return;
+        this.year = String(year);
+        this.seriesOptions = options;
+        this.refresh();
+    }
+
+    /**
+     * Recalcula la serie (por ejemplo, después de importar otro balance o cambiar la unidad)
+     */
+    refresh() {
+        if (!this.isOpen()) return;
+
+        const { type, item } = this.selection;
+        this.series = type === 'link'
+            ? this.builder.getLinkSeries(item)
+            : this.builder.getNodeSeries(item, this.seriesOptions);
+        this.render();
+    }
+
+    /**
+     * Cierra el panel
+     */
+    close() {
+        if (this.plotly && this.chart) {
+            this.plotly.purge(this.chart);
+        }
+        this.selection = null;
+        this.series = null;
+        this.chart = null;
+        this.container.innerHTML = '';
+        this.container.hidden = true;
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Dibuja el encabezado, la gráfica y la tabla del panel
+     * @private
+     */
+    render() {
+        if (this.plotly && this.chart) {
+            this.plotly.purge(this.chart);
+        }
+        this.chart = null;
+        this.container.innerHTML = '';
+        this.container.hidden = false;
+        this.container.classList.add('series-panel');
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'series-panel-close';
+        closeBtn.setAttribute('aria-label', 'Cerrar serie anual');
+        closeBtn.innerHTML = '&times;';
+        closeBtn.addEventListener('click', () => this.close());
+        this.container.appendChild(closeBtn);
+
+        const title = document.createElement('div');
+        title.className = 'series-panel-title';
+        title.textContent = this.series ? this.series.label : this.selection.item.name || this.selection.item.id;
+        this.container.appendChild(title);
+
+        if (!this.series || this.series.carriers.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No hay valores para este elemento en los años disponibles.';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        const stats = SeriesPanel.getGrowthStats(this.series.years, this.series.totals);
+        const selected = stats.points.find(point => point.year === this.year);
+        const summary = document.createElement('div');
+        summary.className = 'series-panel-summary';
+        summary.textContent = [
+            selected ? `${this.year}: ${this.formatValue(selected.value, this.year)}` : null,
+            selected && selected.change !== null ? `${this.formatChange(selected.change)} vs ${selected.previousYear}` : null,
+            stats.cagr !== null ? `TCMA ${stats.firstYear}–${stats.lastYear}: ${this.formatChange(stats.cagr)}` : null
+        ].filter(Boolean).join(' · ');
+        this.container.appendChild(summary);
+
+        this.chart = document.createElement('div');
+        this.chart.className = 'series-panel-chart';
+        this.container.appendChild(this.chart);
+        this.renderChart();
+
+        if (this.series.years.some(year => this.isProvisional(year))) {
+            const note = document.createElement('div');
+            note.className = 'series-panel-note';
+            note.textContent = 'Las barras rayadas corresponden a datos preliminares o proyectados.';
+            this.container.appendChild(note);
+        }
+
+        this.container.appendChild(this.createTable(stats));
+    }
+
+    /**
+     * Dibuja las barras apiladas por energético con el año seleccionado resaltado
+     * @private
+     */
+    renderChart() {
+        if (!this.plotly) return;
+
+        const { years, carriers } = this.series;
+        const traces = carriers.map(carrier => ({
+            type: 'bar',
+            name: carrier.name,
+            x: years,
+            y: carrier.values.map((value, index) => this.convert(value, years[index])),
+            marker: {
+                color: carrier.color,
+                pattern: { shape: years.map(year => (this.isProvisional(year) ? '/' : '')), solidity: 0.4 }
+            },
+            hovertemplate: `${carrier.name}: %{y:,.2f} ${this.getUnit()}<extra>%{x}</extra>`
+        }));
+        const layout = {
+            barmode: 'relative',
+            height: 220,
+            margin: { l: 48, r: 8, t: 8, b: 32 },
+            showlegend: carriers.length > 1,
+            legend: { orientation: 'h', y: -0.2, font: { size: 10 } },
+            xaxis: { type: 'category', tickfont: { size: 10 } },
+            yaxis: { title: { text: this.getUnit(), font: { size: 11 } }, tickfont: { size: 10 } },
+            shapes: years.includes(this.year)
+                ? [{
+                    type: 'rect',
+                    xref: 'x',
+                    yref: 'paper',
+                    x0: years.indexOf(this.year) - 0.5,
+                    x1: years.indexOf(this.year) + 0.5,
+                    y0: 0,
+                    y1: 1,
+                    fillcolor: 'rgba(74, 144, 226, 0.15)',
+                    line: { width: 0 },
+                    layer: 'below'
+                }]
+                : [],
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)'
+        };
+
+        this.plotly.newPlot(this.chart, traces, layout, { displayModeBar: false, responsive: true });
+    }
+
+    /**
+     * Crea la tabla de totales anuales con el cambio respecto al año anterior
+     * @private
+     */
+    createTable(stats) {
+        const table = document.createElement('table');
+        table.className = 'series-panel-table';
+        table.innerHTML = `<thead><tr><th>Año</th><th>Total (${this.getUnit()})</th><th>Cambio anual</th></tr></thead>`;
+
+        const tbody = document.createElement('tbody');
+        [...stats.points].reverse().forEach((point) => {
+            const row = document.createElement('tr');
+            if (point.year === this.year) row.className = 'series-panel-selected';
+            [this.builder.dataManager.getYearLabel(point.year), this.formatValue(point.value, point.year, false), point.change !== null ? this.formatChange(point.change) : '—']
+                .forEach((text) => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        return table;
+    }
+
+    /**
+     * Indica si los datos de un año no son definitivos
+     * @private
+     */
+    isProvisional(year) {
+        return this.builder.dataManager.isProvisionalYear(year);
+    }
+
+    /**
+     * Unidad activa
+     * @private
+     */
+    getUnit() {
+        return this.unitConverter ? this.unitConverter.getUnit() : 'PJ';
+    }
+
+    /**
+     * Convierte un valor en PJ a la unidad activa
+     * @private
+     */
+    convert(value, year) {
+        return this.unitConverter ? this.unitConverter.convert(value, year) : value;
+    }
+
+    /**
+     * Formatea un valor en PJ en la unidad activa
+     * @private
+     */
+    formatValue(value, year, withUnit = true) {
+        if (this.unitConverter) {
+            return withUnit ? this.unitConverter.format(value, { year }) : this.unitConverter.formatNumber(value, { year });
+        }
+        const text = this.builder.formatValue(value);
+        return withUnit ? `${text} PJ` : text;
+    }
+
+    /**
+     * Formatea un cambio relativo como porcentaje con signo
+     * @private
+     */
+    formatChange(change) {
+        const sign = change > 0 ? '+' : change < 0 ? '−' : '';
+        return `${sign}${Math.abs(change * 100).toLocaleString('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 })}%`;
+    }
+
+    /**
+     * Calcula el cambio anual y la TCMA de una serie
+     * @param {Array} years - Años en orden cronológico
+     * @param {Array} totals - Total de cada año
+     * @returns {Object} { points: [{ year, value, previousYear, change }], cagr, firstYear, lastYear };
+     *   change es relativo al año anterior (null si ese año vale cero) y la TCMA se
+     *   calcula entre el primer y el último año con valor positivo (null si no hay dos)
+     */
+    static getGrowthStats(years, totals) {
+        const points = years.map((year, index) => {
+            const previous = index > 0 ? totals[index - 1] : null;
+            return {
+                year: year,
+                value: totals[index],
+                previousYear: index > 0 ? years[index - 1] : null,
+                change: previous ? (totals[index] - previous) / Math.abs(previous) : null
+            };
+        });
+
+        const first = totals.findIndex(value => value > 0);
+        let last = -1;
+        totals.forEach((value, index) => {
+            if (value > 0) last = index;
+        });
+        const periods = Number(years[last]) - Number(years[first]);
+        const cagr = first >= 0 && periods > 0
+            ? Math.pow(totals[last] / totals[first], 1 / periods) - 1
+            : null;
+
+        return {
+            points,
+            cagr,
+            firstYear: cagr !== null ? years[first] : null,
+            lastYear: cagr !== null ? years[last] : null
+        };
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeriesPanel;
+}
@@ -0,0 +1,298 @@
+/**
+ * StandaloneExporter - Módulo de exportación del diagrama como HTML interactivo autónomo
+ *
+ * Este módulo genera un único archivo HTML que se abre sin conexión: incluye
+ * Plotly, los módulos de dibujo del diagrama, los datos de los años elegidos
+ * y los estilos. Quien lo recibe conserva los popups, el selector de año y
+ * el resaltado de rutas al hacer clic en un nodo.
+ *
+ * Funcionalidades principales:
+ * - Copia del conjunto de datos con solo los años elegidos
+ * - Código de Plotly y de los módulos (MODULES) incrustado en la página
+ * - Configuración de la vista: unidad, escala de enlaces, energético, filtros y agrupación
+ * - Selector de año, modo de trazado y botón para restablecer el resaltado
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class StandaloneExporter {
+    /**
+     * Constructor del StandaloneExporter
+     * @param {Object} options - Opciones de configuración
+     * @param {Array} options.modules - Nombres de los módulos a incrustar (por defecto MODULES)
+     * @param {Array} options.libraryUrls - URL de Plotly (por defecto, la cargada en la página)
+     * @param {Function} options.fetch - Función fetch para leer los scripts
+     */
+    constructor(options = {}) {
+        this.modules = options.modules || StandaloneExporter.MODULES;
+        this.libraryUrls = options.libraryUrls || null;
+        this.fetch = options.fetch || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+    }
+
+    /**
+     * Copia un conjunto de datos dejando solo los años indicados
+     * @param {Object} data - Datos { Años, Datos: [...] }
+     * @param {Array} years - Años a conservar
+     * @returns {Object} Copia con los valores y el estado de esos años
+     */
+    filterDataset(data, years) {
+        const keep = new Set(years.map(String));
+        const status = (data['Años'] && data['Años'].estado) || {};
+
+        return {
+            ...data,
+            'Años': {
+                estado: Object.fromEntries(Object.entries(status).filter(([year]) => keep.has(year))),
+                excluidos: []
+            },
+            Datos: data.Datos.map(nodeData => ({
+                ...nodeData,
+                'Nodos Hijo': (nodeData['Nodos Hijo'] || []).map(child => Object.fromEntries(
+                    Object.entries(child).filter(([key]) => !/^\d{4}$/.test(key) || keep.has(key))
+                ))
+            }))
+        };
+    }
+
+    /**
+     * Genera el HTML autónomo
+     * @param {Object} data - Conjunto de datos completo (se filtra a settings.years)
+     * @param {Object} settings - Vista a reproducir
+     * @param {string} settings.title - Título del diagrama (sin el año)
+     * @param {Array} settings.years - Años incluidos
+     * @param {string} settings.year - Año que se muestra al abrir
+     * @param {string} settings.unit - Unidad de UnitConverter
+     * @param {number} settings.decimals - Decimales de UnitConverter
+     * @param {string} settings.linkScale - Modo de LinkScaleManager
+     * @param {string} settings.energetic - Energético seguido (opcional)
+     * @param {Object} settings.filters - Selección del panel de filtros (opcional)
+     * @param {Object} settings.smallFlows - Agrupación de flujos menores (opcional)
+     * @param {Array} settings.notes - Notas al pie del diagrama (opcional)
+     * @param {string} settings.source - Conjunto de datos, para el pie de página (opcional)
+     * @returns {Promise<string>} Documento HTML
+     */
+    async createHtml(data, settings) {
+        const scripts = await this.loadScripts();
+        return this.buildHtml(this.filterDataset(data, settings.years), settings, scripts);
+    }
+
+    /**
+     * Arma el documento HTML con los scripts ya cargados
+     * @param {Object} data - Conjunto de datos (ya filtrado)
+     * @param {Object} settings - Vista a reproducir (ver createHtml)
+     * @param {Array} scripts - Scripts { name, source } en orden de carga
+     * @returns {string} Documento HTML
+     */
+    buildHtml(data, settings, scripts) {
+        const title = this.escapeHtml(settings.title || 'Balance Nacional de Energía');
+        const years = settings.years.map(String).sort();
+        const range = years.length > 1 ? `${years[0]}–${years[years.length - 1]}` : years[0];
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="es">',
+            '<head>',
+            '<meta charset="UTF-8" />',
+            '<meta name="viewport" content="width=device-width, initial-scale=1.0" />',
+            `<title>${title} ${range}</title>`,
+            `<style>${StandaloneExporter.STYLES}</style>`,
+            '</head>',
+            '<body>',
+            '<header class="standalone-header">',
+            `<h1>${title}</h1>`,
+            '<label>Año <select id="year-selector"></select></label>',
+            '<label>Al hacer clic en un nodo <select id="trace-mode"></select></label>',
+            '<button id="reset-btn" type="button">Restablecer</button>',
+            '<span id="trace-hint" class="standalone-hint"></span>',
+            '</header>',
+            '<main id="sankey-diagram" class="standalone-diagram"></main>',
+            `<footer class="standalone-footer">Generado el ${this.escapeHtml(new Date().toLocaleDateString('es-MX'))}` +
+                (settings.source ? ` · ${this.escapeHtml(settings.source)}` : '') + '</footer>',
+            ...scripts.map(script => `<script>/* ${script.name} */\n${this.escapeScript(script.source)}\n</script>`),
+            `<script type="application/json" id="sankey-data">${this.escapeJson(data)}</script>`,
+            `<script type="application/json" id="sankey-settings">${this.escapeJson(settings)}</script>`,
+            '<script>',
+            `(${StandaloneExporter.bootstrap.toString()})(`,
+            '    JSON.parse(document.getElementById(\'sankey-data\').textContent),',
+            '    JSON.parse(document.getElementById(\'sankey-settings\').textContent)',
+            ');',
+            '</script>',
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Lee el código de Plotly y de los módulos
+     * @returns {Promise<Array>} Scripts { name, source } en orden de carga
+     * @private
+     */
+    async loadScripts() {
+        if (!this.fetch) {
+            throw new Error('fetch no está disponible para leer los scripts');
+        }
+
+        const sources = [
+            ...this.getLibraryUrls().map(url => ({ name: url.split('/').pop(), url })),
+            ...this.modules.map(name => ({ name: `${name}.js`, url: this.getModuleUrl(name) }))
+        ];
+
+        return Promise.all(sources.map(async ({ name, url }) => {
+            const response = await this.fetch(url);
+            if (!response.ok) {
+                throw new Error(`No se pudo leer ${name} (${response.status})`);
+            }
+            return { name, source: await response.text() };
+        }));
+    }
+
+    /**
+     * URL de Plotly: la indicada en las opciones o la cargada en la página
+     * @private
+     */
+    getLibraryUrls() {
+        if (this.libraryUrls) return this.libraryUrls;
+        const plotly = typeof document !== 'undefined'
+            ? Array.from(document.scripts).find(script => /plotly[^/]*\.js/.test(script.src))
+            : null;
+        if (!plotly) {
+            throw new Error('No se encontró el script de Plotly en la página');
+        }
+        return [plotly.src];
+    }
+
+    /**
+     * URL de un módulo: la del script de la página (con su versión) o js/<nombre>.js
+     * @private
+     */
+    getModuleUrl(name) {
+        const script = typeof document !== 'undefined'
+            ? Array.from(document.scripts).find(element => element.src.includes(`/js/${name}.js`))
+            : null;
+        return script ? script.src : `js/${name}.js`;
+    }
+
+    /**
+     * Escapa texto para insertarlo en HTML
+     * @private
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Evita que el código incrustado cierre la etiqueta <script>
+     * @private
+     */
+    escapeScript(source) {
+        return source.replace(/<\/script/gi, '<\\/script');
+    }
+
+    /**
+     * Serializa JSON para un <script type="application/json">
+     * @private
+     */
+    escapeJson(value) {
+        return JSON.stringify(value).replace(/</g, '\\u003c');
+    }
+}
+
+/**
+ * Módulos incrustados, en orden de carga
+ */
+StandaloneExporter.MODULES = [
+    'NameRegistry', 'DataManager', 'UnitConverter', 'StyleManager', 'PopupManager',
+    'LinkScaleManager', 'FlowSpec', 'SankeyBuilder', 'PathTracer', 'SankeyDiagram'
+];
+
+/**
+ * Estilos de la página autónoma
+ */
+StandaloneExporter.STYLES = [
+    'body { margin: 0; font-family: Arial, sans-serif; color: #2c3e50; background: #ffffff; }',
+    '.standalone-header { display: flex; flex-wrap: wrap; align-items: center; gap: 12px 20px; padding: 12px 20px; border-bottom: 1px solid #e9ecef; }',
+    '.standalone-header h1 { font-size: 18px; margin: 0 auto 0 0; }',
+    '.standalone-header label { font-size: 14px; }',
+    '.standalone-header select, .standalone-header button { margin-left: 6px; padding: 4px 8px; font-size: 14px; }',
+    '.standalone-hint { flex-basis: 100%; font-size: 12px; color: #6c757d; }',
+    '.standalone-diagram { width: 100%; height: calc(100vh - 140px); min-height: 600px; }',
+    '.standalone-footer { padding: 8px 20px; font-size: 12px; color: #6c757d; }'
+].join('\n');
+
+/**
+ * Código que dibuja el diagrama en la página autónoma. Se incrusta con
+ * toString(), por lo que solo usa los módulos incluidos y el DOM de esa página.
+ * @param {Object} data - Conjunto de datos
+ * @param {Object} settings - Vista a reproducir (ver createHtml)
+ */
+StandaloneExporter.bootstrap = function (data, settings) {
+    const nameRegistry = new NameRegistry();
+    const dataManager = new DataManager(data, { nameRegistry: nameRegistry });
+    const styleManager = new StyleManager({ nameRegistry: nameRegistry });
+    const unitConverter = new UnitConverter({ unit: settings.unit, decimals: settings.decimals });
+    const popupManager = new PopupManager({
+        dataManager: dataManager,
+        styleManager: styleManager,
+        unitConverter: unitConverter,
+        nameRegistry: nameRegistry
+    });
+    const linkScaleManager = new LinkScaleManager({ mode: settings.linkScale, unit: FLOW_SPEC.unit, unitConverter: unitConverter });
+    const builder = new SankeyBuilder({
+        spec: FLOW_SPEC,
+        dataManager: dataManager,
+        styleManager: styleManager,
+        popupManager: popupManager,
+        linkValueScaler: (value, context) => linkScaleManager.scale(value, context),
+        unitConverter: unitConverter
+    });
+    const diagram = new SankeyDiagram(document.getElementById('sankey-diagram'));
+    styleManager.applyTheme();
+    popupManager.applyPopupStyles();
+
+    const years = dataManager.getAvailableYears();
+    const stableLayout = builder.getStableLayout(years);
+    const yearSelector = document.getElementById('year-selector');
+    const traceSelector = document.getElementById('trace-mode');
+    const hint = document.getElementById('trace-hint');
+
+    years.forEach(year => yearSelector.add(new Option(dataManager.getYearLabel(year), year)));
+    yearSelector.value = years.includes(settings.year) ? settings.year : years[0];
+    diagram.getTraceModes().forEach(mode => traceSelector.add(new Option(mode.label, mode.id)));
+    traceSelector.value = diagram.getTraceMode();
+    hint.textContent = diagram.getTraceModes().find(mode => mode.id === diagram.getTraceMode()).hint;
+
+    const render = () => {
+        const year = yearSelector.value;
+        const status = dataManager.getYearStatus(year);
+        const model = builder.build(year, {
+            stableLayout: stableLayout,
+            energetic: settings.energetic || null,
+            filters: settings.filters || null,
+            smallFlows: settings.smallFlows || null
+        });
+        diagram.render(model, {
+            title: `${settings.title} - ${dataManager.getYearLabel(year)}${settings.energetic ? ` - ${settings.energetic}` : ''} (Valores en ${unitConverter.getUnit()})`,
+            notes: settings.notes || [],
+            watermark: status !== 'final' ? DataManager.YEAR_STATUSES[status].label.toUpperCase() : ''
+        });
+    };
+
+    yearSelector.addEventListener('change', render);
+    traceSelector.addEventListener('change', () => diagram.setTraceMode(traceSelector.value));
+    diagram.on('tracemode', (mode) => {
+        hint.textContent = mode.hint;
+    });
+    document.getElementById('reset-btn').addEventListener('click', () => diagram.resetHighlight());
+    render();
+};
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StandaloneExporter;
+}
@@ -19,8 +19,10 @@ class StyleManager {
     /**
      * Constructor del StyleManager
      * @param {Object} options - Opciones de configuración
+     * @param {NameRegistry} options.nameRegistry - Registro de nombres para unificar grafías de un energético (opcional)
      */
     constructor(options = {}) {
+        this.nameRegistry = options.nameRegistry || null;
         this.currentTheme = options.theme || 'professional';
         this.colorPalette = new Map();
         this.energyTypeColors = new Map();
@@ -128,7 +130,6 @@ class StyleManager {
             'Gas natural': '#78B9B5',  // Azul océano – limpio y confiable
             'Energía Nuclear': '#932F67',  // Bronce dorado – poder y control
             'Energía Hidráulica': '#00809D',  // Azul acero – agua, fluidez y equilibrio
-            'Energia Hidraúlica': '#00809D',  // Variante repetida para consistencia semántica
             'Geoenergía': '#DC143C',  // Rojo carmesí – energía del interior de la Tierra
             'Energía solar': '#FFD700',  // Naranja vibrante – radiación solar intensa
             'Energía eólica': '#437057',  // Verde bosque – aire limpio y naturaleza
@@ -151,7 +152,7 @@ class StyleManager {
 
         // Registrar colores de energéticos
         for (const [energy, color] of Object.entries(energyMappings)) {
-            this.energyTypeColors.set(energy, color);
+            this.energyTypeColors.set(this.getColorKey(energy), color);
         }
 
         console.log('StyleManager inicializado con', this.energyTypeColors.size, 'colores de energéticos');
@@ -164,18 +165,20 @@ class StyleManager {
      * @returns {string} Color hexadecimal
      */
     getEnergyColor(energyName, fallbackType = 'default') {
+        const key = this.getColorKey(energyName);
+
         // Verificar si ya tenemos un color asignado
-        if (this.energyTypeColors.has(energyName)) {
-            return this.energyTypeColors.get(energyName);
+        if (this.energyTypeColors.has(key)) {
+            return this.energyTypeColors.get(key);
         }
 
         // Verificar colores personalizados
-        if (this.customColors.has(energyName)) {
-            return this.customColors.get(energyName);
+        if (this.customColors.has(key)) {
+            return this.customColors.get(key);
         }
 
         // Asignar un nuevo color de la paleta base
-        const newColor = this.assignNewColor(energyName);
+        const newColor = this.assignNewColor(key);
         if (newColor) {
             return newColor;
         }
@@ -184,6 +187,16 @@ class StyleManager {
         return this.getNodeTypeColor(fallbackType);
     }
 
+    /**
+     * Nombre con que se guarda el color de un energético: el canónico del
+     * NameRegistry, para que todas las grafías compartan el mismo color
+     * @param {string} energyName - Nombre del energético
+     * @returns {string} Clave de los mapas de colores
+     */
+    getColorKey(energyName) {
+        return this.nameRegistry ? this.nameRegistry.getCanonicalName(energyName, 'child') : energyName;
+    }
+
     /**
      * Obtiene el color para un tipo de nodo específico
      * @param {string} nodeType - Tipo de nodo
@@ -375,7 +388,7 @@ class StyleManager {
      */
     setCustomColor(energyName, color) {
         const validColor = this.validateColor(color);
-        this.customColors.set(energyName, validColor);
+        this.customColors.set(this.getColorKey(energyName), validColor);
         console.log(`Color personalizado establecido para "${energyName}": ${validColor}`);
     }
 
@@ -505,6 +518,20 @@ class StyleManager {
         return `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${opacity})`;
     }
 
+    /**
+     * Obtiene el color que representa un cambio entre años según el tema actual
+     * @param {number} delta - Diferencia del valor (positiva = aumento)
+     * @param {number} opacity - Opacidad del color (0-1)
+     * @returns {string} Color con opacidad: éxito para aumentos, error para disminuciones
+     */
+    getChangeColor(delta, opacity = 0.6) {
+        const theme = this.themes[this.currentTheme] || this.themes.professional;
+
+        if (delta > 0) return this.hexToRgba(theme.success, opacity);
+        if (delta < 0) return this.hexToRgba(theme.error, opacity);
+        return this.hexToRgba('#999999', opacity);
+    }
+
     /**
      * Obtiene un color con mayor contraste para mejorar la legibilidad
      * @param {string} energyName - Nombre del energético
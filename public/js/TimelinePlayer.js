@@ -0,0 +1,255 @@
+/**
+ * TimelinePlayer - Módulo para recorrer los años del balance como una línea de tiempo
+ *
+ * Este módulo crea los controles de reproducción (anterior, reproducir/pausar,
+ * siguiente y barra deslizante) y notifica cada cambio de año para que el
+ * diagrama se actualice con una transición animada.
+ *
+ * Funcionalidades principales:
+ * - Reproducción automática de los años en orden cronológico
+ * - Pausa, avance y retroceso de un año
+ * - Barra deslizante sincronizable con el selector de año
+ * - Detención automática al llegar al último año (o repetición opcional)
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class TimelinePlayer {
+    /**
+     * Constructor del TimelinePlayer
+     * @param {HTMLElement} container - Contenedor donde se crean los controles
+     * @param {Object} options - Opciones de configuración
+     * @param {Array} options.years - Años disponibles (se ordenan cronológicamente)
+     * @param {string} options.initialYear - Año inicial
+     * @param {number} options.interval - Milisegundos entre años durante la reproducción
+     * @param {boolean} options.loop - Volver al primer año al terminar
+     * @param {Function} options.onYearChange - Callback (year) al cambiar de año
+     * @param {Function} options.formatYear - Etiqueta de un año (por ejemplo, "2024 (preliminar)")
+     */
+    constructor(container, options = {}) {
+        if (!container) {
+            throw new Error('TimelinePlayer requiere un contenedor');
+        }
+
+        this.container = container;
+        this.years = [];
+        this.currentIndex = 0;
+        this.interval = options.interval || 1500;
+        this.loop = options.loop || false;
+        this.onYearChange = options.onYearChange || null;
+        this.formatYear = options.formatYear || (year => year);
+        this.timer = null;
+        this.elements = {};
+
+        this.render();
+        this.setYears(options.years || [], options.initialYear);
+    }
+
+    /**
+     * Crea los controles de la línea de tiempo
+     * @private
+     */
+    render() {
+        this.container.innerHTML = '';
+        this.container.classList.add('timeline-player');
+
+        const createButton = (className, text, label) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `timeline-btn ${className}`;
+            button.textContent = text;
+            button.setAttribute('aria-label', label);
+            button.title = label;
+            this.container.appendChild(button);
+            return button;
+        };
+
+        this.elements.prevBtn = createButton('timeline-prev', '⏮', 'Año anterior');
+        this.elements.playBtn = createButton('timeline-play', '▶', 'Reproducir línea de tiempo');
+        this.elements.nextBtn = createButton('timeline-next', '⏭', 'Año siguiente');
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'timeline-slider';
+        slider.min = '0';
+        slider.step = '1';
+        slider.setAttribute('aria-label', 'Línea de tiempo');
+        this.container.appendChild(slider);
+        this.elements.slider = slider;
+
+        const yearLabel = document.createElement('span');
+        yearLabel.className = 'timeline-year';
+        yearLabel.setAttribute('aria-live', 'polite');
+        this.container.appendChild(yearLabel);
+        this.elements.yearLabel = yearLabel;
+
+        this.elements.prevBtn.addEventListener('click', () => {
+            this.pause();
+            this.stepBackward();
+        });
+        this.elements.nextBtn.addEventListener('click', () => {
+            this.pause();
+            this.stepForward();
+        });
+        this.elements.playBtn.addEventListener('click', () => this.toggle());
+        slider.addEventListener('input', () => {
+            this.pause();
+            this.goToIndex(parseInt(slider.value, 10));
+        });
+    }
+
+    /**
+     * Establece los años de la línea de tiempo
+     * @param {Array} years - Años disponibles
+     * @param {string} currentYear - Año seleccionado (por defecto el último)
+     */
+    setYears(years, currentYear = null) {
+        this.years = [...years].map(String).sort((a, b) => Number(a) - Number(b));
+        const index = this.years.indexOf(String(currentYear));
+        this.currentIndex = index !== -1 ? index : Math.max(this.years.length - 1, 0);
+        this.elements.slider.max = String(Math.max(this.years.length - 1, 0));
+        this.updateControls();
+    }
+
+    /**
+     * Obtiene el año actual
+     * @returns {string|null} Año actual
+     */
+    getCurrentYear() {
+        return this.years[this.currentIndex] ?? null;
+    }
+
+    /**
+     * Indica si la línea de tiempo se está reproduciendo
+     * @returns {boolean} True si está en reproducción
+     */
+    isPlaying() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Inicia la reproducción desde el año actual (o desde el inicio si está en el último)
+     */
+    play() {
+        if (this.isPlaying() || this.years.length < 2) return;
+
+        if (this.currentIndex >= this.years.length - 1) {
+            this.goToIndex(0);
+        }
+
+        this.timer = setInterval(() => {
+            if (this.currentIndex >= this.years.length - 1 && !this.loop) {
+                this.pause();
+                return;
+            }
+            this.stepForward();
+        }, this.interval);
+        this.updateControls();
+    }
+
+    /**
+     * Detiene la reproducción
+     */
+    pause() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Alterna entre reproducir y pausar
+     */
+    toggle() {
+        if (this.isPlaying()) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Avanza un año
+     */
+    stepForward() {
+        if (this.currentIndex < this.years.length - 1) {
+            this.goToIndex(this.currentIndex + 1);
+        } else if (this.loop) {
+            this.goToIndex(0);
+        }
+    }
+
+    /**
+     * Retrocede un año
+     */
+    stepBackward() {
+        if (this.currentIndex > 0) {
+            this.goToIndex(this.currentIndex - 1);
+        }
+    }
+
+    /**
+     * Va a un año concreto
+     * @param {string} year - Año destino
+     * @param {Object} options - { silent: true } para no invocar onYearChange
+     */
+    goTo(year, options = {}) {
+        const index = this.years.indexOf(String(year));
+        if (index === -1) {
+            console.warn(`Año ${year} no disponible en la línea de tiempo`);
+            return;
+        }
+        this.goToIndex(index, options);
+    }
+
+    /**
+     * Va a una posición de la línea de tiempo
+     * @param {number} index - Índice del año
+     * @param {Object} options - { silent: true } para no invocar onYearChange
+     * @private
+     */
+    goToIndex(index, options = {}) {
+        if (index < 0 || index >= this.years.length) return;
+
+        const changed = index !== this.currentIndex;
+        this.currentIndex = index;
+        this.updateControls();
+
+        if (changed && !options.silent && this.onYearChange) {
+            this.onYearChange(this.getCurrentYear());
+        }
+    }
+
+    /**
+     * Sincroniza el estado visual de los controles
+     * @private
+     */
+    updateControls() {
+        const { prevBtn, playBtn, nextBtn, slider, yearLabel } = this.elements;
+        const playing = this.isPlaying();
+
+        slider.value = String(this.currentIndex);
+        yearLabel.textContent = this.getCurrentYear() ? this.formatYear(this.getCurrentYear()) : '';
+        playBtn.textContent = playing ? '⏸' : '▶';
+        playBtn.setAttribute('aria-label', playing ? 'Pausar línea de tiempo' : 'Reproducir línea de tiempo');
+        playBtn.title = playBtn.getAttribute('aria-label');
+        prevBtn.disabled = this.currentIndex === 0;
+        nextBtn.disabled = this.currentIndex >= this.years.length - 1 && !this.loop;
+    }
+
+    /**
+     * Detiene la reproducción y elimina los controles
+     */
+    destroy() {
+        this.pause();
+        this.container.innerHTML = '';
+        this.container.classList.remove('timeline-player');
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimelinePlayer;
+}
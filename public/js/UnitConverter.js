@@ -0,0 +1,178 @@
+/**
+ * UnitConverter - Módulo para mostrar los valores del balance en distintas unidades
+ *
+ * Los datos del balance están en petajoules (PJ). Este módulo convierte esos
+ * valores a la unidad elegida en los controles y los formatea con la precisión
+ * configurada, para que etiquetas, popups, leyendas y exportaciones usen
+ * siempre la misma unidad y el mismo número de decimales.
+ *
+ * Funcionalidades principales:
+ * - Unidades PJ, TJ, TWh, Mtoe y kBOE/día con factores de conversión exactos
+ * - Unidades por día calculadas con los días del año de referencia (bisiestos incluidos)
+ * - Precisión decimal configurable
+ * - Conversión inversa para interpretar valores escritos en la unidad activa
+ *
+ * Factores (por PJ):
+ * - TJ: 1 PJ = 1,000 TJ
+ * - TWh: 1 TWh = 3.6 PJ
+ * - Mtoe: 1 Mtoe = 41.868 PJ (tonelada equivalente de petróleo de la IEA)
+ * - kBOE/día: 1 BOE = 6.1178632 GJ (5.8 MMBtu); promedio diario del año
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class UnitConverter {
+    /**
+     * Constructor del UnitConverter
+     * @param {Object} options - Opciones de configuración
+     * @param {string} options.unit - Unidad inicial (por defecto 'PJ')
+     * @param {number} options.decimals - Decimales máximos al formatear
+     * @param {string} options.locale - Configuración regional de los números
+     */
+    constructor(options = {}) {
+        this.locale = options.locale || 'en-US';
+        this.decimals = options.decimals ?? 2;
+        this.referenceYear = null;
+
+        // Unidades disponibles: factor multiplica un valor en PJ (perDay divide además por los días del año)
+        this.units = new Map([
+            ['PJ', { label: 'Petajoules (PJ)', factor: 1 }],
+            ['TJ', { label: 'Terajoules (TJ)', factor: 1000 }],
+            ['TWh', { label: 'Teravatios-hora (TWh)', factor: 1 / 3.6 }],
+            ['Mtoe', { label: 'Millones de tep (Mtoe)', factor: 1 / 41.868 }],
+            ['kBOE/d', { label: 'Miles de barriles equivalentes por día (kBOE/d)', factor: 1e6 / 6.1178632 / 1000, perDay: true }]
+        ]);
+
+        this.unit = this.units.has(options.unit) ? options.unit : 'PJ';
+    }
+
+    /**
+     * Obtiene la lista de unidades disponibles
+     * @returns {Array} Lista de { id, label }
+     */
+    getUnits() {
+        return Array.from(this.units.entries()).map(([id, unit]) => ({ id, label: unit.label }));
+    }
+
+    /**
+     * Cambia la unidad activa
+     * @param {string} unit - Id de la unidad
+     * @throws {Error} Si la unidad no existe
+     */
+    setUnit(unit) {
+        if (!this.units.has(unit)) {
+            throw new Error(`Unidad desconocida: ${unit}`);
+        }
+        this.unit = unit;
+    }
+
+    /**
+     * Obtiene la unidad activa
+     * @returns {string} Id de la unidad, p. ej. 'TWh'
+     */
+    getUnit() {
+        return this.unit;
+    }
+
+    /**
+     * Cambia la precisión decimal
+     * @param {number} decimals - Decimales máximos (0 a 6)
+     */
+    setDecimals(decimals) {
+        const value = Number(decimals);
+        this.decimals = Number.isInteger(value) ? Math.min(Math.max(value, 0), 6) : this.decimals;
+    }
+
+    /**
+     * Obtiene la precisión decimal
+     * @returns {number} Decimales máximos
+     */
+    getDecimals() {
+        return this.decimals;
+    }
+
+    /**
+     * Fija el año de los valores que se convierten (para las unidades por día)
+     * @param {string|number|null} year - Año de referencia
+     */
+    setReferenceYear(year) {
+        this.referenceYear = year !== null && year !== undefined ? Number(year) : null;
+    }
+
+    /**
+     * Días del año para las unidades por día
+     * @param {number|null} year - Año (365 si no se conoce)
+     * @returns {number} 365 o 366
+     * @private
+     */
+    getDaysInYear(year) {
+        if (!Number.isInteger(year)) return 365;
+        return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 366 : 365;
+    }
+
+    /**
+     * Factor que convierte PJ a la unidad indicada
+     * @param {string} unit - Id de la unidad (por defecto la activa)
+     * @param {string|number} year - Año de referencia (por defecto el fijado)
+     * @returns {number} Factor multiplicativo
+     */
+    getFactor(unit = this.unit, year = this.referenceYear) {
+        const definition = this.units.get(unit);
+        if (!definition) {
+            throw new Error(`Unidad desconocida: ${unit}`);
+        }
+        return definition.perDay
+            ? definition.factor / this.getDaysInYear(year !== null && year !== undefined ? Number(year) : null)
+            : definition.factor;
+    }
+
+    /**
+     * Convierte un valor en PJ a la unidad activa
+     * @param {number} value - Valor en PJ
+     * @param {string|number} year - Año de referencia (opcional)
+     * @returns {number} Valor convertido
+     */
+    convert(value, year = this.referenceYear) {
+        return value * this.getFactor(this.unit, year);
+    }
+
+    /**
+     * Convierte un valor de la unidad activa a PJ
+     * @param {number} value - Valor en la unidad activa
+     * @param {string|number} year - Año de referencia (opcional)
+     * @returns {number} Valor en PJ
+     */
+    toBase(value, year = this.referenceYear) {
+        return value / this.getFactor(this.unit, year);
+    }
+
+    /**
+     * Convierte y formatea un valor en PJ, sin la unidad
+     * @param {number} value - Valor en PJ
+     * @param {Object} options - { year, decimals }
+     * @returns {string} Número formateado
+     */
+    formatNumber(value, options = {}) {
+        const decimals = options.decimals ?? this.decimals;
+        return this.convert(value, options.year ?? this.referenceYear).toLocaleString(this.locale, {
+            minimumFractionDigits: 0,
+            maximumFractionDigits: decimals
+        });
+    }
+
+    /**
+     * Convierte y formatea un valor en PJ con la unidad activa
+     * @param {number} value - Valor en PJ
+     * @param {Object} options - { year, decimals }
+     * @returns {string} Valor formateado, p. ej. "1,234.56 TWh"
+     */
+    format(value, options = {}) {
+        return `${this.formatNumber(value, options)} ${this.unit}`;
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UnitConverter;
+}
@@ -0,0 +1,199 @@
+/**
+ * UrlStateManager - Módulo para guardar la vista del diagrama en la URL
+ *
+ * Este módulo convierte el estado de la vista (año, vista, filtros, trazado,
+ * zoom y etiquetas) en parámetros de la URL y viceversa, de modo que una vista
+ * concreta pueda compartirse como enlace y recuperarse con los botones de
+ * atrás y adelante del navegador.
+ *
+ * Funcionalidades principales:
+ * - Serialización del estado de la vista en la cadena de consulta
+ * - Lectura tolerante de la URL (los parámetros inválidos se ignoran)
+ * - Entradas del historial con pushState o replaceState
+ * - Restauración de la vista al navegar con atrás y adelante
+ *
+ * Parámetros de la URL:
+ * - data: conjunto de datos (id del registro o ruta de un archivo; lo lee DatasetRegistry)
+ * - year, view, base, carrier: año, vista, año base y energético seguido
+ * - f.<grupo>: valores incluidos de un grupo de filtros separados por "|"
+ * - small: umbral de agrupación de flujos menores ("5" en PJ o "2%")
+ * - scale: modo de escala del grosor de enlaces
+ * - unit, dec: unidad de los valores mostrados y decimales
+ * - trace, focus, to: modo de trazado, nodo de inicio y nodo destino (ids)
+ * - zoom: escala, desplazamiento X y desplazamiento Y separados por ","
+ * - labels: "1" si las etiquetas de columnas están visibles
+ * - co2: "1" si la capa de emisiones de CO2 está activa
+ *
+ * @author Kiro AI Assistant
+ * @version 1.0.0
+ */
+
+class UrlStateManager {
+    /**
+     * Constructor del UrlStateManager
+     * @param {Object} options - Opciones de configuración
+     * @param {Function} options.onRestore - Callback (state) al navegar con atrás o adelante
+     */
+    constructor(options = {}) {
+        this.onRestore = options.onRestore || null;
+        this.popstateHandler = null;
+    }
+
+    /**
+     * Convierte el estado de la vista en una cadena de consulta
+     * @param {Object} state - Estado de la vista (los valores vacíos se omiten)
+     * @returns {string} Cadena de consulta con "?" inicial, o cadena vacía
+     */
+    serialize(state = {}) {
+        const params = new URLSearchParams();
+        const set = (key, value) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, String(value));
+            }
+        };
+
+        set('data', state.dataset);
+        set('year', state.year);
+        if (state.view && state.view !== 'single') {
+            set('view', state.view);
+            set('base', state.baseYear);
+        }
+        set('carrier', state.energetic);
+        Object.entries(state.filters || {}).forEach(([groupId, values]) => {
+            params.set(`f.${groupId}`, values.join('|'));
+        });
+        if (state.smallFlows && state.smallFlows.threshold > 0) {
+            set('small', `${state.smallFlows.threshold}${state.smallFlows.mode === 'percent' ? '%' : ''}`);
+        }
+        set('scale', state.linkScale);
+        set('unit', state.unit);
+        set('dec', state.decimals);
+        if (state.trace) {
+            set('trace', state.trace.mode);
+            set('focus', state.trace.start);
+            set('to', state.trace.end);
+        } else if (state.traceMode && state.traceMode !== 'forward') {
+            set('trace', state.traceMode);
+        }
+        if (state.zoom && (state.zoom.scale !== 1 || state.zoom.translateX !== 0 || state.zoom.translateY !== 0)) {
+            const round = value => Math.round(value * 100) / 100;
+            set('zoom', [state.zoom.scale, state.zoom.translateX, state.zoom.translateY].map(round).join(','));
+        }
+        if (state.columnLabels) {
+            set('labels', '1');
+        }
+        if (state.emissions) {
+            set('co2', '1');
+        }
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    /**
+     * Lee el estado de la vista desde una cadena de consulta
+     * @param {string} search - Cadena de consulta (con o sin "?")
+     * @returns {Object} Estado con solo los campos presentes y válidos en la URL
+     */
+    parse(search = '') {
+        const params = new URLSearchParams(search);
+        const state = {};
+
+        if (params.has('data')) state.dataset = params.get('data');
+        if (params.has('year')) state.year = params.get('year');
+        if (params.has('view')) state.view = params.get('view');
+        if (params.has('base')) state.baseYear = params.get('base');
+        if (params.has('carrier')) state.energetic = params.get('carrier');
+        if (params.has('scale')) state.linkScale = params.get('scale');
+        if (params.has('unit')) state.unit = params.get('unit');
+
+        const decimals = parseInt(params.get('dec'), 10);
+        if (Number.isInteger(decimals)) state.decimals = decimals;
+
+        for (const [key, value] of params.entries()) {
+            if (!key.startsWith('f.')) continue;
+            state.filters = state.filters || {};
+            state.filters[key.slice(2)] = value === '' ? [] : value.split('|');
+        }
+
+        const small = params.get('small');
+        if (small) {
+            const threshold = parseFloat(small);
+            if (Number.isFinite(threshold) && threshold > 0) {
+                state.smallFlows = { threshold, mode: small.endsWith('%') ? 'percent' : 'absolute' };
+            }
+        }
+
+        if (params.has('trace')) state.traceMode = params.get('trace');
+        if (params.has('focus')) {
+            state.trace = {
+                mode: state.traceMode || 'forward',
+                start: params.get('focus'),
+                end: params.get('to')
+            };
+        }
+
+        const zoom = (params.get('zoom') || '').split(',').map(Number);
+        if (zoom.length === 3 && zoom.every(Number.isFinite)) {
+            state.zoom = { scale: zoom[0], translateX: zoom[1], translateY: zoom[2] };
+        }
+
+        if (params.has('labels')) state.columnLabels = params.get('labels') === '1';
+        if (params.has('co2')) state.emissions = params.get('co2') === '1';
+
+        return state;
+    }
+
+    /**
+     * Lee el estado de la URL actual del navegador
+     * @returns {Object} Estado de la vista
+     */
+    read() {
+        return this.parse(window.location.search);
+    }
+
+    /**
+     * Guarda el estado en la URL si cambió
+     * @param {Object} state - Estado de la vista
+     * @param {Object} options - { replace: true } para no crear una entrada en el historial
+     */
+    update(state, options = {}) {
+        const query = this.serialize(state);
+        if (query === window.location.search) return;
+
+        const url = `${window.location.pathname}${query}${window.location.hash}`;
+        if (options.replace) {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+    }
+
+    /**
+     * Escucha la navegación con atrás y adelante
+     */
+    listen() {
+        if (this.popstateHandler) return;
+        this.popstateHandler = () => {
+            if (this.onRestore) {
+                this.onRestore(this.read());
+            }
+        };
+        window.addEventListener('popstate', this.popstateHandler);
+    }
+
+    /**
+     * Deja de escuchar la navegación
+     */
+    destroy() {
+        if (this.popstateHandler) {
+            window.removeEventListener('popstate', this.popstateHandler);
+            this.popstateHandler = null;
+        }
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UrlStateManager;
+}
@@ -12,6 +12,8 @@ class ZoomManager {
     this.startX = 0;
     this.startY = 0;
     this.activePointers = new Map();
+    // Optional callback invoked with { scale, translateX, translateY } after each change
+    this.onChange = options.onChange || null;
     this.attachEvents();
     this.applyTransform();
   }
@@ -122,11 +124,28 @@ class ZoomManager {
 
   }
 
-  applyTransform() {
+  applyTransform(silent = false) {
     this.constrain();
 
     const transform = `translate(${this.translateX}px, ${this.translateY}px) scale(${this.scale})`;
     this.target.style.transform = transform;
+
+    if (!silent && this.onChange) {
+      this.onChange(this.getTransform());
+    }
+  }
+
+  getTransform() {
+    return { scale: this.scale, translateX: this.translateX, translateY: this.translateY };
+  }
+
+  // Apply a transform coming from another view without notifying onChange,
+  // which keeps synchronized diagrams from echoing changes back and forth
+  setTransform({ scale, translateX, translateY }) {
+    this.scale = Math.min(this.maxScale, Math.max(this.minScale, scale));
+    this.translateX = translateX;
+    this.translateY = translateY;
+    this.applyTransform(true);
   }
 
   reset() {
@@ -1,7 +1,54 @@
 const yearSelector = document.getElementById("year-selector");
 const sankeyDiv = document.getElementById("sankey-diagram");
 const zoomWrapperDiv = document.getElementById("zoom-wrapper");
+const compareSankeyDiv = document.getElementById("sankey-diagram-compare");
+const compareZoomWrapperDiv = document.getElementById("zoom-wrapper-compare");
+const batchExportDiv = document.getElementById("batch-export-sankey");
+const diagramPanels = document.getElementById("diagram-panels");
+const linkScaleSelector = document.getElementById("link-scale-selector");
+const linkScaleLegendDiv = document.getElementById("link-scale-legend");
+const timelineContainer = document.getElementById("timeline-player");
+const viewModeSelector = document.getElementById("view-mode-selector");
+const compareYearSelector = document.getElementById("compare-year-selector");
+const compareYearGroup = document.getElementById("compare-year-group");
+const traceModeSelector = document.getElementById("trace-mode-selector");
+const energeticSelector = document.getElementById("energetic-selector");
+const smallFlowsGroup = document.getElementById("small-flows-group");
+const smallFlowsSlider = document.getElementById("small-flows-slider");
+const smallFlowsValue = document.getElementById("small-flows-value");
+const smallFlowsMode = document.getElementById("small-flows-mode");
+const columnLabelsToggle = document.getElementById("column-labels-toggle");
+const filterPanelBody = document.getElementById("filter-panel-body");
+const filterCount = document.getElementById("filter-count");
+const unitSelector = document.getElementById("unit-selector");
+const unitDecimalsSelector = document.getElementById("unit-decimals");
+const emissionsToggle = document.getElementById("emissions-toggle");
+const emissionsPanel = document.getElementById("emissions-panel");
+const emissionsTotal = document.getElementById("emissions-total");
+const emissionsReportDiv = document.getElementById("emissions-report");
+const kpiPanelBody = document.getElementById("kpi-panel-body");
+const kpiYear = document.getElementById("kpi-year");
+const balanceStatus = document.getElementById("balance-status");
+const balanceReportDiv = document.getElementById("balance-report");
+const traceModeIndicator = document.getElementById("trace-mode-indicator");
+const traceSummaryPanel = document.getElementById("trace-summary-panel");
+const seriesPanelElement = document.getElementById("series-panel");
+const datasetSelector = document.getElementById("dataset-selector");
+const revisionBaseSelector = document.getElementById("revision-base-selector");
+const revisionCompareBtn = document.getElementById("revision-compare-btn");
+const revisionHighlightToggle = document.getElementById("revision-highlight-toggle");
+const revisionCsvBtn = document.getElementById("revision-csv-btn");
+const revisionReportDiv = document.getElementById("revision-report");
 let dataManager = null;
+let nameRegistry = null;
+// Conjuntos de datos disponibles (configuración, ?data= y archivos importados)
+let datasetRegistry = null;
+let currentDatasetId = null;
+// Comparación con otra edición del balance (ver DatasetComparator)
+let datasetComparator = null;
+let revisionPanel = null;
+let revisionReport = null;
+let highlightRevisions = false;
 let styleManager = null;
 let layoutEngine = null;
 let nodeFactory = null;
@@ -9,18 +56,56 @@ let linkManager = null;
 let popupManager = null;
 let exportManager = null;
 let columnLabelsManager = null;
-let zoomManager = null;
-
-// --- Focus highlighting state ---
-let baseNodeColors = [];
-let baseLinkColors = [];
-let linkSources = [];
-let linkTargets = [];
-let focusActive = false;
-let blankClickHandler = null;
-
-// Minimum link thickness added to each value after logarithmic scaling
-const MIN_LINK_SIZE = 0.25;
+let sankeyBuilder = null;
+let linkScaleManager = null;
+let unitConverter = null;
+let emissionsCalculator = null;
+let kpiPanel = null;
+let seriesPanel = null;
+// Capa de emisiones de CO2 en popups y panel de resumen
+let showEmissions = false;
+let timelinePlayer = null;
+let filterPanel = null;
+let urlStateManager = null;
+let balanceValidator = null;
+// Metadatos de procedencia de las imágenes exportadas
+let imageMetadata = null;
+
+// Resultado de la validación contable de todos los años (ver BalanceValidator.validate)
+let balanceValidation = null;
+
+// Mientras se restaura una vista desde la URL no se escriben nuevas entradas del historial
+let restoringViewState = false;
+let zoomUrlTimer = null;
+
+// Modo de escala de enlaces y unidad por defecto (no se escriben en la URL)
+const DEFAULT_LINK_SCALE = "log";
+const DEFAULT_UNIT = { unit: "PJ", decimals: 2 };
+let stableLayout = null;
+
+// Diagramas: el principal siempre existe; el de comparación solo en la vista lado a lado
+let primaryDiagram = null;
+let compareDiagram = null;
+// Diagrama fuera de pantalla para exportar todos los años (solo durante la exportación)
+let batchDiagram = null;
+let batchExportManager = null;
+
+// Vista actual: 'single' (un año), 'difference' (año seleccionado menos año base)
+// o 'side-by-side' (año base y año seleccionado en paneles sincronizados)
+let viewMode = "single";
+
+// Energético seguido en la vista de un solo energético (null muestra todos)
+let selectedEnergetic = null;
+
+// Agrupación de flujos menores: umbral en PJ ('absolute') o en % del nodo ('percent');
+// un umbral de 0 desactiva la agrupación
+let smallFlows = { threshold: 0, mode: "absolute" };
+
+// Duración aproximada de la transición interna de Plotly al cambiar de año
+const SANKEY_TRANSITION_MS = 600;
+
+// Flujos listados por columna en el reporte PDF
+const PDF_FLOWS_PER_COLUMN = 10;
 
 // Export Configuration Management
 let exportConfig = {
@@ -31,27 +116,41 @@ let exportConfig = {
   },
   transparentBg: true,
   includeColumnLabels: true,
+  includeScaleLegend: true,
+  // Pie de página visible con la procedencia en los SVG (los metadatos se incluyen siempre)
+  includeProvenanceCaption: false,
   filenamePrefix: "sankey_energia",
+  // Formatos de cada año en la exportación ZIP de todos los años
+  batchFormats: ["png", "svg"],
 };
 
-// Cargar los datos desde el archivo JSON y inicializar DataManager
-fetch("datos_energia_completo.json")
-  .then((response) => response.json())
-  .then((data) => {
+// Cargar el conjunto de datos indicado en la URL (o el por defecto) e inicializar DataManager
+datasetRegistry = new DatasetRegistry();
+datasetRegistry
+  .loadConfig()
+  .then(() => {
+    currentDatasetId = datasetRegistry.resolve(window.location.search);
+    return datasetRegistry.load(currentDatasetId);
+  })
+  .then(({ data }) => {
     try {
+      // Registro de nombres canónicos compartido: alias y grafías sin acentos
+      nameRegistry = new NameRegistry();
+
       // Inicializar DataManager con los datos cargados
-      dataManager = new DataManager(data);
+      dataManager = new DataManager(data, { nameRegistry: nameRegistry });
 
       // Inicializar StyleManager
-      styleManager = new StyleManager();
+      styleManager = new StyleManager({ nameRegistry: nameRegistry });
 
       // Inicializar LayoutEngine
-      layoutEngine = new LayoutEngine();
+      layoutEngine = new LayoutEngine({ nameRegistry: nameRegistry });
 
       // Inicializar LinkManager con referencias a otros módulos
       linkManager = new LinkManager({
         dataManager: dataManager,
         styleManager: styleManager,
+        nameRegistry: nameRegistry,
         nodeFactory: null, // Se asignará después
         popupManager: null, // Se asignará después
       });
@@ -67,16 +166,41 @@ fetch("datos_energia_completo.json")
       // Asignar NodeFactory al LinkManager
       linkManager.nodeFactory = nodeFactory;
 
+      // Unidad de etiquetas, popups y leyendas (los datos permanecen en PJ)
+      unitConverter = new UnitConverter({ unit: FLOW_SPEC.unit });
+
+      // Emisiones de CO2 por combustión con factores del IPCC
+      emissionsCalculator = new EmissionsCalculator({ dataManager: dataManager });
+
       // Inicializar PopupManager con referencias a otros módulos
       popupManager = new PopupManager({
         dataManager: dataManager,
         styleManager: styleManager,
         nodeFactory: nodeFactory,
+        unitConverter: unitConverter,
+        emissionsCalculator: emissionsCalculator,
+        nameRegistry: nameRegistry,
       });
 
       // Asignar PopupManager al LinkManager
       linkManager.popupManager = popupManager;
 
+      // Inicializar LinkScaleManager (escala logarítmica por defecto)
+      linkScaleManager = new LinkScaleManager({ mode: DEFAULT_LINK_SCALE, unit: FLOW_SPEC.unit, unitConverter });
+
+      // Inicializar SankeyBuilder con la especificación declarativa de flujos
+      sankeyBuilder = new SankeyBuilder({
+        spec: FLOW_SPEC,
+        dataManager: dataManager,
+        styleManager: styleManager,
+        popupManager: popupManager,
+        linkManager: linkManager,
+        layoutEngine: layoutEngine,
+        linkValueScaler: (value, context) => linkScaleManager.scale(value, context),
+        unitConverter: unitConverter,
+        emissionsCalculator: emissionsCalculator,
+      });
+
       // Inicializar ColumnLabelsManager con referencias a otros módulos
       columnLabelsManager = new ColumnLabelsManager({
         enabled: false, // Inicialmente deshabilitado
@@ -84,6 +208,19 @@ fetch("datos_energia_completo.json")
         styleManager: styleManager,
       });
 
+      // Inicializar el diagrama principal
+      primaryDiagram = new SankeyDiagram(sankeyDiv, {
+        zoomContainer: zoomWrapperDiv,
+        columnLabelsManager: columnLabelsManager,
+        transitionMs: SANKEY_TRANSITION_MS,
+      });
+
+      // Calibrar la leyenda de grosores con los enlaces renderizados
+      primaryDiagram.on("rendered", () => {
+        linkScaleManager.calibrate(sankeyDiv);
+        linkScaleManager.renderLegend(linkScaleLegendDiv);
+      });
+
       // Aplicar tema por defecto y estilos de popup
       styleManager.applyTheme();
       popupManager.applyPopupStyles();
@@ -114,10 +251,41 @@ fetch("datos_energia_completo.json")
       );
 
       populateYearSelector();
+      populateLinkScaleSelector();
+      initializeUnitControls();
+      initializeEmissionsControls();
+      // Panel de indicadores con series de todos los años
+      kpiPanel = new KpiPanel(kpiPanelBody, {
+        calculator: new IndicatorCalculator({ dataManager: dataManager }),
+      });
+      // Panel fijo con la serie anual del nodo o flujo seleccionado
+      seriesPanel = new SeriesPanel(seriesPanelElement, {
+        builder: sankeyBuilder,
+        unitConverter: unitConverter,
+      });
+      primaryDiagram.on("select", (selection) => {
+        seriesPanel.open(selection, yearSelector.value, getSeriesOptions());
+      });
+      // Estructura común a todos los años para animar las transiciones
+      stableLayout = sankeyBuilder.getStableLayout(dataManager.getAvailableYears());
+      initializeTimelinePlayer();
+      initializeViewModeControls();
+      populateEnergeticSelector();
+      initializeFilterPanel();
+      initializeSmallFlowsControls();
+      initializeTraceControls();
       // Inicializar controles de etiquetas de columnas
       initializeColumnLabelsControls();
-      // Inicializar el gráfico con el primer año disponible
-      updateSankey(yearSelector.value);
+      // Verificación del cierre contable de los datos cargados
+      initializeBalanceValidation();
+      // Importación de balances desde CSV, XLSX o JSON
+      initializeDatasetImport();
+      // Selector de conjuntos de datos (nacional, preliminar, revisado, archivos locales)
+      initializeDatasetSelector();
+      // Reporte de revisiones respecto a otra edición del balance
+      initializeRevisionControls();
+      // Dibujar la vista indicada en la URL (o el año más reciente si no hay ninguna)
+      initializeUrlState();
 
       // Inicializar ExportManager después de que el diagrama esté listo
       setTimeout(() => {
@@ -127,6 +295,8 @@ fetch("datos_energia_completo.json")
             exportConfig,
             columnLabelsManager,
           );
+          exportManager.setLinkScaleManager(linkScaleManager);
+          exportManager.setMetadataProvider(getExportMetadata);
           console.log(
             "ExportManager inicializado correctamente con soporte para etiquetas de columnas",
           );
@@ -140,7 +310,7 @@ fetch("datos_energia_completo.json")
     }
   })
   .catch((error) => {
-    console.error("Error al cargar el JSON:", error);
+    console.error("Error al cargar el conjunto de datos:", error);
     alert(
       "Error al cargar el archivo de datos. Verifica que el archivo existe.",
     );
@@ -154,22 +324,445 @@ function populateYearSelector() {
   }
 
   // Usar el método del DataManager para obtener años disponibles
-  const sortedYears = dataManager.getAvailableYears();
+  fillYearOptions(yearSelector, dataManager.getAvailableYears());
 
-  // Limpiar opciones existentes
-  yearSelector.innerHTML = "";
+  // Añadir el evento para actualizar el gráfico cuando cambia el año
+  yearSelector.addEventListener("change", (event) => {
+    if (timelinePlayer) {
+      timelinePlayer.pause();
+      timelinePlayer.goTo(event.target.value, { silent: true });
+    }
+    updateSankey(event.target.value);
+  });
+}
 
-  sortedYears.forEach((year) => {
+// Reemplazar las opciones de un selector de años
+function fillYearOptions(selector, years) {
+  selector.innerHTML = "";
+  years.forEach((year) => {
     const option = document.createElement("option");
     option.value = year;
-    option.textContent = year;
-    yearSelector.appendChild(option);
+    // Los años preliminares o proyectados se señalan en la etiqueta
+    option.textContent = dataManager.getYearLabel(year);
+    selector.appendChild(option);
   });
+}
 
-  // Añadir el evento para actualizar el gráfico cuando cambia el año
-  yearSelector.addEventListener("change", (event) => {
-    updateSankey(event.target.value);
+// Inicializar el selector de vista y el año base de la comparación
+function initializeViewModeControls() {
+  const years = dataManager.getAvailableYears();
+
+  fillYearOptions(compareYearSelector, years);
+  // Por defecto se compara contra el año más antiguo
+  compareYearSelector.value = years[years.length - 1];
+
+  viewModeSelector.value = viewMode;
+  viewModeSelector.addEventListener("change", (event) => {
+    setViewMode(event.target.value);
+  });
+
+  compareYearSelector.addEventListener("change", () => {
+    if (viewMode !== "single") {
+      updateSankey(yearSelector.value);
+    }
+  });
+}
+
+// Poblar el selector de energéticos agrupado en primarios y secundarios
+function populateEnergeticSelector() {
+  fillEnergeticOptions();
+
+  energeticSelector.addEventListener("change", (event) => {
+    selectedEnergetic = event.target.value || null;
+    updateSmallFlowsAvailability();
+    updateSankey(yearSelector.value);
+  });
+}
+
+// Crear las opciones del selector de energéticos del conjunto de datos cargado
+function fillEnergeticOptions() {
+  energeticSelector.innerHTML = "";
+
+  const allOption = document.createElement("option");
+  allOption.value = "";
+  allOption.textContent = "Todos los energéticos";
+  energeticSelector.appendChild(allOption);
+
+  const groupLabels = { primarios: "Primarios", secundarios: "Secundarios" };
+  const optgroups = new Map();
+  sankeyBuilder.getEnergetics().forEach((energetic) => {
+    if (!optgroups.has(energetic.group)) {
+      const optgroup = document.createElement("optgroup");
+      optgroup.label = groupLabels[energetic.group] || energetic.group;
+      energeticSelector.appendChild(optgroup);
+      optgroups.set(energetic.group, optgroup);
+    }
+    const option = document.createElement("option");
+    option.value = energetic.name;
+    option.textContent = energetic.name;
+    optgroups.get(energetic.group).appendChild(option);
+  });
+}
+
+// Inicializar el panel de filtros con los grupos de SankeyBuilder
+function initializeFilterPanel() {
+  filterPanel = new FilterPanel(filterPanelBody, {
+    groups: sankeyBuilder.getFilterGroups(),
+    onChange: () => {
+      updateFilterCount();
+      updateSankey(yearSelector.value);
+    },
+  });
+}
+
+// Mostrar cuántos grupos de filtros están activos
+function updateFilterCount() {
+  const activeGroups = Object.keys(filterPanel.getFilters()).length;
+  filterCount.textContent = activeGroups;
+  filterCount.hidden = activeGroups === 0;
+}
+
+// Inicializar el control de agrupación de flujos menores
+function initializeSmallFlowsControls() {
+  updateSmallFlowsControls();
+
+  // La etiqueta se actualiza al arrastrar; el diagrama al soltar el control
+  smallFlowsSlider.addEventListener("input", () => {
+    smallFlows.threshold = parseFloat(smallFlowsSlider.value);
+    updateSmallFlowsControls();
+  });
+  smallFlowsSlider.addEventListener("change", () => updateSankey(yearSelector.value));
+  smallFlowsMode.addEventListener("change", (event) => {
+    smallFlows.mode = event.target.value;
+    updateSmallFlowsControls();
+    updateSankey(yearSelector.value);
+  });
+  updateSmallFlowsAvailability();
+}
+
+// Reflejar el umbral de agrupación en el control deslizante y su etiqueta
+function updateSmallFlowsControls() {
+  smallFlowsSlider.value = smallFlows.threshold;
+  smallFlowsMode.value = smallFlows.mode;
+  smallFlowsMode.options[0].textContent = unitConverter.getUnit();
+  // El umbral absoluto se guarda en PJ y se muestra en la unidad activa
+  const label = smallFlows.mode === "percent"
+    ? `${smallFlows.threshold}%`
+    : unitConverter.format(smallFlows.threshold);
+  smallFlowsValue.textContent = smallFlows.threshold > 0 ? label : "Sin agrupar";
+}
+
+// La agrupación no aplica a la vista de diferencias ni a la de un solo energético
+function updateSmallFlowsAvailability() {
+  const unavailable = viewMode === "difference" || Boolean(selectedEnergetic);
+  smallFlowsSlider.disabled = unavailable;
+  smallFlowsMode.disabled = unavailable;
+  smallFlowsGroup.title = unavailable
+    ? "La agrupación de flujos menores no aplica a la vista de diferencias ni a un solo energético"
+    : "";
+}
+
+// Sufijo de nombre de archivo para el energético seguido y la unidad si no es PJ
+function getExportFileSuffix() {
+  const parts = [selectedEnergetic, unitConverter.getUnit() !== "PJ" ? unitConverter.getUnit() : null];
+  return parts
+    .filter(Boolean)
+    .map((part) => `_${toFileSlug(part)}`)
+    .join("");
+}
+
+// Convertir un texto en una parte de nombre de archivo sin acentos ni espacios
+function toFileSlug(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// Descargar un archivo de texto generado en el navegador
+function downloadTextFile(content, filename, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement("a");
+  link.download = filename;
+  link.href = url;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// Cambiar la vista y mostrar u ocultar el panel de comparación
+// (con { render: false } solo se ajustan los paneles, sin redibujar)
+function setViewMode(mode, options = {}) {
+  const wasSideBySide = viewMode === "side-by-side";
+  const isSideBySide = mode === "side-by-side";
+  viewMode = mode;
+
+  compareYearGroup.hidden = mode === "single";
+  updateSmallFlowsAvailability();
+  compareZoomWrapperDiv.hidden = !isSideBySide;
+  diagramPanels.classList.toggle("side-by-side", isSideBySide);
+
+  if (isSideBySide && !compareDiagram) {
+    compareDiagram = new SankeyDiagram(compareSankeyDiv, {
+      zoomContainer: compareZoomWrapperDiv,
+      transitionMs: SANKEY_TRANSITION_MS,
+    });
+    compareDiagram.syncWith(primaryDiagram);
+  } else if (!isSideBySide && wasSideBySide) {
+    compareDiagram.destroy();
+  }
+
+  // El diagrama principal cambia de ancho al mostrar u ocultar el segundo panel
+  if (isSideBySide !== wasSideBySide) {
+    primaryDiagram.resize();
+  }
+
+  if (options.render !== false) {
+    updateSankey(yearSelector.value);
+  }
+}
+
+// Inicializar el selector de modo de trazado, su indicador y el panel de resumen
+function initializeTraceControls() {
+  traceModeSelector.innerHTML = "";
+  primaryDiagram.getTraceModes().forEach((mode) => {
+    const option = document.createElement("option");
+    option.value = mode.id;
+    option.textContent = mode.label;
+    option.title = mode.hint;
+    traceModeSelector.appendChild(option);
+  });
+  traceModeSelector.value = primaryDiagram.getTraceMode();
+
+  traceModeSelector.addEventListener("change", (event) => {
+    primaryDiagram.setTraceMode(event.target.value);
+  });
+
+  // Los clics en el panel y en la línea de tiempo conservan el trazado activo
+  primaryDiagram.ignoreClicksFrom(traceSummaryPanel);
+  primaryDiagram.ignoreClicksFrom(timelineContainer);
+  primaryDiagram.ignoreClicksFrom(seriesPanelElement);
+
+  primaryDiagram.on("tracemode", () => {
+    updateTraceModeIndicator();
+    syncUrlState();
+  });
+  primaryDiagram.on("tracepending", ({ name }) => {
+    updateTraceModeIndicator(`Origen: ${name} · selecciona el nodo de destino`);
+  });
+  primaryDiagram.on("trace", (summary) => {
+    renderTraceSummary(summary);
+    updateTraceModeIndicator();
+    syncUrlState();
+  });
+
+  updateTraceModeIndicator();
+}
+
+// Vista activa para las series del panel de serie anual
+function getSeriesOptions() {
+  return {
+    energetic: selectedEnergetic,
+    filters: filterPanel ? filterPanel.getFilters() : null,
+  };
+}
+
+// Mostrar el modo de trazado activo y su instrucción
+function updateTraceModeIndicator(message = null) {
+  const mode = primaryDiagram
+    .getTraceModes()
+    .find((item) => item.id === primaryDiagram.getTraceMode());
+  traceModeIndicator.textContent = `Trazado: ${mode.label} · ${message || mode.hint}`;
+}
+
+// Mostrar el resumen del subgrafo trazado en la unidad activa
+function renderTraceSummary(summary) {
+  traceSummaryPanel.innerHTML = "";
+  traceSummaryPanel.hidden = !summary;
+  if (!summary) return;
+
+  const format = (value) => `${sankeyBuilder.formatValue(value)} ${summary.unit}`;
+  const addRow = (label, value) => {
+    const row = document.createElement("div");
+    row.className = "trace-summary-row";
+    const labelSpan = document.createElement("span");
+    labelSpan.textContent = label;
+    const valueSpan = document.createElement("span");
+    valueSpan.textContent = value;
+    row.appendChild(labelSpan);
+    row.appendChild(valueSpan);
+    traceSummaryPanel.appendChild(row);
+  };
+
+  const closeBtn = document.createElement("button");
+  closeBtn.className = "trace-summary-close";
+  closeBtn.setAttribute("aria-label", "Cerrar resumen del trazado");
+  closeBtn.innerHTML = "&times;";
+  closeBtn.addEventListener("click", () => primaryDiagram.resetHighlight());
+  traceSummaryPanel.appendChild(closeBtn);
+
+  const title = document.createElement("div");
+  title.className = "trace-summary-title";
+  title.textContent =
+    summary.mode === "between"
+      ? `${summary.modeLabel}: ${summary.start} → ${summary.end}`
+      : `${summary.modeLabel}: ${summary.start}`;
+  traceSummaryPanel.appendChild(title);
+
+  if (summary.linkCount === 0) {
+    const empty = document.createElement("div");
+    empty.textContent =
+      summary.mode === "between"
+        ? `No hay rutas de ${summary.start} a ${summary.end}.`
+        : "El nodo no tiene flujos en esta dirección.";
+    traceSummaryPanel.appendChild(empty);
+    return;
+  }
+
+  if (summary.isDifference) {
+    addRow("Valores", "cambio absoluto");
+  }
+  addRow("Flujos trazados", `${summary.linkCount} (${summary.nodeCount} nodos)`);
+  addRow("Suma de flujos trazados", format(summary.total));
+
+  if (summary.mode === "forward") {
+    addRow(`Salidas de ${summary.anchor}`, format(summary.outflow));
+  } else if (summary.mode === "backward") {
+    addRow(`Entradas a ${summary.anchor}`, format(summary.inflow));
+  } else if (summary.mode === "full") {
+    addRow(`Entradas a ${summary.anchor}`, format(summary.inflow));
+    addRow(`Salidas de ${summary.anchor}`, format(summary.outflow));
+  } else {
+    addRow(`Llega a ${summary.anchor} por estas rutas`, format(summary.inflow));
+  }
+
+  if (summary.byEnergetic.length > 0) {
+    const subtitle = document.createElement("div");
+    subtitle.className = "trace-summary-subtitle";
+    subtitle.textContent = `Por energético (${summary.anchor})`;
+    traceSummaryPanel.appendChild(subtitle);
+    summary.byEnergetic.forEach((item) => addRow(item.energetic, format(item.value)));
+  }
+}
+
+// Inicializar la línea de tiempo sincronizada con el selector de año
+function initializeTimelinePlayer() {
+  timelinePlayer = new TimelinePlayer(timelineContainer, {
+    years: dataManager.getAvailableYears(),
+    initialYear: yearSelector.value,
+    formatYear: (year) => dataManager.getYearLabel(year),
+    onYearChange: (year) => {
+      yearSelector.value = year;
+      updateSankey(year);
+    },
+  });
+}
+
+// Poblar el selector de escala del grosor de enlaces usando LinkScaleManager
+function populateLinkScaleSelector() {
+  linkScaleSelector.innerHTML = "";
+
+  linkScaleManager.getModes().forEach((mode) => {
+    const option = document.createElement("option");
+    option.value = mode.id;
+    option.textContent = mode.label;
+    option.title = mode.description;
+    linkScaleSelector.appendChild(option);
+  });
+  linkScaleSelector.value = linkScaleManager.getMode();
+
+  // Volver a dibujar el diagrama con el nuevo modo de escala
+  linkScaleSelector.addEventListener("change", (event) => {
+    linkScaleManager.setMode(event.target.value);
+    updateSankey(yearSelector.value);
+  });
+}
+
+// Poblar los selectores de unidad y decimales usando UnitConverter
+function initializeUnitControls() {
+  unitSelector.innerHTML = "";
+  unitConverter.getUnits().forEach((unit) => {
+    const option = document.createElement("option");
+    option.value = unit.id;
+    option.textContent = unit.id;
+    option.title = unit.label;
+    unitSelector.appendChild(option);
+  });
+  unitSelector.value = unitConverter.getUnit();
+  unitDecimalsSelector.value = String(unitConverter.getDecimals());
+
+  unitSelector.addEventListener("change", (event) => {
+    unitConverter.setUnit(event.target.value);
+    updateSmallFlowsControls();
+    updateSankey(yearSelector.value);
+  });
+  unitDecimalsSelector.addEventListener("change", (event) => {
+    unitConverter.setDecimals(parseInt(event.target.value, 10));
+    updateSmallFlowsControls();
+    updateSankey(yearSelector.value);
+  });
+}
+
+// Activar o desactivar la capa de emisiones de CO2
+function initializeEmissionsControls() {
+  emissionsToggle.checked = showEmissions;
+  emissionsPanel.hidden = !showEmissions;
+  emissionsToggle.addEventListener("change", (event) => {
+    showEmissions = event.target.checked;
+    emissionsPanel.hidden = !showEmissions;
+    updateSankey(yearSelector.value);
+  });
+}
+
+// Mostrar las emisiones del año por centro de transformación, tecnología y sector
+function renderEmissionsReport(year) {
+  emissionsReportDiv.innerHTML = "";
+  if (!showEmissions) return;
+
+  const report = emissionsCalculator.calculateYear(year);
+  emissionsTotal.textContent = emissionsCalculator.format(report.total);
+
+  const table = document.createElement("table");
+  const header = table.createTHead().insertRow();
+  ["Fuente", "Emisiones", "Principal energético"].forEach((text) => {
+    const th = document.createElement("th");
+    th.textContent = text;
+    header.appendChild(th);
   });
+
+  const body = table.createTBody();
+  report.categories.forEach((category) => {
+    const categoryRow = body.insertRow();
+    categoryRow.className = "emissions-category";
+    categoryRow.insertCell().textContent = category.label;
+    const totalCell = categoryRow.insertCell();
+    totalCell.className = "number";
+    totalCell.textContent = emissionsCalculator.format(category.total);
+    categoryRow.insertCell();
+
+    category.sources
+      .filter((source) => source.total > 0)
+      .forEach((source) => {
+        const row = body.insertRow();
+        row.insertCell().textContent = source.label;
+        const cell = row.insertCell();
+        cell.className = "number";
+        cell.textContent = emissionsCalculator.format(source.total);
+        const main = source.carriers[0];
+        row.insertCell().textContent = `${main.carrier} (${Math.round((main.emissions / source.total) * 100)}%)`;
+      });
+  });
+  emissionsReportDiv.appendChild(table);
+
+  const note = document.createElement("p");
+  note.className = "balance-report-note";
+  note.textContent = `Total ${report.year}: ${emissionsCalculator.format(report.total)} de CO₂ por combustión ` +
+    "(centros de transformación + sectores; las tecnologías desglosan a Centrales Eléctricas). " +
+    "Factores por defecto del IPCC 2006; el CO₂ de la biomasa no se suma.";
+  emissionsReportDiv.appendChild(note);
 }
 
 // Initialize export functionality
@@ -177,12 +770,18 @@ function initializeExportControls() {
   const exportConfigBtn = document.getElementById("export-config-btn");
   const exportPngBtn = document.getElementById("export-png-btn");
   const exportSvgBtn = document.getElementById("export-svg-btn");
+  const exportPdfBtn = document.getElementById("export-pdf-btn");
+  const exportZipBtn = document.getElementById("export-zip-btn");
+  const exportHtmlBtn = document.getElementById("export-html-btn");
   const exportPanel = document.getElementById("export-panel");
   const exportProgressModal = document.getElementById("export-progress-modal");
   const closeBtn = document.getElementById("config-close-btn");
   const saveConfigBtn = document.getElementById("save-config-btn");
   const cancelConfigBtn = document.getElementById("cancel-config-btn");
 
+  imageMetadata = new ImageMetadata();
+  initializeImageInspector();
+
   function hideExportPanel() {
     exportPanel.classList.remove("visible");
     exportPanel.setAttribute("aria-hidden", "true");
@@ -240,6 +839,28 @@ function initializeExportControls() {
   exportSvgBtn.addEventListener("click", () => {
     exportDiagram("svg");
   });
+
+  // Reporte PDF con el diagrama vectorial, indicadores y flujos principales
+  exportPdfBtn.addEventListener("click", () => {
+    exportDiagram("pdf");
+  });
+
+  // Todos los años en un ZIP
+  exportZipBtn.addEventListener("click", () => {
+    exportAllYears();
+  });
+
+  // HTML interactivo autónomo con los años elegidos
+  exportHtmlBtn.addEventListener("click", () => {
+    exportStandaloneHtml();
+  });
+
+  // Tabla de nodos y flujos del diagrama mostrado
+  ["csv", "xlsx", "json"].forEach((format) => {
+    document.getElementById(`export-flows-${format}-btn`).addEventListener("click", () => {
+      exportFlowTable(format);
+    });
+  });
 }
 
 // Load current config to modal
@@ -251,8 +872,24 @@ function loadConfigToModal() {
     exportConfig.transparentBg;
   document.getElementById("include-column-labels").checked =
     exportConfig.includeColumnLabels !== false;
+  document.getElementById("include-scale-legend").checked =
+    exportConfig.includeScaleLegend !== false;
+  document.getElementById("include-provenance-caption").checked =
+    exportConfig.includeProvenanceCaption === true;
   document.getElementById("filename-prefix").value =
     exportConfig.filenamePrefix;
+  document.getElementById("batch-formats").value =
+    exportConfig.batchFormats.join(",");
+
+  // Rango de años del HTML interactivo: por defecto, todos los disponibles
+  const years = dataManager.getAvailableYears().slice().sort();
+  ["standalone-year-from", "standalone-year-to"].forEach((id, index) => {
+    const select = document.getElementById(id);
+    const current = select.value;
+    select.innerHTML = "";
+    years.forEach((year) => select.add(new Option(dataManager.getYearLabel(year), year)));
+    select.value = years.includes(current) ? current : years[index === 0 ? 0 : years.length - 1];
+  });
 }
 
 // Save config from modal
@@ -267,8 +904,17 @@ function saveConfigFromModal() {
   exportConfig.includeColumnLabels = document.getElementById(
     "include-column-labels",
   ).checked;
+  exportConfig.includeScaleLegend = document.getElementById(
+    "include-scale-legend",
+  ).checked;
+  exportConfig.includeProvenanceCaption = document.getElementById(
+    "include-provenance-caption",
+  ).checked;
   exportConfig.filenamePrefix =
     document.getElementById("filename-prefix").value || "sankey_energia";
+  exportConfig.batchFormats = document
+    .getElementById("batch-formats")
+    .value.split(",");
 
   // Update ExportManager configuration if it's initialized
   if (exportManager) {
@@ -277,25 +923,157 @@ function saveConfigFromModal() {
   }
 }
 
-// Show progress modal
-function showProgressModal(format) {
+// Metadatos de procedencia de las imágenes exportadas: el año indicado (exportación
+// de todos los años) o lo que muestra el diagrama principal
+function getExportMetadata({ year = null } = {}) {
+  const model = primaryDiagram && primaryDiagram.model;
+  const isDifference = !year && model && model.yearFrom !== undefined;
+  const dataset = datasetRegistry.getDataset(currentDatasetId);
+
+  return imageMetadata.create({
+    conjunto_de_datos: dataset ? dataset.label : currentDatasetId,
+    "año_inicial": isDifference ? model.yearFrom : undefined,
+    "año": year || (model ? model.year : yearSelector.value),
+    unidad: unitConverter.getUnit(),
+    escala_enlaces: linkScaleManager.getModeLabel(),
+    energetico: selectedEnergetic || undefined,
+    filtros: filterPanel && filterPanel.isActive() ? filterPanel.getActiveFilterSummary() : [],
+  }, dataManager.rawData);
+}
+
+// Diálogo para leer la procedencia de un PNG o SVG exportado
+function initializeImageInspector() {
+  const modal = document.getElementById("image-inspector-modal");
+  const dropZone = document.getElementById("image-inspector-drop");
+  const input = document.getElementById("image-inspector-input");
+
+  function hideInspector() {
+    modal.style.display = "none";
+    modal.setAttribute("aria-hidden", "true");
+  }
+
+  document.getElementById("inspect-image-btn").addEventListener("click", () => {
+    document.getElementById("image-inspector-status").textContent = "";
+    document.getElementById("image-inspector-result").innerHTML = "";
+    modal.style.display = "block";
+    modal.setAttribute("aria-hidden", "false");
+    dropZone.focus();
+  });
+  document.getElementById("image-inspector-close").addEventListener("click", hideInspector);
+  modal.addEventListener("click", (event) => {
+    if (event.target === modal) hideInspector();
+  });
+  // Escape cierra solo este diálogo, no el panel de exportación que queda debajo
+  modal.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") {
+      event.stopPropagation();
+      hideInspector();
+    } else if ((event.key === "Enter" || event.key === " ") && event.target === dropZone) {
+      event.preventDefault();
+      input.click();
+    }
+  });
+
+  dropZone.addEventListener("click", () => input.click());
+  input.addEventListener("change", () => {
+    if (input.files.length > 0) {
+      inspectImageFile(input.files[0]);
+    }
+    input.value = "";
+  });
+
+  // El diálogo cubre la página: los archivos soltados sobre él no se importan como balance
+  ["dragenter", "dragover", "dragleave", "drop"].forEach((type) => {
+    modal.addEventListener(type, (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      dropZone.classList.toggle("dragging", type === "dragenter" || type === "dragover");
+      if (type === "drop" && event.dataTransfer.files.length > 0) {
+        inspectImageFile(event.dataTransfer.files[0]);
+      }
+    });
+  });
+}
+
+// Mostrar la procedencia de una imagen y si proviene de los datos cargados
+function inspectImageFile(file) {
+  const status = document.getElementById("image-inspector-status");
+  const result = document.getElementById("image-inspector-result");
+  const dataset = datasetRegistry.getDataset(currentDatasetId);
+  const datasetLabel = dataset ? dataset.label : currentDatasetId;
+
+  result.innerHTML = "";
+  status.className = "image-inspector-status";
+  status.textContent = `Leyendo ${file.name}...`;
+
+  return file
+    .arrayBuffer()
+    .then((buffer) => {
+      const metadata = imageMetadata.read(buffer);
+      if (!metadata) {
+        status.classList.add("warning");
+        status.textContent = `${file.name} no tiene metadatos de procedencia`;
+        return;
+      }
+
+      imageMetadata.describe(metadata).forEach(({ label, value }) => {
+        const term = document.createElement("dt");
+        const detail = document.createElement("dd");
+        term.textContent = label;
+        detail.textContent = value;
+        result.append(term, detail);
+      });
+
+      return imageMetadata.verify(metadata, dataManager.rawData).then((matches) => {
+        if (matches === null) {
+          status.textContent = `${file.name}: no se puede comparar su suma de verificación con los datos cargados`;
+        } else if (matches) {
+          status.classList.add("match");
+          status.textContent = `✅ Proviene de los datos cargados (${datasetLabel})`;
+        } else {
+          status.classList.add("warning");
+          status.textContent = `⚠️ Proviene de datos distintos a los cargados (${datasetLabel}); puede ser otra revisión`;
+        }
+      });
+    })
+    .catch((error) => {
+      console.error("Error al inspeccionar la imagen:", error);
+      status.classList.add("error");
+      status.textContent = `No se pudo leer ${file.name}: ${error.message}`;
+    });
+}
+
+// Show progress modal (con botón Cancelar si se indica onCancel)
+function showProgressModal(format, onCancel = null) {
   const progressModal = document.getElementById("export-progress-modal");
   const progressTitle = document.getElementById("progress-title");
   const progressMessage = document.getElementById("progress-message");
   const progressFill = document.getElementById("progress-fill");
+  const progressCancelBtn = document.getElementById("progress-cancel-btn");
 
   progressTitle.textContent = `Exportando ${format.toUpperCase()}...`;
   progressMessage.textContent = "Preparando imagen para descarga";
   progressFill.style.width = "0%";
   progressModal.style.display = "block";
+  progressCancelBtn.hidden = !onCancel;
+  progressCancelBtn.disabled = false;
+  progressCancelBtn.onclick = onCancel
+    ? () => {
+      progressCancelBtn.disabled = true;
+      progressMessage.textContent = "Cancelando...";
+      onCancel();
+    }
+    : null;
 
   return {
     updateProgress: (percent, message) => {
       progressFill.style.width = `${percent}%`;
-      if (message) progressMessage.textContent = message;
+      if (message && !progressCancelBtn.disabled) progressMessage.textContent = message;
     },
     close: () => {
       progressModal.style.display = "none";
+      progressCancelBtn.hidden = true;
+      progressCancelBtn.onclick = null;
     },
   };
 }
@@ -328,7 +1106,7 @@ async function exportDiagram(format) {
 
     // Prepare export options with current year in filename
     const exportOptions = {
-      filename: `${exportConfig.filenamePrefix}_${currentYear}`,
+      filename: `${exportConfig.filenamePrefix}_${currentYear}${getExportFileSuffix()}`,
     };
 
     let result;
@@ -348,6 +1126,14 @@ async function exportDiagram(format) {
           progress.updateProgress(percent, message);
         },
       );
+    } else if (format === "pdf") {
+      result = await exportManager.exportToPDF(
+        buildPdfReport(),
+        exportOptions,
+        (percent, message) => {
+          progress.updateProgress(percent, message);
+        },
+      );
     } else {
       throw new Error(`Formato no soportado: ${format}`);
     }
@@ -377,6 +1163,261 @@ async function exportDiagram(format) {
   }
 }
 
+// Exportar los nodos y flujos del diagrama mostrado (valores reales, no los escalados de Plotly)
+function exportFlowTable(format) {
+  const model = primaryDiagram && primaryDiagram.model;
+  if (!model) {
+    alert("El diagrama no está listo para exportar. Por favor, espera a que se cargue completamente.");
+    return;
+  }
+
+  const dataset = datasetRegistry.getDataset(currentDatasetId);
+  const exporter = new FlowTableExporter({ unitConverter, builder: sankeyBuilder });
+  const tables = exporter.getTables(model, {
+    conjunto_de_datos: dataset ? dataset.label : currentDatasetId,
+    vista: viewMode === "difference" ? "diferencia" : "año",
+    filtros: filterPanel && filterPanel.isActive() ? filterPanel.getActiveFilterSummary() : [],
+    flujos_menores: smallFlows.threshold > 0 && viewMode !== "difference" && !selectedEnergetic
+      ? `${smallFlows.threshold}${smallFlows.mode === "percent" ? "%" : " PJ"}`
+      : "",
+  });
+  const years = model.yearFrom !== undefined ? `${model.yearFrom}-${model.year}` : model.year;
+  const basename = `${exportConfig.filenamePrefix}_flujos_${years}${getExportFileSuffix()}`;
+
+  try {
+    if (format === "csv") {
+      // El BOM permite abrir los acentos correctamente en Excel
+      downloadTextFile("\ufeff" + exporter.toCsv(tables.links, tables.linkColumns), `${basename}.csv`, "text/csv");
+      downloadTextFile(
+        "\ufeff" + exporter.toCsv(tables.nodes, tables.nodeColumns),
+        `${basename.replace("_flujos_", "_nodos_")}.csv`,
+        "text/csv",
+      );
+    } else if (format === "xlsx") {
+      XLSX.writeFile(exporter.toWorkbook(tables), `${basename}.xlsx`);
+    } else {
+      downloadTextFile(exporter.toJson(tables), `${basename}.json`, "application/json");
+    }
+  } catch (error) {
+    console.error("Error al exportar la tabla de flujos:", error);
+    alert(`Error al exportar la tabla de flujos: ${error.message}`);
+  }
+}
+
+// Exportar un HTML autónomo con los datos de los años elegidos y la vista actual
+async function exportStandaloneHtml() {
+  const from = document.getElementById("standalone-year-from").value;
+  const to = document.getElementById("standalone-year-to").value;
+  const [first, last] = from <= to ? [from, to] : [to, from];
+  const years = dataManager.getAvailableYears().filter((year) => year >= first && year <= last);
+  if (years.length === 0) {
+    alert("Selecciona al menos un año para el HTML interactivo.");
+    return;
+  }
+
+  const dataset = datasetRegistry.getDataset(currentDatasetId);
+  const progress = showProgressModal("html");
+
+  try {
+    setExportButtonsState(false);
+    progress.updateProgress(30, "Incluyendo datos y código del diagrama...");
+    const html = await new StandaloneExporter().createHtml(dataManager.rawData, {
+      title: "Balance Nacional de Energía",
+      years,
+      year: yearSelector.value,
+      unit: unitConverter.getUnit(),
+      decimals: unitConverter.getDecimals(),
+      linkScale: linkScaleManager.getMode(),
+      energetic: selectedEnergetic,
+      filters: filterPanel ? filterPanel.getFilters() : null,
+      smallFlows,
+      notes: getDiagramNotes(),
+      source: dataset ? dataset.label : currentDatasetId,
+    });
+    progress.updateProgress(90, "Descargando archivo...");
+    downloadTextFile(
+      html,
+      `${exportConfig.filenamePrefix}_interactivo_${first}-${last}${getExportFileSuffix()}.html`,
+      "text/html",
+    );
+    progress.updateProgress(100, "¡Exportación completada!");
+    setTimeout(() => {
+      progress.close();
+    }, 1000);
+  } catch (error) {
+    console.error("Error al exportar el HTML interactivo:", error);
+    progress.close();
+    alert(`Error al exportar el HTML interactivo: ${error.message}`);
+  } finally {
+    setExportButtonsState(true);
+  }
+}
+
+// Exportar todos los años en un ZIP: cada año se dibuja fuera de pantalla con la
+// estructura común y la configuración de la vista actual (energético, filtros, unidad)
+async function exportAllYears() {
+  if (!exportManager) {
+    alert(
+      "ExportManager no está inicializado. Por favor, espera a que se cargue completamente.",
+    );
+    return;
+  }
+
+  // Del más antiguo al más reciente (el ZIP se nombra con el primero y el último)
+  const years = dataManager.getAvailableYears().slice().sort();
+  const controller = new AbortController();
+  const progress = showProgressModal("zip", () => controller.abort());
+  const energetic = selectedEnergetic;
+  const filters = filterPanel ? filterPanel.getFilters() : null;
+
+  try {
+    setExportButtonsState(false);
+
+    if (!batchExportManager) {
+      batchExportManager = new ExportManager(batchExportDiv, exportConfig, columnLabelsManager);
+      batchExportManager.setLinkScaleManager(linkScaleManager);
+      batchExportManager.setMetadataProvider(getExportMetadata);
+    }
+    batchExportManager.updateConfig(exportConfig);
+    batchDiagram = new SankeyDiagram(batchExportDiv, { transitionMs: 0 });
+
+    const result = await batchExportManager.exportAllYears(
+      years,
+      (year) => {
+        const model = sankeyBuilder.build(year, {
+          stableLayout, energetic, filters, smallFlows, emissions: showEmissions, revisions: getRevisedFlows(year),
+        });
+        // La leyenda de grosores de cada imagen corresponde a su año
+        linkScaleManager.setReferenceMax(model.maxLinkValue);
+        return batchDiagram.render(model, {
+          title: getYearTitle(year),
+          notes: getDiagramNotes(),
+          watermark: getYearWatermark(year),
+          flags: getBalanceFlags(model, year),
+        }).then(() => linkScaleManager.calibrate(batchExportDiv));
+      },
+      {
+        formats: exportConfig.batchFormats,
+        filenameFor: (year) => `${exportConfig.filenamePrefix}_${year}${getExportFileSuffix()}`,
+        filename: `${exportConfig.filenamePrefix}_${years[0]}-${years[years.length - 1]}${getExportFileSuffix()}`,
+        signal: controller.signal,
+      },
+      (percent, message) => {
+        progress.updateProgress(percent, message);
+      },
+    );
+
+    console.log("Exportación de todos los años:", result);
+    setTimeout(() => {
+      progress.close();
+    }, result.cancelled ? 0 : 1000);
+  } catch (error) {
+    console.error("Error durante la exportación de todos los años:", error);
+    progress.close();
+    alert(`Error al exportar todos los años: ${error.message}`);
+  } finally {
+    if (batchDiagram) {
+      batchDiagram.destroy();
+      batchDiagram = null;
+    }
+    // Restaurar la leyenda de grosores del diagrama visible
+    if (primaryDiagram.model) {
+      linkScaleManager.setReferenceMax(primaryDiagram.model.maxLinkValue);
+      linkScaleManager.calibrate(sankeyDiv);
+    }
+    setExportButtonsState(true);
+  }
+}
+
+// Contenido del reporte PDF a partir del diagrama mostrado: portada, leyenda, indicadores y flujos principales por columna
+function buildPdfReport() {
+  const dataset = datasetRegistry.getDataset(currentDatasetId);
+  const unit = unitConverter.getUnit();
+  const calculator = kpiPanel.calculator;
+  // El modelo dibujado conserva la vista, el diseño estable, las emisiones y las revisiones
+  const model = primaryDiagram.model;
+  const year = model.year;
+  const isDifference = model.yearFrom !== undefined;
+  const withEmissions = model.links.some((link) => link.emissions);
+  const formatValue = (value) => unitConverter.formatNumber(value, { year });
+  const formatChange = (value) => `${value > 0 ? "+" : value < 0 ? "−" : ""}${formatValue(Math.abs(value))}`;
+  const flowTables = sankeyBuilder.getFlowTables(model, { limit: PDF_FLOWS_PER_COLUMN });
+  const yearLabel = isDifference
+    ? `${dataManager.getYearLabel(model.yearFrom)} → ${dataManager.getYearLabel(year)}`
+    : dataManager.getYearLabel(year);
+  const indicatorYears = isDifference ? [model.yearFrom, year] : [year];
+  const indicatorValues = indicatorYears.map((indicatorYear) => calculator.calculateYear(indicatorYear));
+
+  return {
+    title: `Balance Nacional de Energía - ${isDifference ? `Diferencia ${yearLabel}` : yearLabel}`,
+    details: [
+      `Conjunto de datos: ${dataset ? dataset.label : currentDatasetId}`,
+      isDifference ? `Años: ${yearLabel}` : `Año: ${yearLabel}`,
+      selectedEnergetic ? `Energético: ${selectedEnergetic}` : null,
+      `Unidad: ${unit}`,
+      filterPanel && filterPanel.isActive()
+        ? `Filtros activos: ${filterPanel.getActiveFilterSummary().join("; ")}`
+        : null,
+    ].filter(Boolean),
+    note: indicatorYears.map((noteYear) => dataManager.getYearNote(noteYear)).filter(Boolean).join(" ") || null,
+    legend: model.colorKey || sankeyBuilder.getLegendItems(model),
+    tables: [
+      {
+        title: "Indicadores",
+        columns: [
+          { label: "Indicador", width: 3 },
+          { label: "Grupo", width: 2 },
+          ...indicatorYears.map((indicatorYear) => ({
+            label: isDifference ? dataManager.getYearLabel(indicatorYear) : "Valor",
+            align: "right",
+          })),
+        ],
+        rows: indicatorValues[0].map((indicator, index) => [
+          indicator.label,
+          indicator.group,
+          ...indicatorValues.map((values) => calculator.format(values[index], values[index].value)),
+        ]),
+      },
+      ...flowTables.map((table) => ({
+        title: `${table.title}: ${isDifference ? "cambios principales" : "flujos principales"}`,
+        columns: [
+          { label: "Origen", width: 2 },
+          { label: "Destino", width: 2 },
+          { label: "Energético", width: 2 },
+          { label: `${isDifference ? "Cambio" : "Valor"} (${unit})`, align: "right" },
+          { label: "% de la columna", align: "right" },
+          ...(withEmissions ? [{ label: "Emisiones de CO₂", align: "right" }] : []),
+        ],
+        rows: table.rows.map((row) => [
+          row.source,
+          row.target,
+          row.energetic,
+          isDifference ? formatChange(row.delta) : formatValue(row.value),
+          `${((row.value / table.total) * 100).toFixed(1)}%`,
+          ...(withEmissions ? [row.emissions ? emissionsCalculator.format(row.emissions) : "—"] : []),
+        ]),
+        note: `${table.count > table.rows.length ? `Se muestran ${table.rows.length} de ${table.count} flujos. ` : ""}` +
+          `Total de la columna${isDifference ? " (cambio absoluto)" : ""}: ${formatValue(table.total)} ${unit}.`,
+      })),
+    ],
+    methodology:
+      "Nota metodológica: Fuente: Balance Nacional de Energía, Secretaría de Energía (SENER). " +
+      "Los flujos se construyen a partir de los valores por nodo padre y energético del conjunto de datos, " +
+      "según la especificación de flujos del diagrama (FlowSpec). " +
+      `Los valores se expresan en ${unit}${unit !== "PJ" ? ", convertidos desde petajoules (PJ)" : ""}. ` +
+      (isDifference
+        ? `Las tablas listan los ${PDF_FLOWS_PER_COLUMN} flujos con el mayor cambio absoluto entre ${yearLabel} ` +
+          "que salen de cada columna del diagrama; el porcentaje es respecto a la suma de los cambios absolutos de la columna. "
+        : `Las tablas listan los ${PDF_FLOWS_PER_COLUMN} flujos de mayor magnitud que salen de cada columna del diagrama; ` +
+          "el porcentaje es respecto al total de flujos de la columna. ") +
+      (withEmissions ? "Las emisiones de CO₂ corresponden a la combustión de cada flujo. " : "") +
+      (smallFlows.threshold > 0 && !selectedEnergetic && !isDifference
+        ? "Los flujos menores al umbral seleccionado se agrupan como \"Otros energéticos\". "
+        : "") +
+      "Los años preliminares o proyectados pueden cambiar en ediciones posteriores del balance.",
+  };
+}
+
 // Enable/disable export buttons
 function setExportButtonsState(enabled) {
   const exportButtons = document.querySelectorAll(".export-btn");
@@ -440,6 +1481,12 @@ function initializeColumnLabelsControls() {
   //   console.error("ColumnLabelsManager no está inicializado");
   // }
 
+  columnLabelsToggle.checked = columnLabelsManager.isEnabled();
+  columnLabelsToggle.addEventListener("change", (event) => {
+    columnLabelsManager.setEnabled(event.target.checked);
+    syncUrlState();
+  });
+
   // Manejar redimensionamiento
   window.addEventListener("resize", () => {
     if (columnLabelsManager && columnLabelsManager.isEnabled()) {
@@ -468,23 +1515,24 @@ document.addEventListener("DOMContentLoaded", () => {
 
   if (resetBtn) {
     resetBtn.addEventListener("click", () => {
-      if (zoomManager) zoomManager.reset();
+      if (primaryDiagram && primaryDiagram.zoomManager) primaryDiagram.zoomManager.reset();
       if (yearSelector) updateSankey(yearSelector.value);
     });
   }
 
   if (zoomInBtn) {
     zoomInBtn.addEventListener("click", () => {
-      if (zoomManager) zoomManager.zoomIn();
+      if (primaryDiagram && primaryDiagram.zoomManager) primaryDiagram.zoomManager.zoomIn();
     });
   }
   if (zoomOutBtn) {
     zoomOutBtn.addEventListener("click", () => {
-      if (zoomManager) zoomManager.zoomOut();
+      if (primaryDiagram && primaryDiagram.zoomManager) primaryDiagram.zoomManager.zoomOut();
     });
   }
 
   window.addEventListener("keydown", (e) => {
+    const zoomManager = primaryDiagram && primaryDiagram.zoomManager;
     if (!zoomManager) return;
     if (e.ctrlKey && (e.key === "+" || e.key === "=")) {
       e.preventDefault();
@@ -497,3303 +1545,528 @@ document.addEventListener("DOMContentLoaded", () => {
 
 });
 
-// Función para actualizar el diagrama de Sankey (Etapa 1.7: Añadir Salidas Completas)
-function updateSankey(year) {
-  console.log(`Actualizando gráfico para el año: ${year}`);
-
-  Plotly.purge(sankeyDiv);
-
-  const labels = [];
-  const nodeColors = [];
-  const nodeMap = new Map();
-  const nodeX = []; // Inicializar arrays de posiciones
-  const nodeY = []; // Inicializar arrays de posiciones
-  const nodeCustomdata = []; // Nuevo array para el customdata de cada nodo
-  const nodeValues = []; // ← aquí
-
-  // --- ARRAYS PARA LOS ENLACES DEL DIAGRAMA SANKEY ---
-  const source = [];
-  const target = [];
-  const value = [];
-  const linkColors = [];
-  const linkCustomdata = [];
-
-  const ofertaInternaBrutaFullData = dataManager.getNodeData(
-    "Oferta Interna Bruta",
-  );
-  const energeticNodesMap = new Map(); // ← DECLARACIÓN ÚNICA
-
-  function addNode(name, color, nodeType = "default", value = null) {
-    if (nodeMap.has(name)) {
-      return nodeMap.get(name);
-    }
-    let finalColor = color;
-    if (styleManager) {
-      finalColor = styleManager.getEnergyColor(name, nodeType) || color;
-    }
-
-    const nodeIndex = labels.length;
-    nodeMap.set(name, nodeIndex);
-    const plainName = name.split("<br>")[0].trim();
-    if (!nodeMap.has(plainName)) {
-      nodeMap.set(plainName, nodeIndex);
-    }
-
-    // Si se proporciona un valor, agregarlo al nombre con salto de línea
-    let nodeLabel = name;
-    if (value !== null && value !== undefined) {
-      const formattedValue = Math.abs(value).toLocaleString("en-US", {
-        minimumFractionDigits: 0,
-        maximumFractionDigits: 2,
-      });
-      nodeLabel = `${name}<br>${formattedValue} PJ`;
-    }
-
-    labels.push(nodeLabel);
-    nodeColors.push(finalColor);
-    nodeCustomdata.push("");
-
-    +(
-      // Inicializa nodeValues con el valor real (o 0)
-      (+nodeValues.push(value != null ? value : 0))
-    );
-
-    return nodeIndex;
-  }
-
-  // --- AQUÍ SE CREAN Y POSICIONAN LOS NODOS ---
-  // ——— Nodo y enlaces de Importación ———
-  const importacionNodeData = dataManager.getNodeData("Importación");
-  console.log(`[DEBUG] Datos de Importación:`, importacionNodeData);
-
-  if (importacionNodeData && ofertaInternaBrutaFullData?.["Nodos Hijo"]) {
-    // 1) Calcular breakdown y totalPJ
-    const raw = popupManager.calculateNodeBreakdown(
-      importacionNodeData,
-      year,
-      "Energía Primaria",
-    );
-    console.log(`[DEBUG - Importación] Breakdown Raw para ${year}:`, raw);
-
-    const children = raw.children || raw;
-    const totalPJ = Array.isArray(children)
-      ? children.reduce((sum, c) => sum + Math.abs(c.value), 0)
-      : 0;
-    console.log(`[DEBUG] totalPJ Importación: ${totalPJ.toFixed(2)} PJ`);
-
-    // 2) Crear nodo con valor real en PJ
-    const idx = addNode(
-      importacionNodeData["Nodo Padre"],
-      importacionNodeData.color,
-      "default",
-      totalPJ, // ← este valor dimensiona el nodo
-    );
-    nodeX[idx] = 0.05;
-    nodeY[idx] = 0.05;
-
-    // 3) Generar popup simplificado con { total, unit }
-    nodeCustomdata[idx] = popupManager.generateNodePopup(
-      importacionNodeData["Nodo Padre"],
-      importacionNodeData,
-      year,
-      { total: totalPJ, unit: "PJ" },
-      "text",
-      null,
-      "simple_source",
-    );
-
-    // 4) Enlaces de Energía Primaria → Importación
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-      .filter((child) => child.tipo === "Energía Primaria")
-      .forEach((child) => {
-        const val = dataManager.getEnergeticValue(
-          "Importación",
-          child["Nodo Hijo"],
-          year,
-        );
-        if (val != null && Math.abs(val) > 0) {
-          source.push(energeticNodesMap.get(child["Nodo Hijo"]));
-          target.push(idx);
-          const scaled = Math.log10(Math.abs(val) + 1) + MIN_LINK_SIZE;
-          value.push(scaled);
-          const col =
-            styleManager.getEnergyColor(child["Nodo Hijo"]) || child.color;
-          linkColors.push(styleManager.hexToRgba(col, 0.5));
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              child["Nodo Hijo"],
-              val,
-              child["Nodo Hijo"],
-              importacionNodeData["Nodo Padre"],
-              col,
-              year,
-              { flowType: "primary_supply" },
-            ),
-          );
-        }
-      });
-  } else {
-    console.error(
-      "Error: datos de 'Importación' o sus 'Nodos Hijo' no disponibles.",
-    );
-  }
-
-  // ——— Nodo y enlaces de Producción ———
-  const produccionNodeData = dataManager.getNodeData("Producción");
-  console.log(`[DEBUG] Datos de Producción:`, produccionNodeData);
-
-  if (produccionNodeData && ofertaInternaBrutaFullData?.["Nodos Hijo"]) {
-    // 1) Calcular breakdown y totalPJ
-    const raw = popupManager.calculateNodeBreakdown(
-      produccionNodeData,
-      year,
-      "Energía Primaria",
-    );
-    console.log(
-      `[DEBUG - Producción] Breakdown Raw (Primaria) para ${year}:`,
-      raw,
-    );
-
-    const children = raw.children || raw;
-    const totalPJ = Array.isArray(children)
-      ? children.reduce((sum, c) => sum + Math.abs(c.value), 0)
-      : 0;
-    console.log(`[DEBUG] totalPJ Producción: ${totalPJ.toFixed(2)} PJ`);
-
-    // 2) Crear nodo con valor real en PJ
-    const idx = addNode(
-      produccionNodeData["Nodo Padre"],
-      produccionNodeData.color,
-      "default",
-      totalPJ, // ← este valor dimensiona el nodo
-    );
-    nodeX[idx] = 0.05;
-    nodeY[idx] = 0.4;
-
-    // 3) Generar popup simplificado con { total, unit }
-    nodeCustomdata[idx] = popupManager.generateNodePopup(
-      produccionNodeData["Nodo Padre"],
-      produccionNodeData,
-      year,
-      { total: totalPJ, unit: "PJ" },
-      "text",
-      null,
-      "simple_source",
-    );
-
-    // 4) (Opcional) Enlaces de Energía Primaria → Producción
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-      .filter((child) => child.tipo === "Energía Primaria")
-      .forEach((child) => {
-        const val = dataManager.getEnergeticValue(
-          "Producción",
-          child["Nodo Hijo"],
-          year,
-        );
-        if (val != null && Math.abs(val) > 0) {
-          source.push(energeticNodesMap.get(child["Nodo Hijo"]));
-          target.push(idx);
-          const scaled = Math.log10(Math.abs(val) + 1) + MIN_LINK_SIZE;
-          value.push(scaled);
-          const col =
-            styleManager.getEnergyColor(child["Nodo Hijo"]) || child.color;
-          linkColors.push(styleManager.hexToRgba(col, 0.5));
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              child["Nodo Hijo"],
-              val,
-              child["Nodo Hijo"],
-              produccionNodeData["Nodo Padre"],
-              col,
-              year,
-              { flowType: "primary_supply" },
-            ),
-          );
-        }
-      });
-  } else {
-    console.error(
-      "Error: datos de 'Producción' o sus 'Nodos Hijo' no disponibles.",
-    );
-  }
-
-  // Agregar Variación de Inventarios
-  // ——— Nodo y enlaces de Variación de Inventarios ———
-  const variacionNodeData = dataManager.getNodeData("Variación de Inventarios");
-  if (variacionNodeData && ofertaInternaBrutaFullData?.["Nodos Hijo"]) {
-    // 1) Breakdown y sumas
-    const raw = popupManager.calculateNodeBreakdown(
-      variacionNodeData,
-      year,
-      "Energía Primaria",
-    );
-    const inputTotal = raw.input_total || 0;
-    const outputTotal = raw.output_total || 0;
-    const totalPJ = inputTotal + outputTotal;
-
-    // 2) Creamos el nodo con el nombre original y totalPJ
-    const idx = addNode(
-      variacionNodeData["Nodo Padre"], // clave original
-      variacionNodeData.color,
-      "default",
-      totalPJ, // tamaño
-    );
-    nodeX[idx] = 0.05;
-    nodeY[idx] = 0.2;
-
-    // 3) Sobrescribimos SOLO la etiqueta para mostrar flechas
-    labels[idx] =
-      `${variacionNodeData["Nodo Padre"]}<br>` +
-      `↑ ${inputTotal.toFixed(2)} PJ  ↓ ${outputTotal.toFixed(2)} PJ`;
-
-    // 4) Popup con tu template
-    nodeCustomdata[idx] = popupManager.generateNodePopup(
-      variacionNodeData["Nodo Padre"],
-      variacionNodeData,
-      year,
-      {
-        variacion_positiva: inputTotal,
-        variacion_negativa: outputTotal,
-        unit: "PJ",
-      },
-      "text",
-      null,
-      "simple_source",
-    );
-
-    // 5) Enlaces (positivo sale, negativo entra)
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-      .filter((c) => c.tipo === "Energía Primaria")
-      .forEach((child) => {
-        const val = dataManager.getEnergeticValue(
-          "Variación de Inventarios",
-          child["Nodo Hijo"],
-          year,
-        );
-        if (val != null && val !== 0) {
-          const src = val > 0 ? idx : energeticNodesMap.get(child["Nodo Hijo"]);
-          const tgt = val > 0 ? energeticNodesMap.get(child["Nodo Hijo"]) : idx;
-          source.push(src);
-          target.push(tgt);
-          const scaled = Math.log10(Math.abs(val) + 1) + MIN_LINK_SIZE;
-          value.push(scaled);
-          const col =
-            styleManager.getEnergyColor(child["Nodo Hijo"]) || child.color;
-          linkColors.push(styleManager.hexToRgba(col, 0.5));
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              child["Nodo Hijo"],
-              val,
-              variacionNodeData["Nodo Padre"],
-              child["Nodo Hijo"],
-              col,
-              year,
-              { flowType: "inventory_change_primaria" },
-            ),
-          );
-        }
-      });
-  }
-
-  // --- Nodos de Energéticos Primarios de Oferta Interna Bruta ---
-
-  // const energeticNodesMap = new Map(); // Para almacenar los índices de los nuevos nodos de energéticos
-
-  if (ofertaInternaBrutaFullData && ofertaInternaBrutaFullData["Nodos Hijo"]) {
-    const primaryEnergetics = ofertaInternaBrutaFullData["Nodos Hijo"].filter(
-      (child) => child.tipo === "Energía Primaria",
-    );
-
-    // Calcular posiciones Y para distribuir los nodos de energéticos
-    const startY = 0.15; // Posición inicial
-    const endY = 0.9; // Posición final
-    const stepY = (endY - startY) / (primaryEnergetics.length - 1 || 1); // Paso entre nodos
-
-    primaryEnergetics.forEach((energetic, index) => {
-      const energeticName = energetic["Nodo Hijo"];
-      const energeticColor =
-        styleManager.getEnergyColor(energeticName) || energetic.color; // Obtener color del StyleManager o del dato
-
-      // Obtener el valor del energético antes de crear el nodo
-      const energeticValue = dataManager.getEnergeticValue(
-        "Oferta Interna Bruta",
-        energeticName,
-        year,
-      );
-
-      const energeticIndex = addNode(
-        energeticName,
-        energeticColor,
-        "default",
-        energeticValue,
-      );
-      energeticNodesMap.set(energeticName, energeticIndex); // Guardar el índice
-
-      nodeX[energeticIndex] = 0.2; // Columna de Oferta Interna Bruta
-      nodeY[energeticIndex] = startY + index * stepY; // Distribuir verticalmente
-
-      // Generar customdata sencillo para cada energético
-      let energeticPopupData = {};
-      if (energeticValue !== null) {
-        energeticPopupData.total = energeticValue; // Usar 'total' para el simple_source template
-      }
-
-      nodeCustomdata[energeticIndex] = popupManager.generateNodePopup(
-        energeticName,
-        energetic,
-        year,
-        energeticPopupData,
-        "text",
-        "Energía Primaria",
-        "simple_source",
-      );
-    });
-  } else {
-    console.error(
-      "Error: Datos de 'Oferta Interna Bruta' o sus hijos no encontrados para crear energéticos primarios.",
-    );
-  }
-
-  // ——— Nodo y enlaces de Exportación ———
-  const exportacionNodeData = dataManager.getNodeData("Exportación");
-  console.log(`[DEBUG] Datos de Exportación:`, exportacionNodeData);
-
-  if (exportacionNodeData && ofertaInternaBrutaFullData?.["Nodos Hijo"]) {
-    // 1) Calcular breakdown y totalPJ
-    const raw = popupManager.calculateNodeBreakdown(
-      exportacionNodeData,
-      year,
-      "Energía Primaria",
-    );
-    console.log(`[DEBUG - Exportación] Breakdown Raw para ${year}:`, raw);
-
-    const children = raw.children || raw;
-    const totalPJ = Array.isArray(children)
-      ? children.reduce((sum, c) => sum + Math.abs(c.value), 0)
-      : 0;
-    console.log(`[DEBUG] totalPJ Exportación: ${totalPJ.toFixed(2)} PJ`);
-
-    // 2) Crear nodo con valor real en PJ
-    const idx = addNode(
-      exportacionNodeData["Nodo Padre"],
-      exportacionNodeData.color,
-      "default",
-      totalPJ, // ← este valor dimensiona el nodo
-    );
-    nodeX[idx] = 0.3;
-    nodeY[idx] = 0.99;
-    // nodeValues[idx] ya queda inicializado dentro de addNode
-
-    // 3) Generar popup simplificado con { total, unit }
-    nodeCustomdata[idx] = popupManager.generateNodePopup(
-      exportacionNodeData["Nodo Padre"],
-      exportacionNodeData,
-      year,
-      { total: totalPJ, unit: "PJ" },
-      "text",
-      null,
-      "simple_source",
-    );
-
-    // 4) Enlaces de Energía Primaria → Exportación
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-      .filter((child) => child.tipo === "Energía Primaria")
-      .forEach((child) => {
-        const val = dataManager.getEnergeticValue(
-          "Exportación",
-          child["Nodo Hijo"],
-          year,
-        );
-        if (val != null && Math.abs(val) > 0) {
-          source.push(energeticNodesMap.get(child["Nodo Hijo"]));
-          target.push(idx);
-          const scaled = Math.log10(Math.abs(val) + 1) + MIN_LINK_SIZE;
-          value.push(scaled);
-          const col =
-            styleManager.getEnergyColor(child["Nodo Hijo"]) || child.color;
-          linkColors.push(styleManager.hexToRgba(col, 0.5));
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              child["Nodo Hijo"],
-              val,
-              child["Nodo Hijo"],
-              exportacionNodeData["Nodo Padre"],
-              col,
-              year,
-              { flowType: "primary_demand" },
-            ),
-          );
-        }
-      });
-  } else {
-    console.error(
-      "Error: datos de 'Exportación' o sus 'Nodos Hijo' no disponibles.",
-    );
-  }
-
-  // ——— Nodo y enlaces de Consumo Propio del Sector de Energéticos Primarios ———
-  const consumoPropioNodeData = dataManager.getNodeData(
-    "Consumo Propio del Sector",
-  );
-  console.log(
-    `[DEBUG] Datos de Consumo Propio del Sector:`,
-    consumoPropioNodeData,
-  );
-
-  if (consumoPropioNodeData && ofertaInternaBrutaFullData?.["Nodos Hijo"]) {
-    // 1) Calcular breakdown y totalPJ
-    const raw = popupManager.calculateNodeBreakdown(
-      consumoPropioNodeData,
-      year,
-      "Energía Primaria",
-    );
-    console.log(`[DEBUG - Consumo Propio] Breakdown Raw para ${year}:`, raw);
-
-    const children = raw.children || raw;
-    const totalPJ = Array.isArray(children)
-      ? children.reduce((sum, c) => sum + Math.abs(c.value), 0)
-      : 0;
-    console.log(`[DEBUG] totalPJ Consumo Propio: ${totalPJ.toFixed(2)} PJ`);
-
-    // 2) Crear nodo con valor real en PJ
-    const idx = addNode(
-      consumoPropioNodeData["Nodo Padre"],
-      consumoPropioNodeData.color,
-      "default",
-      totalPJ, // ← valor que dimensiona el nodo
-    );
-    nodeX[idx] = 0.3;
-    nodeY[idx] = 0.94;
-
-    // 3) Generar popup con { total, unit }
-    nodeCustomdata[idx] = popupManager.generateNodePopup(
-      consumoPropioNodeData["Nodo Padre"],
-      consumoPropioNodeData,
-      year,
-      { total: totalPJ, unit: "PJ" },
-      "text",
-      null,
-      "simple_source",
-    );
-
-    // 4) Enlaces de Energía Primaria → este nodo
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-      .filter((child) => child.tipo === "Energía Primaria")
-      .forEach((child) => {
-        const val = dataManager.getEnergeticValue(
-          "Consumo Propio del Sector",
-          child["Nodo Hijo"],
-          year,
-        );
-        if (val != null && Math.abs(val) > 0) {
-          source.push(energeticNodesMap.get(child["Nodo Hijo"]));
-          target.push(idx);
-          const scaled = Math.log10(Math.abs(val) + 1) + MIN_LINK_SIZE;
-          value.push(scaled);
-          const col =
-            styleManager.getEnergyColor(child["Nodo Hijo"]) || "#999999";
-          linkColors.push(styleManager.hexToRgba(col, 0.5));
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              child["Nodo Hijo"],
-              val,
-              child["Nodo Hijo"],
-              consumoPropioNodeData["Nodo Padre"],
-              col,
-              year,
-              { flowType: "consumo_propio_primaria" },
-            ),
-          );
-        }
-      });
-  } else {
-    console.error(
-      "Error: datos de 'Consumo Propio del Sector' o sus 'Nodos Hijo' no disponibles.",
-    );
-  }
-
-  // ——— Nodo y enlaces de Pérdidas Técnicas por Transporte, Transmisión y Distribución ———
-  const perdidasTecnicasNodeData = dataManager.getNodeData(
-    "Pérdidas técnicas por transporte, transmisión y distribución",
-  );
-  console.log(
-    `[DEBUG] Datos de Pérdidas Técnicas por Transporte, Transmisión y Distribución:`,
-    perdidasTecnicasNodeData,
-  );
-
-  if (perdidasTecnicasNodeData && ofertaInternaBrutaFullData?.["Nodos Hijo"]) {
-    // 1) Breakdown y totalPJ
-    const raw = popupManager.calculateNodeBreakdown(
-      perdidasTecnicasNodeData,
-      year,
-      "Energía Primaria",
-    );
-    console.log(`[DEBUG - Pérdidas Técnicas] Breakdown Raw para ${year}:`, raw);
-
-    const children = raw.children || raw;
-    const totalPJ = Array.isArray(children)
-      ? children.reduce((sum, c) => sum + Math.abs(c.value), 0)
-      : 0;
-    console.log(`[DEBUG] totalPJ Pérdidas Técnicas: ${totalPJ.toFixed(2)} PJ`);
-
-    // 2) Crear nodo con valor real en PJ
-    const idx = addNode(
-      perdidasTecnicasNodeData["Nodo Padre"],
-      perdidasTecnicasNodeData.color,
-      "default",
-      totalPJ, // ← este valor dimensiona el nodo
-    );
-    nodeX[idx] = 0.3;
-    nodeY[idx] = 0.9;
-
-    // 3) Popup simplificado con { total, unit }
-    nodeCustomdata[idx] = popupManager.generateNodePopup(
-      perdidasTecnicasNodeData["Nodo Padre"],
-      perdidasTecnicasNodeData,
-      year,
-      { total: totalPJ, unit: "PJ" },
-      "text",
-      null,
-      "simple_source",
-    );
-
-    // 4) Enlaces de Energía Primaria → este nodo
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-      .filter((child) => child.tipo === "Energía Primaria")
-      .forEach((child) => {
-        const val = dataManager.getEnergeticValue(
-          "Pérdidas técnicas por transporte, transmisión y distribución",
-          child["Nodo Hijo"],
-          year,
-        );
-        if (val != null && Math.abs(val) > 0) {
-          source.push(energeticNodesMap.get(child["Nodo Hijo"]));
-          target.push(idx);
-          const scaled = Math.log10(Math.abs(val) + 1) + MIN_LINK_SIZE;
-          value.push(scaled);
-          const col =
-            styleManager.getEnergyColor(child["Nodo Hijo"]) || "#999999";
-          linkColors.push(styleManager.hexToRgba(col, 0.5));
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              child["Nodo Hijo"],
-              val,
-              child["Nodo Hijo"],
-              perdidasTecnicasNodeData["Nodo Padre"],
-              col,
-              year,
-              { flowType: "perdidas_tecnicas" },
-            ),
-          );
-        }
-      });
-  } else {
-    console.error(
-      "Error: datos de 'Pérdidas técnicas por transporte, transmisión y distribución' o sus 'Nodos Hijo' no disponibles.",
-    );
-  }
-
-  // ——— Nodo y enlaces de Energía No Aprovechada ———
-  const energiaNoAprovechadaNodeData = dataManager.getNodeData(
-    "Energía No Aprovechada",
-  );
-  console.log(
-    `[DEBUG] Datos de Energía No Aprovechada:`,
-    energiaNoAprovechadaNodeData,
-  );
-
-  if (
-    energiaNoAprovechadaNodeData &&
-    ofertaInternaBrutaFullData?.["Nodos Hijo"]
-  ) {
-    // 1) Calcular breakdown y totalPJ
-    const raw = popupManager.calculateNodeBreakdown(
-      energiaNoAprovechadaNodeData,
-      year,
-      "Energía Primaria",
-    );
-    console.log(
-      `[DEBUG - Energía No Aprovechada] Breakdown Raw para ${year}:`,
-      raw,
-    );
-
-    const children = raw.children || raw;
-    const totalPJ = Array.isArray(children)
-      ? children.reduce((sum, c) => sum + Math.abs(c.value), 0)
-      : 0;
-    console.log(
-      `[DEBUG] totalPJ Energía No Aprovechada: ${totalPJ.toFixed(2)} PJ`,
-    );
-
-    // 2) Crear el nodo con su valor real en PJ
-    const idx = addNode(
-      energiaNoAprovechadaNodeData["Nodo Padre"],
-      energiaNoAprovechadaNodeData.color,
-      "default",
-      totalPJ, // ← este valor dimensiona el nodo
-    );
-    nodeX[idx] = 0.3;
-    nodeY[idx] = 0.85;
-    // nodeValues[idx] ya se inicializa dentro de addNode
-
-    // 3) Generar popup con { total, unit }
-    nodeCustomdata[idx] = popupManager.generateNodePopup(
-      energiaNoAprovechadaNodeData["Nodo Padre"],
-      energiaNoAprovechadaNodeData,
-      year,
-      { total: totalPJ, unit: "PJ" },
-      "text",
-      null,
-      "simple_source",
-    );
-
-    // 4) Enlaces de Energía Primaria hacia este nodo
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-      .filter((child) => child.tipo === "Energía Primaria")
-      .forEach((child) => {
-        const val = dataManager.getEnergeticValue(
-          "Energía No Aprovechada",
-          child["Nodo Hijo"],
-          year,
-        );
-        if (val != null && Math.abs(val) > 0) {
-          source.push(energeticNodesMap.get(child["Nodo Hijo"]));
-          target.push(idx);
-          const scaled = Math.log10(Math.abs(val) + 1) + MIN_LINK_SIZE;
-          value.push(scaled);
-          const col =
-            styleManager.getEnergyColor(child["Nodo Hijo"]) || child.color;
-          linkColors.push(styleManager.hexToRgba(col, 0.5));
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              child["Nodo Hijo"],
-              val,
-              child["Nodo Hijo"],
-              energiaNoAprovechadaNodeData["Nodo Padre"],
-              col,
-              year,
-              { flowType: "primary_demand" },
-            ),
-          );
-        }
-      });
-  } else {
-    console.error(
-      "Error: datos de 'Energía No Aprovechada' o sus 'Nodos Hijo' no disponibles.",
-    );
-  }
-
-  // ——— Nodo y enlaces de Coquizadoras y Hornos ———
-  const coquizadorasyhornosNodeData = dataManager.getNodeData(
-    "Coquizadoras y Hornos",
-  );
-  console.log(
-    `[DEBUG] Datos de Coquizadoras y Hornos:`,
-    coquizadorasyhornosNodeData,
-  );
-
-  if (
-    coquizadorasyhornosNodeData &&
-    ofertaInternaBrutaFullData?.["Nodos Hijo"]
-  ) {
-    // 1) Calcular breakdown y totalPJ
-    const raw = popupManager.calculateNodeBreakdown(
-      coquizadorasyhornosNodeData,
-      year,
-      "Energía Primaria",
-    );
-    console.log(
-      `[DEBUG - Coquizadoras y Hornos] Breakdown Raw para ${year}:`,
-      raw,
-    );
-
-    const children = raw.children || raw;
-    const totalPJ = Array.isArray(children)
-      ? children.reduce((sum, c) => sum + Math.abs(c.value), 0)
-      : 0;
-    console.log(
-      `[DEBUG] totalPJ Coquizadoras y Hornos: ${totalPJ.toFixed(2)} PJ`,
-    );
-
-    // 2) Crear nodo con valor real en PJ
-    const idx = addNode(
-      coquizadorasyhornosNodeData["Nodo Padre"],
-      coquizadorasyhornosNodeData.color,
-      "default",
-      totalPJ, // ← este valor dimensiona el nodo
-    );
-    nodeX[idx] = 0.35;
-    nodeY[idx] = 0.1;
-    // nodeValues[idx] ya queda inicializado a totalPJ dentro de addNode
-
-    // 3) Generar popup simplificado con { total, unit }
-    nodeCustomdata[idx] = popupManager.generateNodePopup(
-      coquizadorasyhornosNodeData["Nodo Padre"],
-      coquizadorasyhornosNodeData,
-      year,
-      { total: totalPJ, unit: "PJ" },
-      "text",
-      null,
-      "simple_source",
-    );
-
-    // 4) Enlaces de Energía Primaria → Coquizadoras y Hornos
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-      .filter((child) => child.tipo === "Energía Primaria")
-      .forEach((child) => {
-        const val = dataManager.getEnergeticValue(
-          "Coquizadoras y Hornos",
-          child["Nodo Hijo"],
-          year,
-        );
-        if (val != null && Math.abs(val) > 0) {
-          source.push(energeticNodesMap.get(child["Nodo Hijo"]));
-          target.push(idx);
-          const scaled = Math.log10(Math.abs(val) + 1) + MIN_LINK_SIZE;
-          value.push(scaled);
-          const col =
-            styleManager.getEnergyColor(child["Nodo Hijo"]) || child.color;
-          linkColors.push(styleManager.hexToRgba(col, 0.5));
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              child["Nodo Hijo"],
-              val,
-              child["Nodo Hijo"],
-              coquizadorasyhornosNodeData["Nodo Padre"],
-              col,
-              year,
-              { flowType: "primary_demand" },
-            ),
-          );
-        }
-      });
-  } else {
-    console.error(
-      "Error: datos para 'Coquizadoras y Hornos' o sus 'Nodos Hijo' no disponibles.",
-    );
-  }
-
-  // ——— Nodo y enlaces de Plantas de Gas y Fraccionadoras ———
-  const plantasdegasyfraccionadorasNodeData = dataManager.getNodeData(
-    "Plantas de Gas y Fraccionadoras",
-  );
-  console.log(
-    `[DEBUG] Datos de Plantas de Gas y Fraccionadoras:`,
-    plantasdegasyfraccionadorasNodeData,
-  );
-
-  if (
-    plantasdegasyfraccionadorasNodeData &&
-    ofertaInternaBrutaFullData?.["Nodos Hijo"]
-  ) {
-    // 1) calcular breakdown y totalPJ
-    const raw = popupManager.calculateNodeBreakdown(
-      plantasdegasyfraccionadorasNodeData,
-      year,
-      "Energía Primaria",
-    );
-    console.log(
-      `[DEBUG] Breakdown Raw Plantas de Gas y Fracc. para ${year}:`,
-      raw,
-    );
-
-    const children = raw.children || raw;
-    const totalPJ = Array.isArray(children)
-      ? children.reduce((sum, c) => sum + Math.abs(c.value), 0)
-      : 0;
-    console.log(
-      `[DEBUG] totalPJ Plantas de Gas y Fracc.: ${totalPJ.toFixed(2)} PJ`,
-    );
-
-    // 2) crear nodo con su valor real en PJ
-    const idx = addNode(
-      plantasdegasyfraccionadorasNodeData["Nodo Padre"],
-      plantasdegasyfraccionadorasNodeData.color,
-      "default",
-      totalPJ, // ← valor que dimensiona el nodo
-    );
-    nodeX[idx] = 0.35;
-    nodeY[idx] = 0.25;
-    // nodeValues[idx] ya inicializa totalPJ dentro de addNode
-
-    // 3) generar popup solo con total y unidad
-    nodeCustomdata[idx] = popupManager.generateNodePopup(
-      plantasdegasyfraccionadorasNodeData["Nodo Padre"],
-      plantasdegasyfraccionadorasNodeData,
-      year,
-      { total: totalPJ, unit: "PJ" },
-      "text",
-      null,
-      "simple_source",
-    );
-
-    // 4) crear enlaces de Energía Primaria → este nodo
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-      .filter((child) => child.tipo === "Energía Primaria")
-      .forEach((child) => {
-        const val = dataManager.getEnergeticValue(
-          "Plantas de Gas y Fraccionadoras",
-          child["Nodo Hijo"],
-          year,
-        );
-        if (val != null && Math.abs(val) > 0) {
-          source.push(energeticNodesMap.get(child["Nodo Hijo"]));
-          target.push(idx);
-          const scaled = Math.log10(Math.abs(val) + 1) + MIN_LINK_SIZE;
-          value.push(scaled);
-          const col =
-            styleManager.getEnergyColor(child["Nodo Hijo"]) || child.color;
-          linkColors.push(styleManager.hexToRgba(col, 0.5));
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              child["Nodo Hijo"],
-              val,
-              child["Nodo Hijo"],
-              plantasdegasyfraccionadorasNodeData["Nodo Padre"],
-              col,
-              year,
-              { flowType: "primary_demand" },
-            ),
-          );
-        }
-      });
-  } else {
-    console.error(
-      "Error: datos de 'Plantas de Gas y Fraccionadoras' o sus 'Nodos Hijo' no disponibles.",
-    );
-  }
-
-  // --- Nodo de Refinerías y Despuntadoras ---
-  const refinerasydespuntadorasNodeData = dataManager.getNodeData(
-    "Refinerías y Despuntadoras",
-  );
-  console.log(
-    `[DEBUG] Datos de Refinerías y Despuntadoras:`,
-    refinerasydespuntadorasNodeData,
-  );
-
-  if (
-    refinerasydespuntadorasNodeData &&
-    ofertaInternaBrutaFullData?.["Nodos Hijo"]
-  ) {
-    // 1) Calcular el desglose de Energía Primaria
-    const breakdownRaw = popupManager.calculateNodeBreakdown(
-      refinerasydespuntadorasNodeData,
-      year,
-      "Energía Primaria",
-    );
-    console.log(`[DEBUG] Breakdown Raw para Refinerías:`, breakdownRaw);
-
-    // 2) Extraer hijos y sumar valores absolutos ⇒ totalPJ
-    const children = breakdownRaw.children || breakdownRaw;
-    const totalPJ = Array.isArray(children)
-      ? children.reduce((sum, c) => sum + Math.abs(c.value), 0)
-      : 0;
-    console.log(
-      `[DEBUG] totalPJ Refinerías y Despuntadoras: ${totalPJ.toFixed(2)} PJ`,
-    );
-
-    // 3) Crear nodo con su valor real
-    const idx = addNode(
-      refinerasydespuntadorasNodeData["Nodo Padre"],
-      refinerasydespuntadorasNodeData.color,
-      "default",
-      totalPJ, // ← aquí pasamos totalPJ
-    );
-    nodeX[idx] = 0.35;
-    nodeY[idx] = 0.7;
-    // nodeValues ya se inicializa dentro de addNode
-
-    // 4) Generar popup con { total, unit }
-    nodeCustomdata[idx] = popupManager.generateNodePopup(
-      refinerasydespuntadorasNodeData["Nodo Padre"],
-      refinerasydespuntadorasNodeData,
-      year,
-      { total: totalPJ, unit: "PJ" },
-      "text",
-      null,
-      "simple_source",
-    );
-
-    // 5) Enlaces de Energía Primaria → Refinerías y Despuntadoras
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-      .filter((child) => child.tipo === "Energía Primaria")
-      .forEach((child) => {
-        const val = dataManager.getEnergeticValue(
-          "Refinerías y Despuntadoras",
-          child["Nodo Hijo"],
-          year,
-        );
-        if (val != null && Math.abs(val) > 0) {
-          source.push(energeticNodesMap.get(child["Nodo Hijo"]));
-          target.push(idx);
-          const scaled = Math.log10(Math.abs(val) + 1) + MIN_LINK_SIZE;
-          value.push(scaled);
-          const col =
-            styleManager.getEnergyColor(child["Nodo Hijo"]) || child.color;
-          linkColors.push(styleManager.hexToRgba(col, 0.5));
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              child["Nodo Hijo"],
-              val,
-              child["Nodo Hijo"],
-              "Refinerías y Despuntadoras",
-              col,
-              year,
-              { flowType: "primary_demand" },
-            ),
-          );
-        }
-      });
-  } else {
-    console.error(
-      "Error: Datos para 'Refinerías y Despuntadoras' no encontrados o estructura de 'Nodos Hijo' faltante.",
-    );
-  }
-  // --- Nodo de Centrales Eléctricas ---
-  const centraleselectricasNodeData = dataManager.getNodeData(
-    "Centrales Eléctricas",
-  );
-  console.log(
-    `[DEBUG] Datos de Centrales Eléctricas:`,
-    centraleselectricasNodeData,
-  );
-  if (centraleselectricasNodeData) {
-    // Calcular el desglose para obtener el valor de energía eléctrica generada
-    const centraleselectricasBreakdownForPopup =
-      popupManager.calculateNodeBreakdown(
-        centraleselectricasNodeData,
-        year,
-        "Energía Secundaria",
-      );
-    console.log(
-      `[DEBUG - Centrales Eléctricas] Breakdown (Energía Eléctrica) para ${year}:`,
-      centraleselectricasBreakdownForPopup,
-    );
-
-    // Buscar la entrada de Energía eléctrica (notar la tilde en "eléctrica")
-    const electricidadEntry =
-      centraleselectricasBreakdownForPopup?.children?.find(
-        (child) => child.name === "Energía eléctrica" && child.isInput,
-      );
-
-    // Si no la encontramos, mostramos un mensaje de error
-    if (!electricidadEntry) {
-      console.error(
-        "No se encontró la entrada de Energía eléctrica en el breakdown",
-      );
-      console.log(
-        "Entradas disponibles:",
-        centraleselectricasBreakdownForPopup.children?.map((c) => c.name),
-      );
-    }
-
-    // Usamos el valor de la entrada o 0 si no se encuentra
-    const energiaElectricaGenerada = Math.abs(electricidadEntry?.value || 0);
-
-    // Crear el nodo con el valor calculado
-    const centraleselectricasIndex = addNode(
-      centraleselectricasNodeData["Nodo Padre"],
-      centraleselectricasNodeData.color,
-      "default",
-      energiaElectricaGenerada,
-    );
-    nodeX[centraleselectricasIndex] = 0.45; // Posición horizontal
-    nodeY[centraleselectricasIndex] = 0.45; // Posición vertical
-
-    // Crear un objeto con el total de energía eléctrica generada
-    const electricidadData = {
-      total: energiaElectricaGenerada,
-      unit: "PJ",
-    };
-
-    nodeCustomdata[centraleselectricasIndex] = popupManager.generateNodePopup(
-      centraleselectricasNodeData["Nodo Padre"],
-      centraleselectricasNodeData,
-      year,
-      electricidadData,
-      "text",
-      null,
-      "simple_source",
-    );
-  } else {
-    console.error(
-      "Error: Datos para 'Centrales Eléctricas' no encontrados en DataManager.",
-    );
-  }
-
-  // --- Nodos de Energéticos Secundarios de Oferta Interna Bruta ---
-  const primaryEnergeticNodesMap = new Map(); // Mapa para los nodos de energéticos primarios
-  // 1. Agregar nodos de energía primaria
-  // const primaryEnergetics = ofertaInternaBrutaFullData['Nodos Hijo']
-  //     .filter(child => child.tipo === 'Energía Primaria' && child[year] > 0);
-  const secondaryEnergeticNodesMap = new Map(); // Mapa para los nodos de energéticos secundarios
-  console.log("Datos de Oferta Interna Bruta:", ofertaInternaBrutaFullData);
-
-  if (ofertaInternaBrutaFullData && ofertaInternaBrutaFullData["Nodos Hijo"]) {
-    // Filtrar solo los energéticos secundarios
-    const secondaryEnergetics = ofertaInternaBrutaFullData["Nodos Hijo"].filter(
-      (child) => child.tipo === "Energía Secundaria",
-    );
-
-    console.log(
-      "Energéticos secundarios encontrados:",
-      secondaryEnergetics.map((e) => e["Nodo Hijo"]),
-    );
-
-    // Calcular posiciones Y para distribuir los nodos de energéticos
-    const startY = 0.15; // Posición inicial
-    const endY = 0.9; // Posición final
-    const stepY =
-      secondaryEnergetics.length > 1
-        ? (endY - startY) / (secondaryEnergetics.length - 1)
-        : 0.5; // Evitar división por cero
-
-    secondaryEnergetics.forEach((energetic, index) => {
-      const energeticName = energetic["Nodo Hijo"];
-      const energeticColor =
-        styleManager.getEnergyColor(energeticName) ||
-        energetic.color ||
-        "#CCCCCC";
-
-      console.log(
-        `Creando nodo para ${energeticName} con color:`,
-        energeticColor,
-      );
-
-      // Obtener el valor del energético antes de crear el nodo
-      const energeticValue = dataManager.getEnergeticValue(
-        "Oferta Interna Bruta",
-        energeticName,
-        year,
-      );
-
-      const energeticIndex = addNode(
-        energeticName,
-        energeticColor,
-        "default",
-        energeticValue,
-      );
-      secondaryEnergeticNodesMap.set(energeticName, energeticIndex);
-
-      nodeX[energeticIndex] = 0.65; // Posición X a la derecha
-      nodeY[energeticIndex] = startY + index * stepY;
-
-      // Preparar datos para el popup
-      let energeticPopupData = {};
-      if (energeticValue !== null) {
-        energeticPopupData.total = Math.abs(energeticValue);
-        energeticPopupData.unit = "PJ";
-      }
-
-      console.log(
-        `Nodo creado: ${energeticName} - Índice: ${energeticIndex}, ` +
-          `X: ${nodeX[energeticIndex]}, Y: ${nodeY[energeticIndex]}`,
-      );
-
-      nodeCustomdata[energeticIndex] = popupManager.generateNodePopup(
-        energeticName,
-        energetic,
-        year,
-        energeticPopupData,
-        "text",
-        "Energía Secundaria",
-        "simple_source",
-      );
-    });
-
-    console.log("Mapa de nodos secundarios:", [
-      ...secondaryEnergeticNodesMap.entries(),
-    ]);
-  } else {
-    console.error(
-      "Error: Datos de 'Oferta Interna Bruta' o sus hijos no encontrados para crear energéticos secundarios.",
-    );
-  }
-
-  // --- NODO DE IMPORTACIÓN DE ENERGÉTICOS SECUNDARIOS ---
-  if (importacionNodeData && importacionNodeData["Nodos Hijo"]) {
-    // Filtrar solo los energéticos secundarios
-    const secundariosImportados = importacionNodeData["Nodos Hijo"].filter(
-      (hijo) =>
-        hijo.tipo === "Energía Secundaria" &&
-        hijo[year] !== undefined &&
-        hijo[year] !== null &&
-        hijo[year] > 0,
-    );
-
-    if (secundariosImportados.length > 0) {
-      // Calcular el valor total en PJ
-      const totalValuePJ = secundariosImportados.reduce((sum, energetic) => {
-        return sum + (parseFloat(energetic[year]) || 0);
-      }, 0);
-      const formattedValue = totalValuePJ.toLocaleString("es-MX", {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2,
-      });
-
-      // Crear nodo de importación secundaria con valor en PJ
-      const nodeNameWithValue = `Importación (Secundaria)<br>${formattedValue} PJ`;
-      const importacionSecundariaIndex = addNode(
-        nodeNameWithValue,
-        importacionNodeData.color,
-      );
-      nodeX[importacionSecundariaIndex] = 0.5;
-      nodeY[importacionSecundariaIndex] = 0.05;
-
-      // Crear customdata para el nodo
-      const importacionSecundariaData = {
-        ...importacionNodeData,
-        "Nodos Hijo": secundariosImportados,
-        [year]: totalValuePJ, // Agregar el valor total al año correspondiente
-      };
-
-      // Calcular el desglose para el popup
-      const importacionSecundariaBreakdown =
-        popupManager.calculateNodeBreakdown(
-          importacionSecundariaData,
-          year,
-          "Energía Secundaria",
-        );
-
-      // Generar el popup
-      nodeCustomdata[importacionSecundariaIndex] =
-        popupManager.generateNodePopup(
-          "Importación (Secundaria)",
-          importacionSecundariaData,
-          year,
-          importacionSecundariaBreakdown,
-          "text",
-          "Energía Secundaria",
-          "simple_source", // Usamos la plantilla simple
-        );
-
-      // Crear enlaces desde los energéticos secundarios a la importación
-      secundariosImportados.forEach((energetic) => {
-        const energeticName = energetic["Nodo Hijo"];
-        const targetNodeIndex = secondaryEnergeticNodesMap.get(energeticName);
-
-        if (targetNodeIndex !== undefined) {
-          const energeticValue = parseFloat(energetic[year]) || 0;
-
-          if (energeticValue > 0) {
-            const linkColor =
-              styleManager.getEnergyColor(energeticName) || "#999999";
-
-            // La dirección es desde el energético hacia la importación
-            source.push(importacionSecundariaIndex);
-            target.push(targetNodeIndex);
-            value.push(Math.log10(energeticValue + 1));
-            linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-            linkCustomdata.push(
-              popupManager.generateLinkPopup(
-                energeticName,
-                energeticValue,
-                "Importación (Secundaria)",
-                energeticName,
-                linkColor,
-                year,
-                { flowType: "import_secondary" },
-              ),
-            );
-          }
-        }
-      });
-    }
-  }
-
-  // --- NODO DE VARIACIÓN DE INVENTARIOS DE ENERGÉTICOS SECUNDARIOS ---
-  console.log(
-    `[DEBUG] Datos de Variación de Inventarios (Secundaria):`,
-    variacionNodeData,
-  );
-
-  if (variacionNodeData && variacionNodeData["Nodos Hijo"]) {
-    // 1) Filtrar solo secundarios con valor
-    const secundarios = variacionNodeData["Nodos Hijo"].filter(
-      (c) =>
-        c.tipo === "Energía Secundaria" &&
-        c[year] != null &&
-        Math.abs(c[year]) > 0,
-    );
-
-    if (secundarios.length > 0) {
-      // 2) Preparamos un objeto con solo esos hijos para el breakdown
-      const secData = {
-        ...variacionNodeData,
-        "Nodo Padre": "Variación de Inventarios ES",
-        "Nodos Hijo": secundarios,
-      };
-
-      // 3) Breakdown para secundarios
-      const raw = popupManager.calculateNodeBreakdown(
-        secData,
-        year,
-        "Energía Secundaria",
-      );
-      const inputTotal = raw.input_total || 0;
-      const outputTotal = raw.output_total || 0;
-      const totalPJ = inputTotal + outputTotal;
-      console.log(
-        `[DEBUG] Variación ES → input=${inputTotal}, output=${outputTotal}, totalPJ=${totalPJ.toFixed(2)}`,
-      );
-
-      // 4) Crear nodo dimensionado por totalPJ
-      const idx = addNode(
-        "Variación de Inventarios ES",
-        variacionNodeData.color,
-        "default",
-        totalPJ,
-      );
-      nodeX[idx] = 0.45;
-      nodeY[idx] = 0.15;
-
-      // 5) Sobrescribir label con flechas ↑↓
-      labels[idx] =
-        `Variación de Inventarios ES<br>↑ ${inputTotal.toFixed(2)} PJ  ↓ ${outputTotal.toFixed(2)} PJ`;
-
-      // 6) Generar popup con ambos valores
-      nodeCustomdata[idx] = popupManager.generateNodePopup(
-        "Variación de Inventarios ES",
-        secData,
-        year,
-        {
-          variacion_positiva: inputTotal,
-          variacion_negativa: outputTotal,
-          unit: "PJ",
-        },
-        "text",
-        null,
-        "simple_source",
-      );
-
-      // 7) Enlaces: flujos positivos salen del nodo, negativos entran al nodo
-      secundarios.forEach((child) => {
-        const val = parseFloat(child[year]) || 0;
-        if (val === 0) return;
-
-        const targetIdx = secondaryEnergeticNodesMap.get(child["Nodo Hijo"]);
-        if (targetIdx == null) return;
-
-        const src = val > 0 ? idx : targetIdx;
-        const tgt = val > 0 ? targetIdx : idx;
-
-        source.push(src);
-        target.push(tgt);
-        const scaled = Math.log10(Math.abs(val) + 1) + MIN_LINK_SIZE;
-        value.push(scaled);
-
-        const col =
-          styleManager.getEnergyColor(child["Nodo Hijo"]) || child.color;
-        linkColors.push(styleManager.hexToRgba(col, 0.5));
-
-        linkCustomdata.push(
-          popupManager.generateLinkPopup(
-            child["Nodo Hijo"],
-            Math.abs(val),
-            val > 0 ? "Variación de Inventarios ES" : child["Nodo Hijo"],
-            val > 0 ? child["Nodo Hijo"] : "Variación de Inventarios ES",
-            col,
-            year,
-            { flowType: "inventory_change_secondary" },
-          ),
-        );
-      });
-    }
-  } else {
-    console.error(
-      "Error: datos de Variación de Inventarios ES no disponibles.",
-    );
-  }
-
-  // --- NODO DE EXPORTACIÓN DE ENERGÉTICOS SECUNDARIOS ---
-  if (exportacionNodeData && exportacionNodeData["Nodos Hijo"]) {
-    // Filtrar solo los energéticos secundarios (valores negativos)
-    const secundariosExportacion = exportacionNodeData["Nodos Hijo"].filter(
-      (hijo) =>
-        hijo.tipo === "Energía Secundaria" &&
-        hijo[year] !== undefined &&
-        hijo[year] !== null &&
-        hijo[year] < 0,
-    ); // Cambiado a < 0 para capturar valores negativos
-
-    if (secundariosExportacion.length > 0) {
-      // Crear nodo de exportación secundaria
-
-      // Calcular el valor total sumando los valores absolutos
-      const totalValue = secundariosExportacion.reduce((sum, item) => {
-        return sum + Math.abs(parseFloat(item[year]) || 0);
-      }, 0);
-
-      // Formatear el valor con 2 decimales
-      const formattedValueExportacion = totalValue.toLocaleString("es-MX", {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2,
-      });
-
-      // Crear nodo de consumo propio secundario con el valor en el nombre
-      const exportacionSecundariaIndex = addNode(
-        `Exportación<br> (${formattedValueExportacion} PJ)`,
-        exportacionNodeData.color,
-      );
-      nodeX[exportacionSecundariaIndex] = 0.8;
-      nodeY[exportacionSecundariaIndex] = 0.9;
-
-      // Crear customdata para el nodo
-      const exportacionSecundariaData = {
-        ...exportacionNodeData,
-        "Nodos Hijo": secundariosExportacion,
-      };
-
-      // Calcular el desglose para el popup
-      const exportacionSecundariaBreakdown =
-        popupManager.calculateNodeBreakdown(
-          exportacionSecundariaData,
-          year,
-          "Energía Secundaria",
-        );
-
-      // Generar el popup
-      nodeCustomdata[exportacionSecundariaIndex] =
-        popupManager.generateNodePopup(
-          "Exportación (Secundaria)",
-          exportacionSecundariaData,
-          year,
-          exportacionSecundariaBreakdown,
-          "text",
-          "Energía Secundaria",
-          "simple_source", // Usamos la plantilla simple
-        );
-
-      // Crear enlaces desde los energéticos secundarios a la exportación
-      secundariosExportacion.forEach((energetic) => {
-        const energeticName = energetic["Nodo Hijo"];
-        const sourceNodeIndex = secondaryEnergeticNodesMap.get(energeticName);
-        const energeticValue = Math.abs(parseFloat(energetic[year]) || 0); // Tomar valor absoluto
-
-        if (sourceNodeIndex !== undefined && energeticValue > 0) {
-          const linkColor =
-            styleManager.getEnergyColor(energeticName) || "#999999";
-
-          // La dirección es desde el energético hacia la exportación
-          source.push(sourceNodeIndex);
-          target.push(exportacionSecundariaIndex);
-          value.push(Math.log10(energeticValue + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              energeticName,
-              energeticValue, // Usamos el valor absoluto
-              energeticName,
-              "Exportación (Secundaria)",
-              linkColor,
-              year,
-              { flowType: "export_secondary" },
-            ),
-          );
-        }
-      });
-    }
-  }
-
-  const perdidasTecnicasSecNodeData = dataManager.getNodeData(
-    "Pérdidas técnicas por transporte, transmisión y distribución",
-  );
-  if (
-    perdidasTecnicasSecNodeData &&
-    perdidasTecnicasSecNodeData["Nodos Hijo"]
-  ) {
-    // Filtrar solo los energéticos secundarios
-    const secundariosPerdidasTecnicas = perdidasTecnicasSecNodeData[
-      "Nodos Hijo"
-    ].filter(
-      (hijo) =>
-        hijo.tipo === "Energía Secundaria" &&
-        hijo[year] !== undefined &&
-        hijo[year] !== null &&
-        Math.abs(hijo[year]) > 0,
-    );
-
-    if (secundariosPerdidasTecnicas.length > 0) {
-      // Crear nodo de pérdidas técnicas secundarias
-      // Calcular el valor total sumando los valores absolutos
-      const totalValue = secundariosPerdidasTecnicas.reduce((sum, item) => {
-        return sum + Math.abs(parseFloat(item[year]) || 0);
-      }, 0);
-
-      // Formatear el valor con 2 decimales
-      const formattedValue = totalValue.toLocaleString("es-MX", {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2,
-      });
-
-      // Crear nodo de pérdidas técnicas secundarias con el valor en el nombre
-      const perdidasTecnicasSecIndex = addNode(
-        `Pérdidas Técnicas<br>(${formattedValue} PJ)`,
-        perdidasTecnicasSecNodeData.color,
-      );
-      nodeX[perdidasTecnicasSecIndex] = 0.8;
-      nodeY[perdidasTecnicasSecIndex] = 0.95;
-
-      // Crear datos para el popup
-      const perdidasTecnicasSecData = {
-        ...perdidasTecnicasSecNodeData,
-        "Nodo Padre": "Pérdidas Técnicas (Sec)",
-        "Nodos Hijo": secundariosPerdidasTecnicas,
-      };
-
-      // Calcular el desglose para el popup
-      const perdidasTecnicasSecBreakdown = popupManager.calculateNodeBreakdown(
-        perdidasTecnicasSecData,
-        year,
-        "Energía Secundaria",
-      );
-
-      // Generar el popup
-      nodeCustomdata[perdidasTecnicasSecIndex] = popupManager.generateNodePopup(
-        "Pérdidas Técnicas (Sec)",
-        perdidasTecnicasSecData,
-        year,
-        perdidasTecnicasSecBreakdown,
-        "text",
-        "Energía Secundaria",
-        "simple_source",
-      );
-
-      // Crear enlaces desde los energéticos secundarios
-      secundariosPerdidasTecnicas.forEach((energetic) => {
-        const energeticName = energetic["Nodo Hijo"];
-        const sourceNodeIndex = secondaryEnergeticNodesMap.get(energeticName);
-        const energeticValue = Math.abs(parseFloat(energetic[year]) || 0);
-
-        if (sourceNodeIndex !== undefined && energeticValue > 0) {
-          const linkColor =
-            styleManager.getEnergyColor(energeticName) || "#999999";
-
-          // Añadir el enlace
-          source.push(sourceNodeIndex);
-          target.push(perdidasTecnicasSecIndex);
-          value.push(Math.log10(energeticValue + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-          // Añadir popup del enlace
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              energeticName,
-              energeticValue,
-              energeticName,
-              "Pérdidas Técnicas (Sec)",
-              linkColor,
-              year,
-              {
-                flowType: "perdidas_tecnicas_secundarias",
-                template: "simple",
-              },
-            ),
-          );
-        }
-      });
-    }
-  }
-
-  if (consumoPropioNodeData && consumoPropioNodeData["Nodos Hijo"]) {
-    // Filtrar solo los energéticos secundarios (valores negativos)
-    const secundariosConsumoPropio = consumoPropioNodeData["Nodos Hijo"].filter(
-      (hijo) =>
-        hijo.tipo === "Energía Secundaria" &&
-        hijo[year] !== undefined &&
-        hijo[year] !== null &&
-        hijo[year] < 0,
-    ); // Cambiado a < 0 para capturar valores negativos
-
-    if (secundariosConsumoPropio.length > 0) {
-      // Crear nodo de exportación secundaria
-      // Calcular el valor total sumando los valores absolutos
-      const totalValue = secundariosConsumoPropio.reduce((sum, item) => {
-        return sum + Math.abs(parseFloat(item[year]) || 0);
-      }, 0);
-
-      // Formatear el valor con 2 decimales
-      const formattedValue = totalValue.toLocaleString("es-MX", {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2,
-      });
-
-      // Crear nodo de consumo propio secundario con el valor en el nombre
-      const consumoPropioSecundariaIndex = addNode(
-        `Consumo Propio<br>(${formattedValue} PJ)`,
-        consumoPropioNodeData.color,
-      );
-      nodeX[consumoPropioSecundariaIndex] = 0.8;
-      nodeY[consumoPropioSecundariaIndex] = 0.99;
-
-      // Crear customdata para el nodo
-      const consumoPropioSecundariaData = {
-        ...consumoPropioNodeData,
-        "Nodos Hijo": secundariosConsumoPropio,
-      };
-
-      // Calcular el desglose para el popup
-      const consumoPropioSecundariaBreakdown =
-        popupManager.calculateNodeBreakdown(
-          consumoPropioSecundariaData,
-          year,
-          "Energía Secundaria",
-        );
-
-      // Generar el popup
-      nodeCustomdata[consumoPropioSecundariaIndex] =
-        popupManager.generateNodePopup(
-          "Consumo Propio (Secundaria)",
-          consumoPropioSecundariaData,
-          year,
-          consumoPropioSecundariaBreakdown,
-          "text",
-          "Energía Secundaria",
-          "simple_source", // Usamos la plantilla simple
-        );
-
-      // Crear enlaces desde los energéticos secundarios a la exportación
-      secundariosConsumoPropio.forEach((energetic) => {
-        const energeticName = energetic["Nodo Hijo"];
-        const sourceNodeIndex = secondaryEnergeticNodesMap.get(energeticName);
-        const energeticValue = Math.abs(parseFloat(energetic[year]) || 0); // Tomar valor absoluto
-
-        if (sourceNodeIndex !== undefined && energeticValue > 0) {
-          const linkColor =
-            styleManager.getEnergyColor(energeticName) || "#999999";
-
-          // La dirección es desde el energético hacia la exportación
-          source.push(sourceNodeIndex);
-          target.push(consumoPropioSecundariaIndex);
-          value.push(Math.log10(energeticValue + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              energeticName,
-              energeticValue, // Usamos el valor absoluto
-              energeticName,
-              "Consumo Propio (Secundaria)",
-              linkColor,
-              year,
-              { flowType: "consumo_propio_secondary" },
-            ),
-          );
-        }
-      });
-    }
-  }
-
-  // --- NODO DE ENERGÍA NO APROVECHADA DE ENERGÉTICOS SECUNDARIOS ---
-  if (
-    energiaNoAprovechadaNodeData &&
-    energiaNoAprovechadaNodeData["Nodos Hijo"]
-  ) {
-    // Filtrar solo los energéticos secundarios
-    const secundariosNoAprovechados = energiaNoAprovechadaNodeData[
-      "Nodos Hijo"
-    ].filter(
-      (hijo) =>
-        hijo.tipo === "Energía Secundaria" &&
-        hijo[year] !== undefined &&
-        hijo[year] !== null &&
-        hijo[year] > 0,
-    );
-
-    if (secundariosNoAprovechados.length > 0) {
-      // Calcular el valor total en PJ
-      const totalValuePJ = secundariosNoAprovechados.reduce(
-        (sum, energetic) => {
-          return sum + (parseFloat(energetic[year]) || 0);
-        },
-        0,
-      );
-
-      // Crear nodo de energía no aprovechada secundaria con valor en PJ
-      const nodeNameWithValue = `Energía No Aprovechada (Secundaria)<br>${totalValuePJ.toFixed(2)} PJ`;
-      const noAprovechadaSecundariaIndex = addNode(
-        nodeNameWithValue,
-        energiaNoAprovechadaNodeData.color,
-      );
-      nodeX[noAprovechadaSecundariaIndex] = 0.6; // Posición X intermedia
-      nodeY[noAprovechadaSecundariaIndex] = 0.9; // Misma altura que el nodo primario
-
-      // Crear customdata para el nodo
-      const noAprovechadaSecundariaData = {
-        ...energiaNoAprovechadaNodeData,
-        "Nodo Padre": "Energía No Aprovechada (Secundaria)",
-        "Nodos Hijo": secundariosNoAprovechados,
-        [year]: totalValuePJ, // Agregar el valor total al año correspondiente
-      };
-
-      // Calcular el desglose para el popup
-      const noAprovechadaSecundariaBreakdown =
-        popupManager.calculateNodeBreakdown(
-          noAprovechadaSecundariaData,
-          year,
-          "Energía Secundaria",
-        );
-
-      // Generar el popup
-      nodeCustomdata[noAprovechadaSecundariaIndex] =
-        popupManager.generateNodePopup(
-          "Energía No Aprovechada (Secundaria)",
-          noAprovechadaSecundariaData,
-          year,
-          noAprovechadaSecundariaBreakdown,
-          "text",
-          "Energía Secundaria",
-          "simple_source", // Usamos la plantilla simple
-        );
-
-      // Crear enlaces desde los energéticos secundarios a la energía no aprovechada
-      secundariosNoAprovechados.forEach((energetic) => {
-        const energeticName = energetic["Nodo Hijo"];
-        const sourceNodeIndex = secondaryEnergeticNodesMap.get(energeticName);
-        const energeticValue = parseFloat(energetic[year]) || 0;
-
-        if (sourceNodeIndex !== undefined && energeticValue > 0) {
-          const linkColor =
-            styleManager.getEnergyColor(energeticName) || "#999999";
-
-          // La dirección es desde el energético hacia la energía no aprovechada
-          source.push(sourceNodeIndex);
-          target.push(noAprovechadaSecundariaIndex);
-          value.push(Math.log10(energeticValue + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              energeticName,
-              energeticValue,
-              energeticName,
-              "Energía No Aprovechada (Secundaria)",
-              linkColor,
-              year,
-              {
-                flowType: "unused_energy_secondary",
-                template: "simple", // Usamos la plantilla simple para los enlaces
-              },
-            ),
-          );
-        }
-      });
-    }
-  }
-
-  //CONSUMOS POR SECTORES
-
-  // --- NODO INDUSTRIAL ---
-  const industrialNodeData = dataManager.getNodeData("Industrial");
-  if (industrialNodeData && industrialNodeData["Nodos Hijo"]) {
-    // Crear nodo Industrial
-    // Calcular el valor total sumando los valores absolutos
-    const totalValue = industrialNodeData["Nodos Hijo"].reduce((sum, item) => {
-      return sum + Math.abs(parseFloat(item[year]) || 0);
-    }, 0);
-
-    // Formatear el valor con 2 decimales
-    const formattedValue = totalValue.toLocaleString("es-MX", {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    });
-
-    // Crear nodo con el valor en el nombre (con salto de línea HTML)
-    const industrialIndex = addNode(
-      `${industrialNodeData["Nodo Padre"]}<br>(${formattedValue} PJ)`,
-      industrialNodeData.color,
-    );
-    nodeX[industrialIndex] = 0.9;
-    nodeY[industrialIndex] = 0.15;
-
-    // Calcular el total sumando los valores de los hijos
-    const totalIndustrial = industrialNodeData["Nodos Hijo"].reduce(
-      (sum, hijo) => {
-        return sum + (parseFloat(hijo[year]) || 0);
-      },
-      0,
-    );
-
-    // Crear un objeto con el formato esperado por la plantilla simple_source
-    const popupData = {
-      label: "Sector Industrial", // Cambiamos esto
-      total: totalIndustrial,
-      unit: "PJ", // Ajusta la unidad según corresponda
-    };
-
-    // Generar el popup
-    nodeCustomdata[industrialIndex] = popupManager.generateNodePopup(
-      "Sector Industrial", // Y aquí también
-      popupData, // Pasamos los datos formateados
-      year,
-      popupData, // Mismos datos para el desglose
-      "text",
-      "Todos",
-      "simple_source",
-    );
-    // Crear enlaces desde energéticos primarios
-    // Después de crear los nodos de energía primaria y tener el mapa energeticNodesMap
-
-    // --- Crear enlaces desde los nodos de energía primaria al nodo Industrial ---
-    if (industrialNodeData && industrialNodeData["Nodos Hijo"]) {
-      industrialNodeData["Nodos Hijo"].forEach((hijo) => {
-        if (hijo.tipo === "Energía Primaria" && hijo[year] > 0) {
-          const sourceNodeIndex = energeticNodesMap.get(hijo["Nodo Hijo"]);
-          const industrialNodeIndex = nodeMap.get(
-            industrialNodeData["Nodo Padre"],
-          );
-
-          if (
-            sourceNodeIndex !== undefined &&
-            industrialNodeIndex !== undefined
-          ) {
-            const linkColor =
-              styleManager.getEnergyColor(hijo["Nodo Hijo"]) ||
-              hijo.color ||
-              "#999999";
-            const linkValue = Math.log10(parseFloat(hijo[year]) + 1);
-
-            source.push(sourceNodeIndex);
-            target.push(industrialNodeIndex);
-            value.push(linkValue);
-            linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-            // Crear el popup para el enlace
-            linkCustomdata.push(
-              popupManager.generateLinkPopup(
-                hijo["Nodo Hijo"],
-                parseFloat(hijo[year]),
-                hijo["Nodo Hijo"],
-                industrialNodeData["Nodo Padre"],
-                linkColor,
-                year,
-                {
-                  flowType: "sector_industrial",
-                  template: "simple",
-                },
-              ),
-            );
-          }
-        }
-      });
-    }
-
-    // Crear enlaces desde energéticos secundarios
-    industrialNodeData["Nodos Hijo"].forEach((hijo) => {
-      if (hijo.tipo === "Energía Secundaria" && hijo[year] > 0) {
-        const sourceNodeIndex = secondaryEnergeticNodesMap.get(
-          hijo["Nodo Hijo"],
-        );
-        if (sourceNodeIndex !== undefined) {
-          const linkColor =
-            styleManager.getEnergyColor(hijo["Nodo Hijo"]) || "#999999";
-
-          source.push(sourceNodeIndex);
-          target.push(industrialIndex);
-          value.push(Math.log10(hijo[year] + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              hijo["Nodo Hijo"],
-              hijo[year],
-              hijo["Nodo Hijo"],
-              "Industrial",
-              linkColor,
-              year,
-              { flowType: "to_industrial_secondary" },
-            ),
-          );
-        }
-      }
-    });
-  }
-
-  // --- NODO TRANSPORTE ---
-  const transporteNodeData = dataManager.getNodeData("Transporte");
-  if (transporteNodeData && transporteNodeData["Nodos Hijo"]) {
-    // Crear nodo Transporte
-    // Calcular el valor total sumando los valores absolutos
-    const totalValue = transporteNodeData["Nodos Hijo"].reduce((sum, item) => {
-      return sum + Math.abs(parseFloat(item[year]) || 0);
-    }, 0);
-
-    // Formatear el valor con 2 decimales
-    const formattedValue = totalValue.toLocaleString("es-MX", {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    });
-
-    // Crear nodo con el valor en el nombre (con salto de línea HTML)
-    const transporteIndex = addNode(
-      `${transporteNodeData["Nodo Padre"]}<br>(${formattedValue} PJ)`,
-      transporteNodeData.color,
-    );
-    nodeX[transporteIndex] = 0.9;
-    nodeY[transporteIndex] = 0.3;
-
-    // Calcular el total sumando los valores de los hijos
-    const totalTransporte = transporteNodeData["Nodos Hijo"].reduce(
-      (sum, hijo) => {
-        return sum + (parseFloat(hijo[year]) || 0);
-      },
-      0,
-    );
-
-    // Crear un objeto con el formato esperado por la plantilla simple_source
-    const popupData = {
-      label: "Sector Transporte", // Cambiamos esto
-      total: totalTransporte,
-      unit: "PJ", // Ajusta la unidad según corresponda
-    };
-
-    // Generar el popup
-    nodeCustomdata[transporteIndex] = popupManager.generateNodePopup(
-      "Sector Transporte", // Y aquí también
-      popupData, // Pasamos los datos formateados
-      year,
-      popupData, // Mismos datos para el desglose
-      "text",
-      "Todos",
-      "simple_source",
-    );
-    // Crear enlaces desde energéticos primarios
-    // Después de crear los nodos de energía primaria y tener el mapa energeticNodesMap
-
-    // --- Crear enlaces desde los nodos de energía primaria al nodo Industrial ---
-    if (transporteNodeData && transporteNodeData["Nodos Hijo"]) {
-      transporteNodeData["Nodos Hijo"].forEach((hijo) => {
-        if (hijo.tipo === "Energía Primaria" && hijo[year] > 0) {
-          const sourceNodeIndex = energeticNodesMap.get(hijo["Nodo Hijo"]);
-          const transporteNodeIndex = nodeMap.get(
-            transporteNodeData["Nodo Padre"],
-          );
-
-          if (
-            sourceNodeIndex !== undefined &&
-            transporteNodeIndex !== undefined
-          ) {
-            const linkColor =
-              styleManager.getEnergyColor(hijo["Nodo Hijo"]) ||
-              hijo.color ||
-              "#999999";
-            const linkValue = Math.log10(parseFloat(hijo[year]) + 1);
-
-            source.push(sourceNodeIndex);
-            target.push(transporteNodeIndex);
-            value.push(linkValue);
-            linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-            // Crear el popup para el enlace
-            linkCustomdata.push(
-              popupManager.generateLinkPopup(
-                hijo["Nodo Hijo"],
-                parseFloat(hijo[year]),
-                hijo["Nodo Hijo"],
-                transporteNodeData["Nodo Padre"],
-                linkColor,
-                year,
-                {
-                  flowType: "sector_industrial",
-                  template: "simple",
-                },
-              ),
-            );
-          }
-        }
-      });
-    }
-
-    // Crear enlaces desde energéticos secundarios
-    transporteNodeData["Nodos Hijo"].forEach((hijo) => {
-      if (hijo.tipo === "Energía Secundaria" && hijo[year] > 0) {
-        const sourceNodeIndex = secondaryEnergeticNodesMap.get(
-          hijo["Nodo Hijo"],
-        );
-        if (sourceNodeIndex !== undefined) {
-          const linkColor =
-            styleManager.getEnergyColor(hijo["Nodo Hijo"]) || "#999999";
-
-          source.push(sourceNodeIndex);
-          target.push(transporteIndex);
-          value.push(Math.log10(hijo[year] + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              hijo["Nodo Hijo"],
-              hijo[year],
-              hijo["Nodo Hijo"],
-              "Transporte",
-              linkColor,
-              year,
-              { flowType: "to_transporte_secondary" },
-            ),
-          );
-        }
-      }
-    });
-  }
-
-  // --- NODO AGROPECUARIO ---
-  const agropecuarioNodeData = dataManager.getNodeData("Agropecuario");
-  if (agropecuarioNodeData && agropecuarioNodeData["Nodos Hijo"]) {
-    // Crear nodo Agropecuario
-    // Crear nodo Agropecuario
-    // Calcular el valor total sumando los valores absolutos
-    const totalValue = agropecuarioNodeData["Nodos Hijo"].reduce(
-      (sum, item) => {
-        return sum + Math.abs(parseFloat(item[year]) || 0);
-      },
-      0,
-    );
-
-    // Formatear el valor con 2 decimales
-    const formattedValue = totalValue.toLocaleString("es-MX", {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    });
-
-    // Crear nodo con el valor en el nombre (con salto de línea HTML)
-    const agropecuarioIndex = addNode(
-      `${agropecuarioNodeData["Nodo Padre"]}<br>(${formattedValue} PJ)`,
-      agropecuarioNodeData.color,
-    );
-    nodeX[agropecuarioIndex] = 0.9;
-    nodeY[agropecuarioIndex] = 0.4;
-
-    // Calcular el total sumando los valores de los hijos
-    const totalAgropecuario = agropecuarioNodeData["Nodos Hijo"].reduce(
-      (sum, hijo) => {
-        return sum + (parseFloat(hijo[year]) || 0);
-      },
-      0,
-    );
+// Crear el validador contable y verificar los datos cargados
+function initializeBalanceValidation() {
+  balanceValidator = new BalanceValidator({ dataManager: dataManager });
+  runBalanceValidation();
+}
 
-    // Crear un objeto con el formato esperado por la plantilla simple_source
-    const popupData = {
-      label: "Sector Agropecuario", // Cambiamos esto
-      total: totalAgropecuario,
-      unit: "PJ", // Ajusta la unidad según corresponda
-    };
+// Verificar todas las identidades del balance para todos los años disponibles
+function runBalanceValidation() {
+  balanceValidation = balanceValidator.validate();
 
-    // Generar el popup
-    nodeCustomdata[agropecuarioIndex] = popupManager.generateNodePopup(
-      "Sector Agropecuario", // Y aquí también
-      popupData, // Pasamos los datos formateados
-      year,
-      popupData, // Mismos datos para el desglose
-      "text",
-      "Todos",
-      "simple_source",
-    );
-    // Crear enlaces desde energéticos primarios
-    agropecuarioNodeData["Nodos Hijo"].forEach((hijo) => {
-      if (hijo.tipo === "Energía Primaria" && hijo[year] > 0) {
-        const sourceNodeIndex = primaryEnergeticNodesMap.get(hijo["Nodo Hijo"]);
-        if (sourceNodeIndex !== undefined) {
-          const linkColor =
-            styleManager.getEnergyColor(hijo["Nodo Hijo"]) || "#999999";
-
-          source.push(sourceNodeIndex);
-          target.push(agropecuarioIndex);
-          value.push(Math.log10(hijo[year] + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              hijo["Nodo Hijo"],
-              hijo[year],
-              hijo["Nodo Hijo"],
-              "Agropecuario",
-              linkColor,
-              year,
-              { flowType: "to_agropecuario" },
-            ),
-          );
-        }
-      }
-    });
+  const failedYears = balanceValidation.failedYears;
+  balanceStatus.classList.toggle("failing", failedYears.length > 0);
+  balanceStatus.textContent = failedYears.length > 0 ? `⚠ ${failedYears.length} años` : "✓ Cierra";
+  balanceStatus.title = failedYears.length > 0
+    ? `Años con identidades que no cierran: ${failedYears.join(", ")}`
+    : "Todas las identidades cierran en todos los años";
 
-    // Crear enlaces desde energéticos secundarios
-    agropecuarioNodeData["Nodos Hijo"].forEach((hijo) => {
-      if (hijo.tipo === "Energía Secundaria" && hijo[year] > 0) {
-        const sourceNodeIndex = secondaryEnergeticNodesMap.get(
-          hijo["Nodo Hijo"],
-        );
-        if (sourceNodeIndex !== undefined) {
-          const linkColor =
-            styleManager.getEnergyColor(hijo["Nodo Hijo"]) || "#999999";
-
-          source.push(sourceNodeIndex);
-          target.push(agropecuarioIndex);
-          value.push(Math.log10(hijo[year] + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              hijo["Nodo Hijo"],
-              hijo[year],
-              hijo["Nodo Hijo"],
-              "Agropecuario",
-              linkColor,
-              year,
-              { flowType: "to_agropecuario_secondary" },
-            ),
-          );
-        }
-      }
-    });
+  if (failedYears.length > 0) {
+    console.warn("El balance no cierra en los años:", failedYears.join(", "));
   }
+}
 
-  // --- NODO COMERCIAL ---
-  const comercialNodeData = dataManager.getNodeData("Comercial");
-  if (comercialNodeData && comercialNodeData["Nodos Hijo"]) {
-    // Crear nodo Comercial
-    // Calcular el valor total sumando los valores absolutos
-    const totalValue = comercialNodeData["Nodos Hijo"].reduce((sum, item) => {
-      return sum + Math.abs(parseFloat(item[year]) || 0);
-    }, 0);
-
-    // Formatear el valor con 2 decimales
-    const formattedValue = totalValue.toLocaleString("es-MX", {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    });
-
-    // Crear nodo con el valor en el nombre (con salto de línea HTML)
-    const comercialIndex = addNode(
-      `${comercialNodeData["Nodo Padre"]}<br>(${formattedValue} PJ)`,
-      comercialNodeData.color,
-    );
-    nodeX[comercialIndex] = 0.9;
-    nodeY[comercialIndex] = 0.5;
-
-    // Calcular el total sumando los valores de los hijos
-    const totalComercial = comercialNodeData["Nodos Hijo"].reduce(
-      (sum, hijo) => {
-        return sum + (parseFloat(hijo[year]) || 0);
-      },
-      0,
-    );
-
-    // Crear un objeto con el formato esperado por la plantilla simple_source
-    const popupData = {
-      label: "Sector Comercial", // Cambiamos esto
-      total: totalComercial,
-      unit: "PJ", // Ajusta la unidad según corresponda
-    };
-
-    // Generar el popup
-    nodeCustomdata[comercialIndex] = popupManager.generateNodePopup(
-      "Sector Comercial", // Y aquí también
-      popupData, // Pasamos los datos formateados
-      year,
-      popupData, // Mismos datos para el desglose
-      "text",
-      "Todos",
-      "simple_source",
-    );
-    // Crear enlaces desde energéticos primarios
-    // Después de crear los nodos de energía primaria y tener el mapa energeticNodesMap
-
-    // --- Crear enlaces desde los nodos de energía primaria al nodo Industrial ---
-    if (comercialNodeData && comercialNodeData["Nodos Hijo"]) {
-      comercialNodeData["Nodos Hijo"].forEach((hijo) => {
-        if (hijo.tipo === "Energía Primaria" && hijo[year] > 0) {
-          const sourceNodeIndex = energeticNodesMap.get(hijo["Nodo Hijo"]);
-          const comercialNodeIndex = nodeMap.get(
-            comercialNodeData["Nodo Padre"],
-          );
-
-          if (
-            sourceNodeIndex !== undefined &&
-            comercialNodeIndex !== undefined
-          ) {
-            const linkColor =
-              styleManager.getEnergyColor(hijo["Nodo Hijo"]) ||
-              hijo.color ||
-              "#999999";
-            const linkValue = Math.log10(parseFloat(hijo[year]) + 1);
-
-            source.push(sourceNodeIndex);
-            target.push(comercialNodeIndex);
-            value.push(linkValue);
-            linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-            // Crear el popup para el enlace
-            linkCustomdata.push(
-              popupManager.generateLinkPopup(
-                hijo["Nodo Hijo"],
-                parseFloat(hijo[year]),
-                hijo["Nodo Hijo"],
-                comercialNodeData["Nodo Padre"],
-                linkColor,
-                year,
-                {
-                  flowType: "sector_industrial",
-                  template: "simple",
-                },
-              ),
-            );
-          }
-        }
-      });
-    }
+// Obtener el reporte de validación de un año
+function getBalanceReport(year) {
+  if (!balanceValidation) return null;
+  return balanceValidation.reports.find((report) => report.year === String(year)) || null;
+}
 
-    // Crear enlaces desde energéticos secundarios
-    comercialNodeData["Nodos Hijo"].forEach((hijo) => {
-      if (hijo.tipo === "Energía Secundaria" && hijo[year] > 0) {
-        const sourceNodeIndex = secondaryEnergeticNodesMap.get(
-          hijo["Nodo Hijo"],
-        );
-        if (sourceNodeIndex !== undefined) {
-          const linkColor =
-            styleManager.getEnergyColor(hijo["Nodo Hijo"]) || "#999999";
-
-          source.push(sourceNodeIndex);
-          target.push(comercialIndex);
-          value.push(Math.log10(hijo[year] + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              hijo["Nodo Hijo"],
-              hijo[year],
-              hijo["Nodo Hijo"],
-              "Comercial",
-              linkColor,
-              year,
-              { flowType: "to_comercial_secondary" },
-            ),
-          );
-        }
-      }
-    });
-  }
+// Nodos del diagrama que no cierran para el año del modelo
+function getBalanceFlags(model, year) {
+  const report = getBalanceReport(year);
+  if (!report || report.valid) return [];
+  return balanceValidator.getFlaggedNodes(report, model.nodes, {
+    energetic: selectedEnergetic,
+    formatValue: (value) => unitConverter.format(value, { year }),
+  });
+}
 
-  // --- NODO PÚBLICO ---
-  const publicoNodeData = dataManager.getNodeData("Público");
-  if (publicoNodeData && publicoNodeData["Nodos Hijo"]) {
-    // Crear nodo Transporte
-    // Calcular el valor total sumando los valores absolutos
-    const totalValue = publicoNodeData["Nodos Hijo"].reduce((sum, item) => {
-      return sum + Math.abs(parseFloat(item[year]) || 0);
-    }, 0);
-
-    // Formatear el valor con 2 decimales
-    const formattedValue = totalValue.toLocaleString("es-MX", {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
+// Mostrar las identidades que no cierran en el año seleccionado
+function renderBalanceReport(year) {
+  const report = getBalanceReport(year);
+  balanceReportDiv.innerHTML = "";
+  if (!report) return;
+
+  const unit = unitConverter.getUnit();
+  const format = (value) => unitConverter.formatNumber(value, { year });
+
+  if (report.failures.length > 0) {
+    const table = document.createElement("table");
+    const header = table.createTHead().insertRow();
+    ["Identidad", "Energético", `Esperado (${unit})`, `Reportado (${unit})`, "Residuo", "Tolerancia"].forEach((text) => {
+      const th = document.createElement("th");
+      th.textContent = text;
+      header.appendChild(th);
     });
 
-    // Crear nodo con el valor en el nombre (con salto de línea HTML)
-    const publicoIndex = addNode(
-      `${publicoNodeData["Nodo Padre"]}<br>(${formattedValue} PJ)`,
-      publicoNodeData.color,
-    );
-    nodeX[publicoIndex] = 0.9;
-    nodeY[publicoIndex] = 0.6;
-
-    // Calcular el total sumando los valores de los hijos
-    const totalPublico = publicoNodeData["Nodos Hijo"].reduce((sum, hijo) => {
-      return sum + (parseFloat(hijo[year]) || 0);
-    }, 0);
-
-    // Crear un objeto con el formato esperado por la plantilla simple_source
-    const popupData = {
-      label: "Sector Público", // Cambiamos esto
-      total: totalPublico,
-      unit: "PJ", // Ajusta la unidad según corresponda
-    };
-
-    // Generar el popup
-    nodeCustomdata[publicoIndex] = popupManager.generateNodePopup(
-      "Sector Público", // Y aquí también
-      popupData, // Pasamos los datos formateados
-      year,
-      popupData, // Mismos datos para el desglose
-      "text",
-      "Todos",
-      "simple_source",
-    );
-    // Crear enlaces desde energéticos primarios
-    // Después de crear los nodos de energía primaria y tener el mapa energeticNodesMap
-
-    // --- Crear enlaces desde los nodos de energía primaria al nodo Industrial ---
-    if (publicoNodeData && publicoNodeData["Nodos Hijo"]) {
-      publicoNodeData["Nodos Hijo"].forEach((hijo) => {
-        if (hijo.tipo === "Energía Primaria" && hijo[year] > 0) {
-          const sourceNodeIndex = energeticNodesMap.get(hijo["Nodo Hijo"]);
-          const publicoNodeIndex = nodeMap.get(publicoNodeData["Nodo Padre"]);
-
-          if (sourceNodeIndex !== undefined && publicoNodeIndex !== undefined) {
-            const linkColor =
-              styleManager.getEnergyColor(hijo["Nodo Hijo"]) ||
-              hijo.color ||
-              "#999999";
-            const linkValue = Math.log10(parseFloat(hijo[year]) + 1);
-
-            source.push(sourceNodeIndex);
-            target.push(publicoNodeIndex);
-            value.push(linkValue);
-            linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-            // Crear el popup para el enlace
-            linkCustomdata.push(
-              popupManager.generateLinkPopup(
-                hijo["Nodo Hijo"],
-                parseFloat(hijo[year]),
-                hijo["Nodo Hijo"],
-                publicoNodeData["Nodo Padre"],
-                linkColor,
-                year,
-                {
-                  flowType: "sector_industrial",
-                  template: "simple",
-                },
-              ),
-            );
-          }
-        }
+    const body = table.createTBody();
+    report.failures.forEach((failure) => {
+      const row = body.insertRow();
+      [failure.label, failure.carrier || "—"].forEach((text) => {
+        row.insertCell().textContent = text;
       });
-    }
-
-    // Crear enlaces desde energéticos secundarios
-    publicoNodeData["Nodos Hijo"].forEach((hijo) => {
-      if (hijo.tipo === "Energía Secundaria" && hijo[year] > 0) {
-        const sourceNodeIndex = secondaryEnergeticNodesMap.get(
-          hijo["Nodo Hijo"],
-        );
-        if (sourceNodeIndex !== undefined) {
-          const linkColor =
-            styleManager.getEnergyColor(hijo["Nodo Hijo"]) || "#999999";
-
-          source.push(sourceNodeIndex);
-          target.push(publicoIndex);
-          value.push(Math.log10(hijo[year] + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              hijo["Nodo Hijo"],
-              hijo[year],
-              hijo["Nodo Hijo"],
-              "Público",
-              linkColor,
-              year,
-              { flowType: "to_publico_secondary" },
-            ),
-          );
-        }
-      }
-    });
-  }
-
-  // --- NODO RESIDENCIAL ---
-  const residencialNodeData = dataManager.getNodeData("Residencial");
-  if (residencialNodeData && residencialNodeData["Nodos Hijo"]) {
-    // Calcular el valor total sumando los valores absolutos
-    const totalValue = residencialNodeData["Nodos Hijo"].reduce((sum, item) => {
-      return sum + Math.abs(parseFloat(item[year]) || 0);
-    }, 0);
-
-    // Formatear el valor con 2 decimales
-    const formattedValue = totalValue.toLocaleString("es-MX", {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    });
-
-    // Crear nodo con el valor en el nombre (con salto de línea HTML)
-    const residencialIndex = addNode(
-      `${residencialNodeData["Nodo Padre"]}<br>(${formattedValue} PJ)`,
-      residencialNodeData.color,
-    );
-    nodeX[residencialIndex] = 0.9;
-    nodeY[residencialIndex] = 0.7;
-
-    // Calcular el total sumando los valores de los hijos
-    const totalResidencial = residencialNodeData["Nodos Hijo"].reduce(
-      (sum, hijo) => {
-        return sum + (parseFloat(hijo[year]) || 0);
-      },
-      0,
-    );
-
-    // Crear un objeto con el formato esperado por la plantilla simple_source
-    const popupData = {
-      label: "Sector Residencial",
-      total: totalResidencial,
-      unit: "PJ",
-    };
-
-    // Generar el popup
-    nodeCustomdata[residencialIndex] = popupManager.generateNodePopup(
-      "Sector Residencial",
-      popupData,
-      year,
-      popupData,
-      "text",
-      "Todos",
-      "simple_source",
-    );
-    // Crear enlaces desde energéticos primarios
-    // Después de crear los nodos de energía primaria y tener el mapa energeticNodesMap
-
-    // --- Crear enlaces desde los nodos de energía primaria al nodo Industrial ---
-    if (residencialNodeData && residencialNodeData["Nodos Hijo"]) {
-      residencialNodeData["Nodos Hijo"].forEach((hijo) => {
-        if (hijo.tipo === "Energía Primaria" && hijo[year] > 0) {
-          const sourceNodeIndex = energeticNodesMap.get(hijo["Nodo Hijo"]);
-          const publicoNodeIndex = nodeMap.get(
-            residencialNodeData["Nodo Padre"],
-          );
-
-          if (sourceNodeIndex !== undefined && publicoNodeIndex !== undefined) {
-            const linkColor =
-              styleManager.getEnergyColor(hijo["Nodo Hijo"]) ||
-              hijo.color ||
-              "#999999";
-            const linkValue = Math.log10(parseFloat(hijo[year]) + 1);
-
-            source.push(sourceNodeIndex);
-            target.push(publicoNodeIndex);
-            value.push(linkValue);
-            linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-            // Crear el popup para el enlace
-            linkCustomdata.push(
-              popupManager.generateLinkPopup(
-                hijo["Nodo Hijo"],
-                parseFloat(hijo[year]),
-                hijo["Nodo Hijo"],
-                residencialNodeData["Nodo Padre"],
-                linkColor,
-                year,
-                {
-                  flowType: "sector_industrial",
-                  template: "simple",
-                },
-              ),
-            );
-          }
-        }
+      [failure.expected, failure.actual, failure.residual, failure.tolerance].forEach((value) => {
+        const cell = row.insertCell();
+        cell.className = "number";
+        cell.textContent = format(value);
       });
-    }
-
-    // Crear enlaces desde energéticos secundarios
-    residencialNodeData["Nodos Hijo"].forEach((hijo) => {
-      if (hijo.tipo === "Energía Secundaria" && hijo[year] > 0) {
-        const sourceNodeIndex = secondaryEnergeticNodesMap.get(
-          hijo["Nodo Hijo"],
-        );
-        if (sourceNodeIndex !== undefined) {
-          const linkColor =
-            styleManager.getEnergyColor(hijo["Nodo Hijo"]) || "#999999";
-
-          source.push(sourceNodeIndex);
-          target.push(residencialIndex);
-          value.push(Math.log10(hijo[year] + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              hijo["Nodo Hijo"],
-              hijo[year],
-              hijo["Nodo Hijo"],
-              "Residencial",
-              linkColor,
-              year,
-              { flowType: "to_residencial_secondary" },
-            ),
-          );
-        }
-      }
     });
+    balanceReportDiv.appendChild(table);
   }
 
-  // --- NODO Petroquímica Pemex ---
-  const petroquimicaNodeData = dataManager.getNodeData("Petroquímica Pemex");
-  if (petroquimicaNodeData && petroquimicaNodeData["Nodos Hijo"]) {
-    // Calcular el valor total sumando los valores absolutos
-    const totalValue = petroquimicaNodeData["Nodos Hijo"].reduce(
-      (sum, item) => {
-        return sum + Math.abs(parseFloat(item[year]) || 0);
-      },
-      0,
-    );
-
-    // Formatear el valor con 2 decimales
-    const formattedValue = totalValue.toLocaleString("es-MX", {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    });
-
-    // Crear nodo con el valor en el nombre
-    const petroquimicaIndex = addNode(
-      `${petroquimicaNodeData["Nodo Padre"]} <br>(${formattedValue} PJ)`,
-      petroquimicaNodeData.color,
-    );
-    nodeX[petroquimicaIndex] = 0.9;
-    nodeY[petroquimicaIndex] = 0.8;
-
-    // Calcular el total sumando los valores de los hijos
-    const totalPetroquimica = petroquimicaNodeData["Nodos Hijo"].reduce(
-      (sum, hijo) => {
-        return sum + (parseFloat(hijo[year]) || 0);
-      },
-      0,
-    );
-
-    // Crear un objeto con el formato esperado por la plantilla simple_source
-    const popupData = {
-      label: "Sector Petroquímica Pemex",
-      total: totalPetroquimica,
-      unit: "PJ",
-    };
-
-    // Generar el popup
-    nodeCustomdata[petroquimicaIndex] = popupManager.generateNodePopup(
-      "Sector Petroquímica Pemex",
-      popupData,
-      year,
-      popupData,
-      "text",
-      "Todos",
-      "simple_source",
-    );
+  const note = document.createElement("p");
+  note.className = "balance-report-note";
+  note.textContent = report.valid
+    ? `Las ${report.checked} verificaciones de ${report.year} cierran.`
+    : `${report.failures.length} de ${report.checked} verificaciones de ${report.year} no cierran.`;
+  note.textContent += ` Tolerancia: ±${unitConverter.format(report.tolerance.absolute, { year })}` +
+    ` o ${report.tolerance.relative * 100}% del mayor término.`;
+  balanceReportDiv.appendChild(note);
+}
 
-    // --- Crear enlaces desde los nodos de energía primaria al nodo Petroquímica ---
-    if (petroquimicaNodeData && petroquimicaNodeData["Nodos Hijo"]) {
-      petroquimicaNodeData["Nodos Hijo"].forEach((hijo) => {
-        if (hijo.tipo === "Energía Primaria" && hijo[year] > 0) {
-          const sourceNodeIndex = energeticNodesMap.get(hijo["Nodo Hijo"]);
-
-          if (sourceNodeIndex !== undefined) {
-            const linkColor =
-              styleManager.getEnergyColor(hijo["Nodo Hijo"]) ||
-              hijo.color ||
-              "#999999";
-            const linkValue = Math.log10(parseFloat(hijo[year]) + 1);
-
-            source.push(sourceNodeIndex);
-            target.push(petroquimicaIndex);
-            value.push(linkValue);
-            linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-            // Crear el popup para el enlace
-            linkCustomdata.push(
-              popupManager.generateLinkPopup(
-                hijo["Nodo Hijo"],
-                parseFloat(hijo[year]),
-                hijo["Nodo Hijo"],
-                petroquimicaNodeData["Nodo Padre"],
-                linkColor,
-                year,
-                {
-                  flowType: "to_petroquimica_primary",
-                  template: "simple",
-                },
-              ),
-            );
-          }
-        }
-      });
+// Importar un balance arrastrando el archivo a la página o con el selector de archivos
+function initializeDatasetImport() {
+  const importButton = document.getElementById("import-data-btn");
+  const importInput = document.getElementById("import-data-input");
+  const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes("Files");
+  let dragDepth = 0;
+
+  importButton.addEventListener("click", () => importInput.click());
+  importInput.addEventListener("change", () => {
+    if (importInput.files.length > 0) {
+      importDataset(importInput.files[0]);
     }
+    importInput.value = "";
+  });
 
-    // Crear enlaces desde energéticos secundarios
-    petroquimicaNodeData["Nodos Hijo"].forEach((hijo) => {
-      if (hijo.tipo === "Energía Secundaria" && hijo[year] > 0) {
-        const sourceNodeIndex = secondaryEnergeticNodesMap.get(
-          hijo["Nodo Hijo"],
-        );
-        if (sourceNodeIndex !== undefined) {
-          const linkColor =
-            styleManager.getEnergyColor(hijo["Nodo Hijo"]) || "#999999";
-
-          source.push(sourceNodeIndex);
-          target.push(petroquimicaIndex);
-          value.push(Math.log10(hijo[year] + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              hijo["Nodo Hijo"],
-              hijo[year],
-              hijo["Nodo Hijo"],
-              "Petroquímica Pemex",
-              linkColor,
-              year,
-              { flowType: "to_petroquimica_secondary" },
-            ),
-          );
-        }
-      }
-    });
-  }
-
-  // --- NODO Otras ramas económicas ---
-  const otrasRamasEconomicasNodeData = dataManager.getNodeData(
-    "Otras ramas económicas",
-  );
-  if (
-    otrasRamasEconomicasNodeData &&
-    otrasRamasEconomicasNodeData["Nodos Hijo"]
-  ) {
-    // Calcular el valor total sumando los valores absolutos
-    const totalValue = otrasRamasEconomicasNodeData["Nodos Hijo"].reduce(
-      (sum, item) => {
-        return sum + Math.abs(parseFloat(item[year]) || 0);
-      },
-      0,
-    );
+  document.addEventListener("dragenter", (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    dragDepth++;
+    document.body.classList.add("dataset-dragging");
+  });
+  document.addEventListener("dragover", (event) => {
+    if (hasFiles(event)) event.preventDefault();
+  });
+  document.addEventListener("dragleave", (event) => {
+    if (!hasFiles(event)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) document.body.classList.remove("dataset-dragging");
+  });
+  document.addEventListener("drop", (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    dragDepth = 0;
+    document.body.classList.remove("dataset-dragging");
+    if (event.dataTransfer.files.length > 0) {
+      importDataset(event.dataTransfer.files[0]);
+    }
+  });
+}
 
-    // Formatear el valor con 2 decimales
-    const formattedValue = totalValue.toLocaleString("es-MX", {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
+// Cargar un archivo de datos en el DataManager y volver a dibujar la vista actual;
+// el archivo queda en el selector de conjuntos para volver a él sin importarlo de nuevo
+function importDataset(file) {
+  const importStatus = document.getElementById("import-status");
+  const importer = new DatasetImporter({ template: dataManager.rawData });
+
+  importStatus.classList.remove("error");
+  importStatus.textContent = `Importando ${file.name}...`;
+
+  return importer
+    .importFile(file)
+    .then(({ data, warnings }) => {
+      const state = collectViewState();
+      // Pasa por la misma validación y procesamiento que el JSON del repositorio
+      dataManager.loadData(data);
+      const dataset = datasetRegistry.registerFile(file.name, data);
+      return activateDataset(dataset.id, state).then(() => reportDatasetStatus(file.name, warnings));
+    })
+    .catch((error) => {
+      console.error("Error al importar datos:", error);
+      importStatus.classList.add("error");
+      importStatus.textContent = `No se pudo importar ${file.name}`;
+      importStatus.title = error.message;
+      alert(`No se pudo importar "${file.name}": ${error.message}`);
     });
+}
 
-    // Crear nodo con el valor en el nombre
-    const otrasRamasEconomicasIndex = addNode(
-      `${otrasRamasEconomicasNodeData["Nodo Padre"]}<br>(${formattedValue} PJ)`,
-      otrasRamasEconomicasNodeData.color,
-    );
-    nodeX[otrasRamasEconomicasIndex] = 0.9;
-    nodeY[otrasRamasEconomicasIndex] = 0.85;
-    // Calcular el total sumando los valores de los hijos
-    const totalOtrasRamasEconomicas = otrasRamasEconomicasNodeData[
-      "Nodos Hijo"
-    ].reduce((sum, hijo) => {
-      return sum + (parseFloat(hijo[year]) || 0);
-    }, 0);
-
-    // Crear un objeto con el formato esperado por la plantilla simple_source
-    const popupData = {
-      label: "Sector Otras ramas económicas", // Cambiamos esto
-      total: totalOtrasRamasEconomicas,
-      unit: "PJ", // Ajusta la unidad según corresponda
-    };
+// Poblar el selector de conjuntos de datos y cambiar de conjunto al elegir otro
+function initializeDatasetSelector() {
+  fillDatasetOptions();
+  datasetSelector.addEventListener("change", (event) => {
+    switchDataset(event.target.value).then(() => syncUrlState());
+  });
+}
 
-    // Generar el popup
-    nodeCustomdata[otrasRamasEconomicasIndex] = popupManager.generateNodePopup(
-      "Sector Otras ramas económicas", // Y aquí también
-      popupData, // Pasamos los datos formateados
-      year,
-      popupData, // Mismos datos para el desglose
-      "text",
-      "Todos",
-      "simple_source",
-    );
-    // Crear enlaces desde energéticos primarios
-    // Después de crear los nodos de energía primaria y tener el mapa energeticNodesMap
-
-    // --- Crear enlaces desde los nodos de energía primaria al nodo Otras ramas económicas ---
-    if (
-      otrasRamasEconomicasNodeData &&
-      otrasRamasEconomicasNodeData["Nodos Hijo"]
-    ) {
-      otrasRamasEconomicasNodeData["Nodos Hijo"].forEach((hijo) => {
-        if (hijo.tipo === "Energía Primaria" && hijo[year] > 0) {
-          const sourceNodeIndex = energeticNodesMap.get(hijo["Nodo Hijo"]);
-
-          if (sourceNodeIndex !== undefined) {
-            const linkColor =
-              styleManager.getEnergyColor(hijo["Nodo Hijo"]) ||
-              hijo.color ||
-              "#999999";
-            const linkValue = Math.log10(parseFloat(hijo[year]) + 1);
-
-            source.push(sourceNodeIndex);
-            target.push(otrasRamasEconomicasIndex);
-            value.push(linkValue);
-            linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-            // Crear el popup para el enlace
-            linkCustomdata.push(
-              popupManager.generateLinkPopup(
-                hijo["Nodo Hijo"],
-                parseFloat(hijo[year]),
-                hijo["Nodo Hijo"],
-                otrasRamasEconomicasNodeData["Nodo Padre"],
-                linkColor,
-                year,
-                {
-                  flowType: "to_otras_ramas_economicas_primary",
-                  template: "simple",
-                },
-              ),
-            );
-          }
-        }
-      });
-    }
+// Crear las opciones del selector con los conjuntos registrados
+function fillDatasetOptions() {
+  datasetSelector.innerHTML = "";
+  datasetRegistry.getDatasets().forEach((dataset) => {
+    const option = document.createElement("option");
+    option.value = dataset.id;
+    option.textContent = dataset.label;
+    option.title = dataset.description || dataset.url || dataset.label;
+    datasetSelector.appendChild(option);
+  });
+  datasetSelector.value = currentDatasetId;
+  if (revisionPanel) fillRevisionOptions();
+}
 
-    // Crear enlaces desde energéticos secundarios
-    otrasRamasEconomicasNodeData["Nodos Hijo"].forEach((hijo) => {
-      if (hijo.tipo === "Energía Secundaria" && hijo[year] > 0) {
-        const sourceNodeIndex = secondaryEnergeticNodesMap.get(
-          hijo["Nodo Hijo"],
-        );
-        if (sourceNodeIndex !== undefined) {
-          const linkColor =
-            styleManager.getEnergyColor(hijo["Nodo Hijo"]) || "#999999";
-
-          source.push(sourceNodeIndex);
-          target.push(otrasRamasEconomicasIndex);
-          value.push(Math.log10(hijo[year] + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              hijo["Nodo Hijo"],
-              hijo[year],
-              hijo["Nodo Hijo"],
-              "Otras ramas económicas",
-              linkColor,
-              year,
-              { flowType: "to_otras_Ramas_economicas_secondary" },
-            ),
-          );
-        }
-      }
+// Descargar (o tomar del registro) un conjunto de datos y mostrarlo con la vista actual;
+// si no se puede cargar se conserva el conjunto anterior
+function switchDataset(datasetId, state = collectViewState()) {
+  const importStatus = document.getElementById("import-status");
+  const dataset = datasetRegistry.getDataset(datasetId);
+  const label = dataset ? dataset.label : datasetId;
+
+  importStatus.classList.remove("error");
+  importStatus.textContent = `Cargando ${label}...`;
+
+  return datasetRegistry
+    .load(datasetId, { template: dataManager.rawData })
+    .then(({ data, warnings }) => {
+      dataManager.loadData(data);
+      return activateDataset(datasetId, state).then(() => reportDatasetStatus(label, warnings));
+    })
+    .catch((error) => {
+      console.error("Error al cargar el conjunto de datos:", error);
+      datasetSelector.value = currentDatasetId;
+      importStatus.classList.add("error");
+      importStatus.textContent = `No se pudo cargar ${label}`;
+      importStatus.title = error.message;
     });
-  }
-
-  // --- Y AQUÍ GENERAREMOS LOS ENLACES ---
-  // Enlaces de Importación a energéticos primarios de Oferta Interna Bruta
-  if (
-    importacionNodeData &&
-    ofertaInternaBrutaFullData &&
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-  ) {
-    const primaryEnergeticsInOIB = ofertaInternaBrutaFullData[
-      "Nodos Hijo"
-    ].filter((child) => child.tipo === "Energía Primaria");
-
-    primaryEnergeticsInOIB.forEach((energetic) => {
-      const energeticName = energetic["Nodo Hijo"];
-      const energeticValueFromImportacion = dataManager.getEnergeticValue(
-        "Importación",
-        energeticName,
-        year,
-      );
+}
 
-      if (
-        energeticValueFromImportacion !== null &&
-        energeticValueFromImportacion > 0
-      ) {
-        const linkColor =
-          styleManager.getEnergyColor(energeticName) || energetic.color;
-        console.log(
-          `[DEBUG - Enlace Importación]Energético: ${energeticName}, Color de enlace: ${linkColor} `,
-        );
-        source.push(nodeMap.get("Importación"));
-        target.push(energeticNodesMap.get(energeticName));
-        value.push(Math.log10(energeticValueFromImportacion + 1));
-        linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-        linkCustomdata.push(
-          popupManager.generateLinkPopup(
-            energeticName,
-            energeticValueFromImportacion,
-            "Importación",
-            energeticName,
-            linkColor,
-            year,
-            { flowType: "primary_supply" },
-          ),
-        );
-      }
-    });
-  }
+// Reiniciar colores, controles y diagramas para los datos recién cargados en el DataManager
+function activateDataset(datasetId, state) {
+  currentDatasetId = datasetId;
+  fillDatasetOptions();
+  clearRevisionReport();
 
-  // Enlaces de Producción a energéticos primarios de Oferta Interna Bruta
-  if (
-    produccionNodeData &&
-    ofertaInternaBrutaFullData &&
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-  ) {
-    const primaryEnergeticsInOIB = ofertaInternaBrutaFullData[
-      "Nodos Hijo"
-    ].filter((child) => child.tipo === "Energía Primaria");
-
-    primaryEnergeticsInOIB.forEach((energetic) => {
-      const energeticName = energetic["Nodo Hijo"];
-      const energeticValueFromProduccion = dataManager.getEnergeticValue(
-        "Producción",
-        energeticName,
-        year,
-      );
+  // Los colores asignados a energéticos del conjunto anterior no se conservan
+  styleManager.reset();
+  seriesPanel.close();
+  [primaryDiagram, compareDiagram].filter(Boolean).forEach((diagram) => diagram.destroy());
 
-      if (
-        energeticValueFromProduccion !== null &&
-        energeticValueFromProduccion > 0
-      ) {
-        const linkColor =
-          styleManager.getEnergyColor(energeticName) || energetic.color;
-        console.log(
-          `[DEBUG - Enlace Producción]Energético: ${energeticName}, Color de enlace: ${linkColor} `,
-        );
-        source.push(nodeMap.get("Producción"));
-        target.push(energeticNodesMap.get(energeticName));
-        value.push(Math.log10(energeticValueFromProduccion + 1));
-        linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-        linkCustomdata.push(
-          popupManager.generateLinkPopup(
-            energeticName,
-            energeticValueFromProduccion,
-            "Producción",
-            energeticName,
-            linkColor,
-            year,
-            { flowType: "primary_supply" },
-          ),
-        );
-      }
-    });
-  }
+  fillEnergeticOptions();
+  filterPanel.setGroups(sankeyBuilder.getFilterGroups());
+  refreshDatasetControls();
+  runBalanceValidation();
 
-  // Enlaces de Variación de Inventarios a energéticos primarios de Oferta Interna Bruta
-  if (
-    variacionNodeData &&
-    ofertaInternaBrutaFullData &&
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-  ) {
-    const primaryEnergeticsInOIB = ofertaInternaBrutaFullData[
-      "Nodos Hijo"
-    ].filter((child) => child.tipo === "Energía Primaria");
-
-    primaryEnergeticsInOIB.forEach((energetic) => {
-      const energeticName = energetic["Nodo Hijo"];
-      const energeticValueFromVariacion = dataManager.getEnergeticValue(
-        "Variación de Inventarios",
-        energeticName,
-        year,
-      );
+  return applyViewState(state);
+}
 
-      // Los valores de variación pueden ser negativos, pero Plotly espera valores positivos para `value`
-      // El signo se manejará en el popup.
-      if (
-        energeticValueFromVariacion !== null &&
-        Math.abs(energeticValueFromVariacion) > 0
-      ) {
-        const linkColor =
-          styleManager.getEnergyColor(energeticName) || energetic.color;
-        console.log(
-          `[DEBUG - Enlace Variación]Energético: ${energeticName}, Color de enlace: ${linkColor} `,
-        );
-        source.push(nodeMap.get("Variación de Inventarios"));
-        target.push(energeticNodesMap.get(energeticName));
-        value.push(Math.log10(Math.abs(energeticValueFromVariacion) + 1));
-        linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-        linkCustomdata.push(
-          popupManager.generateLinkPopup(
-            energeticName,
-            energeticValueFromVariacion,
-            "Variación de Inventarios",
-            energeticName,
-            linkColor,
-            year,
-            { flowType: "primary_supply" },
-          ),
-        );
-      }
-    });
-  }
+// Comparar el conjunto activo con otra edición, descargar el reporte y resaltar los flujos revisados
+function initializeRevisionControls() {
+  datasetComparator = new DatasetComparator();
+  revisionPanel = new RevisionPanel(revisionReportDiv, { unitConverter });
+  fillRevisionOptions();
 
-  // Enlaces de energéticos primarios a Centrales Eléctricas
-  if (
-    centraleselectricasNodeData &&
-    ofertaInternaBrutaFullData &&
-    ofertaInternaBrutaFullData["Nodos Hijo"]
-  ) {
-    const primaryEnergeticsInOIB = ofertaInternaBrutaFullData["Nodos Hijo"].filter(
-      (child) => child.tipo === "Energía Primaria",
+  revisionCompareBtn.addEventListener("click", () => compareWithDataset(revisionBaseSelector.value));
+  revisionHighlightToggle.addEventListener("change", (event) => {
+    highlightRevisions = event.target.checked;
+    updateSankey(yearSelector.value);
+  });
+  revisionCsvBtn.addEventListener("click", () => {
+    if (!revisionReport) return;
+    const base = datasetRegistry.getDataset(revisionReport.baseId);
+    // El BOM permite abrir los acentos correctamente en Excel
+    downloadTextFile(
+      "\ufeff" + datasetComparator.toCsv(revisionReport),
+      `revisiones_${toFileSlug(base.label)}_${toFileSlug(datasetRegistry.getDataset(currentDatasetId).label)}.csv`,
+      "text/csv",
     );
+  });
+}
 
-    primaryEnergeticsInOIB.forEach((energetic) => {
-      const energeticName = energetic["Nodo Hijo"];
-      const energeticValueToCentraleselectricas = dataManager.getEnergeticValue(
-        "Centrales Eléctricas",
-        energeticName,
-        year,
-      );
-      console.log(
-        `[DEBUG - Flujo Centrales Eléctricas] ${energeticName}: ${energeticValueToCentraleselectricas} `,
-      );
-      if (
-        energeticValueToCentraleselectricas !== null &&
-        Math.abs(energeticValueToCentraleselectricas) > 0
-      ) {
-        const linkColor =
-          styleManager.getEnergyColor(energeticName) || energetic.color;
-        console.log(
-          `[DEBUG - Enlace Centrales Eléctricas]Energético: ${energeticName}, Color de enlace: ${linkColor} `,
-        );
-        source.push(energeticNodesMap.get(energeticName));
-        target.push(nodeMap.get("Centrales Eléctricas"));
-        value.push(
-          Math.log10(Math.abs(energeticValueToCentraleselectricas) + 1),
-        );
-        linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-        linkCustomdata.push(
-          popupManager.generateLinkPopup(
-            energeticName,
-            energeticValueToCentraleselectricas,
-            energeticName,
-            "Centrales Eléctricas",
-            linkColor,
-            year,
-            { flowType: "primary_demand" },
-          ),
-        );
-      }
-    });
+// Listar como ediciones de referencia los conjuntos distintos del activo
+function fillRevisionOptions() {
+  const datasets = datasetRegistry.getDatasets().filter((dataset) => dataset.id !== currentDatasetId);
+  const selected = revisionBaseSelector.value;
+  revisionBaseSelector.innerHTML = "";
+  datasets.forEach((dataset) => {
+    const option = document.createElement("option");
+    option.value = dataset.id;
+    option.textContent = dataset.label;
+    revisionBaseSelector.appendChild(option);
+  });
+  if (datasets.some((dataset) => dataset.id === selected)) {
+    revisionBaseSelector.value = selected;
   }
+  revisionCompareBtn.disabled = datasets.length === 0;
+  revisionCompareBtn.title = datasets.length === 0
+    ? "Importa otra edición o agrégala en datasets.json para compararla"
+    : "";
+}
 
-  // Enlaces desde Coquizadoras y Hornos a Centrales Eléctricas (solo secundarios que realmente existen en Coquizadoras)
-  if (coquizadorasyhornosNodeData && centraleselectricasNodeData) {
-    // Obtenemos los hijos secundarios que realmente existen en Coquizadoras
-    const secundarios = (
-      coquizadorasyhornosNodeData["Nodos Hijo"] || []
-    ).filter((energetic) => {
-      // Verificar si es un energético secundario
-      const isSecondary = energetic.tipo === "Energía Secundaria";
-
-      // Verificar si tiene valor para el año actual
-      const hasValue =
-        energetic[year] !== undefined &&
-        energetic[year] !== null &&
-        energetic[year] > 0;
-
-      console.log(
-        `[DEBUG] ${coquizadorasyhornosNodeData["Nodo Padre"]} - ${energetic["Nodo Hijo"]}: `,
-        `tipo=${energetic.tipo}, valor=${energetic[year]}, ` +
-          `esSecundario=${isSecondary}, tieneValor=${hasValue}`,
-      );
-
-      return isSecondary && hasValue;
-    });
-
-    // Para cada energético secundario que existe en Coquizadoras, creamos el enlace
-    secundarios.forEach((energetic) => {
-      const energeticName = energetic["Nodo Hijo"];
-      // Obtenemos el valor directamente de Coquizadoras
-      const energeticValue = dataManager.getEnergeticValue(
-        "Coquizadoras y Hornos",
-        energeticName,
-        year,
-      );
-
-      const linkColor = styleManager.getEnergyColor(energeticName) || "#999999";
-
-      source.push(nodeMap.get("Coquizadoras y Hornos"));
-      target.push(nodeMap.get("Centrales Eléctricas"));
-      value.push(Math.log10(energeticValue + 1));
-      linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-      linkCustomdata.push(
-        popupManager.generateLinkPopup(
-          energeticName,
-          energeticValue,
-          "Coquizadoras y Hornos",
-          "Centrales Eléctricas",
-          linkColor,
-          year,
-          { flowType: "secondary_supply" },
-        ),
-      );
+// Calcular las revisiones del conjunto activo respecto a la edición elegida
+function compareWithDataset(baseId) {
+  const base = datasetRegistry.getDataset(baseId);
+  if (!base) return Promise.resolve();
+  const current = datasetRegistry.getDataset(currentDatasetId);
+
+  revisionCompareBtn.disabled = true;
+  return datasetRegistry
+    .load(baseId, { template: dataManager.rawData })
+    .then(({ data }) => {
+      revisionReport = { ...datasetComparator.compare(new DataManager(data), dataManager), baseId };
+      revisionPanel.render(revisionReport, `${base.label} → ${current.label}`);
+      revisionHighlightToggle.disabled = false;
+      revisionCsvBtn.disabled = false;
+      if (highlightRevisions) updateSankey(yearSelector.value);
+    })
+    .catch((error) => {
+      console.error("Error al comparar conjuntos de datos:", error);
+      revisionReportDiv.textContent = `No se pudo comparar con ${base.label}: ${error.message}`;
+    })
+    .finally(() => {
+      revisionCompareBtn.disabled = false;
     });
-  }
+}
 
-  // Enlaces desde Refinerías y Despuntadoras a Centrales Eléctricas
-  if (refinerasydespuntadorasNodeData && centraleselectricasNodeData) {
-    // Obtenemos los hijos secundarios que realmente existen en Refinerías
-    const secundarios = (
-      refinerasydespuntadorasNodeData["Nodos Hijo"] || []
-    ).filter((energetic) => {
-      const valorEnRefinerias = dataManager.getEnergeticValue(
-        "Refinerías y Despuntadoras",
-        energetic["Nodo Hijo"],
-        year,
-      );
-      return (
-        energetic.tipo === "Energía Secundaria" &&
-        valorEnRefinerias !== null &&
-        Math.abs(valorEnRefinerias) > 0
-      );
-    });
+// Descartar el reporte de revisiones (al cambiar el conjunto activo deja de ser válido)
+function clearRevisionReport() {
+  revisionReport = null;
+  highlightRevisions = false;
+  revisionHighlightToggle.checked = false;
+  revisionHighlightToggle.disabled = true;
+  revisionCsvBtn.disabled = true;
+  revisionPanel.render(null);
+}
 
-    // Para cada energético secundario que existe en Refinerías, creamos el enlace
-    secundarios.forEach((energetic) => {
-      const energeticName = energetic["Nodo Hijo"];
-      const energeticValue = dataManager.getEnergeticValue(
-        "Refinerías y Despuntadoras",
-        energeticName,
-        year,
-      );
+// Flujos revisados de un año para resaltarlos en el diagrama (null si no se resaltan)
+function getRevisedFlows(year) {
+  return highlightRevisions && revisionReport ? datasetComparator.getRevisedFlows(revisionReport, year) : null;
+}
 
-      const linkColor = styleManager.getEnergyColor(energeticName) || "#999999";
-
-      source.push(nodeMap.get("Refinerías y Despuntadoras"));
-      target.push(nodeMap.get("Centrales Eléctricas"));
-      value.push(Math.log10(energeticValue + 1));
-      linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-      linkCustomdata.push(
-        popupManager.generateLinkPopup(
-          energeticName,
-          energeticValue,
-          "Refinerías y Despuntadoras",
-          "Centrales Eléctricas",
-          linkColor,
-          year,
-          { flowType: "secondary_supply" },
-        ),
-      );
-    });
+// Mostrar los años cargados, las advertencias y el cierre contable del conjunto activo
+function reportDatasetStatus(label, loadWarnings = []) {
+  const importStatus = document.getElementById("import-status");
+  // Incluye los ids repetidos y los nombres sin resolver del registro de nombres
+  const warnings = [...loadWarnings, ...nameRegistry.getWarnings()];
+  const years = dataManager.getAvailableYears();
+  const failedYears = balanceValidation.failedYears.length;
+
+  importStatus.textContent = `${label}: ${years.length} años` +
+    (warnings.length > 0 ? `, ${warnings.length} advertencias` : "") +
+    (failedYears > 0 ? `, el balance no cierra en ${failedYears} años` : ", el balance cierra");
+  importStatus.title = warnings.join("\n");
+  if (warnings.length > 0) {
+    console.warn(`Advertencias al cargar ${label}:`, warnings);
   }
+}
 
-  // Enlaces desde Plantas de Gas y Fraccionadoras a Centrales Eléctricas
-  if (plantasdegasyfraccionadorasNodeData && centraleselectricasNodeData) {
-    // Obtenemos los hijos secundarios que realmente existen en Plantas de Gas
-    const secundarios = (
-      plantasdegasyfraccionadorasNodeData["Nodos Hijo"] || []
-    ).filter((energetic) => {
-      const valorEnPlantas = dataManager.getEnergeticValue(
-        "Plantas de Gas y Fraccionadoras",
-        energetic["Nodo Hijo"],
-        year,
-      );
-      return (
-        energetic.tipo === "Energía Secundaria" &&
-        valorEnPlantas !== null &&
-        Math.abs(valorEnPlantas) > 0
-      );
-    });
-
-    // Para cada energético secundario que existe en Plantas de Gas, creamos el enlace
-    secundarios.forEach((energetic) => {
-      const energeticName = energetic["Nodo Hijo"];
-      const energeticValue = dataManager.getEnergeticValue(
-        "Plantas de Gas y Fraccionadoras",
-        energeticName,
-        year,
-      );
-
-      const linkColor = styleManager.getEnergyColor(energeticName) || "#999999";
-
-      source.push(nodeMap.get("Plantas de Gas y Fraccionadoras"));
-      target.push(nodeMap.get("Centrales Eléctricas"));
-      value.push(Math.log10(energeticValue + 1));
-      linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
-
-      linkCustomdata.push(
-        popupManager.generateLinkPopup(
-          energeticName,
-          energeticValue,
-          "Plantas de Gas y Fraccionadoras",
-          "Centrales Eléctricas",
-          linkColor,
-          year,
-          { flowType: "secondary_supply" },
-        ),
-      );
-    });
-  }
+// Actualizar los controles que dependen de los años disponibles tras cambiar los datos
+function refreshDatasetControls() {
+  const years = dataManager.getAvailableYears();
+  const currentYear = years.includes(yearSelector.value) ? yearSelector.value : years[0];
+  const baseYear = years.includes(compareYearSelector.value) ? compareYearSelector.value : years[years.length - 1];
+
+  fillYearOptions(yearSelector, years);
+  fillYearOptions(compareYearSelector, years);
+  yearSelector.value = currentYear;
+  compareYearSelector.value = baseYear;
+  timelinePlayer.pause();
+  timelinePlayer.setYears(years, currentYear);
+  stableLayout = sankeyBuilder.getStableLayout(years);
+  kpiPanel.refresh();
+  seriesPanel.refresh();
+}
 
-  // --- Enlaces desde nodos de transformación a energéticos secundarios ---
-  const transformationNodes = [
-    "Coquizadoras y Hornos",
-    "Refinerías y Despuntadoras",
-    "Plantas de Gas y Fraccionadoras",
-    "Centrales Eléctricas",
-  ];
-  transformationNodes.forEach((nodeName) => {
-    const nodeData = dataManager.getNodeData(nodeName);
-    console.log(`[DEBUG] Procesando nodo: ${nodeName}`, nodeData);
-
-    if (nodeData && nodeData["Nodos Hijo"]) {
-      // Primero mostramos todos los hijos para depuración
-      console.log(
-        `[DEBUG] Todos los hijos de ${nodeName}:`,
-        nodeData["Nodos Hijo"].map((c) => ({
-          nombre: c["Nodo Hijo"],
-          tipo: c.tipo,
-          isOutput: c.isOutput,
-        })),
-      );
+// Restaurar la vista de la URL al cargar y al navegar con atrás y adelante
+function initializeUrlState() {
+  urlStateManager = new UrlStateManager({
+    // Al navegar a una vista de otro conjunto de datos se carga ese conjunto primero
+    onRestore: (state) => {
+      const datasetId = datasetRegistry.resolve(window.location.search);
+      return datasetId !== currentDatasetId ? switchDataset(datasetId, state) : applyViewState(state);
+    },
+  });
+  urlStateManager.listen();
 
-      // Luego filtramos
-      // Modificar la sección de filtrado de salidas secundarias
-      const outputSecondaries = nodeData["Nodos Hijo"].filter((child) => {
-        // Verificar si es un energético secundario
-        const isSecondary = child.tipo === "Energía Secundaria";
+  // Los cambios de zoom reemplazan la entrada actual del historial al terminar
+  primaryDiagram.on("zoom", () => {
+    clearTimeout(zoomUrlTimer);
+    zoomUrlTimer = setTimeout(() => syncUrlState({ replace: true }), 300);
+  });
 
-        // Verificar si tiene valor para el año actual
-        const hasValue =
-          child[year] !== undefined && child[year] !== null && child[year] > 0;
+  applyViewState(urlStateManager.read());
+}
 
-        console.log(
-          `[DEBUG] ${nodeName} - ${child["Nodo Hijo"]}: `,
-          `tipo=${child.tipo}, valor=${child[year]}, ` +
-            `esSecundario=${isSecondary}, tieneValor=${hasValue}`,
-        );
+// Reunir el estado actual de la vista para guardarlo en la URL
+function collectViewState() {
+  const dataset = datasetRegistry.getDataset(currentDatasetId);
+  return {
+    // Los archivos locales no pueden volver a abrirse desde un enlace
+    dataset: dataset && !dataset.local && dataset.id !== datasetRegistry.getDefaultId() ? dataset.id : null,
+    year: yearSelector.value,
+    view: viewMode,
+    baseYear: compareYearSelector.value,
+    energetic: selectedEnergetic,
+    filters: filterPanel ? filterPanel.getFilters() : {},
+    smallFlows: smallFlows,
+    linkScale: linkScaleManager.getMode() !== DEFAULT_LINK_SCALE ? linkScaleManager.getMode() : null,
+    unit: unitConverter.getUnit() !== DEFAULT_UNIT.unit ? unitConverter.getUnit() : null,
+    decimals: unitConverter.getDecimals() !== DEFAULT_UNIT.decimals ? unitConverter.getDecimals() : null,
+    traceMode: primaryDiagram.getTraceMode(),
+    trace: primaryDiagram.getActiveTraceIds(),
+    zoom: primaryDiagram.zoomManager ? primaryDiagram.zoomManager.getTransform() : null,
+    columnLabels: columnLabelsManager.isEnabled(),
+    emissions: showEmissions,
+  };
+}
 
-        return isSecondary && hasValue;
-      });
+// Guardar la vista actual en la URL; durante la reproducción no se llena el historial
+function syncUrlState(options = {}) {
+  if (!urlStateManager || restoringViewState) return;
+  const replace = options.replace || Boolean(timelinePlayer && timelinePlayer.isPlaying());
+  urlStateManager.update(collectViewState(), { replace });
+}
 
-      console.log(
-        `[DEBUG] ${nodeName} - Salidas secundarias con valor:`,
-        outputSecondaries.map((e) => `${e["Nodo Hijo"]} (${e[year]})`),
-      );
+// Aplicar una vista leída de la URL; los valores desconocidos usan el valor por defecto
+function applyViewState(state) {
+  restoringViewState = true;
 
-      outputSecondaries.forEach((energetic) => {
-        const energeticName = energetic["Nodo Hijo"];
-        console.log(
-          `[DEBUG] Procesando enlace para ${nodeName} -> ${energeticName} `,
-        );
+  const years = dataManager.getAvailableYears();
+  const year = years.includes(state.year) ? state.year : years[0];
+  yearSelector.value = year;
+  if (timelinePlayer) {
+    timelinePlayer.pause();
+    timelinePlayer.goTo(year, { silent: true });
+  }
+  compareYearSelector.value = years.includes(state.baseYear) ? state.baseYear : years[years.length - 1];
 
-        const targetNodeIndex = secondaryEnergeticNodesMap.get(energeticName);
-        if (targetNodeIndex === undefined) {
-          console.warn(
-            `[WARN] No se encontró el nodo destino para ${energeticName} en el mapa de nodos secundarios`,
-          );
-          console.log("[DEBUG] Mapa actual de nodos secundarios:", [
-            ...secondaryEnergeticNodesMap.keys(),
-          ]);
-          return;
-        }
+  const energetics = sankeyBuilder.getEnergetics().map((energetic) => energetic.name);
+  selectedEnergetic = energetics.includes(state.energetic) ? state.energetic : null;
+  energeticSelector.value = selectedEnergetic || "";
 
-        const sourceNodeIndex = nodeMap.get(nodeName);
-        if (sourceNodeIndex === undefined) {
-          console.warn(
-            `[WARN] No se encontró el índice para el nodo fuente: ${nodeName} `,
-          );
-          return;
-        }
+  filterPanel.setFilters(state.filters || {}, { silent: true });
+  updateFilterCount();
 
-        // Cambio importante: Usar directamente el valor del año del objeto energetic
-        const energeticValue = parseFloat(energetic[year]) || 0;
-        console.log(
-          `[DEBUG] Valor obtenido para ${nodeName} -> ${energeticName}: `,
-          energeticValue,
-        );
+  const units = unitConverter.getUnits().map((unit) => unit.id);
+  unitConverter.setUnit(units.includes(state.unit) ? state.unit : DEFAULT_UNIT.unit);
+  unitConverter.setDecimals(Number.isInteger(state.decimals) ? state.decimals : DEFAULT_UNIT.decimals);
+  unitSelector.value = unitConverter.getUnit();
+  unitDecimalsSelector.value = String(unitConverter.getDecimals());
 
-        if (energeticValue > 0) {
-          // Ya no necesitamos Math.abs ya que verificamos > 0
-          const linkColor =
-            styleManager.getEnergyColor(energeticName) || "#999999";
+  smallFlows = state.smallFlows ? { ...state.smallFlows } : { threshold: 0, mode: "absolute" };
+  updateSmallFlowsControls();
 
-          source.push(sourceNodeIndex);
-          target.push(targetNodeIndex);
-          value.push(Math.log10(energeticValue + 1));
-          linkColors.push(styleManager.hexToRgba(linkColor, 0.5));
+  const linkScales = linkScaleManager.getModes().map((mode) => mode.id);
+  linkScaleManager.setMode(linkScales.includes(state.linkScale) ? state.linkScale : DEFAULT_LINK_SCALE);
+  linkScaleSelector.value = linkScaleManager.getMode();
 
-          console.log(
-            `[DEBUG] Creando enlace: ${nodeName} (${sourceNodeIndex}) -> ${energeticName} (${targetNodeIndex}) = ${energeticValue}`,
-          );
+  columnLabelsManager.setEnabled(Boolean(state.columnLabels));
+  columnLabelsToggle.checked = Boolean(state.columnLabels);
 
-          linkCustomdata.push(
-            popupManager.generateLinkPopup(
-              energeticName,
-              energeticValue,
-              nodeName,
-              energeticName,
-              linkColor,
-              year,
-              { flowType: "secondary_output" },
-            ),
-          );
-        } else {
-          console.log(
-            `[DEBUG] Valor no válido o cero para ${nodeName} -> ${energeticName}: `,
-            energeticValue,
-          );
-        }
-      });
-    } else {
-      console.warn(
-        `[WARN] No se encontraron datos o hijos para el nodo: ${nodeName} `,
-      );
-    }
-  });
+  showEmissions = Boolean(state.emissions);
+  emissionsToggle.checked = showEmissions;
+  emissionsPanel.hidden = !showEmissions;
 
-  const data = {
-    type: "sankey",
-    orientation: "h",
-    arrangement: "perpendicular",
-    node: {
-      pad: 100,
-      thickness: 10,
-      line: { color: "black", width: 0.5 },
-      label: labels,
-      value: nodeValues, // ← aquí añadimos los valores
-      color: nodeColors,
-      hovertemplate: "%{customdata}<extra></extra>",
-      customdata: nodeCustomdata, // Usar el nuevo array nodeCustomdata
-      x: nodeX,
-      y: nodeY,
-    },
-    link: {
-      source: source,
-      target: target,
-      value: value,
-      color: linkColors,
-      customdata: linkCustomdata,
-      hovertemplate: "%{customdata}<extra></extra>",
-      curvature: 0,
-    },
-  };
+  const traceModes = primaryDiagram.getTraceModes().map((mode) => mode.id);
+  const traceMode = traceModes.includes(state.traceMode) ? state.traceMode : "forward";
+  primaryDiagram.setTraceMode(traceMode, { silent: true });
+  traceModeSelector.value = traceMode;
+  updateTraceModeIndicator();
 
-  const layout = {
-    title: `Balance Nacional de Energía - ${year} (Valores en PJ)`,
-    font: { size: 9 },
-    margin: { l: 10, r: 10, t: 50, b: 10 },
-    autosize: true,
-  };
-  const config = {
-    displaylogo: false,
-    responsive: true,
-    toImageButtonOptions: {
-      format: "png",
-      filename: `sankey_energia_primaria_${year}`,
-      setBackground: "transparent",
-      width: 1920,
-      height: 1080,
-      scale: 1,
-    },
-  };
+  const view = ["single", "difference", "side-by-side"].includes(state.view) ? state.view : "single";
+  viewModeSelector.value = view;
+  setViewMode(view, { render: false });
 
-  Plotly.newPlot(sankeyDiv, [data], layout, config)
+  return updateSankey(year)
     .then(() => {
-
-      // Save base colors and link mappings for focus mode
-      baseNodeColors = [...nodeColors];
-      baseLinkColors = [...linkColors];
-      linkSources = [...source];
-      linkTargets = [...target];
-
-      // Clean previous handlers
-      if (blankClickHandler) {
-        document.removeEventListener("click", blankClickHandler);
-        blankClickHandler = null;
-      }
-      if (sankeyDiv.removeAllListeners) {
-        sankeyDiv.removeAllListeners("plotly_click");
-      }
-
-      // Click on node to focus its forward connections
-      sankeyDiv.on("plotly_click", (ev) => {
-        const pt = ev.points && ev.points[0];
-        if (pt && pt.pointNumber != null && pt.source === undefined) {
-          highlightForward(pt.pointNumber);
-        }
-      });
-
-      // Click on blank area to reset
-      blankClickHandler = (e) => {
-        if (!sankeyDiv.contains(e.target) && focusActive) {
-          resetHighlight();
+      const diagrams = [primaryDiagram, viewMode === "side-by-side" ? compareDiagram : null].filter(Boolean);
+      diagrams.forEach((diagram) => {
+        if (state.trace) {
+          diagram.highlightTraceByIds(state.trace, { silent: true });
+        } else if (diagram.getActiveTraceIds()) {
+          diagram.resetHighlight({ silent: true });
         }
-      };
-      document.addEventListener("click", blankClickHandler);
-
-
-      if (!zoomManager) {
-        zoomManager = new ZoomManager(zoomWrapperDiv, {
-          target: sankeyDiv,
-          minScale: 1,
-        });
-
-      } else {
-        zoomManager.reset();
-
-      }
-      // Renderizar etiquetas de columnas y aplicar fondos a las etiquetas de nodo
-      setTimeout(() => {
-        if (columnLabelsManager && columnLabelsManager.isEnabled()) {
-          columnLabelsManager.renderLabels(sankeyDiv);
+        if (diagram.zoomManager) {
+          diagram.zoomManager.setTransform(state.zoom || { scale: 1, translateX: 0, translateY: 0 });
         }
-        addNodeLabelBackgrounds();
-      }, 100);
+      });
     })
-    .catch((error) => {
-      console.error("Error al renderizar el diagrama de Sankey:", error);
+    .catch((error) => console.error("Error restaurando la vista desde la URL:", error))
+    .finally(() => {
+      restoringViewState = false;
     });
 }
 
-function highlightForward(startIndex) {
-  focusActive = true;
-  const visitedNodes = new Set([startIndex]);
-  const visitedLinks = new Set();
-  const queue = [startIndex];
-  while (queue.length) {
-    const node = queue.shift();
-    linkSources.forEach((src, i) => {
-      if (src === node) {
-        visitedLinks.add(i);
-        const tgt = linkTargets[i];
-        if (!visitedNodes.has(tgt)) {
-          visitedNodes.add(tgt);
-          queue.push(tgt);
-        }
-      }
-    });
-  }
-  const dimNode = "rgba(200,200,200,0.3)";
-  const dimLink = "rgba(200,200,200,0.2)";
-  const newNodeColors = baseNodeColors.map((c, idx) =>
-    visitedNodes.has(idx) ? c : dimNode,
-  );
-  const newLinkColors = baseLinkColors.map((c, idx) =>
-    visitedLinks.has(idx) ? c : dimLink,
-  );
-  Plotly.restyle(sankeyDiv, {
-    "node.color": [newNodeColors],
-    "link.color": [newLinkColors],
-  });
+// Marca de agua para los años no definitivos de un diagrama ("" si todos son definitivos)
+function getYearWatermark(...years) {
+  const statuses = new Set(years.map((year) => dataManager.getYearStatus(year)));
+  statuses.delete("final");
+  return [...statuses].map((status) => DataManager.YEAR_STATUSES[status].label.toUpperCase()).join(" / ");
 }
 
-function resetHighlight() {
-  focusActive = false;
-  Plotly.restyle(sankeyDiv, {
-    "node.color": [baseNodeColors],
-    "link.color": [baseLinkColors],
-  });
+// Título del diagrama de un año con el energético seguido y la unidad activa
+function getYearTitle(year) {
+  const titleSuffix = selectedEnergetic ? ` - ${selectedEnergetic}` : "";
+  return `Balance Nacional de Energía - ${dataManager.getYearLabel(year)}${titleSuffix} (Valores en ${unitConverter.getUnit()})`;
 }
 
-// Añade un rectángulo de fondo a cada etiqueta de nodo para mejorar la legibilidad
-function addNodeLabelBackgrounds() {
-  const svg = sankeyDiv.querySelector('svg');
-  if (!svg) return;
-
-  // Seleccionar etiquetas de texto de nodos
-  const texts = svg.querySelectorAll('g.node text');
-  texts.forEach((text) => {
-    if (
-      text.previousSibling &&
-      text.previousSibling.classList &&
-      text.previousSibling.classList.contains('node-label-bg')
-    ) {
-      return;
-    }
+// Los filtros activos se listan al pie del diagrama y por tanto en las exportaciones
+function getDiagramNotes() {
+  return filterPanel && filterPanel.isActive()
+    ? ["Filtros activos:", ...filterPanel.getActiveFilterSummary()]
+    : [];
+}
 
-    const bbox = text.getBBox();
-    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    rect.setAttribute('class', 'node-label-bg');
-    rect.setAttribute('x', bbox.x - 2);
-    rect.setAttribute('y', bbox.y - 1);
-    rect.setAttribute('width', bbox.width + 4);
-    rect.setAttribute('height', bbox.height + 2);
-    rect.setAttribute('rx', 2);
-    rect.setAttribute('ry', 2);
-    rect.setAttribute('fill', 'rgba(255, 255, 255, 0.8)');
-    rect.setAttribute('stroke', 'rgba(0,0,0,0.1)');
-    rect.setAttribute('stroke-width', '1');
-    text.parentNode.insertBefore(rect, text);
-  });
+// Función para actualizar el diagrama de Sankey a partir de la especificación de flujos
+// (devuelve la promesa del dibujo del diagrama principal)
+function updateSankey(year) {
+  console.log(`Actualizando gráfico para el año: ${year}`);
+
+  const isDifference = viewMode === "difference";
+  const isSideBySide = viewMode === "side-by-side";
+  const baseYear = compareYearSelector.value;
+  const energetic = selectedEnergetic;
+  const titleSuffix = energetic ? ` - ${energetic}` : "";
+  const unitCaption = `(Valores en ${unitConverter.getUnit()})`;
+  const filters = filterPanel ? filterPanel.getFilters() : null;
+  const notes = getDiagramNotes();
+
+  // El panel del año base se construye primero para que el mapa de conexiones
+  // registrado en LinkManager corresponda al diagrama principal
+  if (isSideBySide) {
+    const baseModel = sankeyBuilder.build(baseYear, {
+      stableLayout, energetic, filters, smallFlows, emissions: showEmissions, revisions: getRevisedFlows(baseYear),
+    });
+    compareDiagram.render(baseModel, {
+      title: getYearTitle(baseYear),
+      filename: `sankey_energia_primaria_${baseYear}${getExportFileSuffix()}`,
+      notes,
+      flags: getBalanceFlags(baseModel, baseYear),
+      watermark: getYearWatermark(baseYear),
+    });
+  }
+
+  const model = isDifference
+    ? sankeyBuilder.buildDifference(baseYear, year, { stableLayout, energetic, filters })
+    : sankeyBuilder.build(year, {
+      stableLayout, energetic, filters, smallFlows, emissions: showEmissions, revisions: getRevisedFlows(year),
+    });
+  linkScaleManager.setReferenceMax(model.maxLinkValue);
+  linkScaleManager.setColorKey(model.colorKey || null);
+  renderBalanceReport(year);
+  renderEmissionsReport(year);
+  kpiPanel.render(year);
+  kpiYear.textContent = dataManager.getYearLabel(year);
+  seriesPanel.update(year, getSeriesOptions());
+
+  return primaryDiagram.render(model, {
+    title: isDifference
+      ? `Balance Nacional de Energía - Diferencia ${dataManager.getYearLabel(baseYear)} → ${dataManager.getYearLabel(year)}${titleSuffix} ${unitCaption}`
+      : getYearTitle(year),
+    filename: `sankey_energia_primaria_${year}${getExportFileSuffix()}`,
+    notes,
+    // Marca de agua para años no definitivos (también en las exportaciones)
+    watermark: isDifference ? getYearWatermark(baseYear, year) : getYearWatermark(year),
+    // En la vista de diferencia los nodos combinan dos años, por lo que no se marcan
+    flags: isDifference ? [] : getBalanceFlags(model, year),
+  }).then(() => syncUrlState());
 }
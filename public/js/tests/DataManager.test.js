@@ -0,0 +1,121 @@
+/**
+ * Tests para DataManager - Verificación de los metadatos de años del conjunto de datos
+ */
+
+const path = require('path');
+
+const DataManager = require(path.join(__dirname, '..', 'DataManager.js'));
+const FLOW_SPEC = require(path.join(__dirname, '..', 'FlowSpec.js'));
+const SankeyBuilder = require(path.join(__dirname, '..', 'SankeyBuilder.js'));
+const PopupManager = require(path.join(__dirname, '..', 'PopupManager.js'));
+
+const jsonData = require(path.join(__dirname, '..', '..', 'datos_energia_completo.json'));
+
+// Copia de los datos del repositorio con otros metadatos de años
+function withYears(years) {
+    return { ...jsonData, 'Años': years };
+}
+
+// Test 1: Exclusión y estado de los años según los metadatos
+function testYearMetadata() {
+    console.log('🧪 Test 1: Metadatos de años');
+
+    try {
+        const dataManager = new DataManager(jsonData);
+        const years = dataManager.getAvailableYears();
+        console.assert(!years.includes('2025') && years.includes('2024'), 'El año excluido en los datos no debe cargarse');
+        console.assert(!dataManager.getNodeDefinition('Oferta Interna Bruta').children.get('Carbón mineral').yearData.has('2025'),
+            'Los años excluidos tampoco entran en yearData');
+        console.assert(dataManager.getYearStatus('2024') === 'final' && !dataManager.isProvisionalYear('2024'), 'Sin estado un año es definitivo');
+
+        const withoutMetadata = new DataManager({ Datos: jsonData.Datos });
+        console.assert(withoutMetadata.getAvailableYears().includes('2025'), 'Sin metadatos no se excluye ningún año');
+
+        const preliminary = new DataManager(withYears({ estado: { '2024': 'preliminar', '2023': 'revisado' }, excluidos: [] }));
+        console.assert(preliminary.getAvailableYears().includes('2025'), 'La lista de exclusión es configurable');
+        console.assert(preliminary.getYearLabel('2024') === '2024 (preliminar)' && preliminary.getYearLabel('2022') === '2022', 'Etiqueta del año');
+        console.assert(preliminary.getYearNote('2024') === 'Datos preliminares 2024' && preliminary.getYearNote('2022') === null, 'Nota del año');
+        console.assert(preliminary.getYearStatus('2023') === 'final', 'Un estado desconocido se considera definitivo');
+
+        let error = null;
+        try {
+            new DataManager(withYears({ excluidos: '2025' }));
+        } catch (caught) {
+            error = caught;
+        }
+        console.assert(error && error.message.includes('Años.excluidos'), 'La lista de exclusión debe ser un arreglo');
+
+        console.log('✅ Metadatos de años correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en metadatos de años:', error);
+        return false;
+    }
+}
+
+// Test 2: Los popups del diagrama señalan los años no definitivos
+function testProvisionalPopups() {
+    console.log('🧪 Test 2: Popups de años no definitivos');
+
+    try {
+        const dataManager = new DataManager(withYears({ estado: { '2024': 'preliminar' }, excluidos: ['2025'] }));
+        const builder = new SankeyBuilder({
+            spec: FLOW_SPEC,
+            dataManager: dataManager,
+            popupManager: new PopupManager({ dataManager: dataManager })
+        });
+
+        const provisional = builder.build('2024');
+        console.assert(provisional.yearNote === 'Datos preliminares 2024', 'El modelo debe indicar el estado del año');
+        console.assert(provisional.links.every(link => link.customdata.endsWith('<i>⚠ Datos preliminares 2024</i>')), 'Todos los enlaces llevan la nota');
+        console.assert(provisional.nodes.every(node => node.customdata.includes('Datos preliminares 2024')), 'Todos los nodos llevan la nota');
+
+        const final = builder.build('2023');
+        console.assert(final.yearNote === null && !final.links.some(link => link.customdata.includes('⚠ Datos')), 'Un año definitivo no lleva nota');
+
+        console.log('✅ Popups de años no definitivos correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en popups de años no definitivos:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+function runDataManagerTests() {
+    console.log('🚀 Ejecutando tests de DataManager...\n');
+
+    const tests = [
+        testYearMetadata,
+        testProvisionalPopups
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    tests.forEach((test, index) => {
+        try {
+            if (test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    });
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runDataManagerTests() ? 0 : 1);
+}
+
+module.exports = { runDataManagerTests };
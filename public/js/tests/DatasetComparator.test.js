@@ -0,0 +1,153 @@
+/**
+ * Tests para DatasetComparator - Verificación del reporte de revisiones entre ediciones
+ */
+
+const path = require('path');
+
+const DatasetComparator = require(path.join(__dirname, '..', 'DatasetComparator.js'));
+const DataManager = require(path.join(__dirname, '..', 'DataManager.js'));
+const PopupManager = require(path.join(__dirname, '..', 'PopupManager.js'));
+const FLOW_SPEC = require(path.join(__dirname, '..', 'FlowSpec.js'));
+const SankeyBuilder = require(path.join(__dirname, '..', 'SankeyBuilder.js'));
+
+const jsonData = require(path.join(__dirname, '..', '..', 'datos_energia_completo.json'));
+
+// Función para crear datos mínimos { padre: { hijo: { tipo, color, años... } } }
+function createData(parents) {
+    return {
+        Datos: Object.entries(parents).map(([parent, children]) => ({
+            'Nodo Padre': parent,
+            'Nodos Hijo': Object.entries(children).map(([child, fields]) => ({ 'Nodo Hijo': child, ...fields }))
+        }))
+    };
+}
+
+// Test 1: Cambios estructurales, de atributos y numéricos
+function testCompare() {
+    console.log('🧪 Test 1: Cambios entre dos ediciones');
+
+    try {
+        const before = new DataManager(createData({
+            'Producción': {
+                'Petróleo crudo': { tipo: 'Energía Primaria', 2022: 100, 2023: 90 },
+                'Leña': { tipo: 'Energía Primaria', color: '#B1AB86', 2022: 10, 2023: 10 }
+            },
+            'Importación': { 'Diesel': { tipo: 'Energía Secundaria', 2022: 40, 2023: 41 } }
+        }));
+        const after = new DataManager(createData({
+            'Producción': {
+                'Petróleo crudo': { tipo: 'Energía Primaria', 2022: 100.004, 2023: 92.5, 2024: 95 },
+                'Leña': { tipo: 'Energía Primaria', color: '#00AA00', 2022: 10, 2023: 10, 2024: 10 },
+                'Biogás': { tipo: 'Energía Primaria', 2022: 1, 2023: 1, 2024: 1 }
+            },
+            'Exportación': { 'Petróleo crudo': { tipo: 'Energía Primaria', 2022: -50, 2023: -50, 2024: -50 } }
+        }));
+        const comparator = new DatasetComparator();
+        const report = comparator.compare(before, after);
+        const find = (kind, parent, child = null) => report.changes.find(change =>
+            change.kind === kind && change.parent === parent && change.child === child);
+
+        console.assert(find('parent-added', 'Exportación') && find('parent-removed', 'Importación'), 'Nodos padre incorrectos');
+        console.assert(find('child-added', 'Producción', 'Biogás'), 'Nodo hijo agregado no detectado');
+        const color = find('attribute', 'Producción', 'Leña');
+        console.assert(color && color.field === 'color' && color.after === '#00AA00', 'Cambio de color no detectado');
+
+        const revisions = report.changes.filter(change => change.kind === 'value');
+        console.assert(revisions.length === 1, 'Solo la revisión de 2023 supera la tolerancia');
+        console.assert(revisions[0].year === '2023' && revisions[0].delta === 2.5 && Math.abs(revisions[0].relative - 2.5 / 90) < 1e-12,
+            'Revisión incorrecta');
+        console.assert(report.summary.yearsAdded.join() === '2024' && report.summary.revisedYears.join() === '2023',
+            'Los años nuevos no se cuentan como revisiones');
+
+        const strict = new DatasetComparator({ absoluteTolerance: 0 }).compare(before, after);
+        console.assert(strict.summary.revisions === 2, 'Con tolerancia cero cuenta la diferencia de redondeo');
+
+        const flows = comparator.getRevisedFlows(report, '2023');
+        console.assert(flows.size === 1 && flows.get('Producción|Petróleo crudo').after === 92.5, 'Flujos revisados incorrectos');
+
+        const csv = comparator.toCsv(report).trim().split('\n');
+        console.assert(csv.length === report.changes.length + 1, 'El CSV debe tener una fila por cambio');
+        console.assert(csv[0].startsWith('cambio,nodo_padre,nodo_hijo,año'), 'Encabezados del CSV incorrectos');
+        console.assert(csv.includes('Revisión,Producción,Petróleo crudo,2023,,90,92.5,2.5,0.027778'), 'Fila de revisión incorrecta');
+
+        console.log('✅ Cambios correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en cambios:', error);
+        return false;
+    }
+}
+
+// Test 2: Resaltado de flujos revisados en el diagrama
+function testHighlight() {
+    console.log('🧪 Test 2: Flujos revisados en el diagrama');
+
+    try {
+        const comparator = new DatasetComparator();
+        const before = new DataManager(jsonData);
+        const identical = comparator.compare(before, new DataManager(jsonData));
+        console.assert(identical.changes.length === 0, 'Dos ediciones iguales no tienen cambios');
+
+        const revised = JSON.parse(JSON.stringify(jsonData));
+        const transporte = revised.Datos.find(node => node['Nodo Padre'] === 'Transporte');
+        const diesel = transporte['Nodos Hijo'].find(child => child['Nodo Hijo'] === 'Diesel');
+        diesel['2023'] += 10;
+
+        const after = new DataManager(revised);
+        const report = comparator.compare(before, after);
+        console.assert(report.summary.revisions === 1, 'Debe detectarse una revisión');
+
+        const builder = new SankeyBuilder({ spec: FLOW_SPEC, dataManager: after, popupManager: new PopupManager() });
+        const model = builder.build('2023', { revisions: comparator.getRevisedFlows(report, '2023') });
+        const revisedLinks = model.links.filter(link => link.revised);
+        console.assert(revisedLinks.length === 1 && revisedLinks[0].energetic === 'Diesel'
+            && revisedLinks[0].targetName === 'Transporte', 'Solo el flujo revisado debe resaltarse');
+        console.assert(revisedLinks[0].customdata.includes('Revisión: '), 'El popup debe mostrar la revisión');
+        console.assert(builder.build('2023').links.every(link => link.revised === undefined), 'Sin la opción no se marcan flujos');
+
+        console.log('✅ Resaltado correcto');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en resaltado:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+function runDatasetComparatorTests() {
+    console.log('🚀 Ejecutando tests de DatasetComparator...\n');
+
+    const tests = [
+        testCompare,
+        testHighlight
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    tests.forEach((test, index) => {
+        try {
+            if (test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    });
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runDatasetComparatorTests() ? 0 : 1);
+}
+
+module.exports = { runDatasetComparatorTests };
@@ -0,0 +1,212 @@
+/**
+ * Tests para DatasetImporter - Verificación de la importación desde CSV y XLSX
+ */
+
+const path = require('path');
+
+const DatasetImporter = require(path.join(__dirname, '..', 'DatasetImporter.js'));
+const DataManager = require(path.join(__dirname, '..', 'DataManager.js'));
+
+const jsonData = require(path.join(__dirname, '..', '..', 'datos_energia_completo.json'));
+
+// Función para convertir el JSON del repositorio en un CSV en formato largo
+function toLongCsv(data) {
+    const quote = text => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    const lines = ['Nodo Padre,Nodo Hijo,tipo,año,valor'];
+    data.Datos.forEach((parent) => {
+        parent['Nodos Hijo'].forEach((child) => {
+            Object.keys(child).filter(key => /^\d{4}$/.test(key)).forEach((year) => {
+                lines.push([parent['Nodo Padre'], child['Nodo Hijo'], child.tipo || '', year, child[year]]
+                    .map(value => quote(String(value))).join(','));
+            });
+        });
+    });
+    return lines.join('\n');
+}
+
+// Test 1: El CSV en formato largo reproduce los valores del JSON
+function testCsvRoundTrip() {
+    console.log('🧪 Test 1: CSV en formato largo con los datos reales');
+
+    try {
+        const importer = new DatasetImporter({ template: jsonData });
+        const data = importer.parseCsv(toLongCsv(jsonData));
+        const original = new DataManager(jsonData);
+        const imported = new DataManager(data);
+
+        // El único aviso es el año que la plantilla excluye
+        console.assert(importer.warnings.length === 1 && importer.warnings[0].startsWith('El año 2025 está excluido'),
+            `Advertencias inesperadas: ${importer.warnings.slice(0, 3)}`);
+        console.assert(JSON.stringify(data['Años'].excluidos) === '["2025"]', 'Se conserva la exclusión de un año importado');
+        console.assert(imported.getAvailableYears().join() === original.getAvailableYears().join(), 'Años distintos');
+        console.assert(imported.getParentNodeNames().length === original.getParentNodeNames().length, 'Nodos padre distintos');
+
+        for (const [parent, child] of [['Producción', 'Petróleo crudo'], ['Industrial', 'Gas natural seco'], ['Centrales Eléctricas', 'Energía eléctrica']]) {
+            console.assert(
+                imported.getEnergeticValue(parent, child, '2020') === original.getEnergeticValue(parent, child, '2020'),
+                `Valor distinto para ${parent} / ${child}`
+            );
+        }
+        console.assert(
+            imported.getNodeDefinition('Producción').description === original.getNodeDefinition('Producción').description,
+            'La descripción debe tomarse de la plantilla'
+        );
+
+        // Los metadatos de años solo se copian para los años que trae el archivo
+        const template = { ...jsonData, 'Años': { estado: { '2024': 'preliminar', '2025': 'proyectado' }, excluidos: ['2025'] } };
+        const partial = new DatasetImporter({ template });
+        const only2024 = partial.parseCsv('padre,hijo,year,value\nProducción,Carbón mineral,2024,1');
+        console.assert(JSON.stringify(only2024['Años']) === '{"estado":{"2024":"preliminar"},"excluidos":[]}', 'Solo el estado de 2024');
+        console.assert(partial.warnings.length === 0, 'Sin años excluidos no hay advertencia');
+        const only2020 = partial.parseCsv('padre,hijo,year,value\nProducción,Carbón mineral,2020,1');
+        console.assert(only2020['Años'] === undefined, 'Sin años con metadatos no se copia el bloque');
+
+        console.log('✅ CSV importado correctamente');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en CSV:', error);
+        return false;
+    }
+}
+
+// Test 2: Separador ";" con coma decimal y filas inválidas
+function testCsvDialectAndWarnings() {
+    console.log('🧪 Test 2: Separador ";" con coma decimal y filas inválidas');
+
+    try {
+        const importer = new DatasetImporter();
+        const data = importer.parseCsv([
+            'padre;hijo;tipo;year;value',
+            'Producción;Carbón mineral;Primaria;2023;1.234,5',
+            'Producción;"Gas; natural";Primaria;2023;10',
+            'Producción;Carbón mineral;Primaria;20x3;1',
+            'Producción;Carbón mineral;Primaria;2024;n/d',
+            ''
+        ].join('\r\n'));
+        const children = data.Datos[0]['Nodos Hijo'];
+
+        console.assert(children[0]['2023'] === 1234.5, 'La coma decimal debe interpretarse');
+        console.assert(children[0].tipo === 'Energía Primaria', 'El tipo debe normalizarse');
+        console.assert(children[1]['Nodo Hijo'] === 'Gas; natural', 'Las comillas deben respetar el separador');
+        console.assert(importer.warnings.length === 2, 'Debe haber dos advertencias');
+
+        let threw = false;
+        try {
+            importer.parseCsv('padre,hijo\nA,B');
+        } catch (error) {
+            threw = /year, value/.test(error.message);
+        }
+        console.assert(threw, 'Faltar columnas debe lanzar un error');
+
+        console.log('✅ Dialecto y advertencias correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en dialecto CSV:', error);
+        return false;
+    }
+}
+
+// Test 3: Hojas en forma de matriz (conceptos por energéticos)
+function testMatrixSheets() {
+    console.log('🧪 Test 3: Hojas en forma de matriz');
+
+    try {
+        const importer = new DatasetImporter({ template: jsonData });
+        const data = importer.parseMatrixSheets([
+            {
+                name: 'Balance 2023',
+                rows: [
+                    ['Balance Nacional de Energía (PJ)'],
+                    ['', 'Energía Primaria', '', 'Energía Secundaria', ''],
+                    ['Concepto', 'Carbón mineral', 'Petróleo crudo', 'Diesel', 'Total'],
+                    ['Producción', 400, '3,500.5', '-', 3900.5],
+                    ['Industrial', '', '', 120, 120]
+                ]
+            },
+            { name: 'Notas', rows: [['Fuente: SENER']] }
+        ]);
+        const manager = new DataManager(data);
+
+        console.assert(manager.getAvailableYears().join() === '2023', 'El año debe salir del nombre de la hoja');
+        console.assert(manager.getEnergeticValue('Producción', 'Petróleo crudo', '2023') === 3500.5, 'Valor con miles incorrecto');
+        console.assert(manager.getEnergeticValue('Producción', 'Diesel', '2023') === null, 'El guion no es un valor');
+        console.assert(manager.getEnergeticValue('Industrial', 'Diesel', '2023') === 120, 'Valor de Industrial incorrecto');
+        console.assert(manager.getNodeDefinition('Industrial').children.get('Diesel').type === 'Energía Secundaria', 'Tipo por columna incorrecto');
+        console.assert(!manager.getNodeDefinition('Producción').children.has('Total'), 'La columna Total debe omitirse');
+        console.assert(importer.warnings.some(warning => warning.includes('Notas')), 'La hoja sin año debe advertirse');
+
+        console.log('✅ Matriz importada correctamente');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en matriz:', error);
+        return false;
+    }
+}
+
+// Test 4: Datos inválidos no reemplazan los datos cargados
+function testLoadDataKeepsPreviousOnError() {
+    console.log('🧪 Test 4: loadData conserva los datos ante un error');
+
+    try {
+        const manager = new DataManager(jsonData);
+        const years = manager.getAvailableYears().join();
+
+        let threw = false;
+        try {
+            manager.loadData({ Datos: [{ 'Nodo Padre': 'Sin hijos' }] });
+        } catch (error) {
+            threw = true;
+        }
+
+        console.assert(threw, 'Los datos inválidos deben lanzar un error');
+        console.assert(manager.getAvailableYears().join() === years, 'Deben conservarse los años anteriores');
+        console.assert(manager.hasNode('Producción'), 'Deben conservarse los nodos anteriores');
+
+        console.log('✅ Datos anteriores conservados');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en loadData:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+function runDatasetImporterTests() {
+    console.log('🚀 Ejecutando tests de DatasetImporter...\n');
+
+    const tests = [
+        testCsvRoundTrip,
+        testCsvDialectAndWarnings,
+        testMatrixSheets,
+        testLoadDataKeepsPreviousOnError
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    tests.forEach((test, index) => {
+        try {
+            if (test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    });
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runDatasetImporterTests() ? 0 : 1);
+}
+
+module.exports = { runDatasetImporterTests };
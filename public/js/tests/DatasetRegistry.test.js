@@ -0,0 +1,155 @@
+/**
+ * Tests para DatasetRegistry - Verificación del registro y la carga de conjuntos de datos
+ */
+
+const path = require('path');
+
+const DatasetRegistry = require(path.join(__dirname, '..', 'DatasetRegistry.js'));
+global.DatasetImporter = require(path.join(__dirname, '..', 'DatasetImporter.js'));
+
+// Función para crear un fetch simulado a partir de { ruta: contenido } (los objetos se sirven como JSON)
+function createFetch(files) {
+    const requests = [];
+    const fetchMock = (url) => {
+        requests.push(url);
+        const content = files[url];
+        return Promise.resolve({
+            ok: content !== undefined,
+            status: content !== undefined ? 200 : 404,
+            json: () => Promise.resolve(typeof content === 'string' ? JSON.parse(content) : content),
+            text: () => Promise.resolve(typeof content === 'string' ? content : JSON.stringify(content))
+        });
+    };
+    fetchMock.requests = requests;
+    return fetchMock;
+}
+
+// Test 1: Configuración y parámetro ?data=
+async function testConfigAndResolve() {
+    console.log('🧪 Test 1: Configuración y parámetro ?data=');
+
+    try {
+        const fetchMock = createFetch({
+            'datasets.json': {
+                default: 'revisado',
+                datasets: [
+                    { id: 'preliminar', label: 'Preliminar', url: 'bne_preliminar.json' },
+                    { id: 'revisado', label: 'Revisado', url: 'bne_revisado.json' }
+                ]
+            }
+        });
+        const registry = new DatasetRegistry({ fetch: fetchMock });
+        await registry.loadConfig();
+
+        console.assert(registry.getDatasets().map(dataset => dataset.id).join() === 'nacional,preliminar,revisado',
+            'Los conjuntos de la configuración deben sumarse al del repositorio');
+        console.assert(registry.resolve('') === 'revisado', 'Sin ?data= se usa el conjunto por defecto de la configuración');
+        console.assert(registry.resolve('?data=preliminar') === 'preliminar', '?data= con un id registrado');
+        console.assert(registry.resolve('?data=desconocido') === 'revisado', 'Un id desconocido usa el conjunto por defecto');
+
+        const fromPath = registry.resolve('?data=datos/bne_2024.csv');
+        console.assert(fromPath === 'datos/bne_2024.csv' && registry.getDataset(fromPath).url === fromPath,
+            'Una ruta de archivo debe registrarse como conjunto');
+
+        const missing = new DatasetRegistry({ fetch: createFetch({}) });
+        await missing.loadConfig();
+        console.assert(missing.getDefaultId() === 'nacional' && missing.getDatasets().length === 1,
+            'Sin configuración se conserva el JSON del repositorio');
+
+        console.log('✅ Configuración y parámetro correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en configuración:', error);
+        return false;
+    }
+}
+
+// Test 2: Carga de JSON, CSV y archivos locales
+async function testLoad() {
+    console.log('🧪 Test 2: Carga de conjuntos');
+
+    try {
+        const json = { Datos: [{ 'Nodo Padre': 'Producción', 'Nodos Hijo': [] }] };
+        const csv = 'padre,hijo,tipo,año,valor\nProducción,Petróleo crudo,Energía Primaria,2023,100\n';
+        const fetchMock = createFetch({ 'datos_energia_completo.json': json, 'bne.csv': csv });
+        const registry = new DatasetRegistry({ fetch: fetchMock });
+
+        const loaded = await registry.load('nacional');
+        console.assert(loaded.data === json && loaded.dataset.id === 'nacional', 'JSON incorrecto');
+        await registry.load('nacional');
+        console.assert(fetchMock.requests.length === 1, 'Los datos descargados deben reutilizarse');
+
+        const fromCsv = await registry.load(registry.resolve('?data=bne.csv'));
+        const production = fromCsv.data.Datos.find(node => node['Nodo Padre'] === 'Producción');
+        console.assert(production && production['Nodos Hijo'][0]['2023'] === 100, 'El CSV debe pasar por DatasetImporter');
+
+        const years = { estado: { '2023': 'preliminar' }, excluidos: [] };
+        registry.register({ id: 'preliminar', url: 'bne.csv', years });
+        console.assert((await registry.load('preliminar')).data['Años'] === years, 'Los metadatos de años del registro se aplican al CSV');
+
+        const local = registry.registerFile('mi_balance.xlsx', json);
+        console.assert(local.id === 'archivo:mi_balance.xlsx' && local.local, 'Archivo local incorrecto');
+        console.assert((await registry.load(local.id)).data === json, 'Un archivo local no se descarga');
+
+        let threw = false;
+        try {
+            await registry.load('no-existe');
+        } catch (error) {
+            threw = true;
+        }
+        console.assert(threw, 'Un conjunto no registrado debe rechazarse');
+
+        threw = false;
+        try {
+            registry.register({ id: 'sin-fuente' });
+        } catch (error) {
+            threw = true;
+        }
+        console.assert(threw, 'Un conjunto sin url ni datos debe lanzar un error');
+
+        console.log('✅ Carga de conjuntos correcta');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en carga de conjuntos:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+async function runDatasetRegistryTests() {
+    console.log('🚀 Ejecutando tests de DatasetRegistry...\n');
+
+    const tests = [
+        testConfigAndResolve,
+        testLoad
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const [index, test] of tests.entries()) {
+        try {
+            if (await test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    }
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    runDatasetRegistryTests().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { runDatasetRegistryTests };
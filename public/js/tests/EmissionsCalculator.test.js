@@ -0,0 +1,158 @@
+/**
+ * Tests para EmissionsCalculator - Verificación de las emisiones de CO2 por combustión
+ */
+
+const path = require('path');
+
+const EmissionsCalculator = require(path.join(__dirname, '..', 'EmissionsCalculator.js'));
+const DataManager = require(path.join(__dirname, '..', 'DataManager.js'));
+const PopupManager = require(path.join(__dirname, '..', 'PopupManager.js'));
+const FLOW_SPEC = require(path.join(__dirname, '..', 'FlowSpec.js'));
+const SankeyBuilder = require(path.join(__dirname, '..', 'SankeyBuilder.js'));
+
+const jsonData = require(path.join(__dirname, '..', '..', 'datos_energia_completo.json'));
+const close = (a, b) => Math.abs(a - b) < 1e-6 * Math.max(1, Math.abs(b));
+
+// Test 1: Emisiones de flujos individuales según el signo de la fuente
+function testFlowEmissions() {
+    console.log('🧪 Test 1: Emisiones de flujos individuales');
+
+    try {
+        const calculator = new EmissionsCalculator({ dataManager: new DataManager(jsonData), factors: { 'Leña': 112 } });
+
+        console.assert(calculator.getFlowEmissions('Transporte', 'Diesel', 10) === 10 * 1000 * 74.1, 'Diesel en transporte incorrecto');
+        console.assert(calculator.getFlowEmissions('Ciclo Combinado', 'Gas natural seco', -2) === 2 * 1000 * 56.1, 'Entrada a generación incorrecta');
+        console.assert(calculator.getFlowEmissions('Ciclo Combinado', 'Energía eléctrica', 5) === null, 'La electricidad generada no emite');
+        console.assert(calculator.getFlowEmissions('Refinerías y Despuntadoras', 'Petróleo crudo', -100) === null, 'La refinación no es combustión');
+        console.assert(calculator.getFlowEmissions('Petroquímica Pemex', 'Gas natural seco', 10) === null, 'El uso no energético no emite');
+        console.assert(calculator.getFlowEmissions('Residencial', 'Leña', 1) === 112000, 'Los factores de options deben agregarse');
+
+        calculator.setFactors({ 'Leña': null, 'Diesel': 70 });
+        console.assert(calculator.getFactor('Leña') === null && calculator.getFactor('Diesel') === 70, 'setFactors incorrecto');
+
+        let threw = false;
+        try {
+            calculator.setFactors({ 'Diesel': -1 });
+        } catch (error) {
+            threw = true;
+        }
+        console.assert(threw, 'Un factor negativo debe lanzar un error');
+
+        console.log('✅ Emisiones de flujos correctas');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en emisiones de flujos:', error);
+        return false;
+    }
+}
+
+// Test 2: Reporte anual con datos reales
+function testYearReport() {
+    console.log('🧪 Test 2: Reporte anual con datos reales');
+
+    try {
+        const dataManager = new DataManager(jsonData);
+        const calculator = new EmissionsCalculator({ dataManager });
+
+        for (const year of dataManager.getAvailableYears()) {
+            const report = calculator.calculateYear(year);
+            const category = id => report.categories.find(item => item.id === id);
+            const plants = category('transformacion').sources.find(source => source.parent === 'Centrales Eléctricas');
+
+            console.assert(report.total > 0, `${year}: sin emisiones`);
+            // Los datos están redondeados a centésimas de PJ, por eso la tolerancia relativa
+            console.assert(Math.abs(category('generacion').total - plants.total) <= plants.total * 1e-4,
+                `${year}: las tecnologías deben sumar Centrales Eléctricas`);
+            console.assert(close(report.total, category('transformacion').total + category('sector').total), `${year}: total incorrecto`);
+            console.assert(report.categories.every(item => item.sources.every(source =>
+                source.carriers.every(entry => calculator.getFactor(entry.carrier) !== null))), `${year}: energético sin factor`);
+        }
+
+        console.assert(calculator.format(501540000) === '501.54 MtCO₂' && calculator.format(1500) === '1.5 ktCO₂', 'Formato incorrecto');
+
+        console.log('✅ Reporte anual correcto');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en reporte anual:', error);
+        return false;
+    }
+}
+
+// Test 3: SankeyBuilder agrega las emisiones a enlaces, nodos y popups
+function testBuilderOverlay() {
+    console.log('🧪 Test 3: Emisiones en el diagrama');
+
+    try {
+        const dataManager = new DataManager(jsonData);
+        const calculator = new EmissionsCalculator({ dataManager });
+        const builder = new SankeyBuilder({
+            spec: FLOW_SPEC,
+            dataManager: dataManager,
+            popupManager: new PopupManager({ emissionsCalculator: calculator }),
+            emissionsCalculator: calculator
+        });
+        const report = calculator.calculateYear('2023');
+        const sector = report.categories.find(item => item.id === 'sector').sources.find(source => source.parent === 'Transporte');
+
+        const model = builder.build('2023', { emissions: true });
+        const transporte = model.nodes.find(node => node.id === 'Transporte');
+        const diesel = model.links.find(link => link.energetic === 'Diesel' && link.targetName === 'Transporte');
+
+        console.assert(close(transporte.emissions, sector.total), 'Las emisiones del nodo deben coincidir con el reporte');
+        console.assert(transporte.customdata.includes('Emisiones: '), 'El popup del nodo debe mostrar las emisiones');
+        console.assert(diesel.customdata.includes('Emisiones: ') && diesel.emissions > 0, 'El popup del enlace debe mostrar las emisiones');
+
+        const plain = builder.build('2023');
+        console.assert(plain.nodes.every(node => node.emissions === undefined), 'Sin la opción no deben calcularse emisiones');
+
+        const grouped = builder.build('2023', { emissions: true, smallFlows: { threshold: 5, mode: 'percent' } });
+        const groupedTransporte = grouped.nodes.find(node => node.id === 'Transporte');
+        console.assert(close(groupedTransporte.emissions, sector.total), 'La agrupación de flujos no debe perder emisiones');
+
+        console.log('✅ Emisiones en el diagrama correctas');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en el diagrama:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+function runEmissionsCalculatorTests() {
+    console.log('🚀 Ejecutando tests de EmissionsCalculator...\n');
+
+    const tests = [
+        testFlowEmissions,
+        testYearReport,
+        testBuilderOverlay
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    tests.forEach((test, index) => {
+        try {
+            if (test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    });
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runEmissionsCalculatorTests() ? 0 : 1);
+}
+
+module.exports = { runEmissionsCalculatorTests };
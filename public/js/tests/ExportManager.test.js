@@ -0,0 +1,158 @@
+/**
+ * Tests para ExportManager - Verificación de la exportación de todos los años en un ZIP
+ */
+
+const path = require('path');
+
+// Plotly simulado: imágenes fijas en lugar de las generadas por el navegador
+global.Plotly = {
+    relayout: () => Promise.resolve(),
+    toImage: (element, options) => Promise.resolve(options.format === 'png'
+        ? 'data:image/png;base64,iVBORw0KGgo='
+        : 'data:image/svg+xml,%3Csvg%3E%3C%2Fsvg%3E')
+};
+global.window = { Plotly: global.Plotly };
+
+// JSZip simulado: guarda los archivos en el orden en que se agregan
+global.JSZip = class {
+    constructor() {
+        this.files = [];
+        JSZip.instances.push(this);
+    }
+
+    file(name, data, options) {
+        this.files.push({ name, data, options });
+    }
+
+    generateAsync() {
+        return Promise.resolve(`zip:${this.files.length}`);
+    }
+};
+JSZip.instances = [];
+
+const ExportManager = require(path.join(__dirname, '..', 'ExportManager.js'));
+
+// ExportManager sobre un elemento simulado; renderYear marca el diagrama como dibujado
+function createExport() {
+    const element = { _fullLayout: {}, data: [], layout: {} };
+    const exportManager = new ExportManager(element);
+    const downloads = [];
+    const rendered = [];
+    exportManager.downloadBlob = (blob, filename) => downloads.push({ blob, filename });
+
+    const renderYear = (year) => {
+        rendered.push(year);
+        element.data = [{ type: 'sankey' }];
+        return Promise.resolve();
+    };
+    return { exportManager, downloads, rendered, renderYear };
+}
+
+// Test 1: Los años se exportan del más antiguo al más reciente con su progreso
+async function testExportOrderAndProgress() {
+    console.log('🧪 Test 1: Orden de los archivos y progreso del ZIP');
+
+    try {
+        const { exportManager, downloads, rendered, renderYear } = createExport();
+        const progress = [];
+        const result = await exportManager.exportAllYears(['2024', '2023', '2022'], renderYear, {
+            formats: ['png', 'svg'],
+            filenameFor: year => `balance_${year}`,
+            filename: 'balance_2022-2024'
+        }, (percent, message) => progress.push({ percent, message }));
+
+        const expected = ['2022', '2023', '2024'].flatMap(year => [`balance_${year}.png`, `balance_${year}.svg`]);
+        const zip = JSZip.instances[JSZip.instances.length - 1];
+        console.assert(JSON.stringify(rendered) === JSON.stringify(['2022', '2023', '2024']), 'Los años se dibujan del más antiguo al más reciente');
+        console.assert(JSON.stringify(zip.files.map(file => file.name)) === JSON.stringify(expected), 'Orden de los archivos del ZIP');
+        console.assert(JSON.stringify(result.files) === JSON.stringify(expected) && JSON.stringify(result.years) === JSON.stringify(['2022', '2023', '2024']),
+            'El resultado lista los archivos y los años en orden');
+        console.assert(zip.files[0].options.base64 === true && zip.files[1].data === '<svg></svg>', 'PNG en base64 y SVG decodificado');
+        console.assert(downloads.length === 1 && downloads[0].filename === 'balance_2022-2024.zip' && downloads[0].blob === 'zip:6',
+            'Se descarga un solo ZIP');
+
+        console.assert(JSON.stringify(progress.map(item => item.percent)) === JSON.stringify([0, 10, 20, 30, 40, 50, 60, 70, 80, 92, 100]),
+            `Porcentajes de progreso: ${progress.map(item => item.percent)}`);
+        console.assert(progress[3].message === 'Año 2023 (2 de 3): dibujando diagrama...', 'El mensaje indica el año y su posición');
+        console.assert(progress[progress.length - 1].message === 'ZIP exportado con 6 archivos', 'Mensaje final');
+
+        console.log('✅ Orden de los archivos y progreso correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en orden y progreso del ZIP:', error);
+        return false;
+    }
+}
+
+// Test 2: Cancelar detiene los dibujos siguientes y devuelve los archivos generados
+async function testCancelExport() {
+    console.log('🧪 Test 2: Cancelación de la exportación');
+
+    try {
+        const { exportManager, downloads, rendered, renderYear } = createExport();
+        const controller = new AbortController();
+        const result = await exportManager.exportAllYears(['2024', '2023', '2022'], (year) => {
+            // Se cancela mientras se dibuja el segundo año
+            if (rendered.length === 1) controller.abort();
+            return renderYear(year);
+        }, { formats: ['png', 'svg'], filenameFor: year => `balance_${year}`, signal: controller.signal });
+
+        console.assert(result.cancelled === true && result.success === false, 'El resultado indica la cancelación');
+        console.assert(JSON.stringify(rendered) === JSON.stringify(['2022', '2023']), 'No se dibujan más años tras cancelar');
+        console.assert(JSON.stringify(result.files) === JSON.stringify(['balance_2022.png', 'balance_2022.svg']), 'Lista parcial de archivos');
+        console.assert(downloads.length === 0, 'No se descarga el ZIP incompleto');
+
+        let error = null;
+        try {
+            await exportManager.exportAllYears(['2024'], () => Promise.reject(new Error('sin datos')), { formats: ['png'] });
+        } catch (caught) {
+            error = caught;
+        }
+        console.assert(error && error.message === 'Error en exportación por años: sin datos', 'Los errores sin cancelar se propagan');
+
+        console.log('✅ Cancelación de la exportación correcta');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en la cancelación de la exportación:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+async function runExportManagerTests() {
+    console.log('🚀 Ejecutando tests de ExportManager...\n');
+
+    const tests = [
+        testExportOrderAndProgress,
+        testCancelExport
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const [index, test] of tests.entries()) {
+        try {
+            if (await test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    }
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    runExportManagerTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runExportManagerTests };
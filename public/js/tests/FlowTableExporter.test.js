@@ -0,0 +1,135 @@
+/**
+ * Tests para FlowTableExporter - Verificación de las tablas de nodos y flujos del diagrama
+ */
+
+const path = require('path');
+
+const DataManager = require(path.join(__dirname, '..', 'DataManager.js'));
+const StyleManager = require(path.join(__dirname, '..', 'StyleManager.js'));
+const FLOW_SPEC = require(path.join(__dirname, '..', 'FlowSpec.js'));
+const SankeyBuilder = require(path.join(__dirname, '..', 'SankeyBuilder.js'));
+const UnitConverter = require(path.join(__dirname, '..', 'UnitConverter.js'));
+const FlowTableExporter = require(path.join(__dirname, '..', 'FlowTableExporter.js'));
+
+// Función para crear un builder con los datos reales del balance
+function createBuilder() {
+    return new SankeyBuilder({
+        spec: FLOW_SPEC,
+        dataManager: new DataManager(require(path.join(__dirname, '..', '..', 'datos_energia_completo.json'))),
+        styleManager: new StyleManager()
+    });
+}
+
+// Test 1: Las tablas contienen lo dibujado con valores reales y en la unidad activa
+function testTablesMatchModel() {
+    console.log('🧪 Test 1: Tablas de nodos y flujos');
+
+    try {
+        const builder = createBuilder();
+        const unitConverter = new UnitConverter();
+        unitConverter.setUnit('TWh');
+        const exporter = new FlowTableExporter({ unitConverter, builder });
+        const model = builder.build('2024', { smallFlows: { threshold: 5, mode: 'percent' } });
+        const tables = exporter.getTables(model, { conjunto_de_datos: 'Nacional' });
+
+        console.assert(tables.nodes.length === model.nodes.length && tables.links.length === model.links.length, 'Una fila por nodo y por enlace');
+        tables.links.forEach((row, index) => {
+            const link = model.links[index];
+            console.assert(row.origen === link.sourceName && row.destino === link.targetName && row.energetico === link.energetic, `Enlace ${index} distinto`);
+            console.assert(Math.abs(row.valor_pj - link.value) < 1e-6 && row.valor_pj !== Number(model.link.value[index].toFixed(6)),
+                `El enlace ${index} debe llevar el valor real, no el escalado`);
+            console.assert(Math.abs(row.valor - unitConverter.convert(link.value, '2024')) < 1e-6 && row.unidad === 'TWh', `Enlace ${index} sin convertir`);
+        });
+        console.assert(tables.links.some(row => row.energeticos_agrupados) && tables.linkColumns.includes('energeticos_agrupados'),
+            'Los flujos agrupados listan sus energéticos');
+        console.assert(!tables.linkColumns.includes('valor_inicial_pj') && !tables.linkColumns.includes('emisiones_tco2'),
+            'Las columnas opcionales sin datos se omiten');
+        console.assert(tables.nodes.find(row => row.id === 'Industrial').columna === 'sectores', 'Columna de cada nodo');
+        console.assert(tables.metadata['año'] === '2024' && tables.metadata.conjunto_de_datos === 'Nacional', 'Metadatos de la vista');
+
+        const difference = exporter.getTables(builder.buildDifference('2023', '2024'));
+        const row = difference.links.find(link => link.valor_pj < 0);
+        console.assert(row && Math.abs(row.valor_final_pj - row.valor_inicial_pj - row.valor_pj) < 1e-5, 'La diferencia conserva su signo');
+        console.assert(difference.metadata['año_inicial'] === '2023', 'La vista de diferencias indica el año inicial');
+
+        console.log('✅ Tablas de nodos y flujos correctas');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en tablas de nodos y flujos:', error);
+        return false;
+    }
+}
+
+// Test 2: Serialización a CSV y JSON
+function testSerialization() {
+    console.log('🧪 Test 2: CSV y JSON');
+
+    try {
+        const builder = createBuilder();
+        const exporter = new FlowTableExporter({ builder });
+        const tables = exporter.getTables(builder.build('2024'), { filtros: ['Sector: Industrial, "Transporte"'] });
+
+        const csv = exporter.toCsv(tables.links, tables.linkColumns).trim().split('\n');
+        console.assert(csv[0] === tables.linkColumns.join(',') && csv[0].startsWith('indice,origen,destino,energetico,tipo_flujo'), 'Encabezado del CSV');
+        console.assert(csv.length === tables.links.length + 1, 'Una línea por flujo');
+        console.assert(exporter.toCsv([{ a: 'x, "y"' }], ['a']) === 'a\n"x, ""y"""\n', 'Los textos con comas y comillas se escapan');
+
+        const json = JSON.parse(exporter.toJson(tables));
+        console.assert(json.flujos.length === tables.links.length && json.nodos.length === tables.nodes.length, 'JSON con nodos y flujos');
+        console.assert(json.metadatos.unidad === 'PJ' && !('año_inicial' in json.metadatos), 'Metadatos sin campos vacíos');
+        console.assert(json.metadatos.filtros[0] === 'Sector: Industrial, "Transporte"', 'Los filtros se incluyen en los metadatos');
+
+        let error = null;
+        try {
+            exporter.toWorkbook(tables);
+        } catch (caught) {
+            error = caught;
+        }
+        console.assert(error && error.message === 'La biblioteca XLSX no está cargada', 'XLSX requiere SheetJS');
+
+        console.log('✅ CSV y JSON correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en CSV y JSON:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+function runFlowTableExporterTests() {
+    console.log('🚀 Ejecutando tests de FlowTableExporter...\n');
+
+    const tests = [
+        testTablesMatchModel,
+        testSerialization
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    tests.forEach((test, index) => {
+        try {
+            if (test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    });
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runFlowTableExporterTests() ? 0 : 1);
+}
+
+module.exports = { runFlowTableExporterTests };
@@ -0,0 +1,148 @@
+/**
+ * Tests para ImageMetadata - Verificación de los metadatos de procedencia en PNG y SVG
+ */
+
+const path = require('path');
+
+const ImageMetadata = require(path.join(__dirname, '..', 'ImageMetadata.js'));
+
+const jsonData = require(path.join(__dirname, '..', '..', 'datos_energia_completo.json'));
+
+// PNG de 1x1 píxel
+const PNG_1X1 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+// Fragmentos de un PNG con su CRC recalculado
+function readChunks(metadata, bytes) {
+    const chunks = [];
+    metadata.forEachPNGChunk(bytes, (type, data, offset) => {
+        const stored = new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset + 8 + data.length);
+        chunks.push({ type, valid: stored === metadata.crc32(bytes.subarray(offset + 4, offset + 8 + data.length)) });
+    });
+    return chunks;
+}
+
+// Test 1: Metadatos en PNG y suma de verificación de los datos
+async function testPNGMetadata() {
+    console.log('🧪 Test 1: Metadatos en PNG');
+
+    try {
+        const imageMetadata = new ImageMetadata();
+        console.assert(imageMetadata.crc32(new TextEncoder().encode('123456789')) === 0xcbf43926, 'CRC-32 estándar');
+
+        const metadata = await imageMetadata.create({
+            conjunto_de_datos: 'Nacional', 'año': '2024', unidad: 'PJ', escala_enlaces: 'Logarítmica',
+            filtros: ['Sector: Industrial'], energetico: undefined
+        }, jsonData);
+        console.assert(/^sha256:[0-9a-f]{64}$/.test(metadata.suma_verificacion), 'Suma SHA-256 de los datos');
+        console.assert(metadata.aplicacion === ImageMetadata.APPLICATION && !Number.isNaN(Date.parse(metadata.exportado)), 'Aplicación y fecha');
+
+        const dataURL = imageMetadata.addToPNG(`data:image/png;base64,${PNG_1X1}`, metadata);
+        const bytes = Buffer.from(dataURL.split(',')[1], 'base64');
+        const chunks = readChunks(imageMetadata, bytes);
+        console.assert(chunks.every(chunk => chunk.valid), 'Todos los fragmentos deben tener un CRC válido');
+        console.assert(chunks[0].type === 'IHDR' && chunks[chunks.length - 1].type === 'IEND', 'IHDR primero e IEND al final');
+        console.assert(chunks.filter(chunk => chunk.type === 'iTXt').length === 4, 'Fragmentos de texto agregados');
+
+        const read = imageMetadata.read(bytes);
+        console.assert(JSON.stringify(read) === JSON.stringify(metadata), 'Los metadatos deben poder leerse de vuelta');
+        const texts = imageMetadata.readPNGText(new Uint8Array(bytes));
+        console.assert(texts.Description.startsWith('Datos: Nacional · Año: 2024 · Unidad: PJ') && !texts.Description.includes('Energético'),
+            'Descripción legible sin campos vacíos');
+        console.assert(imageMetadata.read(Buffer.from(PNG_1X1, 'base64')) === null, 'Un PNG sin metadatos devuelve null');
+
+        console.assert(await imageMetadata.verify(read, jsonData) === true, 'La suma coincide con los mismos datos');
+        console.assert(await imageMetadata.verify(read, { ...jsonData, Datos: [] }) === false, 'Otros datos no coinciden');
+        const crc = { suma_verificacion: await imageMetadata.getChecksum(jsonData, 'crc32') };
+        console.assert(/^crc32:[0-9a-f]{8}$/.test(crc.suma_verificacion) && await imageMetadata.verify(crc, jsonData) === true,
+            'También se verifican las sumas CRC-32');
+        console.assert(await imageMetadata.verify({}, jsonData) === null, 'Sin suma no se puede comparar');
+
+        console.log('✅ Metadatos en PNG correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en metadatos en PNG:', error);
+        return false;
+    }
+}
+
+// Test 2: Metadatos y pie de página en SVG
+async function testSVGMetadata() {
+    console.log('🧪 Test 2: Metadatos en SVG');
+
+    try {
+        const imageMetadata = new ImageMetadata();
+        const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080"><g class="sankey"></g></svg>';
+        const metadata = await imageMetadata.create({
+            conjunto_de_datos: 'Revisión <2>', 'año_inicial': '2023', 'año': '2024', unidad: 'TWh',
+            filtros: ['Energético: "Gas" & otros']
+        }, jsonData);
+
+        const plain = imageMetadata.addToSVG(svg, metadata);
+        console.assert(plain.startsWith(`<svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080"><metadata id="${ImageMetadata.KEYWORD}">`),
+            'El elemento <metadata> va al inicio del SVG');
+        console.assert(!plain.includes('<text'), 'Sin pie de página por defecto');
+        console.assert(JSON.stringify(imageMetadata.read(new TextEncoder().encode(plain))) === JSON.stringify(metadata), 'Los metadatos deben poder leerse de vuelta');
+
+        const captioned = imageMetadata.addToSVG(svg, metadata, { caption: true });
+        const caption = captioned.match(/<text [^>]*y="(\d+)"[^>]*>([^<]*)<\/text><\/svg>$/);
+        console.assert(caption && caption[1] === '1072', 'El pie de página va al final, sobre el borde inferior');
+        console.assert(caption[2].startsWith('Datos: Revisión &lt;2&gt; · Año inicial: 2023 · Año: 2024') && caption[2].includes('&amp; otros'),
+            'El pie de página se escapa');
+        console.assert(!caption[2].includes('Aplicación') && /Suma de verificación: sha256:[0-9a-f]{12} /.test(caption[2] + ' '),
+            'El pie de página abrevia la suma de verificación');
+
+        console.assert(imageMetadata.readFromSVG(svg) === null, 'Un SVG sin metadatos devuelve null');
+        let error = null;
+        try {
+            imageMetadata.read(new TextEncoder().encode('a,b\n1,2'));
+        } catch (caught) {
+            error = caught;
+        }
+        console.assert(error && error.message === 'El archivo no es un PNG ni un SVG', 'Otros archivos se rechazan');
+
+        console.log('✅ Metadatos en SVG correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en metadatos en SVG:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+async function runImageMetadataTests() {
+    console.log('🚀 Ejecutando tests de ImageMetadata...\n');
+
+    const tests = [
+        testPNGMetadata,
+        testSVGMetadata
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const [index, test] of tests.entries()) {
+        try {
+            if (await test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    }
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    runImageMetadataTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runImageMetadataTests };
@@ -0,0 +1,142 @@
+/**
+ * Tests para IndicatorCalculator - Verificación de los indicadores del balance
+ */
+
+const path = require('path');
+
+const IndicatorCalculator = require(path.join(__dirname, '..', 'IndicatorCalculator.js'));
+const DataManager = require(path.join(__dirname, '..', 'DataManager.js'));
+const NameRegistry = require(path.join(__dirname, '..', 'NameRegistry.js'));
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+// Función para crear datos mínimos { padre: { hijo: [tipo, valor] } } para un año
+function createData(year, parents) {
+    return {
+        Datos: Object.entries(parents).map(([parent, children]) => ({
+            'Nodo Padre': parent,
+            'Nodos Hijo': Object.entries(children).map(([child, [tipo, value]]) => ({
+                'Nodo Hijo': child,
+                tipo: tipo,
+                [year]: value
+            }))
+        }))
+    };
+}
+
+// Test 1: Indicadores con datos sintéticos
+function testDefinitions() {
+    console.log('🧪 Test 1: Definiciones de los indicadores');
+
+    try {
+        const P = 'Energía Primaria';
+        const S = 'Energía Secundaria';
+        const dataManager = new DataManager(createData('2030', {
+            'Producción': { 'Petróleo crudo': [P, 80], 'Energía solar': [P, 20] },
+            'Importación': { 'Diesel': [S, 40] },
+            'Exportación': { 'Petróleo crudo': [P, -20] },
+            'Oferta Interna Bruta': { 'Petróleo crudo': [P, 60], 'Energía solar': [P, 20], 'Diesel': [S, 40] },
+            'Centrales Eléctricas': { 'Energía solar': [P, -20], 'Diesel': [S, -10], 'Energía eléctrica': [S, 12] },
+            'Refinerías y Despuntadoras': { 'Petróleo crudo': [P, -60], 'Diesel': [S, 57] },
+            'Pérdidas técnicas por transporte, transmisión y distribución': { 'Energía eléctrica': [S, -1.5] },
+            'Pérdidas no técnicas por energético': { 'Energía eléctrica': [S, -0.9] },
+            'Transporte': { 'Diesel': [S, 75] },
+            'Residencial': { 'Energía eléctrica': [S, 25] }
+        }));
+        const calculator = new IndicatorCalculator({ dataManager });
+        const indicators = new Map(calculator.calculateYear('2030').map(indicator => [indicator.id, indicator]));
+        const value = id => indicators.get(id).value;
+
+        console.assert(close(value('independencia'), 100 / 120), 'Independencia energética incorrecta');
+        console.assert(close(value('dependencia-importaciones'), 20 / 120), 'Dependencia de importaciones incorrecta');
+        console.assert(close(value('participacion-renovable'), 20 / 80), 'La participación renovable usa la oferta primaria');
+        console.assert(close(value('eficiencia-centrales'), 12 / 30), 'Eficiencia de centrales incorrecta');
+        console.assert(close(value('eficiencia-refinerias'), 57 / 60), 'Eficiencia de refinerías incorrecta');
+        console.assert(close(value('perdidas'), 2.4 / 120), 'Pérdidas incorrectas');
+        console.assert(close(value('sector-Transporte'), 0.75) && value('sector-Público') === 0, 'Participación sectorial incorrecta');
+
+        console.assert(calculator.format(indicators.get('perdidas'), 0.02) === '2.0%', 'Formato de porcentaje incorrecto');
+        console.assert(calculator.format(indicators.get('independencia'), 0.8333) === '0.83', 'Formato de índice incorrecto');
+        console.assert(calculator.format(indicators.get('independencia'), null) === '—', 'Un valor nulo debe mostrarse como guion');
+
+        console.log('✅ Definiciones correctas');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en definiciones:', error);
+        return false;
+    }
+}
+
+// Test 2: Series con datos reales
+function testRealSeries() {
+    console.log('🧪 Test 2: Series con datos reales');
+
+    try {
+        // Como en la aplicación: el registro agrupa las grafías de la hidráulica
+        const dataManager = new DataManager(require(path.join(__dirname, '..', '..', 'datos_energia_completo.json')),
+            { nameRegistry: new NameRegistry() });
+        const series = new IndicatorCalculator({ dataManager }).calculateSeries();
+        const years = dataManager.getAvailableYears();
+
+        console.assert(series.every(indicator => indicator.points.length === years.length), 'Debe haber un punto por año');
+        console.assert(series[0].points[0].year === '2010', 'Las series deben estar en orden cronológico');
+        series.filter(indicator => indicator.unit === '%').forEach((indicator) => {
+            console.assert(indicator.points.every(point => point.value !== null && point.value < 1),
+                `${indicator.id}: valores fuera de rango`);
+        });
+
+        const sectors = series.filter(indicator => indicator.group === 'Consumo final energético');
+        years.forEach((year, index) => {
+            const total = sectors.reduce((sum, indicator) => sum + indicator.points[index].value, 0);
+            console.assert(close(total, 1), `${year}: las participaciones sectoriales deben sumar 100%`);
+        });
+
+        const renewable = series.find(indicator => indicator.id === 'participacion-renovable');
+        console.assert(renewable.points.every(point => point.value > 0.05), 'La hidráulica con ambas grafías debe contarse');
+
+        console.log('✅ Series correctas');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en series:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+function runIndicatorCalculatorTests() {
+    console.log('🚀 Ejecutando tests de IndicatorCalculator...\n');
+
+    const tests = [
+        testDefinitions,
+        testRealSeries
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    tests.forEach((test, index) => {
+        try {
+            if (test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    });
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runIndicatorCalculatorTests() ? 0 : 1);
+}
+
+module.exports = { runIndicatorCalculatorTests };
@@ -0,0 +1,117 @@
+/**
+ * Tests para LinkScaleManager - Verificación de los modos de escala y la leyenda
+ */
+
+const path = require('path');
+
+const LinkScaleManager = require(path.join(__dirname, '..', 'LinkScaleManager.js'));
+
+// Test 1: Cada modo aplica la transformación esperada
+function testScaleModes() {
+    console.log('🧪 Test 1: Transformación de cada modo de escala');
+
+    try {
+        const manager = new LinkScaleManager({ mode: 'linear' });
+        console.assert(manager.scale(-250) === 250, 'Lineal debe usar el valor absoluto');
+
+        manager.setMode('sqrt');
+        console.assert(manager.scale(400) === 20, 'Raíz cuadrada incorrecta');
+
+        manager.setMode('log');
+        console.assert(Math.abs(manager.scale(99) - 2.25) < 1e-9, 'Logarítmica debe ser log10(v+1) + 0.25');
+
+        manager.setMode('linear-min');
+        console.assert(manager.scale(1, { maxValue: 2000 }) === 10, 'El mínimo visible debe ser 0.5% del máximo');
+        console.assert(manager.scale(500, { maxValue: 2000 }) === 500, 'Los flujos grandes deben quedar lineales');
+
+        console.log('✅ Modos de escala correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en modos de escala:', error);
+        return false;
+    }
+}
+
+// Test 2: Un modo desconocido se rechaza sin cambiar el modo activo
+function testUnknownModeRejected() {
+    console.log('🧪 Test 2: Rechazo de modos desconocidos');
+
+    const manager = new LinkScaleManager();
+    try {
+        manager.setMode('cubica');
+        console.error('❌ El modo desconocido fue aceptado');
+        return false;
+    } catch (error) {
+        console.assert(manager.getMode() === 'log', 'El modo activo no debe cambiar');
+        console.log('✅ Modo desconocido rechazado:', error.message);
+        return true;
+    }
+}
+
+// Test 3: La leyenda usa valores redondos y grosores coherentes con la calibración
+function testLegendData() {
+    console.log('🧪 Test 3: Datos de la leyenda');
+
+    try {
+        const manager = new LinkScaleManager({ mode: 'linear' });
+        manager.setReferenceMax(2415);
+        manager.pixelsPerUnit = 0.1;
+
+        const legend = manager.getLegendData();
+        const values = legend.entries.map(entry => entry.value);
+
+        console.assert(JSON.stringify(values) === JSON.stringify([2000, 200, 20, 2]), `Valores inesperados: ${values}`);
+        console.assert(legend.entries[0].px === 200, 'En modo lineal 2,000 PJ deben medir 200 px');
+        console.assert(legend.entries[0].label === '2,000 PJ', 'Etiqueta con formato incorrecto');
+        console.assert(legend.calibrated, 'La leyenda debe marcarse como calibrada');
+
+        manager.setMode('linear-min');
+        console.assert(manager.getLegendData().note.includes('12.08 PJ'), 'La nota debe indicar el umbral del grosor mínimo');
+
+        console.log('✅ Leyenda correcta');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en la leyenda:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+function runLinkScaleManagerTests() {
+    console.log('🚀 Ejecutando tests de LinkScaleManager...\n');
+
+    const tests = [
+        testScaleModes,
+        testUnknownModeRejected,
+        testLegendData
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    tests.forEach((test, index) => {
+        try {
+            if (test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    });
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runLinkScaleManagerTests() ? 0 : 1);
+}
+
+module.exports = { runLinkScaleManagerTests };
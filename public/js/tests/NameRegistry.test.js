@@ -0,0 +1,134 @@
+/**
+ * Tests para NameRegistry - Verificación de nombres canónicos, alias y grafías
+ */
+
+const path = require('path');
+
+const NameRegistry = require(path.join(__dirname, '..', 'NameRegistry.js'));
+const DataManager = require(path.join(__dirname, '..', 'DataManager.js'));
+const StyleManager = require(path.join(__dirname, '..', 'StyleManager.js'));
+const LayoutEngine = require(path.join(__dirname, '..', 'LayoutEngine.js'));
+const LinkManager = require(path.join(__dirname, '..', 'LinkManager.js'));
+const PopupManager = require(path.join(__dirname, '..', 'PopupManager.js'));
+
+const jsonData = require(path.join(__dirname, '..', '..', 'datos_energia_completo.json'));
+
+// Test 1: Entradas canónicas por id, alias y coincidencia sin acentos
+function testCanonicalEntries() {
+    console.log('🧪 Test 1: Entradas canónicas');
+
+    try {
+        const registry = new NameRegistry({ data: jsonData });
+        const hydro = registry.resolve('Energia Hidraúlica', 'child');
+
+        console.assert(hydro && hydro.id === '6' && hydro.name === 'Energía Hidráulica', 'La hidráulica debe resolverse a id_hijo 6 con el nombre declarado');
+        console.assert(registry.resolve('  ENERGÍA   hidraulica ', 'child') === hydro, 'Sin acentos, mayúsculas ni espacios repetidos');
+        console.assert(registry.resolveId(23, 'child') === hydro, 'El id_hijo 23 de la hidráulica se une al 6');
+        console.assert(registry.getWarnings().some(warning => warning.includes('id_hijo 23')), 'El id repetido debe reportarse');
+        console.assert(registry.getKey('Importación de energéticos primarios') === 'padre:4', 'Alias heredado de Importación');
+        console.assert(registry.matches('Diésel', 'Diesel', 'child'), 'Diésel y Diesel son el mismo energético');
+        console.assert(!registry.matches('Geotérmica', 'Geoenergía'), 'Un nodo padre no coincide con un energético de otro nombre');
+
+        const conflict = new NameRegistry({ data: { Datos: [{ 'Nodo Padre': 'A', id_padre: 1, 'Nodos Hijo': [
+            { 'Nodo Hijo': 'Diesel', id_hijo: 18 },
+            { 'Nodo Hijo': 'Combustóleo', id_hijo: 18 }
+        ] }] } });
+        console.assert(conflict.getWarnings().some(warning => warning.includes('id_hijo 18 se usa para "Diesel" y "Combustóleo"')),
+            'Dos energéticos con el mismo id deben reportarse');
+        console.assert(conflict.resolve('Combustóleo', 'child').id === null, 'El id en conflicto no se asigna al segundo nombre');
+
+        console.log('✅ Entradas canónicas correctas');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en entradas canónicas:', error);
+        return false;
+    }
+}
+
+// Test 2: Los módulos resuelven nombres a través del registro
+function testModulesResolveNames() {
+    console.log('🧪 Test 2: Módulos con el registro de nombres');
+
+    try {
+        const registry = new NameRegistry();
+        const dataManager = new DataManager(jsonData, { nameRegistry: registry });
+
+        const exact = dataManager.getEnergeticValue('Total Transformación', 'Energía Hidráulica', '2023');
+        console.assert(exact !== null, 'Total Transformación debe tener energía hidráulica');
+        console.assert(dataManager.getEnergeticValue('Total Transformación', 'Energia Hidraúlica', '2023') === exact, 'La otra grafía debe encontrar el mismo valor');
+        console.assert(dataManager.getNodeData('Importación de energéticos primarios') === dataManager.getNodeData('Importación'), 'Alias de nodo padre');
+        console.assert(dataManager.getNodeDefinition('oferta interna bruta').name === 'Oferta Interna Bruta', 'Nodo padre sin mayúsculas');
+
+        const plants = dataManager.getYearData('2024').get('Centrales Eléctricas');
+        console.assert(plants.has('Energía Hidráulica') && !plants.has('Energia Hidraúlica'), 'Los datos por año usan el nombre canónico');
+        console.assert(dataManager.getNodeDefinition('Centrales Eléctricas').children.get('Energía Hidráulica').names[0] === 'Energia Hidraúlica',
+            'La definición conserva la grafía de los datos');
+        const merged = new DataManager({ Datos: [{ 'Nodo Padre': 'Oferta', 'Nodos Hijo': [
+            { 'Nodo Hijo': 'Energía Hidráulica', '2030': 2 }, { 'Nodo Hijo': 'Energia Hidraúlica', '2030': 3 }
+        ] }] }, { nameRegistry: new NameRegistry() });
+        console.assert(merged.getYearData('2030').get('Oferta').get('Energía Hidráulica') === 5
+            && merged.getEnergeticValue('Oferta', 'Energia Hidraúlica', '2030') === 5, 'Las grafías repetidas se suman');
+
+        console.assert(dataManager.getEnergeticValue('Transporte', 'Hidrógeno', '2023') === null, 'Un energético desconocido no tiene valor');
+        console.assert(registry.getWarnings().some(warning => warning === 'Energético desconocido: "Hidrógeno" (Transporte)'), 'El nombre sin resolver debe reportarse');
+
+        const styleManager = new StyleManager({ nameRegistry: registry });
+        console.assert(styleManager.getEnergyColor('Energia Hidraúlica') === styleManager.getEnergyColor('Energía Hidráulica'), 'Ambas grafías comparten color');
+
+        const layoutEngine = new LayoutEngine({ nameRegistry: registry });
+        console.assert(layoutEngine.findColumnForNode('Energia Hidraúlica') === 'energia-primaria', 'La columna se resuelve por nombre canónico');
+
+        const linkManager = new LinkManager({ nameRegistry: registry });
+        linkManager.registerConnectionMap('sources-to-hub', new Map([['Importación de energéticos primarios', ['Oferta Total']]]));
+        console.assert(linkManager.validateConnection('Importación', 'Oferta Total').valid, 'Los mapas de conexiones resuelven alias');
+        console.assert(linkManager.getConnectionsForNodes(['Importación', 'Oferta Total']).length === 1, 'Conexiones con el nombre de los datos');
+
+        const popupManager = new PopupManager({ nameRegistry: registry });
+        console.assert(popupManager.determineLinkFlowType('Importación', 'Oferta Total') === 'primary_supply', 'Los patrones de flujo resuelven alias');
+
+        console.log('✅ Módulos con el registro de nombres correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en módulos con el registro de nombres:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+function runNameRegistryTests() {
+    console.log('🚀 Ejecutando tests de NameRegistry...\n');
+
+    const tests = [
+        testCanonicalEntries,
+        testModulesResolveNames
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    tests.forEach((test, index) => {
+        try {
+            if (test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    });
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runNameRegistryTests() ? 0 : 1);
+}
+
+module.exports = { runNameRegistryTests };
@@ -0,0 +1,129 @@
+/**
+ * Tests para PathTracer - Verificación de los modos de trazado de rutas
+ */
+
+const path = require('path');
+
+const PathTracer = require(path.join(__dirname, '..', 'PathTracer.js'));
+const DataManager = require(path.join(__dirname, '..', 'DataManager.js'));
+const StyleManager = require(path.join(__dirname, '..', 'StyleManager.js'));
+const LayoutEngine = require(path.join(__dirname, '..', 'LayoutEngine.js'));
+const FLOW_SPEC = require(path.join(__dirname, '..', 'FlowSpec.js'));
+const SankeyBuilder = require(path.join(__dirname, '..', 'SankeyBuilder.js'));
+
+// Grafo de prueba: 0→1→3, 0→2→3, 4→2, 3→5 y un enlace 1→6 con valor 0
+const sources = [0, 0, 1, 2, 4, 3, 1];
+const targets = [1, 2, 3, 3, 2, 5, 6];
+const values = [5, 5, 5, 5, 5, 5, 0];
+
+const sorted = set => [...set].sort((a, b) => a - b).join(',');
+
+// Test 1: Recorridos aguas abajo y aguas arriba
+function testForwardAndBackward() {
+    console.log('🧪 Test 1: Recorridos aguas abajo y aguas arriba');
+
+    try {
+        const tracer = new PathTracer(sources, targets, values);
+
+        console.assert(sorted(tracer.forward(2).nodes) === '2,3,5', 'Aguas abajo de 2 incorrecto');
+        console.assert(sorted(tracer.backward(3).nodes) === '0,1,2,3,4', 'Aguas arriba de 3 incorrecto');
+        console.assert(!tracer.forward(1).nodes.has(6), 'Los enlaces con valor 0 deben ignorarse');
+        console.assert(sorted(tracer.full(2).links) === '1,3,4,5', 'Ruta completa de 2 incorrecta');
+
+        console.log('✅ Recorridos correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en recorridos:', error);
+        return false;
+    }
+}
+
+// Test 2: Enlaces entre dos nodos
+function testBetween() {
+    console.log('🧪 Test 2: Rutas entre dos nodos');
+
+    try {
+        const tracer = new PathTracer(sources, targets, values);
+
+        console.assert(sorted(tracer.between(0, 3).links) === '0,1,2,3', 'Rutas 0→3 incorrectas');
+        console.assert(sorted(tracer.between(4, 5).links) === '3,4,5', 'Rutas 4→5 incorrectas');
+        console.assert(tracer.between(5, 0).links.size === 0, 'No debe haber ruta 5→0');
+
+        console.log('✅ Rutas entre nodos correctas');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en rutas entre nodos:', error);
+        return false;
+    }
+}
+
+// Test 3: Con datos reales, la electricidad de Industrial proviene de Centrales Eléctricas
+function testUpstreamOnRealData() {
+    console.log('🧪 Test 3: Aguas arriba de Industrial con datos reales');
+
+    try {
+        const dataManager = new DataManager(require(path.join(__dirname, '..', '..', 'datos_energia_completo.json')));
+        const builder = new SankeyBuilder({
+            spec: FLOW_SPEC,
+            dataManager: dataManager,
+            styleManager: new StyleManager(),
+            layoutEngine: new LayoutEngine()
+        });
+        const model = builder.build('2024');
+        const tracer = new PathTracer(model.link.source, model.link.target, model.link.value);
+        const upstream = tracer.backward(model.nodeMap.get('Industrial'));
+
+        console.assert(upstream.nodes.has(model.nodeMap.get('Energía eléctrica')), 'Falta Energía eléctrica');
+        console.assert(upstream.nodes.has(model.nodeMap.get('Centrales Eléctricas')), 'Faltan Centrales Eléctricas');
+
+        const between = tracer.between(model.nodeMap.get('Gas natural'), model.nodeMap.get('Residencial'));
+        console.assert(between.links.size > 0, 'Debe existir ruta de Gas natural a Residencial');
+        console.assert([...between.links].every(index => between.nodes.has(model.link.source[index])), 'Enlace fuera de la ruta');
+
+        console.log('✅ Trazado con datos reales correcto');
+        return true;
+    } catch (error) {
+        console.error('❌ Error con datos reales:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+function runPathTracerTests() {
+    console.log('🚀 Ejecutando tests de PathTracer...\n');
+
+    const tests = [
+        testForwardAndBackward,
+        testBetween,
+        testUpstreamOnRealData
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    tests.forEach((test, index) => {
+        try {
+            if (test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    });
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runPathTracerTests() ? 0 : 1);
+}
+
+module.exports = { runPathTracerTests };
@@ -0,0 +1,402 @@
+/**
+ * Tests para SankeyBuilder - Verificación de la construcción desde FlowSpec
+ */
+
+const path = require('path');
+
+const DataManager = require(path.join(__dirname, '..', 'DataManager.js'));
+const StyleManager = require(path.join(__dirname, '..', 'StyleManager.js'));
+const PopupManager = require(path.join(__dirname, '..', 'PopupManager.js'));
+const LayoutEngine = require(path.join(__dirname, '..', 'LayoutEngine.js'));
+const LinkManager = require(path.join(__dirname, '..', 'LinkManager.js'));
+const FLOW_SPEC = require(path.join(__dirname, '..', 'FlowSpec.js'));
+const SankeyBuilder = require(path.join(__dirname, '..', 'SankeyBuilder.js'));
+
+// Función para crear un builder con los datos reales del balance
+function createBuilder(spec = FLOW_SPEC) {
+    const dataManager = new DataManager(require(path.join(__dirname, '..', '..', 'datos_energia_completo.json')));
+    return new SankeyBuilder({
+        spec: spec,
+        dataManager: dataManager,
+        styleManager: new StyleManager(),
+        popupManager: new PopupManager(),
+        linkManager: new LinkManager(),
+        layoutEngine: new LayoutEngine()
+    });
+}
+
+// Test 1: Todos los enlaces apuntan a nodos existentes y tienen anchos finitos
+function testLinksAreValid() {
+    console.log('🧪 Test 1: Enlaces válidos para todos los años');
+
+    try {
+        const builder = createBuilder();
+        for (const year of builder.dataManager.getAvailableYears()) {
+            const model = builder.build(year);
+            const nodeCount = model.nodes.length;
+
+            console.assert(model.links.length > 0, `Sin enlaces para ${year}`);
+            console.assert(model.link.source.every(i => Number.isInteger(i) && i < nodeCount), `Índice de origen inválido en ${year}`);
+            console.assert(model.link.target.every(i => Number.isInteger(i) && i < nodeCount), `Índice de destino inválido en ${year}`);
+            console.assert(model.link.value.every(v => Number.isFinite(v) && v > 0), `Ancho de enlace inválido en ${year}`);
+        }
+
+        console.log('✅ Enlaces válidos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error validando enlaces:', error);
+        return false;
+    }
+}
+
+// Test 2: Los enlaces conservan el valor real en PJ del dato
+function testLinkValuesMatchData() {
+    console.log('🧪 Test 2: Valores reales de los enlaces');
+
+    try {
+        const builder = createBuilder();
+        const model = builder.build('2024');
+
+        const importacion = model.links.find(link =>
+            link.sourceName === 'Importación' && link.energetic === 'Carbón mineral');
+        const expected = builder.dataManager.getEnergeticValue('Importación', 'Carbón mineral', '2024');
+
+        console.assert(importacion, 'No se generó Importación → Carbón mineral');
+        console.assert(importacion.value === expected, 'El valor del enlace no coincide con el dato');
+        console.assert(importacion.targetName === 'Carbón mineral', 'Destino incorrecto');
+
+        console.log('✅ Valores reales conservados');
+        return true;
+    } catch (error) {
+        console.error('❌ Error comparando valores:', error);
+        return false;
+    }
+}
+
+// Test 3: Los flujos bidireccionales invierten la dirección para valores negativos
+function testBidirectionalFlows() {
+    console.log('🧪 Test 3: Flujos bidireccionales de variación de inventarios');
+
+    try {
+        const builder = createBuilder();
+        const model = builder.build('2024');
+        const raw = builder.dataManager.getEnergeticValue('Variación de Inventarios', 'Gas natural', '2024');
+        const link = model.links.find(l => l.flowType === 'inventory_change_primaria' && l.energetic === 'Gas natural');
+
+        console.assert(raw < 0, 'El dato de prueba debería ser negativo');
+        console.assert(link.sourceName === 'Gas natural', 'Un valor negativo debe salir del energético');
+        console.assert(link.targetName === 'Variación de Inventarios', 'Un valor negativo debe entrar a la variación');
+        console.assert(link.value === Math.abs(raw), 'El valor debe ser absoluto');
+
+        console.log('✅ Dirección bidireccional correcta');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en flujos bidireccionales:', error);
+        return false;
+    }
+}
+
+// Test 4: Las columnas se registran en LayoutEngine y definen las posiciones
+function testColumnsRegistered() {
+    console.log('🧪 Test 4: Columnas registradas en LayoutEngine');
+
+    try {
+        const builder = createBuilder();
+        const column = builder.layoutEngine.getColumnInfo('flujo-sectores');
+        const model = builder.build('2024');
+        const industrial = model.nodes[model.nodeMap.get('Industrial')];
+
+        console.assert(column && column.x === 0.9, 'Columna de sectores no registrada');
+        console.assert(industrial.x === column.x, 'El nodo no usa la X de su columna');
+        console.assert(builder.linkManager.connectionMaps.has('flow-spec'), 'Mapa de conexiones no registrado');
+
+        console.log('✅ Columnas y conexiones registradas');
+        return true;
+    } catch (error) {
+        console.error('❌ Error registrando columnas:', error);
+        return false;
+    }
+}
+
+// Test 5: Una especificación con referencias desconocidas se rechaza
+function testInvalidSpecRejected() {
+    console.log('🧪 Test 5: Rechazo de especificaciones inválidas');
+
+    const invalidSpec = {
+        ...FLOW_SPEC,
+        flows: [{ from: 'Nodo inexistente', to: '@primarios', sign: 'positive', flowType: 'test' }]
+    };
+
+    try {
+        createBuilder(invalidSpec);
+        console.error('❌ La especificación inválida fue aceptada');
+        return false;
+    } catch (error) {
+        console.log('✅ Especificación inválida rechazada:', error.message);
+        return true;
+    }
+}
+
+// Test 6: Con una estructura común todos los años comparten nodos y enlaces
+function testStableLayoutAcrossYears() {
+    console.log('🧪 Test 6: Estructura común para transiciones entre años');
+
+    try {
+        const builder = createBuilder();
+        const years = builder.dataManager.getAvailableYears();
+        const stableLayout = builder.getStableLayout(years);
+        const reference = builder.build(years[0], { stableLayout });
+
+        for (const year of years) {
+            const model = builder.build(year, { stableLayout });
+            const plain = builder.build(year);
+
+            console.assert(model.nodes.map(n => n.id).join() === reference.nodes.map(n => n.id).join(), `Nodos distintos en ${year}`);
+            console.assert(model.links.map(l => builder.getLinkKey(l)).join() === reference.links.map(l => builder.getLinkKey(l)).join(), `Enlaces distintos en ${year}`);
+            console.assert(model.links.filter(l => !l.placeholder).length === plain.links.length, `Enlaces reales perdidos en ${year}`);
+            console.assert(model.links.filter(l => l.placeholder).every(l => l.value === 0), `Relleno con valor distinto de 0 en ${year}`);
+        }
+
+        console.log('✅ Estructura común estable');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en la estructura común:', error);
+        return false;
+    }
+}
+
+// Test 7: El diagrama de diferencias usa el cambio absoluto y conserva ambos valores
+function testDifferenceBetweenYears() {
+    console.log('🧪 Test 7: Diagrama de diferencias entre dos años');
+
+    try {
+        const builder = createBuilder();
+        const model = builder.buildDifference('2018', '2024');
+        const crude = model.links.find(link =>
+            link.sourceName === 'Producción' && link.energetic === 'Petróleo crudo');
+        const expectedFrom = builder.dataManager.getEnergeticValue('Producción', 'Petróleo crudo', '2018');
+        const expectedTo = builder.dataManager.getEnergeticValue('Producción', 'Petróleo crudo', '2024');
+
+        console.assert(crude.valueFrom === expectedFrom && crude.valueTo === expectedTo, 'Valores de ambos años incorrectos');
+        console.assert(crude.delta < 0 && crude.value === Math.abs(crude.delta), 'El grosor debe ser el cambio absoluto');
+        console.assert(crude.color === builder.styleManager.getChangeColor(-1, builder.linkOpacity), 'Una disminución debe usar el color de error');
+        console.assert(crude.customdata.includes('Diferencia: −'), 'El popup debe mostrar la diferencia');
+        console.assert(model.link.value.every(v => Number.isFinite(v) && v >= 0), 'Anchos inválidos en el diagrama de diferencias');
+        console.assert(model.maxLinkValue === Math.max(...model.links.map(l => l.value)), 'Máximo de enlaces incorrecto');
+
+        console.log('✅ Diferencias correctas');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en el diagrama de diferencias:', error);
+        return false;
+    }
+}
+
+// Test 8: La vista de un solo energético omite los demás y recalcula los nodos
+function testSingleEnergeticView() {
+    console.log('🧪 Test 8: Vista de un solo energético');
+
+    try {
+        const builder = createBuilder();
+        const model = builder.build('2024', { energetic: 'Diesel' });
+        const transporte = model.nodes[model.nodeMap.get('Transporte')];
+        const expected = builder.dataManager.getEnergeticValue('Transporte', 'Diesel', '2024');
+
+        console.assert(model.energetic === 'Diesel', 'El modelo debe indicar el energético');
+        console.assert(model.links.length > 0 && model.links.every(link => link.energetic === 'Diesel'), 'Solo debe haber enlaces de Diesel');
+        console.assert(!model.nodeMap.has('Gas natural') && !model.nodeMap.has('Producción'), 'Los nodos sin flujos de Diesel deben omitirse');
+        console.assert(transporte.value === expected, 'El total de Transporte debe ser solo el de Diesel');
+        console.assert(model.nodes.every((node, index) => node.index === index && model.nodeMap.get(node.id) === index), 'Índices de nodos inconsistentes');
+        console.assert(model.link.source.concat(model.link.target).every(index => index < model.nodes.length), 'Enlace con nodo fuera de rango');
+
+        console.log('✅ Vista de un solo energético correcta');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en la vista de un solo energético:', error);
+        return false;
+    }
+}
+
+// Test 9: Los filtros ocultan tipos de energía, energéticos y sectores
+function testFilters() {
+    console.log('🧪 Test 9: Filtros de tipo de energía, energéticos y sectores');
+
+    try {
+        const builder = createBuilder();
+        const groups = builder.getFilterGroups().map(group => group.id);
+        console.assert(['energyTypes', 'energetics', 'sectors', 'centers'].every(id => groups.includes(id)), `Grupos inesperados: ${groups}`);
+
+        const primary = builder.build('2024', { filters: { energyTypes: ['Energía Primaria'] } });
+        console.assert(primary.links.every(link => link.tipo === 'Energía Primaria'), 'Solo deben quedar flujos primarios');
+        console.assert(!primary.nodeMap.has('Diesel'), 'Los energéticos secundarios deben omitirse');
+
+        const sectors = builder.build('2024', { filters: { sectors: ['Industrial'], energetics: ['Gas natural seco', 'Energía eléctrica'] } });
+        const industrial = sectors.nodes[sectors.nodeMap.get('Industrial')];
+        const expected = ['Gas natural seco', 'Energía eléctrica']
+            .reduce((sum, name) => sum + Math.abs(builder.dataManager.getEnergeticValue('Industrial', name, '2024') || 0), 0);
+        console.assert(!sectors.nodeMap.has('Transporte'), 'Los sectores desmarcados deben omitirse');
+        console.assert(Math.abs(industrial.value - expected) < 1e-9, 'El total de Industrial debe limitarse a los energéticos marcados');
+        console.assert(sectors.links.every(link => ['Gas natural seco', 'Energía eléctrica'].includes(link.energetic)), 'Enlace de un energético desmarcado');
+
+        console.assert(builder.createFilter({}) === null, 'Sin selección no debe haber filtro');
+
+        console.log('✅ Filtros correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en los filtros:', error);
+        return false;
+    }
+}
+
+// Test 10: La agrupación de flujos menores conserva los totales de los nodos
+function testSmallFlowAggregation() {
+    console.log('🧪 Test 10: Agrupación de flujos menores');
+
+    try {
+        const builder = createBuilder();
+        const base = builder.build('2024');
+        const model = builder.build('2024', { smallFlows: { threshold: 5, mode: 'percent' } });
+        const inflow = (m, id) => m.links.filter(link => link.targetName === id).reduce((sum, link) => sum + link.value, 0);
+        const outflow = (m, id) => m.links.filter(link => link.sourceName === id).reduce((sum, link) => sum + link.value, 0);
+        const limit = id => Math.max(inflow(base, id), outflow(base, id)) * 0.05;
+        const aggregated = model.links.filter(link => link.aggregated);
+
+        console.assert(aggregated.length > 0 && model.links.length < base.links.length, 'Debe haber enlaces agrupados');
+        console.assert(aggregated.every(link => link.energetic === `Otros energéticos (${link.members.length})` && link.members.length > 1), 'Etiqueta de enlace agrupado incorrecta');
+        console.assert(aggregated.every(link => link.members.every(member => member.value < limit(link.targetName))), 'Solo deben agruparse flujos menores al umbral');
+        console.assert(aggregated.every(link => link.customdata.includes(link.members[0].energetic)), 'El popup lista los energéticos agrupados');
+        ['Industrial', 'Transporte', 'Refinerías y Despuntadoras', 'Centrales Eléctricas'].forEach((id) => {
+            console.assert(Math.abs(inflow(base, id) - inflow(model, id)) < 1e-9, `Cambió el flujo de entrada de ${id}`);
+            console.assert(base.nodes[base.nodeMap.get(id)].value === model.nodes[model.nodeMap.get(id)].value, `Cambió el total de ${id}`);
+        });
+
+        console.log('✅ Agrupación de flujos menores correcta');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en la agrupación de flujos menores:', error);
+        return false;
+    }
+}
+
+// Test 11: Tablas de flujos principales por columna y leyenda de energéticos
+function testFlowTables() {
+    console.log('🧪 Test 11: Tablas de flujos por columna');
+
+    try {
+        const builder = createBuilder();
+        const model = builder.build('2024');
+        const tables = builder.getFlowTables(model, { limit: 3 });
+        const columnIds = Object.keys(FLOW_SPEC.columns);
+
+        console.assert(tables.length > 0 && tables.every(table => table.rows.length > 0 && table.rows.length <= 3), 'Cada tabla debe tener entre 1 y 3 filas');
+        console.assert(tables.every((table, index) => index === 0 || columnIds.indexOf(tables[index - 1].columnId) < columnIds.indexOf(table.columnId)),
+            'Las tablas siguen el orden de las columnas');
+        console.assert(tables.every(table => table.rows.every((row, index) => index === 0 || table.rows[index - 1].value >= row.value)), 'Filas de mayor a menor');
+        console.assert(tables.reduce((sum, table) => sum + table.count, 0) === model.links.length, 'Cada flujo pertenece a una columna');
+
+        const primary = tables.find(table => table.columnId === 'energeticos-primarios');
+        const expected = model.links
+            .filter(link => model.nodes[link.source].group === 'primarios')
+            .reduce((sum, link) => sum + Math.abs(link.value), 0);
+        console.assert(primary && Math.abs(primary.total - expected) < 1e-9, 'El total incluye los flujos que no se listan');
+
+        const legend = builder.getLegendItems(model);
+        console.assert(new Set(legend.map(item => item.label)).size === new Set(model.links.map(link => link.energetic)).size, 'Un elemento por energético');
+        console.assert(legend.every(item => /^#/.test(item.color)), 'La leyenda usa el color base de los enlaces');
+
+        console.log('✅ Tablas de flujos por columna correctas');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en las tablas de flujos por columna:', error);
+        return false;
+    }
+}
+
+// Test 12: La agrupación de flujos menores no cambia las entradas ni las salidas de ningún nodo
+function testSmallFlowsKeepNodeFlows() {
+    console.log('🧪 Test 12: Entradas y salidas de los nodos con flujos menores agrupados');
+
+    try {
+        const builder = createBuilder();
+        const flows = (model) => {
+            const totals = new Map(model.nodes.map(node => [node.id, { inflow: 0, outflow: 0 }]));
+            model.links.forEach((link) => {
+                totals.get(model.nodes[link.source].id).outflow += link.value;
+                totals.get(model.nodes[link.target].id).inflow += link.value;
+            });
+            return totals;
+        };
+
+        for (const smallFlows of [{ threshold: 5, mode: 'absolute' }, { threshold: 10, mode: 'percent' }]) {
+            for (const year of ['2010', '2024']) {
+                const base = flows(builder.build(year));
+                const model = builder.build(year, { smallFlows });
+                const grouped = flows(model);
+
+                console.assert(JSON.stringify([...grouped.keys()]) === JSON.stringify([...base.keys()]), `Cambiaron los nodos de ${year}`);
+                for (const [id, total] of base) {
+                    console.assert(Math.abs(total.inflow - grouped.get(id).inflow) < 1e-9, `Cambió la entrada de ${id} en ${year} (${smallFlows.mode})`);
+                    console.assert(Math.abs(total.outflow - grouped.get(id).outflow) < 1e-9, `Cambió la salida de ${id} en ${year} (${smallFlows.mode})`);
+                }
+                console.assert(model.links.filter(link => link.aggregated).every(link =>
+                    link.sourceName === model.nodes[link.source].id && link.targetName === model.nodes[link.target].id),
+                'Los enlaces agrupados unen nodos reales');
+            }
+        }
+
+        console.log('✅ Entradas y salidas de los nodos conservadas');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en las entradas y salidas con flujos menores agrupados:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+function runSankeyBuilderTests() {
+    console.log('🚀 Ejecutando tests de SankeyBuilder...\n');
+
+    const tests = [
+        testLinksAreValid,
+        testLinkValuesMatchData,
+        testBidirectionalFlows,
+        testColumnsRegistered,
+        testInvalidSpecRejected,
+        testStableLayoutAcrossYears,
+        testDifferenceBetweenYears,
+        testSingleEnergeticView,
+        testFilters,
+        testSmallFlowAggregation,
+        testFlowTables,
+        testSmallFlowsKeepNodeFlows
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    tests.forEach((test, index) => {
+        try {
+            if (test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    });
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runSankeyBuilderTests() ? 0 : 1);
+}
+
+module.exports = { runSankeyBuilderTests };
@@ -0,0 +1,188 @@
+/**
+ * Tests para SankeyDiagram - Verificación de la sincronización entre diagramas de años distintos
+ */
+
+const path = require('path');
+
+const DataManager = require(path.join(__dirname, '..', 'DataManager.js'));
+const FLOW_SPEC = require(path.join(__dirname, '..', 'FlowSpec.js'));
+const SankeyBuilder = require(path.join(__dirname, '..', 'SankeyBuilder.js'));
+const SankeyDiagram = require(path.join(__dirname, '..', 'SankeyDiagram.js'));
+
+global.PathTracer = require(path.join(__dirname, '..', 'PathTracer.js'));
+
+// Plotly simulado: dibuja sin DOM y guarda los colores aplicados por restyle
+global.Plotly = {
+    newPlot: (element, data) => {
+        element.data = data;
+        return Promise.resolve();
+    },
+    react: (element, data) => {
+        element.data = data;
+        return Promise.resolve();
+    },
+    restyle: (element, update) => {
+        element.nodeColors = update['node.color'][0];
+    },
+    purge: () => {}
+};
+global.document = { addEventListener() {}, removeEventListener() {} };
+
+// Elemento simulado: manejadores de Plotly y un elemento SVG por nodo y por enlace
+function createElement() {
+    const handlers = {};
+    const svgItem = (type, index) => {
+        const classes = new Set();
+        return {
+            __data__: { [type]: { pointNumber: index } },
+            classList: { add: name => classes.add(name), remove: name => classes.delete(name), contains: name => classes.has(name) }
+        };
+    };
+    return {
+        handlers,
+        items: { node: [], link: [] },
+        on(event, callback) {
+            handlers[event] = callback;
+        },
+        removeAllListeners(event) {
+            delete handlers[event];
+        },
+        querySelector: () => null,
+        querySelectorAll(selector) {
+            if (selector === '.sankey-node') return this.items.node;
+            if (selector === '.sankey-link') return this.items.link;
+            return [...this.items.node, ...this.items.link].filter(item => item.classList.contains('sankey-sync-hover'));
+        },
+        setModel(model) {
+            this.items.node = model.nodes.map((node, index) => svgItem('node', index));
+            this.items.link = model.links.map((link, index) => svgItem('link', index));
+        },
+        hovered(type) {
+            return this.items[type].findIndex(item => item.classList.contains('sankey-sync-hover'));
+        }
+    };
+}
+
+// Dos diagramas sincronizados con años cuyos nodos omitidos son distintos
+async function createSyncedDiagrams() {
+    const originalLog = console.log;
+    console.log = () => {};
+    const builder = new SankeyBuilder({
+        spec: FLOW_SPEC,
+        dataManager: new DataManager(require(path.join(__dirname, '..', '..', 'datos_energia_completo.json')))
+    });
+    const models = ['2010', '2024'].map(year => builder.build(year, { energetic: 'Energía solar' }));
+    console.log = originalLog;
+
+    const diagrams = models.map((model) => {
+        const element = createElement();
+        element.setModel(model);
+        return new SankeyDiagram(element, { transitionMs: 0 });
+    });
+    await Promise.all(diagrams.map((diagram, index) => diagram.render(models[index])));
+    diagrams[0].syncWith(diagrams[1]);
+    return diagrams;
+}
+
+// Test 1: El foco se sincroniza por id de nodo aunque cambien los índices
+async function testSyncedFocus() {
+    console.log('🧪 Test 1: Foco sincronizado por id de nodo');
+
+    try {
+        const [left, right] = await createSyncedDiagrams();
+        const leftIndex = left.model.nodeMap.get('Residencial');
+        const rightIndex = right.model.nodeMap.get('Residencial');
+        console.assert(leftIndex !== undefined && rightIndex !== undefined && leftIndex !== rightIndex,
+            'Residencial debe tener índices distintos en cada año');
+
+        left.element.handlers.plotly_click({ points: [{ pointNumber: leftIndex }] });
+        console.assert(right.activeTrace && right.activeTrace.start === rightIndex, 'El otro diagrama debe resaltar Residencial');
+        console.assert(right.getActiveTraceIds().start === 'Residencial' && right.getActiveTraceIds().mode === 'forward',
+            'El trazado reflejado conserva el nodo y el modo');
+        console.assert(right.element.nodeColors[rightIndex] === right.baseNodeColors[rightIndex], 'Residencial no se atenúa');
+
+        // Un nodo que no existe en el otro año limpia su resaltado
+        const onlyRight = right.model.nodes.find(node => !left.model.nodeMap.has(node.id));
+        console.assert(onlyRight, 'Debe haber un nodo que solo existe en 2024');
+        right.element.handlers.plotly_click({ points: [{ pointNumber: onlyRight.index }] });
+        console.assert(right.getActiveTraceIds().start === onlyRight.id && left.activeTrace === null,
+            'Sin el nodo en el otro año no se resalta otro nodo');
+
+        console.log('✅ Foco sincronizado por id de nodo correcto');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en foco sincronizado:', error);
+        return false;
+    }
+}
+
+// Test 2: El hover se refleja en el nodo o enlace con el mismo id
+async function testSyncedHover() {
+    console.log('🧪 Test 2: Hover sincronizado por id');
+
+    try {
+        const [left, right] = await createSyncedDiagrams();
+
+        left.element.handlers.plotly_hover({ points: [{ pointNumber: left.model.nodeMap.get('Residencial') }] });
+        console.assert(right.element.hovered('node') === right.model.nodeMap.get('Residencial'), 'Debe marcarse Residencial en el otro año');
+
+        const leftLink = left.model.links.find(link => link.targetName === 'Residencial');
+        const rightLink = right.model.links.find(link =>
+            link.sourceName === leftLink.sourceName && link.targetName === 'Residencial' && link.energetic === leftLink.energetic);
+        left.element.handlers.plotly_hover({ points: [{ pointNumber: leftLink.index, source: {} }] });
+        console.assert(right.element.hovered('node') === -1 && right.element.hovered('link') === rightLink.index,
+            'Debe marcarse el mismo enlace en el otro año');
+
+        const onlyRight = right.model.nodes.find(node => !left.model.nodeMap.has(node.id));
+        right.element.handlers.plotly_hover({ points: [{ pointNumber: onlyRight.index }] });
+        console.assert(left.element.hovered('node') === -1 && left.element.hovered('link') === -1, 'Sin el nodo no se marca nada');
+
+        left.element.handlers.plotly_unhover();
+        console.assert(right.element.hovered('link') === -1, 'Al salir se limpia la marca');
+
+        console.log('✅ Hover sincronizado por id correcto');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en hover sincronizado:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+async function runSankeyDiagramTests() {
+    console.log('🚀 Ejecutando tests de SankeyDiagram...\n');
+
+    const tests = [
+        testSyncedFocus,
+        testSyncedHover
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const [index, test] of tests.entries()) {
+        try {
+            if (await test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    }
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    runSankeyDiagramTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runSankeyDiagramTests };
@@ -0,0 +1,122 @@
+/**
+ * Tests para SeriesPanel - Verificación de las series anuales de nodos y flujos
+ */
+
+const path = require('path');
+
+const SeriesPanel = require(path.join(__dirname, '..', 'SeriesPanel.js'));
+const DataManager = require(path.join(__dirname, '..', 'DataManager.js'));
+const FLOW_SPEC = require(path.join(__dirname, '..', 'FlowSpec.js'));
+const SankeyBuilder = require(path.join(__dirname, '..', 'SankeyBuilder.js'));
+
+const jsonData = require(path.join(__dirname, '..', '..', 'datos_energia_completo.json'));
+const close = (a, b) => Math.abs(a - b) < 1e-6 * Math.max(1, Math.abs(b));
+
+// Test 1: Cambio anual y TCMA
+function testGrowthStats() {
+    console.log('🧪 Test 1: Cambio anual y TCMA');
+
+    try {
+        const stats = SeriesPanel.getGrowthStats(['2010', '2011', '2012', '2013'], [0, 100, 110, 121]);
+
+        console.assert(stats.points[0].change === null && stats.points[1].change === null, 'Sin valor anterior no hay cambio');
+        console.assert(close(stats.points[2].change, 0.1) && stats.points[2].previousYear === '2011', 'Cambio anual incorrecto');
+        console.assert(close(stats.cagr, 0.1), 'TCMA incorrecta');
+        console.assert(stats.firstYear === '2011' && stats.lastYear === '2013', 'La TCMA debe partir del primer año positivo');
+
+        const empty = SeriesPanel.getGrowthStats(['2010', '2011'], [0, 5]);
+        console.assert(empty.cagr === null && empty.firstYear === null, 'Con un solo año positivo no hay TCMA');
+
+        console.log('✅ Cambio anual y TCMA correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en cambio anual y TCMA:', error);
+        return false;
+    }
+}
+
+// Test 2: Las series coinciden con los valores del diagrama de cada año
+function testSeriesMatchModel() {
+    console.log('🧪 Test 2: Series de nodos y enlaces');
+
+    try {
+        const dataManager = new DataManager(jsonData);
+        const builder = new SankeyBuilder({ spec: FLOW_SPEC, dataManager: dataManager });
+        const years = dataManager.getAvailableYears();
+        const model = builder.build('2023');
+        const at = (series, year) => series.totals[series.years.indexOf(year)];
+
+        const transporte = builder.getNodeSeries(model.nodes.find(node => node.id === 'Transporte'));
+        console.assert(transporte.years.length === years.length && transporte.years[0] === '2010', 'Serie en orden cronológico');
+        console.assert(transporte.carriers.length > 1, 'La serie debe desglosarse por energético');
+
+        const diesel = builder.getNodeSeries(model.nodes.find(node => node.id === 'Diesel'));
+        const dieselLink = model.links.find(link => link.energetic === 'Diesel' && link.targetName === 'Transporte');
+        const dieselFlow = builder.getLinkSeries(dieselLink);
+
+        years.forEach((year) => {
+            const yearModel = builder.build(year);
+            const node = id => yearModel.nodes.find(item => item.id === id);
+            const link = yearModel.links.find(item => item.energetic === 'Diesel' && item.targetName === 'Transporte');
+
+            console.assert(close(at(transporte, year), node('Transporte').value), `${year}: total de Transporte`);
+            console.assert(close(at(diesel, year), node('Diesel').value), `${year}: total de Diesel`);
+            console.assert(close(at(dieselFlow, year), link ? link.value : 0), `${year}: flujo Diesel → Transporte`);
+        });
+
+        const onlyDiesel = builder.getNodeSeries(model.nodes.find(node => node.id === 'Transporte'), { energetic: 'Diesel' });
+        console.assert(onlyDiesel.carriers.length === 1 && close(at(onlyDiesel, '2023'), dieselLink.value),
+            'La vista de un energético debe limitar la serie');
+
+        const grouped = builder.build('2023', { smallFlows: { threshold: 5, mode: 'percent' } });
+        const aggregated = grouped.links.find(link => link.aggregated);
+        const aggregatedSeries = builder.getLinkSeries(aggregated);
+        console.assert(close(at(aggregatedSeries, '2023'), aggregated.value), 'Los flujos menores deben sumar sus miembros');
+        console.assert(aggregatedSeries.carriers.length === aggregated.members.length, 'Un energético por miembro');
+
+        console.log('✅ Series de nodos y enlaces correctas');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en series de nodos y enlaces:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+function runSeriesPanelTests() {
+    console.log('🚀 Ejecutando tests de SeriesPanel...\n');
+
+    const tests = [
+        testGrowthStats,
+        testSeriesMatchModel
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    tests.forEach((test, index) => {
+        try {
+            if (test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    });
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runSeriesPanelTests() ? 0 : 1);
+}
+
+module.exports = { runSeriesPanelTests };
@@ -0,0 +1,229 @@
+/**
+ * Tests para StandaloneExporter - Verificación del HTML interactivo autónomo
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const DataManager = require(path.join(__dirname, '..', 'DataManager.js'));
+const StandaloneExporter = require(path.join(__dirname, '..', 'StandaloneExporter.js'));
+
+const jsonData = require(path.join(__dirname, '..', '..', 'datos_energia_completo.json'));
+
+// Extrae el contenido de un <script type="application/json"> del documento
+function readJsonScript(html, id) {
+    const match = html.match(new RegExp(`<script type="application/json" id="${id}">([\\s\\S]*?)</script>`));
+    return match ? JSON.parse(match[1]) : null;
+}
+
+// Plotly simulado: registra cada dibujo en plotlyCalls
+const PLOTLY_STUB = [
+    'var plotlyCalls = [];',
+    'var Plotly = {',
+    '    newPlot: function (element, data, layout) { element.data = data; plotlyCalls.push({ method: "newPlot", data: data, layout: layout }); return Promise.resolve(); },',
+    '    react: function (element, data, layout) { element.data = data; plotlyCalls.push({ method: "react", data: data, layout: layout }); return Promise.resolve(); },',
+    '    restyle: function () { return Promise.resolve(); },',
+    '    purge: function () {}',
+    '};'
+].join('\n');
+
+// DOM mínimo de la página autónoma: elementos por id, con el contenido de los <script type="application/json">
+function createPageContext(html, errors) {
+    const elements = new Map();
+    const createElement = (id, textContent = '') => {
+        const listeners = {};
+        return {
+            id,
+            textContent,
+            value: '',
+            options: [],
+            style: {},
+            add(option) {
+                this.options.push(option);
+            },
+            addEventListener(type, callback) {
+                listeners[type] = callback;
+            },
+            dispatch(type) {
+                listeners[type]();
+            },
+            on() {},
+            querySelector: () => null,
+            setAttribute() {},
+            remove() {}
+        };
+    };
+    for (const [, id] of html.matchAll(/<\w+ [^>]*id="([^"]+)"/g)) {
+        elements.set(id, createElement(id));
+    }
+    for (const [, id, content] of html.matchAll(/<script type="application\/json" id="([^"]+)">([\s\S]*?)<\/script>/g)) {
+        elements.get(id).textContent = content;
+    }
+
+    return vm.createContext({
+        console: { log() {}, warn() {}, error: (...args) => errors.push(args.join(' ')) },
+        setTimeout,
+        Option: function (label, value) {
+            this.label = label;
+            this.value = value;
+        },
+        document: {
+            getElementById: (id) => elements.get(id) || null,
+            createElement: () => createElement(null),
+            addEventListener() {},
+            removeEventListener() {},
+            head: { appendChild() {} },
+            documentElement: { style: { setProperty() {} } }
+        }
+    });
+}
+
+// Test 1: El conjunto de datos conserva solo los años elegidos
+function testFilterDataset() {
+    console.log('🧪 Test 1: Años del conjunto de datos');
+
+    try {
+        const exporter = new StandaloneExporter();
+        const data = { ...jsonData, 'Años': { estado: { '2023': 'preliminar', '2025': 'proyectado' }, excluidos: ['2025'] } };
+        const filtered = exporter.filterDataset(data, ['2022', '2023']);
+        const dataManager = new DataManager(filtered);
+
+        console.assert(JSON.stringify(dataManager.getAvailableYears().sort()) === JSON.stringify(['2022', '2023']), 'Solo deben quedar los años elegidos');
+        console.assert(dataManager.isProvisionalYear('2023') && JSON.stringify(filtered['Años'].estado) === '{"2023":"preliminar"}',
+            'Se conserva el estado de los años incluidos');
+        const child = filtered.Datos[0]['Nodos Hijo'][0];
+        console.assert(child['Nodo Hijo'] === jsonData.Datos[0]['Nodos Hijo'][0]['Nodo Hijo'] && !('2024' in child), 'Los atributos del nodo se conservan');
+        console.assert('2024' in jsonData.Datos[0]['Nodos Hijo'][0], 'Los datos originales no se modifican');
+
+        console.log('✅ Años del conjunto de datos correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en años del conjunto de datos:', error);
+        return false;
+    }
+}
+
+// Test 2: El documento incrusta scripts, datos y configuración sin romper las etiquetas
+function testBuildHtml() {
+    console.log('🧪 Test 2: Documento HTML autónomo');
+
+    try {
+        const exporter = new StandaloneExporter();
+        const settings = { title: 'Balance <Nacional>', years: ['2023', '2024'], year: '2024', unit: 'TWh', notes: ['</script> nota'] };
+        const data = exporter.filterDataset(jsonData, settings.years);
+        const html = exporter.buildHtml(data, settings, [
+            { name: 'plotly.min.js', source: 'var Plotly = { text: "</script>" };' },
+            { name: 'DataManager.js', source: 'class DataManager {}' }
+        ]);
+
+        console.assert(html.startsWith('<!DOCTYPE html>') && html.includes('<title>Balance &lt;Nacional&gt; 2023–2024</title>'), 'Título escapado con el rango de años');
+        console.assert(html.indexOf('/* plotly.min.js */') < html.indexOf('/* DataManager.js */'), 'Los scripts se incrustan en orden');
+        console.assert(html.includes('text: "<\\/script>"') && (html.match(/<\/script>/g) || []).length === 5, 'El código no puede cerrar su etiqueta');
+        console.assert(JSON.stringify(readJsonScript(html, 'sankey-data')) === JSON.stringify(data), 'Los datos deben poder leerse de vuelta');
+        console.assert(readJsonScript(html, 'sankey-settings').notes[0] === '</script> nota', 'La configuración debe poder leerse de vuelta');
+        console.assert(typeof new Function(`return (${StandaloneExporter.bootstrap.toString()})`)() === 'function', 'El código de arranque debe ser una expresión válida');
+        console.assert(StandaloneExporter.MODULES.indexOf('NameRegistry') < StandaloneExporter.MODULES.indexOf('DataManager')
+            && StandaloneExporter.MODULES.indexOf('PathTracer') < StandaloneExporter.MODULES.indexOf('SankeyDiagram'), 'Orden de carga de los módulos');
+
+        console.log('✅ Documento HTML autónomo correcto');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en documento HTML autónomo:', error);
+        return false;
+    }
+}
+
+// Test 3: La página generada dibuja el diagrama y llena el selector de año
+async function testPageRenders() {
+    console.log('🧪 Test 3: Página autónoma en funcionamiento');
+
+    try {
+        const exporter = new StandaloneExporter();
+        const settings = {
+            title: 'Balance Nacional de Energía', years: ['2023', '2024'], year: '2024', unit: 'TWh', decimals: 1,
+            linkScale: 'linear', energetic: null, filters: null, smallFlows: { threshold: 5, mode: 'absolute' }
+        };
+        const scripts = [
+            { name: 'plotly.min.js', source: PLOTLY_STUB },
+            ...StandaloneExporter.MODULES.map(name => ({
+                name: `${name}.js`,
+                source: fs.readFileSync(path.join(__dirname, '..', `${name}.js`), 'utf8')
+            }))
+        ];
+        const html = exporter.buildHtml(exporter.filterDataset(jsonData, settings.years), settings, scripts);
+
+        // Los <script> sin atributos se ejecutan en orden, como en el navegador
+        const errors = [];
+        const context = createPageContext(html, errors);
+        for (const match of html.matchAll(/<script>([\s\S]*?)<\/script>/g)) {
+            vm.runInContext(match[1], context);
+        }
+        await new Promise(resolve => setTimeout(resolve, 150));
+
+        const yearSelector = context.document.getElementById('year-selector');
+        console.assert(JSON.stringify(yearSelector.options.map(option => option.value).sort()) === JSON.stringify(settings.years),
+            'El selector de año debe tener los años exportados');
+        console.assert(yearSelector.value === '2024', 'Se abre en el año indicado');
+        console.assert(context.document.getElementById('trace-mode').options.length === 4, 'El selector de trazado debe tener sus modos');
+
+        const [first] = context.plotlyCalls;
+        console.assert(context.plotlyCalls.length === 1 && first.method === 'newPlot', 'El diagrama se dibuja al abrir la página');
+        console.assert(first.data[0].type === 'sankey' && first.data[0].node.label.length > 0 && first.data[0].link.value.length > 0,
+            'El diagrama tiene nodos y enlaces');
+        console.assert(first.layout.title.includes('2024') && first.layout.title.includes('TWh'), 'El título incluye el año y la unidad');
+
+        yearSelector.value = '2023';
+        yearSelector.dispatch('change');
+        await new Promise(resolve => setTimeout(resolve, 0));
+        const second = context.plotlyCalls[1];
+        console.assert(second && second.method === 'react' && second.layout.title.includes('2023'), 'Cambiar de año vuelve a dibujar el diagrama');
+        console.assert(errors.length === 0, `Sin errores en la página: ${errors.join('; ')}`);
+
+        console.log('✅ Página autónoma en funcionamiento correcta');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en página autónoma en funcionamiento:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+async function runStandaloneExporterTests() {
+    console.log('🚀 Ejecutando tests de StandaloneExporter...\n');
+
+    const tests = [
+        testFilterDataset,
+        testBuildHtml,
+        testPageRenders
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const [index, test] of tests.entries()) {
+        try {
+            if (await test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    }
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    runStandaloneExporterTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runStandaloneExporterTests };
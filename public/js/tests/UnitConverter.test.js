@@ -0,0 +1,137 @@
+/**
+ * Tests para UnitConverter - Verificación de factores, unidades por día y formato
+ */
+
+const path = require('path');
+
+const UnitConverter = require(path.join(__dirname, '..', 'UnitConverter.js'));
+const LinkScaleManager = require(path.join(__dirname, '..', 'LinkScaleManager.js'));
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+// Test 1: Factores de conversión y conversión inversa
+function testFactors() {
+    console.log('🧪 Test 1: Factores de conversión');
+
+    try {
+        const converter = new UnitConverter();
+        console.assert(converter.getUnit() === 'PJ' && converter.convert(12.5) === 12.5, 'PJ debe ser la unidad base');
+
+        converter.setUnit('TWh');
+        console.assert(close(converter.convert(3.6), 1), '3.6 PJ deben ser 1 TWh');
+        converter.setUnit('Mtoe');
+        console.assert(close(converter.convert(41.868), 1), '41.868 PJ deben ser 1 Mtoe');
+        converter.setUnit('TJ');
+        console.assert(converter.convert(1) === 1000, '1 PJ deben ser 1,000 TJ');
+
+        for (const unit of converter.getUnits().map(item => item.id)) {
+            converter.setUnit(unit);
+            console.assert(close(converter.toBase(converter.convert(123.45, 2020), 2020), 123.45), `Ida y vuelta en ${unit}`);
+        }
+
+        let threw = false;
+        try {
+            converter.setUnit('kcal');
+        } catch (error) {
+            threw = true;
+        }
+        console.assert(threw && converter.getUnit() === 'kBOE/d', 'Una unidad desconocida debe lanzar un error');
+
+        console.log('✅ Factores correctos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en factores:', error);
+        return false;
+    }
+}
+
+// Test 2: kBOE/día usa los días del año de referencia
+function testPerDayUnits() {
+    console.log('🧪 Test 2: Unidades por día');
+
+    try {
+        const converter = new UnitConverter({ unit: 'kBOE/d' });
+        // 1 PJ = 1e6 GJ / 6.1178632 GJ por barril = 163,456 barriles
+        const barrels = 1e6 / 6.1178632;
+
+        console.assert(close(converter.convert(365, 2023), barrels / 1000), 'Año de 365 días incorrecto');
+        console.assert(close(converter.convert(366, 2024), barrels / 1000), 'Año bisiesto incorrecto');
+        console.assert(converter.convert(100, 1900) === converter.convert(100, 2023), '1900 no es bisiesto');
+
+        converter.setReferenceYear('2000');
+        console.assert(close(converter.convert(366), barrels / 1000), 'El año de referencia debe usarse por defecto');
+
+        console.log('✅ Unidades por día correctas');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en unidades por día:', error);
+        return false;
+    }
+}
+
+// Test 3: Formato con decimales configurables y leyenda en la unidad activa
+function testFormat() {
+    console.log('🧪 Test 3: Formato y leyenda');
+
+    try {
+        const converter = new UnitConverter({ unit: 'TJ' });
+        console.assert(converter.format(1234.5678) === '1,234,567.8 TJ', `Formato inesperado: ${converter.format(1234.5678)}`);
+
+        converter.setUnit('TWh');
+        converter.setDecimals(0);
+        console.assert(converter.format(36) === '10 TWh', 'Cero decimales incorrecto');
+        converter.setDecimals(3);
+        console.assert(converter.formatNumber(1) === '0.278', 'Tres decimales incorrecto');
+        converter.setDecimals(99);
+        console.assert(converter.getDecimals() === 6, 'Los decimales deben limitarse a 6');
+
+        const legend = new LinkScaleManager({ mode: 'linear', unitConverter: converter }).getLegendData(1000);
+        console.assert(legend.entries.every(entry => entry.label.endsWith(' TWh')), 'La leyenda debe usar la unidad activa');
+
+        console.log('✅ Formato correcto');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en formato:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+function runUnitConverterTests() {
+    console.log('🚀 Ejecutando tests de UnitConverter...\n');
+
+    const tests = [
+        testFactors,
+        testPerDayUnits,
+        testFormat
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    tests.forEach((test, index) => {
+        try {
+            if (test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    });
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runUnitConverterTests() ? 0 : 1);
+}
+
+module.exports = { runUnitConverterTests };
@@ -0,0 +1,149 @@
+/**
+ * Tests para UrlStateManager - Verificación de la codificación de la vista en la URL
+ */
+
+const path = require('path');
+
+const UrlStateManager = require(path.join(__dirname, '..', 'UrlStateManager.js'));
+
+// Test 1: Una vista completa sobrevive a la ida y vuelta por la URL
+function testRoundTrip() {
+    console.log('🧪 Test 1: Ida y vuelta de una vista completa');
+
+    try {
+        const manager = new UrlStateManager();
+        const state = {
+            dataset: 'preliminar',
+            year: '2020',
+            view: 'side-by-side',
+            baseYear: '2010',
+            energetic: 'Gas natural',
+            filters: { energyTypes: ['Primario'], sectors: [] },
+            smallFlows: { threshold: 2.5, mode: 'percent' },
+            linkScale: 'sqrt',
+            unit: 'kBOE/d',
+            decimals: 0,
+            traceMode: 'between',
+            trace: { mode: 'between', start: 'Gas natural', end: 'Residencial' },
+            zoom: { scale: 1.5, translateX: -120.456, translateY: 30 },
+            columnLabels: true,
+            emissions: true
+        };
+        const parsed = manager.parse(manager.serialize(state));
+
+        console.assert(parsed.year === '2020' && parsed.baseYear === '2010', 'Años incorrectos');
+        console.assert(parsed.view === 'side-by-side', 'Vista incorrecta');
+        console.assert(parsed.energetic === 'Gas natural', 'Energético incorrecto');
+        console.assert(parsed.filters.energyTypes.join() === 'Primario', 'Filtro de tipo incorrecto');
+        console.assert(parsed.filters.sectors.length === 0, 'Un grupo sin opciones debe conservarse vacío');
+        console.assert(parsed.smallFlows.threshold === 2.5 && parsed.smallFlows.mode === 'percent', 'Umbral incorrecto');
+        console.assert(parsed.linkScale === 'sqrt', 'Escala incorrecta');
+        console.assert(parsed.unit === 'kBOE/d' && parsed.decimals === 0, 'Unidad o decimales incorrectos');
+        console.assert(parsed.trace.start === 'Gas natural' && parsed.trace.end === 'Residencial', 'Trazado incorrecto');
+        console.assert(parsed.trace.mode === 'between', 'Modo de trazado incorrecto');
+        console.assert(parsed.zoom.scale === 1.5 && parsed.zoom.translateX === -120.46, 'Zoom incorrecto');
+        console.assert(parsed.columnLabels === true, 'Etiquetas de columnas incorrectas');
+        console.assert(parsed.emissions === true, 'Capa de emisiones incorrecta');
+        console.assert(parsed.dataset === 'preliminar', 'Conjunto de datos incorrecto');
+
+        console.log('✅ Ida y vuelta correcta');
+        return true;
+    } catch (error) {
+        console.error('❌ Error en ida y vuelta:', error);
+        return false;
+    }
+}
+
+// Test 2: Los valores por defecto no se escriben en la URL
+function testDefaultsOmitted() {
+    console.log('🧪 Test 2: Valores por defecto omitidos');
+
+    try {
+        const manager = new UrlStateManager();
+        const query = manager.serialize({
+            year: '2024',
+            view: 'single',
+            baseYear: '2010',
+            energetic: null,
+            filters: {},
+            smallFlows: { threshold: 0, mode: 'absolute' },
+            traceMode: 'forward',
+            trace: null,
+            zoom: { scale: 1, translateX: 0, translateY: 0 },
+            columnLabels: false,
+            emissions: false
+        });
+
+        console.assert(query === '?year=2024', `Consulta inesperada: ${query}`);
+        console.assert(manager.serialize({}) === '', 'Un estado vacío debe dar una consulta vacía');
+
+        console.log('✅ Valores por defecto omitidos');
+        return true;
+    } catch (error) {
+        console.error('❌ Error con valores por defecto:', error);
+        return false;
+    }
+}
+
+// Test 3: Los parámetros inválidos se ignoran
+function testInvalidParams() {
+    console.log('🧪 Test 3: Parámetros inválidos');
+
+    try {
+        const manager = new UrlStateManager();
+        const parsed = manager.parse('?small=abc&zoom=1,2&trace=full&labels=0&dec=x');
+
+        console.assert(parsed.smallFlows === undefined, 'Un umbral inválido debe ignorarse');
+        console.assert(parsed.zoom === undefined, 'Un zoom incompleto debe ignorarse');
+        console.assert(parsed.traceMode === 'full' && parsed.trace === undefined, 'Modo sin nodo de inicio incorrecto');
+        console.assert(parsed.columnLabels === false, 'labels=0 debe ocultar las etiquetas');
+        console.assert(parsed.decimals === undefined, 'Decimales inválidos deben ignorarse');
+        console.assert(parsed.year === undefined, 'No debe inventarse un año');
+
+        console.log('✅ Parámetros inválidos ignorados');
+        return true;
+    } catch (error) {
+        console.error('❌ Error con parámetros inválidos:', error);
+        return false;
+    }
+}
+
+// Función principal para ejecutar todos los tests
+function runUrlStateManagerTests() {
+    console.log('🚀 Ejecutando tests de UrlStateManager...\n');
+
+    const tests = [
+        testRoundTrip,
+        testDefaultsOmitted,
+        testInvalidParams
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    tests.forEach((test, index) => {
+        try {
+            if (test()) {
+                passed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Test ${index + 1} falló con excepción:`, error);
+            failed++;
+        }
+        console.log('');
+    });
+
+    console.log('📊 Resumen de tests:');
+    console.log(`   ✅ Pasaron: ${passed}`);
+    console.log(`   ❌ Fallaron: ${failed}`);
+
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runUrlStateManagerTests() ? 0 : 1);
+}
+
+module.exports = { runUrlStateManagerTests };